@@ -0,0 +1,4 @@
+// Only used by Jest: the extension sources are ES modules, which esbuild bundles as is
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
@@ -0,0 +1,124 @@
+/**
+ * Enhancement Runner
+ * Runs enhancements for content scripts, in the background where API keys are
+ * decrypted and provider requests aren't subject to the page's origin. Provider
+ * retries happen in EnhancementPresets; the runner adds an overall deadline and
+ * cancellation
+ *
+ * Clients either send the one-shot 'enhance' message or connect a port named
+ * ENHANCE_REQUEST.PORT to stream output and cancel:
+ *   client  { type: 'start', data: { context, enhancementType, temperature, stream } }
+ *   runner  { type: 'chunk', text } as output streams, then { type: 'result', response }
+ * The start data is checked as the startEnhancement action, and the response is the
+ * { success, data, error } envelope of shared/messages.js. Disconnecting the port
+ * cancels the enhancement
+ */
+
+import EnhancementPresets from '../content/enhancement-presets.js';
+import ContextExtractor from '../content/context-extractor.js';
+import subscriptionManager from './subscription-manager.js';
+import settingsService from '../shared/settings-service.js';
+import { ENHANCEMENT_PRESETS, ENHANCE_REQUEST, ERROR_MESSAGES } from '../shared/constants.js';
+import { createCancelError, resolveLocalModelSettings } from '../shared/providers/index.js';
+import { checkMessage } from '../shared/message-router.js';
+import { ACTIONS, createErrorResponse, createResponse } from '../shared/messages.js';
+
+class EnhancementRunner {
+  /**
+   * @param {Object} request - { context, enhancementType, temperature }
+   * @param {Object} options - { signal, onChunk(delta, fullText) }
+   * @returns {Promise<Object>} { text, provider, model, redactions }
+   * @throws {Error} KeyLockedError while the key vault waits for its passphrase,
+   *   AbortError when cancelled through the signal, or why it couldn't enhance
+   */
+  async run(request, { signal = null, onChunk = null } = {}) {
+    const { context, enhancementType, temperature } = request || {};
+    if (!context?.currentPrompt?.trim()) {
+      throw new Error(ERROR_MESSAGES.NO_PROMPT);
+    }
+
+    const settings = await settingsService.get();
+
+    // A fresh EnhancementPresets per request keeps lastRun from mixing concurrent
+    // enhancements. A local model needs no key, so a locked vault doesn't matter then
+    const presets = new EnhancementPresets(new ContextExtractor(null), {
+      getActiveSubscription: () => (resolveLocalModelSettings(settings.localModel)
+        ? subscriptionManager.getActiveSubscription()
+        : subscriptionManager.getUnlockedSubscription())
+    });
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const deadline = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, ENHANCE_REQUEST.DEADLINE);
+    const abortFromCaller = () => controller.abort();
+    signal?.addEventListener('abort', abortFromCaller);
+
+    try {
+      const text = await presets.enhance(
+        context,
+        enhancementType || settings.currentEnhancementType || ENHANCEMENT_PRESETS.BALANCED,
+        settings,
+        { signal: controller.signal, onChunk: onChunk || undefined, temperature }
+      );
+
+      // Rule-based fallbacks don't observe the signal, so re-check it
+      if (controller.signal.aborted) {
+        throw createCancelError();
+      }
+
+      return { text, ...presets.lastRun };
+    } catch (error) {
+      if (error.name === 'AbortError' && timedOut) {
+        throw new Error(`Enhancement timed out after ${ENHANCE_REQUEST.DEADLINE / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(deadline);
+      signal?.removeEventListener('abort', abortFromCaller);
+    }
+  }
+
+  /**
+   * Serve one enhancement over a connected port
+   */
+  handlePort(port) {
+    const controller = new AbortController();
+    const post = (message) => {
+      if (controller.signal.aborted) return;
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        controller.abort();
+      }
+    };
+
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (message) => {
+      if (message?.type !== 'start') return;
+
+      let response;
+      try {
+        const request = checkMessage(ACTIONS.START_ENHANCEMENT, message.data, port.sender);
+        response = createResponse(await this.run(request, {
+          signal: controller.signal,
+          onChunk: request.stream ? (delta, text) => post({ type: 'chunk', text }) : null
+        }));
+      } catch (error) {
+        if (error.name === 'MessageError') {
+          console.warn('[APE] Enhancement refused:', error.message);
+        } else if (error.name !== 'AbortError' && error.name !== 'KeyLockedError') {
+          console.error('[APE] Enhancement failed:', error);
+        }
+        response = createErrorResponse(error);
+      }
+
+      post({ type: 'result', response });
+    });
+  }
+}
+
+export default new EnhancementRunner();
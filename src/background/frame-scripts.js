@@ -0,0 +1,69 @@
+/**
+ * Frame Scripts
+ * Registers the content script for every frame when a managed site asks for it
+ * The manifest entry only runs in the top frame (all_frames: false)
+ */
+
+import browserCompat from '../shared/browser-compat.js';
+
+const SCRIPT_ID = 'ape-all-frames';
+
+class FrameScripts {
+  /**
+   * Hostnames of enabled managed sites that opted into running inside frames
+   */
+  getFrameSites(managedSites = []) {
+    return managedSites
+      .filter(site => site.enabled && site.allFrames)
+      .map(site => site.hostname);
+  }
+
+  /**
+   * Match patterns for frames served from the opted-in sites and their subdomains
+   */
+  getMatches(sites) {
+    return sites.flatMap(hostname => [`*://${hostname}/*`, `*://*.${hostname}/*`]);
+  }
+
+  /**
+   * Register or drop the all-frames content script to match managedSites
+   * Only frames served from an opted-in site are injected; registration can't
+   * be scoped by the embedding page, so the content script still checks the
+   * top frame's hostname before initializing in a subframe
+   */
+  async sync(managedSites) {
+    const scripting = browserCompat.api.scripting;
+    if (!scripting?.registerContentScripts) return;
+
+    try {
+      if (managedSites === undefined) {
+        const result = await browserCompat.storageGet(['managedSites']);
+        managedSites = result.managedSites || [];
+      }
+
+      const registered = await scripting.getRegisteredContentScripts({ ids: [SCRIPT_ID] });
+      if (registered.length > 0) {
+        await scripting.unregisterContentScripts({ ids: [SCRIPT_ID] });
+      }
+
+      const sites = this.getFrameSites(managedSites);
+      if (sites.length === 0) return;
+
+      await scripting.registerContentScripts([{
+        id: SCRIPT_ID,
+        matches: this.getMatches(sites),
+        js: ['dist/content.js'],
+        css: ['assets/styles/inline-ui.css'],
+        allFrames: true,
+        runAt: 'document_idle',
+        persistAcrossSessions: true
+      }]);
+
+      console.log('[APE] All-frames content script registered for:', sites);
+    } catch (error) {
+      console.error('[APE] Failed to sync frame scripts:', error);
+    }
+  }
+}
+
+export default new FrameScripts();
@@ -0,0 +1,140 @@
+/**
+ * Enhancement History Store
+ * Capped, retention-pruned log of enhancements in local storage
+ */
+
+import browserCompat from '../shared/browser-compat.js';
+import settingsService from '../shared/settings-service.js';
+import { STORAGE_KEYS, HISTORY_CONFIG } from '../shared/constants.js';
+import { generateId } from '../shared/utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoryStore {
+  constructor() {
+    // Serialize read-modify-write cycles so concurrent records don't clobber each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Record an enhancement
+   * @param {Object} entry - { original, enhanced, preset, template, platform, provider, model, latency, url }
+   */
+  async addEntry(entry) {
+    const record = {
+      id: generateId(),
+      timestamp: Date.now(),
+      original: entry.original || '',
+      enhanced: entry.enhanced || '',
+      preset: entry.preset || null,
+      template: entry.template || null,
+      platform: entry.platform || 'generic',
+      provider: entry.provider || null,
+      model: entry.model || null,
+      latency: Number.isFinite(entry.latency) ? Math.round(entry.latency) : null,
+      url: entry.url || null
+    };
+
+    await this.update(async (entries) => {
+      const retentionDays = await this.getRetentionDays();
+      return this.prune([record, ...entries], retentionDays);
+    });
+
+    return record;
+  }
+
+  /**
+   * Get entries, newest first
+   * @param {Object} filters - { query, platform }
+   */
+  async getEntries({ query = '', platform = '' } = {}) {
+    const entries = await this.readEntries();
+    const needle = query.trim().toLowerCase();
+
+    return entries.filter((entry) => {
+      if (platform && entry.platform !== platform) return false;
+      if (!needle) return true;
+
+      return [entry.original, entry.enhanced, entry.preset, entry.provider, entry.model]
+        .some(value => value && value.toLowerCase().includes(needle));
+    });
+  }
+
+  /**
+   * Get a single entry by id
+   */
+  async getEntry(id) {
+    const entries = await this.readEntries();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Platforms that appear in the history (for filters)
+   */
+  async getPlatforms() {
+    const entries = await this.readEntries();
+    return [...new Set(entries.map(entry => entry.platform))].sort();
+  }
+
+  /**
+   * Delete every entry
+   */
+  async purge() {
+    await this.update(async () => []);
+  }
+
+  /**
+   * Store a new retention period and prune immediately
+   */
+  async setRetentionDays(days) {
+    const retentionDays = Math.max(0, parseInt(days, 10) || 0);
+
+    await settingsService.update({ historyRetentionDays: retentionDays });
+
+    await this.update(async entries => this.prune(entries, retentionDays));
+
+    return { retentionDays };
+  }
+
+  /**
+   * Current retention period in days (0 = no age limit)
+   */
+  async getRetentionDays() {
+    const settings = await settingsService.get();
+    return settings.historyRetentionDays;
+  }
+
+  /**
+   * Drop entries older than the retention period and enforce the size cap
+   */
+  prune(entries, retentionDays) {
+    const cutoff = retentionDays > 0 ? Date.now() - retentionDays * DAY_MS : 0;
+
+    return entries
+      .filter(entry => entry.timestamp >= cutoff)
+      .slice(0, HISTORY_CONFIG.MAX_ENTRIES);
+  }
+
+  async readEntries() {
+    const result = await browserCompat.storageGet([STORAGE_KEYS.ENHANCEMENT_HISTORY]);
+    return result[STORAGE_KEYS.ENHANCEMENT_HISTORY] || [];
+  }
+
+  /**
+   * Queue a read-modify-write of the entry list
+   */
+  update(mutator) {
+    const run = async () => {
+      const entries = await this.readEntries();
+      const next = await mutator(entries);
+      await browserCompat.storageSet({ [STORAGE_KEYS.ENHANCEMENT_HISTORY]: next });
+    };
+
+    this.writeQueue = this.writeQueue.then(run, run);
+    return this.writeQueue;
+  }
+}
+
+// Export singleton instance
+const historyStore = new HistoryStore();
+export default historyStore;
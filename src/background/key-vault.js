@@ -0,0 +1,291 @@
+/**
+ * Key Vault
+ * Encrypts BYOK API keys at rest with AES-GCM. The AES key is derived with PBKDF2
+ * from the user's passphrase, or generated at random for the device when no
+ * passphrase is set. Only the background uses the vault; decrypted keys never
+ * leave it
+ *
+ * Vault keys are non-extractable CryptoKeys kept in the extension's IndexedDB,
+ * which content scripts can't open, so no key material is ever written to
+ * extension storage. storage.local only holds the salt and a check value
+ *
+ * With a passphrase the vault starts each browser session locked. The derived key
+ * is then cached in IndexedDB next to a marker in storage.session, which the
+ * browser clears on exit, so the service worker can restart without asking
+ * again; a cached key found without its marker is from an earlier session and
+ * is deleted
+ */
+
+import browserCompat from '../shared/browser-compat.js';
+import { ERROR_MESSAGES, STORAGE_KEYS } from '../shared/constants.js';
+import { MESSAGE_ERRORS } from '../shared/messages.js';
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const DB_NAME = 'ape-key-vault';
+const DB_STORE = 'keys';
+const DEVICE_KEY = 'device';
+const SESSION_KEY = 'session';
+
+// Encrypted with the vault key so unlock() can tell a wrong passphrase
+const CHECK_VALUE = 'ape-key-vault';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Error thrown when a key is needed while the vault waits for its passphrase
+ */
+export function createLockedError() {
+  const error = new Error(ERROR_MESSAGES.KEY_LOCKED);
+  error.name = 'KeyLockedError';
+  error.code = MESSAGE_ERRORS.KEY_LOCKED;
+  return error;
+}
+
+async function deriveKey(secret, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function generateKey() {
+  return await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptWith(key, plaintext) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(plaintext));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptWith(key, record) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(record.iv) },
+    key,
+    fromBase64(record.data)
+  );
+  return decoder.decode(data);
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the key store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - (store) => IDBRequest
+ */
+async function withStore(mode, run) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = run(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function loadKey(name) {
+  return withStore('readonly', store => store.get(name));
+}
+
+function saveKey(name, key) {
+  return withStore('readwrite', store => store.put(key, name));
+}
+
+function deleteKey(name) {
+  return withStore('readwrite', store => store.delete(name));
+}
+
+class KeyVault {
+  constructor() {
+    this.key = null; // CryptoKey while unlocked
+  }
+
+  /**
+   * Stored vault parameters: { check, salt?, iterations? }; salt is set only with a passphrase
+   */
+  async getRecord() {
+    const result = await browserCompat.storageGet([STORAGE_KEYS.KEY_VAULT]);
+    return result[STORAGE_KEYS.KEY_VAULT] || null;
+  }
+
+  /**
+   * Make a key for a new vault and store its parameters
+   * @param {string|null} passphrase - null for a random device key
+   */
+  async create(passphrase = null) {
+    const record = {};
+    let key;
+    if (passphrase) {
+      const salt = randomBytes(SALT_BYTES);
+      key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+      record.salt = toBase64(salt);
+      record.iterations = PBKDF2_ITERATIONS;
+    } else {
+      key = await generateKey();
+      await saveKey(DEVICE_KEY, key);
+    }
+    record.check = await encryptWith(key, CHECK_VALUE);
+
+    await browserCompat.storageSet({ [STORAGE_KEYS.KEY_VAULT]: record });
+    if (passphrase) {
+      await deleteKey(DEVICE_KEY);
+      await this.cacheKey(key);
+    } else {
+      await this.clearSession();
+      this.key = key;
+    }
+    return key;
+  }
+
+  /**
+   * Keep a passphrase key for the rest of the browser session
+   */
+  async cacheKey(key) {
+    this.key = key;
+    await saveKey(SESSION_KEY, key);
+    await browserCompat.storageSet({ [STORAGE_KEYS.KEY_VAULT_SESSION]: true }, 'session');
+  }
+
+  async clearSession() {
+    await browserCompat.storageRemove([STORAGE_KEYS.KEY_VAULT_SESSION], 'session');
+    await deleteKey(SESSION_KEY);
+  }
+
+  /**
+   * The cached passphrase key, or null if it isn't from this browser session
+   */
+  async getSessionKey() {
+    const session = await browserCompat.storageGet([STORAGE_KEYS.KEY_VAULT_SESSION], 'session');
+    if (!session[STORAGE_KEYS.KEY_VAULT_SESSION]) {
+      await deleteKey(SESSION_KEY);
+      return null;
+    }
+    return (await loadKey(SESSION_KEY)) || null;
+  }
+
+  /**
+   * The vault key, creating a device-key vault on first use
+   * @throws {Error} KeyLockedError if a passphrase is set and not yet entered this session
+   */
+  async getKey() {
+    if (this.key) return this.key;
+
+    const record = await this.getRecord();
+    if (!record) {
+      return await this.create();
+    }
+
+    if (record.salt) {
+      const key = await this.getSessionKey();
+      if (!key) {
+        throw createLockedError();
+      }
+      this.key = key;
+      return key;
+    }
+
+    const key = await loadKey(DEVICE_KEY);
+    if (!key) {
+      // The browser's site data was cleared; keys stored under the old one are lost
+      return await this.create();
+    }
+    this.key = key;
+    return key;
+  }
+
+  /**
+   * @returns {Promise<Object>} { passphrase, locked }
+   */
+  async getStatus() {
+    const record = await this.getRecord();
+    const passphrase = Boolean(record?.salt);
+    if (!passphrase) {
+      return { passphrase, locked: false };
+    }
+
+    return { passphrase, locked: !this.key && !(await this.getSessionKey()) };
+  }
+
+  async encrypt(plaintext) {
+    return await encryptWith(await this.getKey(), plaintext);
+  }
+
+  async decrypt(record) {
+    const key = await this.getKey();
+    try {
+      return await decryptWith(key, record);
+    } catch (error) {
+      // Encrypted under a vault key that no longer exists
+      throw new Error(ERROR_MESSAGES.KEY_UNREADABLE);
+    }
+  }
+
+  /**
+   * Unlock for the rest of the browser session
+   * @returns {Promise<boolean>} false if the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const record = await this.getRecord();
+    if (!record?.salt) return true;
+
+    const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+    try {
+      await decryptWith(key, record.check);
+    } catch (error) {
+      return false;
+    }
+
+    await this.cacheKey(key);
+    return true;
+  }
+
+  /**
+   * Forget the session key; only meaningful with a passphrase
+   */
+  async lock() {
+    this.key = null;
+    await this.clearSession();
+  }
+
+  /**
+   * Start over with a new passphrase, or null for a device key
+   * Anything encrypted under the old key has to be encrypted again by the caller
+   */
+  async rekey(passphrase) {
+    this.key = null;
+    await this.create(passphrase || null);
+  }
+}
+
+export default new KeyVault();
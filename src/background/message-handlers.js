@@ -0,0 +1,165 @@
+/**
+ * Background Message Handlers
+ * Everything the background answers: runtime messages from content scripts and
+ * extension pages, and the streamed enhancement port. The service worker and the
+ * v2 front end's worker both use these, so both enhance with the same settings,
+ * presets, providers and keys, and both serve the same options page
+ */
+
+import subscriptionManager from './subscription-manager.js';
+import historyStore from './history-store.js';
+import keyVault from './key-vault.js';
+import enhancementRunner from './enhancement-runner.js';
+import platformRegistry from '../shared/platform-registry.js';
+import settingsService from '../shared/settings-service.js';
+import browserCompat from '../shared/browser-compat.js';
+import MessageRouter from '../shared/message-router.js';
+import { ACTIONS, SENDERS, TARGETS, createClient } from '../shared/messages.js';
+import { ENHANCE_REQUEST, STORAGE_KEYS } from '../shared/constants.js';
+
+const tabMessages = createClient(SENDERS.EXTENSION);
+
+/**
+ * Set up storage on install, or bring it up to date after an update
+ * @param {string} reason - runtime.onInstalled reason
+ */
+export async function prepareStorage(reason) {
+  if (reason === 'install') {
+    await settingsService.reset();
+    console.log('[APE] Default settings initialized');
+  } else if (reason === 'update') {
+    await settingsService.migrate({ encryptKey: text => keyVault.encrypt(text) });
+  }
+
+  // After the migrations, which can turn a legacy key into a BYOK subscription
+  await subscriptionManager.reload();
+}
+
+/**
+ * Start answering messages (see shared/messages.js) and enhancement ports
+ * @returns {Function} stop listening for messages
+ */
+export function listenForMessages() {
+  // Streamed, cancellable enhancements
+  browserCompat.onConnect((port) => {
+    if (port.name === ENHANCE_REQUEST.PORT) {
+      enhancementRunner.handlePort(port);
+    }
+  });
+
+  return new MessageRouter(TARGETS.BACKGROUND)
+    .on(ACTIONS.GET_SUBSCRIPTION, () => subscriptionManager.getActiveSubscription())
+    .on(ACTIONS.GET_SUBSCRIPTION_INFO, () => subscriptionManager.getSubscriptionInfo())
+    .on(ACTIONS.ACTIVATE_BYOK, data => subscriptionManager.activateBYOK(data.apiKey, {
+      provider: data.provider,
+      model: data.model,
+      baseUrl: data.baseUrl
+    }))
+    .on(ACTIONS.DEACTIVATE_BYOK, () => subscriptionManager.deactivateBYOK())
+    .on(ACTIONS.UPDATE_API_KEY, data => subscriptionManager.updateAPIKey(data.apiKey, {
+      model: data.model
+    }))
+    .on(ACTIONS.CHECK_LOCAL_SERVER, async data => subscriptionManager.checkLocalServer(
+      data.localModel || (await settingsService.get()).localModel
+    ))
+    .on(ACTIONS.UNLOCK_KEYS, data => subscriptionManager.unlockKeys(data.passphrase))
+    .on(ACTIONS.LOCK_KEYS, () => subscriptionManager.lockKeys())
+    .on(ACTIONS.SET_KEY_PASSPHRASE, data => subscriptionManager.setKeyPassphrase(data.passphrase))
+
+    // Provider requests only run here, so API keys never reach a page
+    .on(ACTIONS.ENHANCE, data => enhancementRunner.run(data))
+    .on(ACTIONS.TRACK_EVENT, data => subscriptionManager.trackEvent(data.eventName, data.eventData || {}))
+    .on(ACTIONS.GET_USAGE_STATS, () => subscriptionManager.getUsageStats())
+
+    .on(ACTIONS.RECORD_ENHANCEMENT, data => historyStore.addEntry(data))
+    .on(ACTIONS.GET_HISTORY, async data => ({
+      entries: await historyStore.getEntries(data),
+      platforms: await historyStore.getPlatforms(),
+      retentionDays: await historyStore.getRetentionDays()
+    }))
+    .on(ACTIONS.PURGE_HISTORY, () => historyStore.purge())
+    .on(ACTIONS.SET_HISTORY_RETENTION, data => historyStore.setRetentionDays(data.retentionDays))
+    .on(ACTIONS.REAPPLY_HISTORY_ENTRY, data => reapplyHistoryEntry(data.id))
+
+    .on(ACTIONS.GET_SETTINGS, () => settingsService.get())
+    .on(ACTIONS.SAVE_SETTINGS, data => settingsService.set(data.settings))
+    .on(ACTIONS.OPEN_OPTIONS, () => browserCompat.runtime.openOptionsPage())
+
+    // Extension pages are unbundled and can't import the JSON packs themselves
+    .on(ACTIONS.GET_PLATFORM_PACKS, async () => ({ packs: await platformRegistry.load() }))
+    .on(ACTIONS.IMPORT_PLATFORM_PACK, async (data) => {
+      await platformRegistry.load();
+      return { pack: await platformRegistry.importPack(data.pack) };
+    })
+    .on(ACTIONS.REMOVE_PLATFORM_PACK, async (data) => {
+      await platformRegistry.load();
+      await platformRegistry.removePack(data.id);
+    })
+
+    // From the element picker and selector health check in a page
+    .on(ACTIONS.ENABLE_SITE, (data, sender) => enableSite(getSenderHostname(sender)))
+    .on(ACTIONS.SAVE_SELECTOR_HEALTH, (data, sender) => saveSelectorHealth(getSenderHostname(sender), data.report))
+    .listen();
+}
+
+// Hostname of the page a content script sent from; a page can't claim another site's
+function getSenderHostname(sender) {
+  return new URL(sender.url).hostname;
+}
+
+// Turn the extension on for a site that has no setting yet
+async function enableSite(hostname) {
+  const result = await browserCompat.storageGet(['managedSites']);
+  const managedSites = result.managedSites || [];
+  const siteConfig = managedSites.find(site => site.hostname === hostname);
+
+  if (siteConfig) {
+    return { enabled: siteConfig.enabled };
+  }
+
+  await platformRegistry.load();
+  if (platformRegistry.isKnownHost(hostname)) {
+    return { enabled: true };
+  }
+
+  managedSites.push({
+    hostname,
+    name: hostname,
+    enabled: true,
+    addedAt: Date.now()
+  });
+  await browserCompat.storageSet({ managedSites });
+  return { enabled: true };
+}
+
+// Keep the latest selector health report per site for the popup
+async function saveSelectorHealth(hostname, report) {
+  const result = await browserCompat.storageGet([STORAGE_KEYS.SELECTOR_HEALTH]);
+  const reports = result[STORAGE_KEYS.SELECTOR_HEALTH] || {};
+  reports[hostname] = { ...report, hostname };
+  await browserCompat.storageSet({ [STORAGE_KEYS.SELECTOR_HEALTH]: reports });
+}
+
+// Re-apply a history entry to the most recently used chat tab
+async function reapplyHistoryEntry(id) {
+  const entry = await historyStore.getEntry(id);
+  if (!entry) {
+    throw new Error('History entry not found');
+  }
+
+  const tabs = await browserCompat.queryTabs({ url: ['http://*/*', 'https://*/*'] });
+  const candidates = tabs
+    .sort((a, b) => ((b.lastAccessed || 0) - (a.lastAccessed || 0)) || (b.active - a.active))
+    .slice(0, 5);
+
+  for (const tab of candidates) {
+    try {
+      await tabMessages.applyPrompt(tab.id, { text: entry.enhanced });
+      return { tabTitle: tab.title };
+    } catch (error) {
+      // No enhancer content script in this tab, or no prompt box; try the next one
+    }
+  }
+
+  throw new Error('No open chat with the enhancer found');
+}
@@ -4,7 +4,19 @@
  */
 
 import browserCompat from '../shared/browser-compat.js';
-import { SUBSCRIPTION_TYPES, STORAGE_KEYS, GEMINI_API } from '../shared/constants.js';
+import keyVault from './key-vault.js';
+import {
+  SUBSCRIPTION_TYPES,
+  STORAGE_KEYS,
+  GEMINI_API,
+  LLM_PROVIDERS,
+  PROVIDER_CONFIG,
+  LOCAL_MODEL_SERVERS,
+  LOCAL_SERVER_CONFIG,
+  VARIANT_CONFIG
+} from '../shared/constants.js';
+import { getProvider, isKnownProvider, isLocalProvider } from '../shared/providers/index.js';
+import { maskKey } from '../shared/utils.js';
 import { TEST_MODE_ENABLED, BYPASS_API_VALIDATION, VERBOSE_LOGGING } from '../shared/test-config.js';
 
 class SubscriptionManager {
@@ -22,6 +34,14 @@ class SubscriptionManager {
     const stored = await this.getStoredSubscription();
     if (stored) {
       this.subscriptionStatus = stored;
+
+      // Keys saved before the vault existed are encrypted on first load, or on
+      // unlock if the vault is waiting for its passphrase
+      try {
+        await this.migrateLegacyKey();
+      } catch (error) {
+        console.warn('[APE] Could not encrypt the stored API key yet:', error.message);
+      }
     } else {
       // Default to free tier
       this.subscriptionStatus = {
@@ -36,13 +56,52 @@ class SubscriptionManager {
   }
 
   /**
-   * Get active subscription
+   * Load the stored subscription again, e.g. after a settings migration changed it
+   */
+  async reload() {
+    this.initialized = false;
+    await this.initialize();
+  }
+
+  /**
+   * Get active subscription, without its key; safe to hand to any context
    */
   async getActiveSubscription() {
     if (!this.initialized) {
       await this.initialize();
     }
-    return { ...this.subscriptionStatus };
+    const { encryptedKey, apiKey, ...subscription } = this.subscriptionStatus;
+    return subscription;
+  }
+
+  /**
+   * Active subscription with its decrypted apiKey, for provider calls in the background
+   * @throws {Error} KeyLockedError while the key vault waits for its passphrase
+   */
+  async getUnlockedSubscription() {
+    const subscription = await this.getActiveSubscription();
+    return { ...subscription, apiKey: await this.getAPIKey() };
+  }
+
+  /**
+   * Encrypt an API key into the in-memory subscription; the caller saves it
+   */
+  async storeAPIKey(apiKey) {
+    const encryptedKey = apiKey ? await keyVault.encrypt(apiKey) : null;
+    delete this.subscriptionStatus.apiKey;
+    this.subscriptionStatus.encryptedKey = encryptedKey;
+    this.subscriptionStatus.apiKeyMasked = apiKey ? this.maskAPIKey(apiKey) : null;
+  }
+
+  /**
+   * Encrypt a plaintext apiKey saved before the vault existed and drop the plaintext
+   * @throws {Error} KeyLockedError while the key vault waits for its passphrase
+   */
+  async migrateLegacyKey() {
+    if (!this.subscriptionStatus?.apiKey) return;
+
+    await this.storeAPIKey(this.subscriptionStatus.apiKey);
+    await this.saveSubscription();
   }
 
   /**
@@ -73,76 +132,114 @@ class SubscriptionManager {
   }
 
   /**
-   * Activate BYOK tier with Gemini API key
+   * Activate BYOK tier with a provider API key
+   * @param {string} apiKey - Provider API key (optional for OpenAI-compatible endpoints)
+   * @param {Object} options - { provider, model, baseUrl }
+   * @returns {Promise<Object>} { message }
+   * @throws {Error} when the provider, key or base URL is missing or rejected
    */
-  async activateBYOK(apiKey) {
-    if (!apiKey || apiKey.trim().length === 0) {
-      return {
-        success: false,
-        error: 'API key is required'
-      };
+  async activateBYOK(apiKey, options = {}) {
+    const provider = options.provider || LLM_PROVIDERS.GEMINI;
+
+    if (!isKnownProvider(provider)) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    const providerConfig = PROVIDER_CONFIG[provider];
+    const rawKey = apiKey || '';
+
+    if (providerConfig.REQUIRES_KEY && rawKey.trim().length === 0) {
+      throw new Error('API key is required');
+    }
+
+    if (!providerConfig.BASE_URL && !options.baseUrl) {
+      throw new Error('Base URL is required for this provider');
     }
 
     // Sanitize API key (remove invisible Unicode characters from copy-paste)
-    const { sanitized: sanitizedKey, removed } = this.sanitizeAPIKey(apiKey);
+    const { sanitized: sanitizedKey, removed } = this.sanitizeAPIKey(rawKey);
 
     if (removed.length > 0) {
       console.warn('[APE] Removed invalid characters from API key:', removed.join(', '));
     }
 
+    const model = (options.model || '').trim() || providerConfig.DEFAULT_MODEL;
+    const baseUrl = (options.baseUrl || '').trim() || null;
+
     // Validate API key
-    const isValid = await this.validateGeminiKey(sanitizedKey);
+    const isValid = await this.validateProviderKey(provider, sanitizedKey, { model, baseUrl });
 
     if (!isValid) {
-      return {
-        success: false,
-        error: sanitizedKey !== apiKey
-          ? 'Invalid API key (invisible characters were removed, but key is still invalid)'
-          : 'Invalid API key or API access denied'
-      };
+      throw new Error(sanitizedKey !== rawKey.trim()
+        ? 'Invalid API key (invisible characters were removed, but key is still invalid)'
+        : 'Invalid API key or API access denied');
     }
 
-    // Update subscription (save the sanitized key)
+    // Update subscription (save the sanitized key, encrypted)
     this.subscriptionStatus = {
       type: SUBSCRIPTION_TYPES.BYOK,
       active: true,
-      apiKey: sanitizedKey,
-      provider: 'gemini',
+      provider,
+      model,
+      baseUrl,
       activatedAt: Date.now()
     };
 
+    await this.storeAPIKey(sanitizedKey);
     await this.saveSubscription();
 
     // Track activation
-    await this.trackEvent('byok_activated');
+    await this.trackEvent('byok_activated', { provider, model });
 
     return {
-      success: true,
-      message: sanitizedKey !== apiKey
+      message: sanitizedKey !== rawKey.trim()
         ? 'BYOK tier activated (invisible characters were removed from key)'
         : 'BYOK tier activated successfully'
     };
   }
 
+  /**
+   * Validate an API key against the selected provider
+   */
+  async validateProviderKey(provider, apiKey, options = {}) {
+    if (provider === LLM_PROVIDERS.GEMINI) {
+      return await this.validateGeminiKey(apiKey, options.model);
+    }
+
+    // TEST MODE: Bypass validation if configured
+    if (TEST_MODE_ENABLED && BYPASS_API_VALIDATION) {
+      console.warn('[APE] ⚠️ TEST MODE: Bypassing API key validation');
+      return true;
+    }
+
+    try {
+      return await getProvider(provider).validateKey(apiKey, options);
+    } catch (error) {
+      console.error('[APE] API key validation error:', error);
+      return false;
+    }
+  }
+
   /**
    * Validate Gemini API key
    */
-  async validateGeminiKey(apiKey) {
+  async validateGeminiKey(apiKey, model = GEMINI_API.MODEL) {
     // TEST MODE: Bypass validation if configured
     if (TEST_MODE_ENABLED && BYPASS_API_VALIDATION) {
       console.warn('[APE] ⚠️ TEST MODE: Bypassing API key validation');
       return true;
     }
 
-    const url = `${GEMINI_API.BASE_URL}/models/${GEMINI_API.MODEL}:generateContent`;
+    const url = `${GEMINI_API.BASE_URL}/models/${model}:generateContent`;
 
-    console.log('[APE] Validating API key with model:', GEMINI_API.MODEL);
     if (VERBOSE_LOGGING) {
+      console.log('[APE] Validating API key with model:', model);
       console.log('[APE] API Key (first 10 chars):', apiKey.substring(0, 10));
     }
 
     try {
-      const response = await fetch(url, {
+      // A hung endpoint would otherwise leave the options page waiting forever
+      const response = await getProvider(LLM_PROVIDERS.GEMINI).fetchWithTimeout(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -158,10 +255,10 @@ class SubscriptionManager {
             maxOutputTokens: 10
           }
         })
-      });
+      }, GEMINI_API.TIMEOUT);
 
-      console.log('[APE] API validation response status:', response.status);
       if (VERBOSE_LOGGING) {
+        console.log('[APE] API validation response status:', response.status);
         console.log('[APE] Response headers:', {
           contentType: response.headers.get('content-type'),
           contentLength: response.headers.get('content-length')
@@ -221,6 +318,39 @@ class SubscriptionManager {
     }
   }
 
+  /**
+   * Ping a local inference server and list the models it can serve
+   * Local-model counterpart of validateGeminiKey
+   * @param {Object} localModel - { server, baseUrl }
+   * @returns {Promise<Object>} { server, baseUrl, models, latency }
+   * @throws {Error} when the server is unknown or can't be reached
+   */
+  async checkLocalServer(localModel = {}) {
+    const server = localModel.server || LOCAL_MODEL_SERVERS.OLLAMA;
+
+    if (!isLocalProvider(server)) {
+      throw new Error(`Unknown local server type: ${server}`);
+    }
+
+    const baseUrl = (localModel.baseUrl || '').trim() || LOCAL_SERVER_CONFIG[server].BASE_URL;
+    const startedAt = Date.now();
+
+    try {
+      const models = await getProvider(server).listModels({ baseUrl });
+      console.log(`[APE] Local server reachable at ${baseUrl}, models:`, models);
+
+      return {
+        server,
+        baseUrl,
+        models,
+        latency: Date.now() - startedAt
+      };
+    } catch (error) {
+      console.warn(`[APE] Local server check failed for ${baseUrl}:`, error);
+      throw new Error(`Could not reach ${LOCAL_SERVER_CONFIG[server].NAME} at ${baseUrl}`);
+    }
+  }
+
   /**
    * Deactivate BYOK and return to Free tier
    */
@@ -235,48 +365,43 @@ class SubscriptionManager {
 
     await this.trackEvent('byok_deactivated');
 
-    return {
-      success: true,
-      message: 'Returned to Free tier'
-    };
+    return { message: 'Returned to Free tier' };
   }
 
   /**
-   * Update API key for existing BYOK subscription
+   * Update API key (and optionally model) for existing BYOK subscription
+   * @throws {Error} when not on BYOK or the key is rejected
    */
-  async updateAPIKey(newApiKey) {
+  async updateAPIKey(newApiKey, options = {}) {
     if (this.subscriptionStatus.type !== SUBSCRIPTION_TYPES.BYOK) {
-      return {
-        success: false,
-        error: 'Not on BYOK tier'
-      };
+      throw new Error('Not on BYOK tier');
     }
 
+    const provider = this.subscriptionStatus.provider || LLM_PROVIDERS.GEMINI;
+
     // Sanitize API key
-    const { sanitized: sanitizedKey, removed } = this.sanitizeAPIKey(newApiKey);
+    const { sanitized: sanitizedKey, removed } = this.sanitizeAPIKey(newApiKey || '');
 
     if (removed.length > 0) {
       console.warn('[APE] Removed invalid characters from API key:', removed.join(', '));
     }
 
-    const isValid = await this.validateGeminiKey(sanitizedKey);
+    const model = (options.model || '').trim() || this.subscriptionStatus.model;
+    const baseUrl = this.subscriptionStatus.baseUrl || null;
+
+    const isValid = await this.validateProviderKey(provider, sanitizedKey, { model, baseUrl });
 
     if (!isValid) {
-      return {
-        success: false,
-        error: 'Invalid API key'
-      };
+      throw new Error('Invalid API key');
     }
 
-    this.subscriptionStatus.apiKey = sanitizedKey;
+    await this.storeAPIKey(sanitizedKey);
+    this.subscriptionStatus.model = model;
     this.subscriptionStatus.updatedAt = Date.now();
 
     await this.saveSubscription();
 
-    return {
-      success: true,
-      message: 'API key updated successfully'
-    };
+    return { message: 'API key updated successfully' };
   }
 
   /**
@@ -296,13 +421,17 @@ class SubscriptionManager {
     if (!this.initialized) {
       await this.initialize();
     }
+    const provider = this.subscriptionStatus.provider || LLM_PROVIDERS.GEMINI;
+    const requiresKey = PROVIDER_CONFIG[provider]?.REQUIRES_KEY !== false;
+
     return this.subscriptionStatus.type === SUBSCRIPTION_TYPES.BYOK &&
            this.subscriptionStatus.active &&
-           this.subscriptionStatus.apiKey;
+           (!requiresKey || Boolean(this.subscriptionStatus.encryptedKey));
   }
 
   /**
-   * Get API key (if BYOK)
+   * Get the decrypted API key (if BYOK)
+   * @throws {Error} KeyLockedError while the key vault waits for its passphrase
    */
   async getAPIKey() {
     if (!this.initialized) {
@@ -310,12 +439,54 @@ class SubscriptionManager {
     }
 
     if (this.subscriptionStatus.type === SUBSCRIPTION_TYPES.BYOK) {
-      return this.subscriptionStatus.apiKey;
+      // A plaintext key is never used as is; it has to be encrypted first
+      await this.migrateLegacyKey();
+      return this.subscriptionStatus.encryptedKey
+        ? await keyVault.decrypt(this.subscriptionStatus.encryptedKey)
+        : null;
     }
 
     return null;
   }
 
+  /**
+   * Unlock the key vault for this browser session
+   * @throws {Error} on a wrong passphrase
+   */
+  async unlockKeys(passphrase) {
+    const unlocked = await keyVault.unlock(passphrase || '');
+    if (!unlocked) {
+      throw new Error('Wrong passphrase');
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    await this.migrateLegacyKey();
+    return { message: 'API key unlocked' };
+  }
+
+  async lockKeys() {
+    await keyVault.lock();
+    return { message: 'API key locked' };
+  }
+
+  /**
+   * Encrypt the stored key under a new passphrase, or under a device key
+   * when passphrase is empty. The vault has to be unlocked
+   */
+  async setKeyPassphrase(passphrase) {
+    const apiKey = await this.getAPIKey();
+
+    await keyVault.rekey(passphrase || null);
+    if (this.subscriptionStatus.encryptedKey) {
+      await this.storeAPIKey(apiKey);
+      await this.saveSubscription();
+    }
+
+    return { message: passphrase ? 'Passphrase set' : 'Passphrase removed' };
+  }
+
   /**
    * Get subscription info for display
    */
@@ -331,13 +502,17 @@ class SubscriptionManager {
     };
 
     if (this.subscriptionStatus.type === SUBSCRIPTION_TYPES.BYOK) {
-      info.provider = this.subscriptionStatus.provider;
-      info.hasApiKey = !!this.subscriptionStatus.apiKey;
-      info.apiKeyMasked = this.subscriptionStatus.apiKey
-        ? this.maskAPIKey(this.subscriptionStatus.apiKey)
-        : null;
+      info.provider = this.subscriptionStatus.provider || LLM_PROVIDERS.GEMINI;
+      info.model = this.subscriptionStatus.model || PROVIDER_CONFIG[info.provider]?.DEFAULT_MODEL;
+      info.baseUrl = this.subscriptionStatus.baseUrl || null;
+      info.hasApiKey = !!this.subscriptionStatus.encryptedKey;
+      info.apiKeyMasked = this.subscriptionStatus.apiKeyMasked || null;
     }
 
+    const vault = await keyVault.getStatus();
+    info.keyPassphrase = vault.passphrase;
+    info.keyLocked = vault.passphrase && vault.locked;
+
     return info;
   }
 
@@ -356,7 +531,7 @@ class SubscriptionManager {
     const problematicChars = [...sanitized].filter(char => {
       const code = char.charCodeAt(0);
       // Keep only printable ASCII characters (0x20-0x7E)
-      // Gemini API keys are always alphanumeric + hyphen/underscore
+      // Provider API keys are always alphanumeric + hyphen/underscore
       return code < 0x20 || code > 0x7E;
     });
 
@@ -387,11 +562,7 @@ class SubscriptionManager {
    * Mask API key for display
    */
   maskAPIKey(apiKey) {
-    if (!apiKey || apiKey.length < 12) return '****';
-
-    const start = apiKey.substring(0, 6);
-    const end = apiKey.substring(apiKey.length - 4);
-    return `${start}...${end}`;
+    return maskKey(apiKey);
   }
 
   /**
@@ -425,6 +596,12 @@ class SubscriptionManager {
         }
       }
 
+      // Count which preset wins when the user picks between preset variants
+      if (eventName === 'variant_picked' && data.preset && data.mode === VARIANT_CONFIG.MODES.PRESETS) {
+        usageStats.variantPicks = usageStats.variantPicks || {};
+        usageStats.variantPicks[data.preset] = (usageStats.variantPicks[data.preset] || 0) + 1;
+      }
+
       // Keep only last 100 events
       if (usageStats.events.length > 100) {
         usageStats.events = usageStats.events.slice(-100);
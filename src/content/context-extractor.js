@@ -7,26 +7,32 @@ import {
   extractKeywords,
   calculateSimilarity,
   hashString,
-  detectIntent
+  detectIntent,
+  estimateTokens,
+  truncate
 } from '../shared/utils.js';
+import { CONTEXT_BUDGET, DEFAULT_SETTINGS } from '../shared/constants.js';
 
 class ContextExtractor {
   constructor(domObserver) {
     this.domObserver = domObserver;
-    this.maxContextLength = 4000;
-    this.contextWindow = 10;
+    this.contextWindow = DEFAULT_SETTINGS.contextWindow;
   }
 
   /**
    * Extract full context for enhancement
+   * @param {Object} options - { selection } from domObserver.getInputSelection() to
+   *   enhance only that slice; the rest of the prompt becomes promptSelection context
    */
-  async extractFullContext() {
-    const currentPrompt = await this.domObserver.extractPromptText();
+  async extractFullContext(options = {}) {
+    const { selection = null } = options;
+    const currentPrompt = selection ? selection.text : await this.domObserver.extractPromptText();
     const conversationHistory = this.extractConversationHistory();
     const metadata = this.extractMetadata(currentPrompt, conversationHistory);
 
     return {
       currentPrompt,
+      promptSelection: selection ? { before: selection.before, after: selection.after } : null,
       conversationHistory,
       metadata,
       platform: this.domObserver.platform,
@@ -36,26 +42,40 @@ class ContextExtractor {
 
   /**
    * Extract and process conversation history
+   * The whole conversation is returned; packHistory() fits it to a token budget
    */
   extractConversationHistory() {
     const messages = this.domObserver.extractMessages();
 
-    // Deduplicate messages
-    const uniqueMessages = this.deduplicateMessages(messages);
+    // Platform parsers return each turn once, so repeated turns ("continue")
+    // are real; heuristic matching can pick the same text up twice
+    const uniqueMessages = this.domObserver.conversationParser
+      ? messages
+      : this.deduplicateMessages(messages);
 
-    // Sort by timestamp
-    uniqueMessages.sort((a, b) => a.timestamp - b.timestamp);
-
-    // Take last N messages
-    const recentMessages = uniqueMessages.slice(-this.contextWindow);
-
-    // Map to simplified format
-    return recentMessages.map(msg => ({
+    // Messages are already in DOM (conversation) order
+    return uniqueMessages.map(msg => ({
       role: msg.role,
-      content: msg.content
+      content: msg.content,
+      parts: msg.parts || [{ type: 'text', text: msg.content }],
+      citations: msg.citations || [],
+      attachments: msg.attachments || []
     }));
   }
 
+  /**
+   * Whole conversation for export, in DOM order
+   */
+  extractConversation() {
+    return {
+      title: document.title || window.location.hostname,
+      platform: this.domObserver.platform,
+      url: window.location.href,
+      exportedAt: Date.now(),
+      turns: this.domObserver.extractMessages().map(({ element, ...turn }) => turn)
+    };
+  }
+
   /**
    * Deduplicate messages by content
    */
@@ -79,13 +99,15 @@ class ContextExtractor {
    * Extract metadata about the conversation
    */
   extractMetadata(currentPrompt, conversationHistory) {
+    const hasCode = this.detectCodeContent(conversationHistory);
+
     return {
       topic: this.extractTopic(conversationHistory),
       intent: currentPrompt ? detectIntent(currentPrompt) : 'general',
-      hasCode: this.detectCodeContent(),
-      language: this.detectProgrammingLanguage(),
+      hasCode,
+      language: this.detectProgrammingLanguage(conversationHistory),
       messageCount: conversationHistory.length,
-      complexity: this.estimateComplexity(currentPrompt),
+      complexity: this.estimateComplexity(currentPrompt, hasCode),
       keywords: currentPrompt ? extractKeywords(currentPrompt) : []
     };
   }
@@ -114,11 +136,28 @@ class ContextExtractor {
     return 'General conversation';
   }
 
+  /**
+   * Code blocks across the extracted conversation
+   */
+  getCodeParts(conversationHistory) {
+    return conversationHistory
+      .flatMap(msg => msg.parts || [])
+      .filter(part => part.type === 'code');
+  }
+
   /**
    * Detect if conversation contains code
+   * Only the extracted messages are considered, never page chrome such as the sidebar
    */
-  detectCodeContent() {
-    const pageText = document.body.innerText.toLowerCase();
+  detectCodeContent(conversationHistory = []) {
+    if (this.getCodeParts(conversationHistory).length > 0) {
+      return true;
+    }
+
+    const conversationText = conversationHistory
+      .map(msg => msg.content)
+      .join('\n')
+      .toLowerCase();
 
     const codeIndicators = [
       '```',
@@ -136,14 +175,32 @@ class ContextExtractor {
       '=>'
     ];
 
-    return codeIndicators.some(indicator => pageText.includes(indicator));
+    return codeIndicators.some(indicator => conversationText.includes(indicator));
   }
 
   /**
    * Detect programming language
+   * Declared code block languages win; otherwise code blocks (or, without any,
+   * the conversation text) are matched against keyword patterns
    */
-  detectProgrammingLanguage() {
-    const content = document.body.innerText.toLowerCase();
+  detectProgrammingLanguage(conversationHistory = []) {
+    const codeParts = this.getCodeParts(conversationHistory);
+
+    const declared = {};
+    codeParts.forEach((part) => {
+      if (part.language) {
+        declared[part.language] = (declared[part.language] || 0) + 1;
+      }
+    });
+    const [mostDeclared] = Object.entries(declared).sort((a, b) => b[1] - a[1]);
+    if (mostDeclared) {
+      return mostDeclared[0];
+    }
+
+    const content = (codeParts.length > 0 ? codeParts : conversationHistory)
+      .map(item => item.text ?? item.content)
+      .join('\n')
+      .toLowerCase();
 
     const patterns = {
       python: /\b(def |import |from |print\(|if __name__|\.py\b|django|flask|pandas)/,
@@ -175,7 +232,7 @@ class ContextExtractor {
   /**
    * Estimate prompt complexity
    */
-  estimateComplexity(prompt) {
+  estimateComplexity(prompt, hasCode = false) {
     if (!prompt) return 0;
 
     let score = 0;
@@ -203,7 +260,7 @@ class ContextExtractor {
     else if (sentences.length > 1) score += 0.1;
 
     // Code-related (often more specific requirements)
-    if (this.detectCodeContent()) {
+    if (hasCode) {
       score += 0.1;
     }
 
@@ -212,8 +269,10 @@ class ContextExtractor {
 
   /**
    * Extract relevant context based on current prompt
+   * @param {Object} options - { minOverlap, limit } shared keywords required, max results
    */
-  extractRelevantContext(prompt, history) {
+  extractRelevantContext(prompt, history, options = {}) {
+    const { minOverlap = 2, limit = 5 } = options;
     if (!prompt || history.length === 0) return [];
 
     const promptKeywords = new Set(extractKeywords(prompt));
@@ -223,7 +282,7 @@ class ContextExtractor {
       const msgKeywords = new Set(extractKeywords(msg.content));
       const overlap = [...promptKeywords].filter(kw => msgKeywords.has(kw));
 
-      if (overlap.length >= 2) {
+      if (overlap.length > 0 && overlap.length >= minOverlap) {
         relevant.push({
           ...msg,
           relevance: overlap.length / promptKeywords.size
@@ -233,16 +292,133 @@ class ContextExtractor {
 
     // Sort by relevance and take top messages
     relevant.sort((a, b) => b.relevance - a.relevance);
-    return relevant.slice(0, 5);
+    return relevant.slice(0, limit);
+  }
+
+  /**
+   * Fit conversation history into a token budget
+   * The last `maxMessages` turns are ranked by keyword relevance to the prompt
+   * plus recency and kept verbatim while they fit (the last one that does not
+   * fit is truncated); everything else is condensed with summarizeContext()
+   * @param {Object} options - { budget, countTokens(text), maxMessages }
+   * @returns {{messages: Array<{role, content, truncated}>, summary: string|null, tokens: number}}
+   */
+  packHistory(prompt, history = [], options = {}) {
+    const {
+      budget = DEFAULT_SETTINGS.contextTokenBudget,
+      countTokens = estimateTokens,
+      maxMessages = this.contextWindow
+    } = options;
+
+    if (history.length === 0 || budget <= 0) {
+      return { messages: [], summary: null, tokens: 0 };
+    }
+
+    const recentCount = Math.max(1, maxMessages);
+    const older = history.slice(0, -recentCount);
+    const recent = history.slice(-recentCount).map((msg, index) => ({ ...msg, index }));
+
+    // Keyword relevance, with a recency bonus so follow-ups favour the latest turns
+    const relevance = new Map(
+      this.extractRelevantContext(prompt, recent, { minOverlap: 1, limit: recent.length })
+        .map(msg => [msg.index, msg.relevance])
+    );
+    const ranked = recent
+      .map(msg => ({
+        ...msg,
+        score: (relevance.get(msg.index) || 0) +
+          CONTEXT_BUDGET.RECENCY_WEIGHT * ((msg.index + 1) / recent.length)
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const summaryReserve = older.length > 0 ? Math.floor(budget * CONTEXT_BUDGET.SUMMARY_SHARE) : 0;
+    let remaining = budget - summaryReserve;
+    const kept = [];
+    const dropped = [];
+
+    for (const msg of ranked) {
+      const tokens = countTokens(msg.content);
+
+      if (tokens <= remaining) {
+        kept.push({ index: msg.index, role: msg.role, content: msg.content, truncated: false });
+        remaining -= tokens;
+      } else if (remaining >= CONTEXT_BUDGET.MIN_MESSAGE_TOKENS) {
+        const content = this.truncateToTokens(msg.content, remaining, countTokens);
+        kept.push({ index: msg.index, role: msg.role, content, truncated: true });
+        remaining -= countTokens(content);
+      } else {
+        dropped.push(msg);
+      }
+    }
+
+    // Turns that did not make it are folded into the summary of older ones
+    const summarized = [...older, ...dropped.sort((a, b) => a.index - b.index)];
+    let summary = null;
+    remaining += summaryReserve;
+
+    if (summarized.length > 0 && remaining >= CONTEXT_BUDGET.MIN_MESSAGE_TOKENS) {
+      const text = this.formatSummary(
+        this.summarizeContext(summarized, { maxMessages: summarized.length }),
+        summarized.length
+      );
+      summary = text ? this.truncateToTokens(text, remaining, countTokens) : null;
+      remaining -= summary ? countTokens(summary) : 0;
+    }
+
+    return {
+      messages: kept
+        .sort((a, b) => a.index - b.index)
+        .map(({ role, content, truncated }) => ({ role, content, truncated })),
+      summary,
+      tokens: budget - remaining
+    };
+  }
+
+  /**
+   * Cut text to at most `maxTokens`, preferring a word boundary
+   */
+  truncateToTokens(text, maxTokens, countTokens = estimateTokens) {
+    if (countTokens(text) <= maxTokens) return text;
+
+    let end = Math.floor(text.length * maxTokens / countTokens(text));
+    while (end > 0 && countTokens(`${text.slice(0, end)}…`) > maxTokens) {
+      end = Math.floor(end * 0.9);
+    }
+
+    const cut = text.slice(0, end);
+    const boundary = cut.lastIndexOf(' ');
+    return `${(boundary > end * 0.8 ? cut.slice(0, boundary) : cut).trimEnd()}…`;
+  }
+
+  /**
+   * One-paragraph description of a summarizeContext() result
+   */
+  formatSummary(summary, turnCount) {
+    if (!summary) return '';
+
+    const parts = [`${turnCount} earlier turn${turnCount === 1 ? '' : 's'}`];
+    if (summary.topics.length > 0) {
+      parts.push(`topics: ${summary.topics.join(', ')}`);
+    }
+    if (summary.tone !== 'neutral') {
+      parts.push(`tone: ${summary.tone}`);
+    }
+
+    const keyPoints = summary.keyPoints.filter(Boolean).map(point => truncate(point, 160));
+    return keyPoints.length > 0
+      ? `${parts.join('; ')}. Key points: ${keyPoints.join(' | ')}`
+      : `${parts.join('; ')}.`;
   }
 
   /**
    * Summarize context for enhancement
+   * @param {Object} options - { maxMessages } how many of the latest messages to look at
    */
-  summarizeContext(conversationHistory) {
+  summarizeContext(conversationHistory, options = {}) {
+    const { maxMessages = 5 } = options;
     if (conversationHistory.length === 0) return null;
 
-    const recentMessages = conversationHistory.slice(-5);
+    const recentMessages = conversationHistory.slice(-maxMessages);
 
     return {
       topics: this.extractMainTopics(recentMessages),
@@ -1,27 +1,36 @@
 /**
- * Platform-specific strategies for docking the inline enhance button.
- * 
+ * Docking strategies for the inline enhance button, built from platform packs.
+ *
  * ARCHITECTURE:
- * Each platform has an ISOLATED configuration with:
+ * Each pack's `docking` and `button` sections become an ISOLATED strategy with:
  * - findAnchor(inputElement?): Locates where to insert the button
  * - applyStyles(button): Sets platform-specific size, spacing, colors
  * - validate(container): Checks if the anchor is still valid
- * 
+ *
+ * ANCHORS:
+ * Anchors are tried in order. Each walks a chain of steps to a target element:
+ *   { "input": true }        start from the prompt input
+ *   { "query": [...] }       first match inside the current element (the document at the start)
+ *   { "closest": [...] }     nearest ancestor matching any selector
+ *   { "parent": true }       the parent element
+ * and inserts the button "before", "after", "prepend" or "append" relative to it,
+ * optionally inside a wrapper element. "positioned" anchors make the container
+ * position: relative so absolutely positioned buttons sit inside it.
+ *
  * ADDING NEW PLATFORMS:
- * 1. Add a new key to DOCKING_STRATEGIES (e.g., 'perplexity')
- * 2. Implement the three methods above
- * 3. Changes are ISOLATED—won't affect other platforms
- * 
- * UNIVERSAL FALLBACK:
- * Use 'universal' strategy for bottom-right fixed positioning
+ * Add a JSON pack to src/shared/platforms (or import one from the options page).
+ * Packs without docking use the generic pack's strategy.
  */
 
+import { deepQuerySelector } from '../shared/deep-query.js';
+
 const queryFirst = (selectors, root = document) => {
   if (!Array.isArray(selectors)) return null;
   for (const selector of selectors) {
     if (!selector) continue;
     try {
-      const node = root.querySelector(selector);
+      // Also looks inside open shadow roots and same-origin iframes
+      const node = deepQuerySelector(selector, root);
       if (node) {
         return node;
       }
@@ -32,521 +41,170 @@ const queryFirst = (selectors, root = document) => {
   return null;
 };
 
-export const DOCKING_STRATEGIES = {
-  chatgpt: {
-    findAnchor() {
-      const actionBarSelectors = [
-        'div[data-testid="composer-actions"]',
-        'form div.ms-auto.flex.items-center',
-        'form div.ms-auto.flex',
-        'form div.flex.items-center.gap-2'
-      ];
-      const sendButtonSelectors = [
-        'button[data-testid="send-button"]',
-        'button[id="composer-submit-button"]',
-        'button[aria-label*="Send"]'
-      ];
-
-      const actionBar = queryFirst(actionBarSelectors);
-      if (!actionBar) return null;
-
-      const sendButton = queryFirst(sendButtonSelectors, actionBar);
-      const referenceNode = sendButton || actionBar.firstElementChild;
-
-      return {
-        container: actionBar,
-        referenceNode,
-        position: 'before'
-      };
-    },
-    applyStyles(button) {
-      button.className = 'ape-inline-button ape-chatgpt-button';
-      Object.assign(button.style, {
-        position: 'relative',
-        left: 'auto',
-        right: 'auto',
-        top: 'auto',
-        bottom: 'auto',
-        zIndex: '10',
-        width: '36px',
-        height: '36px',
-        minWidth: '36px',
-        minHeight: '36px',
-        borderRadius: '0',
-        padding: '0',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        marginLeft: '',
-        marginRight: '12px',
-        backgroundColor: 'transparent',
-        color: 'transparent',
-        border: 'none',
-        boxShadow: 'none',
-        cursor: 'pointer',
-        transition: 'transform 0.2s ease',
-        outline: 'none',
-        background: 'transparent'
-      });
-
-      if (document.dir === 'rtl') {
-        button.style.marginLeft = '12px';
-        button.style.marginRight = '';
-      } else {
-        button.style.marginRight = '12px';
-        button.style.marginLeft = '';
+const closestFirst = (element, selectors) => {
+  for (const selector of selectors) {
+    try {
+      const match = element.closest(selector);
+      if (match) {
+        return match;
       }
-    },
-    validate(container) {
-      if (!container || !container.isConnected) return false;
-      const sendButton = queryFirst([
-        'button[data-testid="send-button"]',
-        'button[id="composer-submit-button"]'
-      ], container);
-      return Boolean(sendButton);
+    } catch (error) {
+      continue;
     }
-  },
-  claude: {
-    findAnchor() {
-      const sendButton = queryFirst([
-        'fieldset button[aria-label*="Send"]',
-        'fieldset button[type="submit"]',
-        'button[data-testid*="composer-send"]'
-      ]);
-      if (!sendButton) return null;
-
-      const controlsRoot = sendButton.closest('div.flex.gap-2\\.5.w-full.items-center');
-      if (!controlsRoot) return null;
-
-      const modelDropdown = queryFirst([
-        'button[data-testid="model-selector-dropdown"]',
-        'button[aria-label*="Sonnet"]',
-        'button[data-testid*="model"]'
-      ], controlsRoot);
-
-      if (modelDropdown) {
-        // Find the wrapper div that contains the dropdown
-        const modelWrapper = modelDropdown.closest('div[type="button"]') || 
-                            modelDropdown.parentElement;
-        
-        if (modelWrapper) {
-          return {
-            container: modelWrapper.parentElement,
-            referenceNode: modelWrapper.nextSibling,
-            position: 'before'
-          };
-        }
-      }
-
-      return {
-        container: controlsRoot,
-        referenceNode: null,
-        position: 'append'
-      };
-    },
-    applyStyles(button) {
-      button.className = 'ape-inline-button ape-claude-button';
-      Object.assign(button.style, {
-        position: 'relative',
-        left: 'auto',
-        bottom: 'auto',
-        right: 'auto',
-        top: 'auto',
-        width: '36px',
-        height: '36px',
-        minWidth: '36px',
-        borderRadius: '0',
-        padding: '0',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        marginLeft: '',
-        marginRight: '',
-        backgroundColor: 'transparent',
-        color: 'transparent',
-        border: 'none',
-        boxShadow: 'none',
-        zIndex: '',
-        outline: 'none',
-        background: 'transparent',
-        transition: 'transform 0.2s ease'
-      });
-
-      if (document.dir === 'rtl') {
-        button.style.marginLeft = '';
-      } else {
-        button.style.marginRight = '';
-      }
-    },
-    validate(container) {
-      if (!container || !container.isConnected) {
-        return false;
-      }
-
-      const modelDropdownStillPresent = queryFirst([
-        'button[data-testid="model-selector-dropdown"]',
-        'button[aria-label*="Sonnet"]',
-        'button[data-testid*="model"]'
-      ], container);
+  }
+  return null;
+};
 
-      return Boolean(modelDropdownStillPresent);
+/**
+ * Follow an anchor's steps; null as soon as one finds nothing
+ */
+const resolveTarget = (steps, inputElement) => {
+  let current = document;
+
+  for (const step of steps) {
+    if (step.input) {
+      current = inputElement || null;
+    } else if (step.query) {
+      current = queryFirst(step.query, current);
+    } else if (step.closest) {
+      current = current.nodeType === Node.ELEMENT_NODE ? closestFirst(current, step.closest) : null;
+    } else if (step.parent) {
+      // parentNode covers elements placed directly in a shadow root
+      current = current.parentElement || current.parentNode;
     }
-  },
-  gemini: {
-    findAnchor() {
-      // Look for the trailing-actions-wrapper (right side of input)
-      const trailingActionsWrapper = queryFirst([
-        'div.trailing-actions-wrapper',
-        'div[class*="trailing-actions"]'
-      ]);
-
-      if (trailingActionsWrapper) {
-        // Find the model picker container within trailing actions
-        const modelPickerContainer = queryFirst([
-          'div.model-picker-container',
-          'div[class*="model-picker"]'
-        ], trailingActionsWrapper);
-
-        if (modelPickerContainer) {
-          return {
-            container: trailingActionsWrapper,
-            referenceNode: modelPickerContainer,
-            position: 'before'
-          };
-        }
-
-        // Fallback: insert at the start of trailing actions
-        return {
-          container: trailingActionsWrapper,
-          referenceNode: trailingActionsWrapper.firstChild,
-          position: 'before'
-        };
-      }
 
-      // Fallback to leading-actions-wrapper if trailing not found
-      const leadingActionsWrapper = queryFirst([
-        'div.leading-actions-wrapper',
-        'div[class*="leading-actions"]'
-      ]);
-
-      if (leadingActionsWrapper) {
-        return {
-          container: leadingActionsWrapper,
-          referenceNode: null,
-          position: 'append'
-        };
-      }
+    if (!current) return null;
+  }
 
-      return null;
-    },
-    applyStyles(button) {
-      button.className = 'ape-inline-button ape-gemini-button';
-      Object.assign(button.style, {
-        position: 'relative',
-        left: 'auto',
-        bottom: 'auto',
-        right: 'auto',
-        top: 'auto',
-        width: '36px',
-        height: '36px',
-        minWidth: '36px',
-        borderRadius: '0',
-        padding: '0',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        marginLeft: '',
-        marginRight: '6px',
-        backgroundColor: 'transparent',
-        color: 'transparent',
-        border: 'none',
-        boxShadow: 'none',
-        zIndex: '',
-        outline: 'none',
-        background: 'transparent',
-        transition: 'transform 0.2s ease'
-      });
+  return current === document ? null : current;
+};
 
-      if (document.dir === 'rtl') {
-        button.style.marginLeft = '6px';
-        button.style.marginRight = '';
-      }
-    },
-    validate(container) {
-      if (!container || !container.isConnected) return false;
+/**
+ * Convert "insert relative to target" into the container/reference form dockButton uses
+ */
+const toDockingAnchor = (target, anchor) => {
+  const wrapper = anchor.wrapper
+    ? { needsWrapper: true, wrapperTag: anchor.wrapper.tag, wrapperClass: anchor.wrapper.className }
+    : {};
+  if (anchor.positioned) {
+    wrapper.positionContainer = true;
+  }
 
-      const trailingActionsWrapper = container.closest('div.trailing-actions-wrapper') || 
-                                    container;
+  switch (anchor.insert) {
+    case 'before':
+    case 'after':
+      if (!target.parentNode) return null;
+      return { container: target.parentNode, referenceNode: target, position: anchor.insert, ...wrapper };
+    case 'prepend':
+      return target.firstChild
+        ? { container: target, referenceNode: target.firstChild, position: 'before', ...wrapper }
+        : { container: target, referenceNode: null, position: 'append', ...wrapper };
+    default:
+      return { container: target, referenceNode: null, position: 'append', ...wrapper };
+  }
+};
 
-      return Boolean(trailingActionsWrapper && trailingActionsWrapper.isConnected);
-    }
-  },
-  perplexity: {
-    findAnchor() {
-      console.log('[APE Perplexity] Starting anchor search...');
-      
-      // Primary strategy: place button next to the sources/globe button inside the right toolbar
-      const rightToolbar = document.querySelector('div[data-cplx-component="query-box-pplx-right-toolbar-components-wrapper"]');
-      console.log('[APE Perplexity] Right toolbar found:', !!rightToolbar);
-      if (rightToolbar) {
-        const globeButton = rightToolbar.querySelector('button[data-testid="sources-switcher-button"]');
-        console.log('[APE Perplexity] Globe button found:', !!globeButton);
-        return {
-          container: rightToolbar,
-          referenceNode: globeButton || rightToolbar.firstChild,
-          position: 'before',
-          needsWrapper: false
-        };
-      }
+/**
+ * Build the docking strategy for a platform pack
+ */
+export function createDockingStrategy(pack) {
+  const { docking, button } = pack;
 
-      // Fallback Strategy 1: Find the contenteditable input area directly
-      const contentEditableInput = document.querySelector('#ask-input[contenteditable="true"]');
-      console.log('[APE Perplexity] Contenteditable input (fallback) found:', !!contentEditableInput);
-      if (contentEditableInput) {
-        const parentFlex = contentEditableInput.closest('div[class*="relative"], div.flex');
-        if (parentFlex) {
-          console.log('[APE Perplexity] Using contenteditable parent flex fallback');
-          return {
-            container: parentFlex,
-            referenceNode: parentFlex.firstChild,
-            position: 'append',
-            needsWrapper: false
-          };
+  return {
+    findAnchor(inputElement) {
+      for (const anchor of docking.anchors) {
+        const target = resolveTarget(anchor.target, inputElement);
+        const dockingAnchor = target && toDockingAnchor(target, anchor);
+        if (dockingAnchor) {
+          return dockingAnchor;
         }
       }
 
-      console.warn('[APE Perplexity] No anchor found!');
+      console.warn(`[APE] No docking anchor found for ${pack.name}`);
       return null;
     },
-    applyStyles(button) {
-      button.className = 'ape-inline-button ape-perplexity-button';
-      Object.assign(button.style, {
-        position: 'relative',
-        marginRight: '4px',
-        marginLeft: '0',
-        backgroundColor: 'transparent',
-        color: 'transparent',
-        border: 'none',
-        boxShadow: 'none',
-        display: 'inline-flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        zIndex: 'auto'
-      });
+    applyStyles(element) {
+      element.className = ['ape-inline-button', button?.className].filter(Boolean).join(' ');
+      Object.assign(element.style, button?.style || {});
+      Object.assign(element.style, (document.dir === 'rtl' ? button?.rtlStyle : button?.ltrStyle) || {});
     },
     validate(container) {
       if (!container || !container.isConnected) return false;
 
-      // Check if we're in a valid input/actions area
-      const inputElement = queryFirst([
-        'div[contenteditable="true"][id="ask-input"]',
-        'textarea[placeholder*="Ask"]',
-        'textarea',
-        'div[contenteditable="true"]'
-      ]);
+      const { contains, exists } = docking.validate;
+      if (contains.length > 0 && !queryFirst(contains, container)) return false;
+      if (exists.length > 0 && !queryFirst(exists)) return false;
 
-      return Boolean(inputElement && inputElement.isConnected);
+      return true;
     }
-  },
-  aistudio: {
-    findAnchor() {
-      console.log('[APE AI Studio] Starting anchor search...');
-
-      // Strategy 1: Find the add circle button (ms-add-chunk-menu)
-      const addButton = document.querySelector('button[iconname="add_circle"], button[aria-label*="Insert assets"]');
-      console.log('[APE AI Studio] Add button found:', !!addButton);
-      
-      if (addButton) {
-        const buttonWrapper = addButton.closest('div.button-wrapper');
-        if (buttonWrapper) {
-          console.log('[APE AI Studio] Using button wrapper strategy');
-          return {
-            container: buttonWrapper.parentElement,
-            referenceNode: buttonWrapper,
-            position: 'before',
-            needsWrapper: true,
-            wrapperClass: 'button-wrapper',
-            wrapperTag: 'div'
-          };
-        }
-      }
+  };
+}
 
-      // Strategy 2: Find button-wrapper divs in the prompt input container
-      const buttonWrappers = document.querySelectorAll('div.button-wrapper');
-      console.log('[APE AI Studio] Found', buttonWrappers.length, 'button wrappers');
-      
-      for (const wrapper of buttonWrappers) {
-        const addBtn = wrapper.querySelector('button[iconname="add_circle"]');
-        if (addBtn && wrapper.parentElement) {
-          console.log('[APE AI Studio] Using first button-wrapper with add button');
-          return {
-            container: wrapper.parentElement,
-            referenceNode: wrapper,
-            position: 'before',
-            needsWrapper: true,
-            wrapperClass: 'button-wrapper',
-            wrapperTag: 'div'
-          };
-        }
-      }
-
-      // Strategy 3: Fallback to prompt-input-wrapper-container
-      const promptContainer = document.querySelector('div.prompt-input-wrapper-container');
-      if (promptContainer) {
-        const buttonContainer = promptContainer.querySelector('div.button-wrapper');
-        if (buttonContainer) {
-          console.log('[APE AI Studio] Using prompt container fallback');
-          return {
-            container: buttonContainer.parentElement,
-            referenceNode: buttonContainer,
-            position: 'before',
-            needsWrapper: true,
-            wrapperClass: 'button-wrapper',
-            wrapperTag: 'div'
-          };
-        }
-      }
+/**
+ * Insert the button where an anchor points, wrapping it if the anchor asks for it
+ * @returns {HTMLElement} the inserted element: the button or its wrapper
+ */
+export function insertAtAnchor(anchor, button) {
+  let elementToInsert = button;
+  if (anchor.needsWrapper) {
+    const wrapperTag = anchor.wrapperTag || 'span';
+    const wrapperClass = anchor.wrapperClass || '';
+    const expectedTag = wrapperTag.toUpperCase();
+
+    // Check if button is already wrapped correctly
+    const parent = button.parentElement;
+    const isCorrectlyWrapped = parent &&
+                               parent.tagName === expectedTag &&
+                               (!wrapperClass || parent.classList.contains(wrapperClass));
+
+    if (!isCorrectlyWrapped) {
+      const wrapper = document.createElement(wrapperTag);
+      if (wrapperClass) {
+        wrapper.className = wrapperClass;
+      }
+      wrapper.appendChild(button);
+      elementToInsert = wrapper;
+    } else {
+      elementToInsert = parent;
+    }
+  }
 
-      console.warn('[APE AI Studio] No anchor found!');
-      return null;
-    },
-    applyStyles(button) {
-      button.className = 'ape-inline-button ape-aistudio-button';
-      
-      Object.assign(button.style, {
-        position: 'relative',
-        left: 'auto',
-        bottom: 'auto',
-        right: 'auto',
-        top: 'auto',
-        width: '40px',
-        height: '40px',
-        minWidth: '40px',
-        borderRadius: '0',
-        padding: '0',
-        display: 'inline-flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        marginLeft: '',
-        marginRight: '',
-        backgroundColor: 'transparent',
-        color: 'transparent',
-        border: 'none',
-        boxShadow: 'none',
-        zIndex: '',
-        transition: 'transform 0.2s ease',
-        cursor: 'pointer',
-        outline: 'none',
-        background: 'transparent'
-      });
+  const { container } = anchor;
+  if (anchor.positionContainer && container.nodeType === Node.ELEMENT_NODE) {
+    const view = container.ownerDocument.defaultView;
+    if (view.getComputedStyle(container).position === 'static') {
+      container.style.position = 'relative';
+    }
+  }
 
-      if (document.dir === 'rtl') {
-        button.style.marginLeft = '';
-        button.style.marginRight = '';
-      }
-    },
-    validate(container) {
-      if (!container || !container.isConnected) return false;
+  if (anchor.position === 'before' && anchor.referenceNode) {
+    container.insertBefore(elementToInsert, anchor.referenceNode);
+  } else if (anchor.position === 'after' && anchor.referenceNode) {
+    container.insertBefore(elementToInsert, anchor.referenceNode.nextSibling);
+  } else {
+    container.appendChild(elementToInsert);
+  }
 
-      const inputElement = document.querySelector('div[contenteditable="true"]');
-      return Boolean(inputElement && inputElement.isConnected);
-    }
-  },
-  universal: {
-    findAnchor() {
-      // Universal fallback: fixed position bottom-right
-      return {
-        container: document.body,
-        referenceNode: null,
-        position: 'append'
-      };
-    },
-    applyStyles(button) {
-      button.className = 'ape-inline-button ape-universal-button';
-      Object.assign(button.style, {
-        position: 'fixed',
-        right: '20px',
-        bottom: '20px',
-        left: 'auto',
-        top: 'auto',
-        zIndex: '9999',
-        width: '48px',
-        height: '48px',
-        borderRadius: '0',
-        padding: '0',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        boxShadow: 'none',
-        backgroundColor: 'transparent',
-        color: 'transparent',
-        border: 'none',
-        cursor: 'pointer',
-        marginLeft: '',
-        marginRight: '',
-        outline: 'none',
-        background: 'transparent',
-        transition: 'transform 0.2s ease'
-      });
-    },
-    validate() {
-      return true; // Always valid for universal positioning
-    }
-  },
-  
-  // Generic strategy for sites without specific configuration
-  generic: {
-    findAnchor(inputElement) {
-      if (!inputElement) return null;
-      const container = inputElement.parentElement;
-      if (!container) return null;
+  return elementToInsert;
+}
 
-      const submit = container.querySelector('button[type="submit"], input[type="submit"]');
-      if (submit) {
-        return {
-          container,
-          referenceNode: submit,
-          position: 'before'
-        };
-      }
-      return null;
-    },
-    applyStyles(button) {
-      button.className = 'ape-inline-button ape-generic-button';
-      Object.assign(button.style, {
-        position: 'relative',
-        left: 'auto',
-        bottom: 'auto',
-        right: 'auto',
-        top: 'auto',
-        width: '36px',
-        height: '36px',
-        borderRadius: '0',
-        padding: '0',
-        display: 'inline-flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        marginLeft: '',
-        marginRight: '',
-        backgroundColor: 'transparent',
-        color: 'transparent',
-        border: 'none',
-        boxShadow: 'none',
-        outline: 'none',
-        background: 'transparent',
-        transition: 'transform 0.2s ease'
-      });
+const strategies = new Map();
 
-      if (document.dir === 'rtl') {
-        button.style.marginLeft = '0.5rem';
-      } else {
-        button.style.marginRight = '0.5rem';
-      }
-    },
-    validate(container) {
-      return Boolean(container && container.isConnected);
-    }
+/**
+ * Cached strategy for a pack; packs without docking use the fallback pack's
+ * anchors with their own button styling
+ * @param {Object} pack - The current platform pack
+ * @param {Object} fallbackPack - The generic pack
+ */
+export function getDockingStrategy(pack, fallbackPack) {
+  const key = pack.docking ? pack.id : `${pack.id}:${fallbackPack.id}`;
+
+  if (!strategies.has(key)) {
+    strategies.set(key, createDockingStrategy({
+      ...pack,
+      docking: pack.docking || fallbackPack.docking,
+      button: pack.button || fallbackPack.button
+    }));
   }
-};
-
-export default DOCKING_STRATEGIES;
+  return strategies.get(key);
+}
@@ -5,264 +5,126 @@
 
 import { PLATFORMS } from '../shared/constants.js';
 import { throttle, waitForElement } from '../shared/utils.js';
+import { getConversationParser } from './parsers/index.js';
+import {
+  deepActiveElement,
+  deepContains,
+  deepQuerySelectorAll,
+  getSelectionFor
+} from '../shared/deep-query.js';
+import { BLOCK_TAGS } from './parsers/message-parts.js';
+import { extractHeuristicMessages, isInConversationArea } from './parsers/heuristic-messages.js';
+import { genericAdapter, getEditorAdapter } from './editors/index.js';
+import { setNativeValue } from './editors/dom-input.js';
+import learnedSelectors from '../shared/learned-selectors.js';
+import platformRegistry from '../shared/platform-registry.js';
+import { profileToPack } from '../shared/site-profiles.js';
+
+/**
+ * Plain text of a DOM fragment, keeping line breaks for <br> and block elements
+ */
+function fragmentToText(node) {
+  let text = '';
+
+  node.childNodes.forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.textContent;
+    } else if (child.nodeName === 'BR') {
+      text += '\n';
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      text += fragmentToText(child);
+      if (BLOCK_TAGS.has(child.nodeName) && child.nextSibling) {
+        text += '\n';
+      }
+    }
+  });
+
+  return text;
+}
 
 class ResilientDOMObserver {
   constructor() {
     this.observer = null;
+    this.pack = null;
+    this.genericPack = null;
+    this.profile = null;
     this.platform = this.detectPlatform();
-    this.selectors = this.getPlatformSelectors();
+    this.platformSelectors = this.getPlatformSelectors();
+    this.selectors = this.platformSelectors;
+    this.learnedSelectors = {};
+    this.learnedElements = new WeakSet();
+    this.conversationParser = getConversationParser(this.pack);
     this.inputElement = null;
     this.sendButton = null;
   }
 
   /**
-   * Detect current platform
+   * Detect current platform from the platform packs
+   * Requires platformRegistry.load() to have run so imported packs are included
    */
   detectPlatform() {
     const hostname = window.location.hostname.toLowerCase();
     console.log('[APE] Detecting platform for hostname:', hostname);
 
-    if (hostname.includes('chatgpt.com') || hostname.includes('chat.openai.com')) {
-      console.log('[APE] Platform detected: ChatGPT');
-      return PLATFORMS.CHATGPT;
-    }
-    if (hostname.includes('claude.ai')) {
-      console.log('[APE] Platform detected: Claude');
-      return PLATFORMS.CLAUDE;
-    }
-    if (hostname.includes('gemini.google.com')) {
-      console.log('[APE] Platform detected: Gemini');
-      return PLATFORMS.GEMINI;
-    }
-    if (hostname.includes('perplexity.ai')) {
-      console.log('[APE] Platform detected: Perplexity');
-      return PLATFORMS.PERPLEXITY;
-    }
-    if (hostname.includes('aistudio.google.com')) {
-      console.log('[APE] Platform detected: AI Studio');
-      return PLATFORMS.AI_STUDIO;
-    }
+    this.genericPack = platformRegistry.getPack(PLATFORMS.GENERIC);
+    this.pack = platformRegistry.getPackForHost(hostname) || this.genericPack;
 
-    console.log('[APE] Platform detected: Generic');
-    return PLATFORMS.GENERIC;
+    console.log('[APE] Platform detected:', this.pack.name);
+    return this.pack.id;
   }
 
   /**
    * Get platform-specific selectors with multiple fallback strategies
    */
   getPlatformSelectors() {
-    const selectors = {
-      [PLATFORMS.CHATGPT]: {
-        inputArea: [
-          'textarea[id="prompt-textarea"]',
-          'textarea[data-id]',
-          'textarea[placeholder*="Message"]',
-          '#prompt-textarea',
-          'div[contenteditable="true"][role="textbox"]',
-          'textarea.m-0'
-        ],
-        sendButton: [
-          'button[data-testid="send-button"]',
-          'button[data-testid="fruitjuice-send-button"]',
-          'button[aria-label*="Send"]',
-          'button:has(svg[data-icon="arrow-up"])',
-          'form button[type="submit"]'
-        ],
-        messageContainer: [
-          'div[data-message-author-role]',
-          'div[data-testid^="conversation-turn"]',
-          '.group.w-full',
-          'div.text-base'
-        ],
-        userMessage: [
-          'div[data-message-author-role="user"]',
-          'div[data-testid="user-message"]'
-        ],
-        assistantMessage: [
-          'div[data-message-author-role="assistant"]',
-          'div[data-testid="assistant-message"]'
-        ],
-        conversationArea: [
-          'main',
-          'div[role="presentation"]',
-          '.flex.flex-col.items-center'
-        ]
-      },
-
-      [PLATFORMS.CLAUDE]: {
-        inputArea: [
-          'div[contenteditable="true"][data-placeholder]',
-          'div.ProseMirror',
-          'div[contenteditable="true"]',
-          'fieldset div[contenteditable="true"]',
-          'div[role="textbox"][contenteditable="true"]',
-          'div[data-testid="composer"] div[contenteditable="true"]',
-          'div[data-testid="prompt-editor"] div[contenteditable="true"]',
-          'textarea[aria-label*="Message"]',
-          'textarea[placeholder*="Message"]'
-        ],
-        sendButton: [
-          'button[aria-label*="Send"]',
-          'button[type="submit"]',
-          'button:has(svg)',
-          'button[data-testid*="composer-send"]',
-          'button[aria-label*="Send message"]'
-        ],
-        messageContainer: [
-          'div[data-is-user]',
-          'div.font-user-message',
-          'div.font-claude-message',
-          'div[data-testid*="message"]'
-        ],
-        userMessage: [
-          'div[data-is-user="true"]',
-          'div.font-user-message',
-          'div[data-testid*="message-user"]'
-        ],
-        assistantMessage: [
-          'div[data-is-user="false"]',
-          'div.font-claude-message',
-          'div[data-testid*="message-system"]',
-          'div[data-testid*="message-assistant"]'
-        ],
-        conversationArea: [
-          'main',
-          'div[class*="ConversationContainer"]',
-          'div[data-testid*="conversation"]',
-          'div[data-testid*="chat-root"]'
-        ]
-      },
-
-      [PLATFORMS.GEMINI]: {
-        inputArea: [
-          'rich-textarea[placeholder*="Enter a prompt"]',
-          'rich-textarea',
-          'div[contenteditable="true"][role="textbox"]',
-          'textarea[placeholder*="Enter"]',
-          '.ql-editor[contenteditable="true"]'
-        ],
-        sendButton: [
-          'button[aria-label*="Send"]',
-          'button[mattooltip*="Send"]',
-          'button.send-button',
-          'button[type="submit"]'
-        ],
-        messageContainer: [
-          'message-content',
-          'model-response',
-          'user-query',
-          'div[class*="message"]'
-        ],
-        userMessage: [
-          'user-query',
-          'div[class*="user"]'
-        ],
-        assistantMessage: [
-          'model-response',
-          'div[class*="model"]',
-          'div[class*="assistant"]'
-        ],
-        conversationArea: [
-          'main',
-          'div[class*="conversation"]',
-          'mat-sidenav-content'
-        ]
-      },
-
-      [PLATFORMS.PERPLEXITY]: {
-        inputArea: [
-          'textarea[placeholder*="Ask anything"]',
-          'textarea[placeholder*="Type @"]',
-          'textarea',
-          'div[contenteditable="true"][role="textbox"]'
-        ],
-        sendButton: [
-          'button[aria-label*="Send"]',
-          'button[type="submit"]',
-          'button:has(svg)',
-          'button[data-testid*="submit"]'
-        ],
-        messageContainer: [
-          'div[class*="message"]',
-          'div[class*="Message"]'
-        ],
-        userMessage: [
-          'div[class*="user"]',
-          'div[class*="User"]'
-        ],
-        assistantMessage: [
-          'div[class*="assistant"]',
-          'div[class*="Assistant"]'
-        ],
-        conversationArea: [
-          'main',
-          '[role="main"]',
-          'div[class*="conversation"]'
-        ]
-      },
-
-      [PLATFORMS.AI_STUDIO]: {
-        inputArea: [
-          'div[contenteditable="true"]',
-          'textarea[placeholder*="Enter prompt"]',
-          'textarea[placeholder*="Type prompt"]',
-          'textarea',
-          'div[role="textbox"]'
-        ],
-        sendButton: [
-          'button[aria-label*="Send"]',
-          'button[aria-label*="submit"]',
-          'button[type="submit"]',
-          'button:has(svg)',
-          'button[data-tooltip*="Send"]'
-        ],
-        messageContainer: [
-          'div[data-role="message"]',
-          'div[class*="message"]',
-          'div[role="article"]'
-        ],
-        userMessage: [
-          'div[data-role="user"]',
-          'div[class*="user"]'
-        ],
-        assistantMessage: [
-          'div[data-role="assistant"]',
-          'div[class*="assistant"]',
-          'div[class*="model"]'
-        ],
-        conversationArea: [
-          'main',
-          '[role="main"]',
-          'div[class*="chat"]'
-        ]
-      },
-
-      [PLATFORMS.GENERIC]: {
-        inputArea: [
-          'textarea',
-          '[contenteditable="true"]',
-          'input[type="text"]'
-        ],
-        sendButton: [
-          'button[type="submit"]',
-          'button:has(svg)',
-          'input[type="submit"]'
-        ],
-        messageContainer: [
-          'div[class*="message"]',
-          'div[class*="Message"]'
-        ],
-        userMessage: [],
-        assistantMessage: [],
-        conversationArea: [
-          'main',
-          '[role="main"]',
-          'body'
-        ]
-      }
-    };
+    return this.pack.selectors;
+  }
 
-    return selectors[this.platform] || selectors[PLATFORMS.GENERIC];
+  /**
+   * Use a site profile's prompt selector and button placement over the platform pack
+   * Call before loadLearnedSelectors so learned selectors merge into the profile's
+   */
+  applyProfile(profile) {
+    this.profile = profile;
+    this.pack = profileToPack(profile, this.pack);
+    this.platformSelectors = this.getPlatformSelectors();
+    this.selectors = this.platformSelectors;
+    console.log('[APE] Using site profile:', profile.name || profile.id);
+  }
+
+  /**
+   * Add selectors learned on earlier visits, tried right after each primary selector
+   */
+  async loadLearnedSelectors() {
+    this.learnedSelectors = await learnedSelectors.getForSite(window.location.hostname);
+
+    const merged = { ...this.platformSelectors };
+    Object.entries(this.learnedSelectors).forEach(([group, entries]) => {
+      const [primary, ...fallbacks] = this.platformSelectors[group] || [];
+      if (!primary) return;
+
+      const learned = entries
+        .map(entry => entry.selector)
+        .filter(selector => selector !== primary && !fallbacks.includes(selector));
+      merged[group] = [primary, ...learned, ...fallbacks];
+    });
+
+    this.selectors = merged;
+  }
+
+  /**
+   * Learn a stable selector for an element the primary selector missed
+   */
+  rememberFallbackMatch(group, element) {
+    if (!element || this.learnedElements.has(element)) return;
+    this.learnedElements.add(element);
+
+    const [primary] = this.platformSelectors[group] || [];
+    if (!primary || this.matchesAnySelector(element, [primary])) return;
+
+    learnedSelectors.learn(window.location.hostname, group, element).catch((error) => {
+      console.warn('[APE] Failed to learn selector:', error);
+    });
   }
 
   /**
@@ -286,12 +148,26 @@ class ResilientDOMObserver {
     return false;
   }
 
+  /**
+   * Walk up from an element to the first ancestor matching any selector
+   */
+  closestMatch(element, selectorArray) {
+    let current = element;
+    while (current && current !== current.ownerDocument?.body && current.nodeType !== Node.DOCUMENT_NODE) {
+      if (current.nodeType === Node.ELEMENT_NODE && this.matchesAnySelector(current, selectorArray)) {
+        return current;
+      }
+      current = current.parentElement;
+    }
+    return null;
+  }
+
   findActiveInputMatch(selectorArray) {
-    const activeElement = document.activeElement;
+    const activeElement = deepActiveElement();
     if (!activeElement) return null;
 
     let current = activeElement;
-    while (current && current !== document.body && current !== document) {
+    while (current && current !== current.ownerDocument.body) {
       if (this.matchesAnySelector(current, selectorArray) && this.validateElement(current)) {
         return current;
       }
@@ -312,13 +188,15 @@ class ResilientDOMObserver {
     let preferredCandidate = null;
     let lastValidCandidate = null;
     const seen = new Set();
+    const activeElement = deepActiveElement();
 
     for (const selector of selectorArray) {
       if (!selector) continue;
 
+      // Includes open shadow roots and same-origin iframes
       let nodeList;
       try {
-        nodeList = document.querySelectorAll(selector);
+        nodeList = deepQuerySelectorAll(selector);
       } catch (error) {
         // Invalid selector, skip to next
         continue;
@@ -330,8 +208,7 @@ class ResilientDOMObserver {
 
         if (!this.validateElement(element)) return;
 
-        const activeElement = document.activeElement;
-        if (activeElement && (element === activeElement || element.contains(activeElement))) {
+        if (activeElement && deepContains(element, activeElement)) {
           preferredCandidate = element;
         }
 
@@ -348,7 +225,7 @@ class ResilientDOMObserver {
   validateElement(element) {
     if (!element) return false;
     if (!element.isConnected) return false;
-    const style = window.getComputedStyle(element);
+    const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
     if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) {
       return false;
     }
@@ -372,6 +249,7 @@ class ResilientDOMObserver {
 
     if (freshCandidate) {
       this.inputElement = freshCandidate;
+      this.rememberFallbackMatch('inputArea', freshCandidate);
       return this.inputElement;
     }
 
@@ -389,6 +267,7 @@ class ResilientDOMObserver {
         const resolved = this.findElement(this.selectors.inputArea) || candidate;
         if (resolved && this.validateElement(resolved)) {
           this.inputElement = resolved;
+          this.rememberFallbackMatch('inputArea', resolved);
           return this.inputElement;
         }
       } catch (error) {
@@ -408,370 +287,198 @@ class ResilientDOMObserver {
     const inputElement = await this.findInputElement();
     if (!inputElement) return null;
 
-    // Handle different input types
-    if (inputElement.tagName === 'TEXTAREA' || inputElement.tagName === 'INPUT') {
-      return inputElement.value;
-    } else if (inputElement.contentEditable === 'true') {
-      // For contenteditable, get plain text
-      return inputElement.innerText || inputElement.textContent || '';
-    }
-
-    return null;
+    return this.readInputText(inputElement);
   }
 
   /**
-   * Safely inject enhanced prompt
+   * Read the plain text of an input element
    */
-  async injectEnhancedPrompt(enhancedText) {
-    const inputElement = await this.findInputElement();
-    if (!inputElement) return false;
-
-    try {
-      const setNativeValue = (element, value) => {
-        const { set: valueSetter } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value') || {};
-        if (valueSetter) {
-          valueSetter.call(element, value);
-        } else {
-          element.value = value;
-        }
-      };
-
-      // Clear existing content first
-      if (inputElement.tagName === 'TEXTAREA' || inputElement.tagName === 'INPUT') {
-        // For textarea/input
-        setNativeValue(inputElement, '');
-        inputElement.focus();
-
-        // Simulate typing for better compatibility
-        setNativeValue(inputElement, enhancedText);
-
-        // Trigger input events
-        inputElement.dispatchEvent(new Event('input', { bubbles: true }));
-        inputElement.dispatchEvent(new Event('change', { bubbles: true }));
-      } else if (inputElement.contentEditable === 'true') {
-        const focusTarget = inputElement;
-
-        // Focus the editor without scrolling the page if possible
-        try {
-          focusTarget.focus({ preventScroll: true });
-        } catch (focusError) {
-          focusTarget.focus();
-        }
-
-        const ensureSelection = () => {
-          const selection = window.getSelection();
-          if (!selection) return;
-
-          const range = document.createRange();
-          range.selectNodeContents(focusTarget);
-          selection.removeAllRanges();
-          selection.addRange(range);
-        };
-
-        const dispatchInputEvent = (target, type, eventOptions = {}) => {
-          const init = {
-            bubbles: true,
-            cancelable: type === 'beforeinput',
-            composed: true,
-            ...eventOptions
-          };
-
-          if (typeof InputEvent === 'function') {
-            try {
-              const event = new InputEvent(type, init);
-              return target.dispatchEvent(event);
-            } catch (error) {
-              const fallback = new Event(type, {
-                bubbles: true,
-                cancelable: init.cancelable,
-                composed: true
-              });
-              return target.dispatchEvent(fallback);
-            }
-          }
-
-          const fallback = new Event(type, {
-            bubbles: true,
-            cancelable: init.cancelable,
-            composed: true
-          });
-          return target.dispatchEvent(fallback);
-        };
-
-        const execCommand = (command, value = null) => {
-          try {
-            return document.execCommand(command, false, value);
-          } catch (error) {
-            return false;
-          }
-        };
-
-        // Select the entire editor contents
-        ensureSelection();
-        if (!execCommand('selectAll')) {
-          ensureSelection();
-        }
-
-        // Notify the editor that content will be replaced
-        dispatchInputEvent(focusTarget, 'beforeinput', {
-          inputType: 'deleteContentBackward',
-          data: '',
-          dataTransfer: null
-        });
-
-        // Remove existing content
-        if (!execCommand('delete')) {
-          const selection = window.getSelection();
-          if (selection && selection.rangeCount > 0) {
-            selection.deleteFromDocument();
-          } else {
-            focusTarget.replaceChildren();
-          }
-        }
+  readInputText(inputElement) {
+    return getEditorAdapter(inputElement, this.pack.editor).read(inputElement);
+  }
 
-        // Ensure selection is ready for insertion
-        ensureSelection();
+  /**
+   * Read a non-collapsed selection inside the input
+   * Returns null when nothing (or everything) is selected
+   * @returns {Object|null} { text, before, after } plus { start, end } for
+   *   textareas or a cloned { range } for contenteditable editors
+   */
+  getInputSelection(inputElement) {
+    if (!inputElement) return null;
 
-        // Dispatch beforeinput for insertion
-        dispatchInputEvent(focusTarget, 'beforeinput', {
-          inputType: 'insertFromPaste',
-          data: enhancedText,
-          dataTransfer: null
-        });
+    let selection = null;
 
-        // Try to insert via execCommand so editors observe the change
-        let inserted = execCommand('insertText', enhancedText);
+    if (inputElement.tagName === 'TEXTAREA' || inputElement.tagName === 'INPUT') {
+      const { selectionStart: start, selectionEnd: end, value } = inputElement;
+      if (start === null || end === null || start === end) return null;
+
+      selection = {
+        start,
+        end,
+        text: value.slice(start, end),
+        before: value.slice(0, start),
+        after: value.slice(end)
+      };
+    } else if (inputElement.contentEditable === 'true') {
+      const windowSelection = getSelectionFor(inputElement);
+      if (!windowSelection || windowSelection.rangeCount === 0 || windowSelection.isCollapsed) return null;
 
-        if (!inserted) {
-          focusTarget.replaceChildren();
-          const lines = enhancedText.split('\n');
-          const fragment = document.createDocumentFragment();
+      const range = windowSelection.getRangeAt(0);
+      if (!inputElement.contains(range.startContainer) || !inputElement.contains(range.endContainer)) {
+        return null;
+      }
 
-          lines.forEach((line, index) => {
-            fragment.appendChild(document.createTextNode(line));
-            if (index < lines.length - 1) {
-              fragment.appendChild(document.createElement('br'));
-            }
-          });
+      const beforeRange = inputElement.ownerDocument.createRange();
+      beforeRange.selectNodeContents(inputElement);
+      beforeRange.setEnd(range.startContainer, range.startOffset);
 
-          focusTarget.appendChild(fragment);
-        }
+      const afterRange = inputElement.ownerDocument.createRange();
+      afterRange.selectNodeContents(inputElement);
+      afterRange.setStart(range.endContainer, range.endOffset);
 
-        // Fire standard input/change notifications
-        dispatchInputEvent(focusTarget, 'input', {
-          inputType: 'insertFromPaste',
-          data: enhancedText,
-          dataTransfer: null
-        });
+      selection = {
+        range: range.cloneRange(),
+        text: fragmentToText(range.cloneContents()),
+        before: fragmentToText(beforeRange.cloneContents()),
+        after: fragmentToText(afterRange.cloneContents())
+      };
+    }
 
-        focusTarget.dispatchEvent(new Event('change', { bubbles: true }));
+    if (!selection || !selection.text.trim()) return null;
 
-        // Place the caret at the end of the text
-        const selection = window.getSelection();
-        if (selection) {
-          const range = document.createRange();
-          range.selectNodeContents(focusTarget);
-          range.collapse(false);
-          selection.removeAllRanges();
-          selection.addRange(range);
-        }
-      }
+    // A selection covering the whole prompt is the same as no selection
+    if (!selection.before.trim() && !selection.after.trim()) return null;
 
-      return true;
-    } catch (error) {
-      console.error('[APE] Failed to inject prompt:', error);
-      return false;
-    }
+    return selection;
   }
 
   /**
-   * Extract all conversation messages
+   * Replace only the selected slice of the input
+   * Fails (returns false) if the selected text changed since it was read
+   * @param {Object} selection - Result of getInputSelection()
    */
-  extractMessages() {
-    const messages = [];
-    
-    // First, try to scope to conversation area to avoid sidebar/UI elements
-    const conversationContainer = this.findElement(this.selectors.conversationArea);
-    const searchRoot = conversationContainer || document.body;
+  async replaceSelection(inputElement, selection, text) {
+    if (!inputElement?.isConnected || !selection) return false;
 
-    const messageElements = searchRoot.querySelectorAll(
-      this.selectors.messageContainer.join(',')
-    );
+    try {
+      if (inputElement.tagName === 'TEXTAREA' || inputElement.tagName === 'INPUT') {
+        const value = inputElement.value;
+        if (value.slice(selection.start, selection.end) !== selection.text) return false;
 
-    messageElements.forEach((element) => {
-      // Skip if element is not in conversation area (e.g., sidebar)
-      if (!this.isInConversationArea(element)) {
-        return;
-      }
+        setNativeValue(inputElement, value.slice(0, selection.start) + text + value.slice(selection.end));
+        inputElement.focus();
+        inputElement.setSelectionRange(selection.start, selection.start + text.length);
 
-      // Skip elements that are clearly UI/navigation (sidebars, headers, etc.)
-      if (this.isUIElement(element)) {
-        return;
+        inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+        inputElement.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
       }
 
-      const isUser = this.isUserMessage(element);
-      const content = this.cleanMessageContent(element.textContent || '');
+      const { range } = selection;
+      if (!range || !inputElement.contains(range.commonAncestorContainer)) return false;
+      if (fragmentToText(range.cloneContents()) !== selection.text) return false;
 
-      // Validate message quality
-      if (content && this.isValidMessage(content)) {
-        messages.push({
-          role: isUser ? 'user' : 'assistant',
-          content: content,
-          element: element,
-          timestamp: this.extractTimestamp(element)
-        });
+      try {
+        inputElement.focus({ preventScroll: true });
+      } catch (focusError) {
+        inputElement.focus();
       }
-    });
 
-    return messages;
-  }
+      const windowSelection = getSelectionFor(inputElement);
+      windowSelection.removeAllRanges();
+      windowSelection.addRange(range);
 
-  /**
-   * Check if element is in the main conversation area (not sidebar)
-   */
-  isInConversationArea(element) {
-    // Check if element is in sidebar or navigation
-    let current = element;
-    while (current && current !== document.body) {
-      const classList = current.className || '';
-      const role = current.getAttribute('role') || '';
-      
-      // Common sidebar/navigation indicators
-      if (
-        classList.includes('sidebar') ||
-        classList.includes('Sidebar') ||
-        classList.includes('navigation') ||
-        classList.includes('Navigation') ||
-        classList.includes('history') ||
-        classList.includes('History') ||
-        role === 'navigation' ||
-        role === 'complementary' ||
-        current.tagName === 'NAV' ||
-        current.tagName === 'ASIDE'
-      ) {
-        return false;
+      inputElement.dispatchEvent(new InputEvent('beforeinput', {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        inputType: 'insertText',
+        data: text
+      }));
+
+      let inserted = false;
+      try {
+        inserted = inputElement.ownerDocument.execCommand('insertText', false, text);
+      } catch (error) {
+        inserted = false;
       }
-      
-      current = current.parentElement;
-    }
-    
-    return true;
-  }
 
-  /**
-   * Check if element is a UI component (not actual message)
-   */
-  isUIElement(element) {
-    const classList = element.className || '';
-    const text = (element.textContent || '').trim();
-    
-    // Skip elements that are buttons, links, or headers
-    if (
-      element.tagName === 'BUTTON' ||
-      element.tagName === 'A' ||
-      element.tagName === 'HEADER' ||
-      element.tagName === 'FOOTER' ||
-      element.tagName === 'NAV'
-    ) {
-      return true;
-    }
+      if (!inserted) {
+        const fragment = inputElement.ownerDocument.createDocumentFragment();
+        text.split('\n').forEach((line, index) => {
+          if (index > 0) fragment.appendChild(inputElement.ownerDocument.createElement('br'));
+          fragment.appendChild(inputElement.ownerDocument.createTextNode(line));
+        });
+        range.deleteContents();
+        range.insertNode(fragment);
+      }
 
-    // Skip elements with very short text (likely UI labels)
-    if (text.length < 10) {
+      inputElement.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        composed: true,
+        inputType: 'insertText',
+        data: text
+      }));
       return true;
+    } catch (error) {
+      console.error('[APE] Failed to replace selection:', error);
+      return false;
     }
-
-    // Skip common UI patterns
-    const uiPatterns = [
-      'toolbar',
-      'menu',
-      'dropdown',
-      'tooltip',
-      'badge',
-      'chip',
-      'tab',
-      'header',
-      'footer'
-    ];
-
-    return uiPatterns.some(pattern => 
-      classList.toLowerCase().includes(pattern)
-    );
   }
 
   /**
-   * Validate if content is a real message
+   * Safely inject enhanced prompt
+   * Editors with their own model (ProseMirror, Quill, Lexical, CodeMirror,
+   * Monaco) are written through their native input path and checked afterwards;
+   * the generic path is the fallback when that doesn't take
+   * @param {string} enhancedText - Text to write
+   * @param {HTMLElement} targetElement - Specific input to write to (defaults to the active input)
    */
-  isValidMessage(content) {
-    // Must have minimum length
-    if (content.length < 10) {
-      return false;
-    }
-
-    // Must have some actual words (not just symbols/numbers)
-    const wordCount = content.split(/\s+/).filter(word => /[a-zA-Z]{2,}/.test(word)).length;
-    if (wordCount < 2) {
-      return false;
-    }
+  async injectEnhancedPrompt(enhancedText, targetElement = null) {
+    const inputElement = targetElement?.isConnected ? targetElement : await this.findInputElement();
+    if (!inputElement) return false;
 
-    // Exclude common UI text patterns
-    const excludePatterns = [
-      /^(new chat|new thread|delete|edit|copy|share|export)$/i,
-      /^(today|yesterday|last week|this month)$/i,
-      /^\d+\s*(min|hour|day|week|month)s?\s*ago$/i,
-      /^[0-9\/\-:]+$/,  // Pure dates/times
-      /^[\d\s]+$/       // Pure numbers
-    ];
+    const adapter = getEditorAdapter(inputElement, this.pack.editor);
 
-    return !excludePatterns.some(pattern => pattern.test(content));
-  }
+    try {
+      if (adapter !== genericAdapter) {
+        if (await adapter.insert(inputElement, enhancedText) && await adapter.verify(inputElement, enhancedText)) {
+          return true;
+        }
+        console.warn(`[APE] ${adapter.name} editor did not accept the prompt, using generic injection`);
+      }
 
-  /**
-   * Determine if message is from user
-   */
-  isUserMessage(element) {
-    // Try platform-specific selectors
-    for (const selector of this.selectors.userMessage) {
-      if (element.matches(selector)) return true;
+      const injected = await genericAdapter.insert(adapter.getEditable(inputElement), enhancedText);
+      if (injected && !(await adapter.verify(inputElement, enhancedText))) {
+        console.warn(`[APE] ${adapter.name} editor contents differ from the injected prompt`);
+      }
+      return injected;
+    } catch (error) {
+      console.error('[APE] Failed to inject prompt:', error);
+      return false;
     }
-
-    // Fallback heuristics
-    const classList = element.className || '';
-    const dataAttrs = Array.from(element.attributes || [])
-      .map(attr => attr.name + attr.value)
-      .join(' ');
-
-    return (
-      classList.includes('user') ||
-      classList.includes('human') ||
-      dataAttrs.includes('user') ||
-      dataAttrs.includes('human')
-    );
   }
 
   /**
-   * Clean message content
+   * Extract all conversation messages, in DOM order
+   * Native platforms use their conversation parser; other sites fall back to
+   * selector matching with role heuristics
    */
-  cleanMessageContent(content) {
-    return content
-      .replace(/\s+/g, ' ')
-      .replace(/Copy code/gi, '')
-      .replace(/^\d+\s*\/\s*\d+/, '')
-      .trim();
-  }
+  extractMessages() {
+    // First, try to scope to conversation area to avoid sidebar/UI elements
+    const conversationContainer = this.findElement(this.selectors.conversationArea);
+    const searchRoot = conversationContainer || document.body;
+    this.rememberFallbackMatch('conversationArea', conversationContainer);
 
-  /**
-   * Extract timestamp from message (if available)
-   */
-  extractTimestamp(element) {
-    const timeElement = element.querySelector('time');
-    if (timeElement) {
-      const datetime = timeElement.getAttribute('datetime');
-      if (datetime) {
-        return new Date(datetime).getTime();
+    if (this.conversationParser) {
+      const turns = this.conversationParser.parse(searchRoot)
+        .filter(turn => isInConversationArea(turn.element));
+      if (turns.length > 0) {
+        return turns;
       }
     }
-    return Date.now();
+
+    return extractHeuristicMessages(searchRoot, this.selectors);
   }
 
   /**
@@ -817,12 +524,21 @@ class ResilientDOMObserver {
   }
 
   /**
-   * Check if send button is enabled
+   * Find the platform send button, reusing the cached one while it is valid
    */
-  async isSendButtonEnabled() {
+  findSendButton() {
     if (!this.sendButton || !this.validateElement(this.sendButton)) {
       this.sendButton = this.findElement(this.selectors.sendButton);
+      this.rememberFallbackMatch('sendButton', this.sendButton);
     }
+    return this.sendButton;
+  }
+
+  /**
+   * Check if send button is enabled
+   */
+  async isSendButtonEnabled() {
+    this.findSendButton();
 
     if (!this.sendButton) return false;
 
@@ -0,0 +1,82 @@
+/**
+ * Base Editor Adapter
+ * Detects one kind of rich-text/code editor and writes through its own input path
+ */
+
+import {
+  dispatchPaste,
+  focusElement,
+  nextFrame,
+  normalizeEditorText,
+  selectContents,
+  settleSelection
+} from './dom-input.js';
+
+class BaseEditorAdapter {
+  /**
+   * @param {string} name - Editor name used in logs
+   * @param {string} selector - Root element of the editor
+   */
+  constructor(name, selector) {
+    this.name = name;
+    this.selector = selector;
+  }
+
+  /**
+   * Editor root for an input element: the element itself, an ancestor or,
+   * when a site's selector matched a wrapper, a descendant
+   */
+  getRoot(element) {
+    if (!element || !this.selector) return null;
+    return element.closest(this.selector) || element.querySelector?.(this.selector) || null;
+  }
+
+  detect(element) {
+    return Boolean(this.getRoot(element));
+  }
+
+  /**
+   * Element that receives focus and input events
+   */
+  getEditable(element) {
+    return this.getRoot(element) || element;
+  }
+
+  /**
+   * Replace the editor's contents with text
+   * @returns {Promise<boolean>} whether the editor accepted the input
+   */
+  async insert(/* element, text */) {
+    return false;
+  }
+
+  /**
+   * Select everything and paste over it; editors that keep their own model
+   * handle paste from clipboardData, so this goes through their input pipeline
+   * @returns {Promise<boolean>} whether the editor handled the paste
+   */
+  async replaceByPaste(editable, text) {
+    focusElement(editable);
+    selectContents(editable);
+    await settleSelection();
+    return dispatchPaste(editable, text);
+  }
+
+  /**
+   * Text as the editor renders it from its model
+   */
+  read(element) {
+    const editable = this.getEditable(element);
+    return editable.innerText || editable.textContent || '';
+  }
+
+  /**
+   * Check, once the editor has re-rendered, that its model holds the injected text
+   */
+  async verify(element, text) {
+    await nextFrame();
+    return normalizeEditorText(this.read(element)) === normalizeEditorText(text);
+  }
+}
+
+export default BaseEditorAdapter;
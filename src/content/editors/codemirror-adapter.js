@@ -0,0 +1,28 @@
+/**
+ * CodeMirror 6 Adapter
+ * Input goes to .cm-content; CodeMirror's paste handler inserts clipboard text
+ * as a transaction. Lines render as .cm-line elements
+ */
+
+import BaseEditorAdapter from './base-adapter.js';
+
+class CodeMirrorAdapter extends BaseEditorAdapter {
+  constructor() {
+    super('codemirror', '.cm-editor');
+  }
+
+  getEditable(element) {
+    return this.getRoot(element)?.querySelector('.cm-content') || element;
+  }
+
+  async insert(element, text) {
+    return this.replaceByPaste(this.getEditable(element), text);
+  }
+
+  read(element) {
+    const lines = this.getEditable(element).querySelectorAll('.cm-line');
+    return Array.from(lines, line => line.textContent).join('\n');
+  }
+}
+
+export default CodeMirrorAdapter;
@@ -0,0 +1,190 @@
+/**
+ * DOM Input Helpers
+ * Low-level primitives the editor adapters share for selecting, typing and pasting
+ */
+
+import { getSelectionFor } from '../../shared/deep-query.js';
+
+/**
+ * Set a form control's value through the native setter so frameworks see the change
+ */
+export function setNativeValue(element, value) {
+  const { set: valueSetter } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value') || {};
+  if (valueSetter) {
+    valueSetter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+/**
+ * Focus without scrolling the page where supported
+ */
+export function focusElement(element) {
+  try {
+    element.focus({ preventScroll: true });
+  } catch (error) {
+    element.focus();
+  }
+}
+
+/**
+ * Select everything inside a contenteditable element
+ */
+export function selectContents(element) {
+  const selection = getSelectionFor(element);
+  if (!selection) return;
+
+  const range = element.ownerDocument.createRange();
+  range.selectNodeContents(element);
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * Collapse the caret to the end of a contenteditable element
+ */
+export function placeCaretAtEnd(element) {
+  const selection = getSelectionFor(element);
+  if (!selection) return;
+
+  const range = element.ownerDocument.createRange();
+  range.selectNodeContents(element);
+  range.collapse(false);
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * document.execCommand in the element's own document; false when unsupported
+ */
+export function runCommand(element, command, value = null) {
+  try {
+    return element.ownerDocument.execCommand(command, false, value);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Dispatch an InputEvent, falling back to a plain Event where InputEvent is missing
+ */
+export function dispatchInputEvent(target, type, eventOptions = {}) {
+  const init = {
+    bubbles: true,
+    cancelable: type === 'beforeinput',
+    composed: true,
+    ...eventOptions
+  };
+
+  if (typeof InputEvent === 'function') {
+    try {
+      return target.dispatchEvent(new InputEvent(type, init));
+    } catch (error) {
+      // Fall through to a plain Event
+    }
+  }
+
+  return target.dispatchEvent(new Event(type, {
+    bubbles: true,
+    cancelable: init.cancelable,
+    composed: true
+  }));
+}
+
+/**
+ * Dispatch a paste carrying `text` as text/plain
+ * Editors that own their model read clipboardData and cancel the event,
+ * so a cancelled event means the editor took the text
+ */
+export function dispatchPaste(target, text) {
+  if (typeof DataTransfer !== 'function' || typeof ClipboardEvent !== 'function') {
+    return false;
+  }
+
+  try {
+    const clipboardData = new DataTransfer();
+    clipboardData.setData('text/plain', text);
+
+    const event = new ClipboardEvent('paste', {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      clipboardData
+    });
+
+    target.dispatchEvent(event);
+    return event.defaultPrevented;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Dispatch a keyboard shortcut such as Mod+A on the element
+ */
+export function dispatchShortcut(target, key, { mod = false, shift = false } = {}) {
+  const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+  const init = {
+    key,
+    code: `Key${key.toUpperCase()}`,
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    ctrlKey: mod && !isMac,
+    metaKey: mod && isMac,
+    shiftKey: shift
+  };
+
+  const handled = !target.dispatchEvent(new KeyboardEvent('keydown', init));
+  target.dispatchEvent(new KeyboardEvent('keyup', init));
+  return handled;
+}
+
+/**
+ * Resolve after the next paint, once editors have re-rendered from their model
+ * Background tabs don't paint, so a timeout caps the wait
+ */
+export function nextFrame() {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, 50);
+    if (typeof requestAnimationFrame === 'function') {
+      requestAnimationFrame(() => setTimeout(() => {
+        clearTimeout(timer);
+        resolve();
+      }, 0));
+    }
+  });
+}
+
+/**
+ * Let editors that track the DOM selection through `selectionchange`
+ * (ProseMirror, Lexical, CodeMirror) pick up a selection made by script
+ */
+export function settleSelection() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+/**
+ * Whitespace-insensitive form used to compare editor contents with injected text
+ * Editors render line breaks as paragraphs, <br>s or non-breaking spaces
+ */
+export function normalizeEditorText(text) {
+  return (text || '')
+    .replace(/[\u00a0\u200b\ufeff]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Like normalizeEditorText, but line by line, so a comparison still catches
+ * lost line breaks and paragraphs
+ */
+export function normalizeEditorLines(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => normalizeEditorText(line))
+    .join('\n')
+    .trim();
+}
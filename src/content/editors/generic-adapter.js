@@ -0,0 +1,119 @@
+/**
+ * Generic Editor Adapter
+ * Textareas, inputs and plain contenteditable elements; also the fallback
+ * when an editor-specific adapter can't get its input accepted
+ */
+
+import BaseEditorAdapter from './base-adapter.js';
+import {
+  dispatchInputEvent,
+  focusElement,
+  placeCaretAtEnd,
+  runCommand,
+  selectContents,
+  setNativeValue
+} from './dom-input.js';
+import { getSelectionFor } from '../../shared/deep-query.js';
+
+class GenericAdapter extends BaseEditorAdapter {
+  constructor() {
+    super('generic', null);
+  }
+
+  detect() {
+    return true;
+  }
+
+  getEditable(element) {
+    return element;
+  }
+
+  read(element) {
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      return element.value;
+    }
+    if (element.isContentEditable || element.contentEditable === 'true') {
+      return element.innerText || element.textContent || '';
+    }
+    return null;
+  }
+
+  async insert(element, text) {
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      setNativeValue(element, '');
+      element.focus();
+      setNativeValue(element, text);
+
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+
+    if (!element.isContentEditable && element.contentEditable !== 'true') {
+      return false;
+    }
+
+    focusElement(element);
+
+    // Select the entire editor contents
+    selectContents(element);
+    if (!runCommand(element, 'selectAll')) {
+      selectContents(element);
+    }
+
+    // Notify the editor that content will be replaced
+    dispatchInputEvent(element, 'beforeinput', {
+      inputType: 'deleteContentBackward',
+      data: '',
+      dataTransfer: null
+    });
+
+    // Remove existing content
+    if (!runCommand(element, 'delete')) {
+      const selection = getSelectionFor(element);
+      if (selection && selection.rangeCount > 0) {
+        selection.deleteFromDocument();
+      } else {
+        element.replaceChildren();
+      }
+    }
+
+    // Ensure selection is ready for insertion
+    selectContents(element);
+
+    dispatchInputEvent(element, 'beforeinput', {
+      inputType: 'insertFromPaste',
+      data: text,
+      dataTransfer: null
+    });
+
+    // Try to insert via execCommand so editors observe the change
+    if (!runCommand(element, 'insertText', text)) {
+      const doc = element.ownerDocument;
+      const lines = text.split('\n');
+      const fragment = doc.createDocumentFragment();
+
+      lines.forEach((line, index) => {
+        fragment.appendChild(doc.createTextNode(line));
+        if (index < lines.length - 1) {
+          fragment.appendChild(doc.createElement('br'));
+        }
+      });
+
+      element.replaceChildren(fragment);
+    }
+
+    // Fire standard input/change notifications
+    dispatchInputEvent(element, 'input', {
+      inputType: 'insertFromPaste',
+      data: text,
+      dataTransfer: null
+    });
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+
+    placeCaretAtEnd(element);
+    return true;
+  }
+}
+
+export default GenericAdapter;
@@ -0,0 +1,35 @@
+/**
+ * Editor Adapter Registry
+ * Picks the adapter for an input element; more specific editors come first
+ * and the generic adapter handles everything else
+ */
+
+import MonacoAdapter from './monaco-adapter.js';
+import CodeMirrorAdapter from './codemirror-adapter.js';
+import LexicalAdapter from './lexical-adapter.js';
+import ProseMirrorAdapter from './prosemirror-adapter.js';
+import QuillAdapter from './quill-adapter.js';
+import GenericAdapter from './generic-adapter.js';
+
+export const genericAdapter = new GenericAdapter();
+
+const ADAPTERS = [
+  new MonacoAdapter(),
+  new CodeMirrorAdapter(),
+  new LexicalAdapter(),
+  new ProseMirrorAdapter(),
+  new QuillAdapter()
+];
+
+/**
+ * Get the adapter for the editor an input element belongs to
+ * @param {string|null} hint - The platform pack's `editor`, checked first
+ */
+export function getEditorAdapter(element, hint = null) {
+  if (!element || hint === genericAdapter.name) return genericAdapter;
+
+  const hinted = ADAPTERS.find(adapter => adapter.name === hint);
+  if (hinted?.detect(element)) return hinted;
+
+  return ADAPTERS.find(adapter => adapter.detect(element)) || genericAdapter;
+}
@@ -0,0 +1,19 @@
+/**
+ * Lexical Adapter
+ * Lexical reconciles the DOM from its editor state and handles paste through
+ * its PASTE_COMMAND, which splits plain text into paragraphs and line breaks
+ */
+
+import BaseEditorAdapter from './base-adapter.js';
+
+class LexicalAdapter extends BaseEditorAdapter {
+  constructor() {
+    super('lexical', '[data-lexical-editor="true"]');
+  }
+
+  async insert(element, text) {
+    return this.replaceByPaste(this.getEditable(element), text);
+  }
+}
+
+export default LexicalAdapter;
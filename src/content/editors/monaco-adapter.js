@@ -0,0 +1,63 @@
+/**
+ * Monaco Adapter
+ * Monaco keeps its text in a model and takes input through a hidden textarea
+ * (or an EditContext element in newer builds). Select-all goes through its
+ * keybinding, then a paste replaces the selection in the model
+ */
+
+import BaseEditorAdapter from './base-adapter.js';
+import {
+  dispatchPaste,
+  dispatchShortcut,
+  focusElement,
+  nextFrame,
+  normalizeEditorText,
+  settleSelection
+} from './dom-input.js';
+
+class MonacoAdapter extends BaseEditorAdapter {
+  constructor() {
+    super('monaco', '.monaco-editor');
+  }
+
+  getEditable(element) {
+    const root = this.getRoot(element);
+    return root?.querySelector('textarea.inputarea, textarea.ime-text-area, .native-edit-context') || element;
+  }
+
+  async insert(element, text) {
+    const editable = this.getEditable(element);
+
+    focusElement(editable);
+    dispatchShortcut(editable, 'a', { mod: true });
+    await settleSelection();
+
+    return dispatchPaste(editable, text);
+  }
+
+  /**
+   * Rendered lines in line order; only the visible viewport is rendered
+   */
+  read(element) {
+    const root = this.getRoot(element);
+    if (!root) return '';
+
+    return Array.from(root.querySelectorAll('.view-lines .view-line'))
+      .sort((a, b) => parseFloat(a.style.top) - parseFloat(b.style.top))
+      .map(line => line.textContent)
+      .join('\n');
+  }
+
+  /**
+   * Long prompts are virtualized, so the rendered lines only have to be part of the text
+   */
+  async verify(element, text) {
+    await nextFrame();
+
+    const rendered = normalizeEditorText(this.read(element));
+    const expected = normalizeEditorText(text);
+    return rendered === expected || (rendered.length > 0 && expected.includes(rendered));
+  }
+}
+
+export default MonacoAdapter;
@@ -0,0 +1,19 @@
+/**
+ * ProseMirror Adapter (Claude and other tiptap-based composers)
+ * ProseMirror rebuilds the DOM from its document model, so text written into
+ * the DOM directly can be reverted or dropped; a paste goes through its parser
+ */
+
+import BaseEditorAdapter from './base-adapter.js';
+
+class ProseMirrorAdapter extends BaseEditorAdapter {
+  constructor() {
+    super('prosemirror', '.ProseMirror');
+  }
+
+  async insert(element, text) {
+    return this.replaceByPaste(this.getEditable(element), text);
+  }
+}
+
+export default ProseMirrorAdapter;
@@ -0,0 +1,63 @@
+/**
+ * Quill Adapter (Gemini's rich-textarea)
+ * Quill 2 takes a paste from clipboardData like ProseMirror does. Quill 1
+ * pastes by letting the browser fill a hidden container, which a synthetic
+ * event never does, so there the text is typed in with insertText, one
+ * paragraph per line, and Quill's mutation observer folds it into the model
+ */
+
+import BaseEditorAdapter from './base-adapter.js';
+import {
+  focusElement,
+  nextFrame,
+  normalizeEditorLines,
+  runCommand,
+  selectContents,
+  settleSelection
+} from './dom-input.js';
+
+class QuillAdapter extends BaseEditorAdapter {
+  constructor() {
+    super('quill', '.ql-editor');
+  }
+
+  async insert(element, text) {
+    const editable = this.getEditable(element);
+
+    if (await this.replaceByPaste(editable, text)) {
+      return true;
+    }
+
+    // Quill 1 may have emptied the selection from its paste handler; select again
+    focusElement(editable);
+    selectContents(editable);
+    await settleSelection();
+
+    return text.split('\n').every((line, index) => {
+      if (index > 0 && !runCommand(editable, 'insertParagraph')) return false;
+      return !line || runCommand(editable, 'insertText', line);
+    });
+  }
+
+  read(element) {
+    const blocks = this.getEditable(element).children;
+    return Array.from(blocks, block => block.textContent).join('\n');
+  }
+
+  /**
+   * Quill toggles `ql-blank` from its model, so a blank flag on a non-empty
+   * injection means the model never saw the text. Lines are compared one by
+   * one, so lost paragraphs count as a failed write
+   */
+  async verify(element, text) {
+    await nextFrame();
+
+    const editable = this.getEditable(element);
+    if (normalizeEditorLines(text) && editable.classList.contains('ql-blank')) {
+      return false;
+    }
+    return normalizeEditorLines(this.read(element)) === normalizeEditorLines(text);
+  }
+}
+
+export default QuillAdapter;
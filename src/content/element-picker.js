@@ -0,0 +1,532 @@
+/**
+ * Element Picker
+ * Started from the popup: the user clicks the prompt field, then the element
+ * the button should sit in, adjusts the placement against a live preview and
+ * saves it as a site profile
+ */
+
+import browserCompat from '../shared/browser-compat.js';
+import { PLATFORMS } from '../shared/constants.js';
+import { deepQuerySelectorAll } from '../shared/deep-query.js';
+import { buildRobustSelector } from '../shared/learned-selectors.js';
+import platformRegistry from '../shared/platform-registry.js';
+import ProfileManager from '../shared/profile-manager.js';
+import {
+  PLACEMENT_MODES,
+  derivePathPattern,
+  profileToPack,
+  validateProfile
+} from '../shared/site-profiles.js';
+import { renderStaticHTML } from '../shared/utils.js';
+import { SENDERS, createClient } from '../shared/messages.js';
+import { createDockingStrategy, insertAtAnchor } from './docking-strategies.js';
+
+const messages = createClient(SENDERS.CONTENT);
+
+const PANEL_ID = 'ape-element-picker';
+const DEFAULT_OFFSET = '12px';
+const TEST_PREVIEW_DURATION = 4000;
+
+const STEPS = {
+  PROMPT: 'prompt',
+  ANCHOR: 'anchor',
+  PREVIEW: 'preview',
+  SAVED: 'saved'
+};
+
+const STEP_TEXT = {
+  [STEPS.PROMPT]: 'Click the field where you type your prompt.',
+  [STEPS.ANCHOR]: 'Click the element the button should sit in, such as the composer box or its toolbar.',
+  [STEPS.PREVIEW]: 'Adjust the placement until the preview button looks right, then save.',
+  [STEPS.SAVED]: 'Profile saved. Reload the page to use it.'
+};
+
+const EDITABLE_SELECTOR = [
+  'textarea',
+  'input:not([type])',
+  'input[type="text"]',
+  'input[type="search"]',
+  '[contenteditable=""]',
+  '[contenteditable="true"]',
+  '[role="textbox"]'
+].join(', ');
+
+// Page handlers must not see clicks meant for the picker
+const BLOCKED_EVENTS = ['pointerdown', 'pointerup', 'mousedown', 'mouseup', 'click', 'dblclick', 'contextmenu'];
+
+class ElementPicker {
+  constructor() {
+    this.panel = null;
+    this.highlight = null;
+    this.step = null;
+    this.hovered = null;
+    this.basePack = null;
+    this.promptElement = null;
+    this.promptSelector = null;
+    this.anchorElement = null;
+    this.anchorSelector = null;
+    this.previewElement = null;
+    this.positionedContainer = null;
+    this.testTimer = null;
+    this.profileManager = new ProfileManager();
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerEvent = this.handlePointerEvent.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.updateHighlight = this.updateHighlight.bind(this);
+  }
+
+  isActive() {
+    return Boolean(this.panel?.isConnected);
+  }
+
+  /**
+   * Show the picker on this page, starting with the prompt field
+   */
+  async start() {
+    this.stop();
+
+    await platformRegistry.load();
+    this.basePack = platformRegistry.getPackForHost(window.location.hostname) ||
+      platformRegistry.getPack(PLATFORMS.GENERIC);
+
+    this.highlight = document.createElement('div');
+    this.highlight.className = 'ape-picker-highlight ape-hidden';
+    document.body.appendChild(this.highlight);
+
+    this.panel = this.createPanel();
+    document.body.appendChild(this.panel);
+
+    document.addEventListener('mousemove', this.handlePointerMove, true);
+    BLOCKED_EVENTS.forEach(type => document.addEventListener(type, this.handlePointerEvent, true));
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    window.addEventListener('scroll', this.updateHighlight, true);
+
+    this.setStep(STEPS.PROMPT);
+  }
+
+  /**
+   * Remove the picker and its preview, leaving the page as it was
+   */
+  stop() {
+    clearTimeout(this.testTimer);
+    this.clearPreview();
+
+    document.removeEventListener('mousemove', this.handlePointerMove, true);
+    BLOCKED_EVENTS.forEach(type => document.removeEventListener(type, this.handlePointerEvent, true));
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    window.removeEventListener('scroll', this.updateHighlight, true);
+
+    this.panel?.remove();
+    this.highlight?.remove();
+    this.panel = null;
+    this.highlight = null;
+    this.step = null;
+    this.hovered = null;
+    this.promptElement = null;
+    this.promptSelector = null;
+    this.anchorElement = null;
+    this.anchorSelector = null;
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    panel.className = 'ape-picker-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Create a site profile');
+
+    renderStaticHTML(panel, `
+      <div class="ape-picker-header">
+        <span class="ape-picker-title">🎯 Site profile</span>
+        <span class="ape-picker-host"></span>
+      </div>
+      <p class="ape-picker-instructions"></p>
+      <div class="ape-picker-selector ape-hidden" data-field="prompt">
+        <span class="ape-picker-label">Prompt field</span>
+        <code></code>
+      </div>
+      <div class="ape-picker-selector ape-hidden" data-field="anchor">
+        <span class="ape-picker-label">Button container</span>
+        <code></code>
+      </div>
+      <div class="ape-picker-options ape-hidden">
+        <label class="ape-picker-field ape-picker-field-wide">
+          <span class="ape-picker-label">Placement</span>
+          <select name="mode"></select>
+        </label>
+        <label class="ape-picker-field">
+          <span class="ape-picker-label">Offset X</span>
+          <input type="text" name="offsetX" spellcheck="false">
+        </label>
+        <label class="ape-picker-field">
+          <span class="ape-picker-label">Offset Y</span>
+          <input type="text" name="offsetY" spellcheck="false">
+        </label>
+        <label class="ape-picker-field ape-picker-field-wide">
+          <span class="ape-picker-label">Pages (path pattern, * and ** wildcards)</span>
+          <input type="text" name="pathPattern" placeholder="Every page on this site" spellcheck="false">
+        </label>
+      </div>
+      <div class="ape-picker-message ape-hidden"></div>
+      <div class="ape-picker-actions">
+        <button type="button" class="ape-btn ape-btn-secondary" data-action="skip" data-steps="anchor">Use its container</button>
+        <button type="button" class="ape-btn ape-btn-secondary" data-action="restart" data-steps="anchor preview">Start over</button>
+        <button type="button" class="ape-btn ape-btn-secondary" data-action="cancel" data-steps="prompt anchor preview">Cancel</button>
+        <button type="button" class="ape-btn ape-btn-primary" data-action="save" data-steps="preview">Save profile</button>
+        <button type="button" class="ape-btn ape-btn-secondary" data-action="cancel" data-steps="saved">Close</button>
+        <button type="button" class="ape-btn ape-btn-primary" data-action="reload" data-steps="saved">Reload page</button>
+      </div>
+    `);
+
+    panel.querySelector('.ape-picker-host').textContent = window.location.hostname;
+
+    const modeSelect = panel.querySelector('select[name="mode"]');
+    PLACEMENT_MODES.forEach((mode) => {
+      const option = document.createElement('option');
+      option.value = mode.id;
+      option.textContent = mode.label;
+      modeSelect.appendChild(option);
+    });
+
+    panel.querySelector('input[name="offsetX"]').value = DEFAULT_OFFSET;
+    panel.querySelector('input[name="offsetY"]').value = DEFAULT_OFFSET;
+    panel.querySelector('input[name="pathPattern"]').value = derivePathPattern(window.location.pathname) || '';
+
+    panel.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (button) {
+        this.handleAction(button.dataset.action);
+      }
+    });
+
+    panel.querySelector('.ape-picker-options').addEventListener('input', () => {
+      this.updatePreview();
+    });
+
+    return panel;
+  }
+
+  setStep(step) {
+    this.step = step;
+
+    this.panel.querySelector('.ape-picker-instructions').textContent = STEP_TEXT[step];
+    this.panel.querySelectorAll('[data-steps]').forEach((button) => {
+      button.classList.toggle('ape-hidden', !button.dataset.steps.split(' ').includes(step));
+    });
+    this.panel.querySelector('.ape-picker-options')
+      .classList.toggle('ape-hidden', step !== STEPS.PREVIEW);
+
+    this.showSelector('prompt', this.promptSelector);
+    this.showSelector('anchor', step === STEPS.PREVIEW || step === STEPS.SAVED
+      ? this.anchorSelector || "Prompt field's container"
+      : null);
+    this.setMessage(null);
+
+    if (!this.isPicking()) {
+      this.highlight.classList.add('ape-hidden');
+    }
+  }
+
+  showSelector(field, selector) {
+    const row = this.panel.querySelector(`[data-field="${field}"]`);
+    row.classList.toggle('ape-hidden', !selector);
+    row.querySelector('code').textContent = selector || '';
+  }
+
+  setMessage(message, type = 'info') {
+    const element = this.panel?.querySelector('.ape-picker-message');
+    if (!element) return;
+
+    element.textContent = message || '';
+    element.className = `ape-picker-message ape-picker-message-${type}`;
+    element.classList.toggle('ape-hidden', !message);
+  }
+
+  isPicking() {
+    return this.step === STEPS.PROMPT || this.step === STEPS.ANCHOR;
+  }
+
+  /**
+   * The element under the pointer, inside open shadow roots too
+   */
+  getEventTarget(event) {
+    const [target] = event.composedPath();
+    const element = target?.nodeType === Node.ELEMENT_NODE ? target : event.target;
+    return element instanceof Element ? element : null;
+  }
+
+  isPickerElement(element) {
+    return Boolean(element) && (this.panel?.contains(element) || element === this.highlight);
+  }
+
+  handlePointerMove(event) {
+    if (!this.isPicking()) return;
+
+    const element = this.getEventTarget(event);
+    if (this.isPickerElement(element)) return;
+
+    this.hovered = element;
+    this.updateHighlight();
+  }
+
+  updateHighlight() {
+    if (!this.highlight || !this.hovered?.isConnected || !this.isPicking()) {
+      this.highlight?.classList.add('ape-hidden');
+      return;
+    }
+
+    this.positionHighlight(this.hovered);
+  }
+
+  positionHighlight(element) {
+    const rect = element.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    this.highlight.classList.remove('ape-hidden');
+  }
+
+  handlePointerEvent(event) {
+    if (!this.isPicking()) return;
+
+    const element = this.getEventTarget(event);
+    if (!element || this.isPickerElement(element)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+
+    if (event.type === 'click') {
+      this.handlePick(element);
+    }
+  }
+
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.stop();
+    }
+  }
+
+  handlePick(element) {
+    if (this.step === STEPS.PROMPT) {
+      const editable = element.closest(EDITABLE_SELECTOR) || element.querySelector(EDITABLE_SELECTOR);
+      const selector = editable && buildRobustSelector(editable);
+
+      if (!selector) {
+        this.setMessage('That is not a text field. Click where you type your prompt.', 'error');
+        return;
+      }
+
+      this.promptElement = editable;
+      this.promptSelector = selector;
+      this.setStep(STEPS.ANCHOR);
+      return;
+    }
+
+    const selector = buildRobustSelector(element);
+    if (!selector) {
+      this.setMessage('Could not build a selector for that element. Try its parent.', 'error');
+      return;
+    }
+
+    this.useAnchor(element, selector);
+  }
+
+  /**
+   * Move on to the preview with the picked container (null for the prompt field's parent)
+   */
+  useAnchor(element, selector) {
+    this.anchorElement = element;
+    this.anchorSelector = selector;
+
+    // Buttons usually go inside a box around the field, or next to the field's toolbar buttons
+    const insideBox = !element || element.contains(this.promptElement);
+    this.panel.querySelector('select[name="mode"]').value = insideBox ? 'inside-bottom-right' : 'toolbar';
+
+    this.setStep(STEPS.PREVIEW);
+    this.updatePreview();
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case 'skip':
+        this.useAnchor(null, null);
+        break;
+      case 'restart':
+        this.clearPreview();
+        this.promptElement = null;
+        this.promptSelector = null;
+        this.anchorElement = null;
+        this.anchorSelector = null;
+        this.setStep(STEPS.PROMPT);
+        break;
+      case 'save':
+        this.save();
+        break;
+      case 'reload':
+        window.location.reload();
+        break;
+      default:
+        this.stop();
+    }
+  }
+
+  /**
+   * Profile from the picked selectors and the panel's options
+   */
+  buildProfile() {
+    const field = name => this.panel.querySelector(`[name="${name}"]`).value.trim();
+    const pathPattern = field('pathPattern') || null;
+
+    return {
+      name: `${window.location.hostname}${pathPattern || ''}`,
+      domain: window.location.hostname,
+      pathPattern,
+      promptSelector: this.promptSelector,
+      anchorSelector: this.anchorSelector,
+      mode: field('mode'),
+      offsetX: field('offsetX') || DEFAULT_OFFSET,
+      offsetY: field('offsetY') || DEFAULT_OFFSET,
+      size: '32px',
+      enabled: true
+    };
+  }
+
+  /**
+   * Show a stand-in button where the profile being built would dock it
+   */
+  updatePreview() {
+    this.clearPreview();
+    if (this.step !== STEPS.PREVIEW) return;
+
+    if (!this.placePreview({ id: 'preview', ...this.buildProfile() }, this.promptElement)) {
+      this.setMessage('The button cannot be placed with this container. Start over and pick another one.', 'error');
+      return;
+    }
+    this.setMessage(null);
+  }
+
+  /**
+   * Place a stand-in button exactly where a profile would dock it
+   * @returns {boolean} whether the profile's placement found its container
+   */
+  placePreview(profile, promptElement) {
+    const pack = profileToPack(profile, this.basePack);
+    const strategy = createDockingStrategy(pack);
+    const anchor = strategy.findAnchor(promptElement);
+    if (!anchor) return false;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.tabIndex = -1;
+    renderStaticHTML(button, `
+      <img class="ape-icon-enhance" src="${browserCompat.getURL('assets/icons/icon-48.png')}" alt="" style="width: 100%; height: 100%; display: block; object-fit: contain;">
+    `);
+    strategy.applyStyles(button);
+    button.classList.add('ape-picker-preview');
+
+    if (anchor.positionContainer && anchor.container.nodeType === Node.ELEMENT_NODE) {
+      this.positionedContainer = { element: anchor.container, position: anchor.container.style.position };
+    }
+
+    this.previewElement = insertAtAnchor(anchor, button);
+    return true;
+  }
+
+  clearPreview() {
+    this.previewElement?.remove();
+    this.previewElement = null;
+
+    if (this.positionedContainer) {
+      this.positionedContainer.element.style.position = this.positionedContainer.position;
+      this.positionedContainer = null;
+    }
+  }
+
+  async save() {
+    let profile;
+    try {
+      profile = validateProfile(this.buildProfile());
+    } catch (error) {
+      this.setMessage(error.message, 'error');
+      return;
+    }
+
+    try {
+      await this.profileManager.initialize();
+
+      // Picking again for the same pages updates that profile
+      const existing = this.profileManager.getAllProfiles().find(saved =>
+        !this.profileManager.isBuiltInProfile(saved) &&
+        saved.domain === profile.domain &&
+        (saved.pathPattern || null) === profile.pathPattern
+      );
+      profile.id = existing?.id;
+      profile.createdAt = existing?.createdAt || Date.now();
+
+      await this.profileManager.saveProfile(profile);
+      // A profile was just made for this site, so turn the extension on if it has no setting yet
+      const { enabled: siteEnabled } = await messages.enableSite();
+
+      this.clearPreview();
+      this.setStep(STEPS.SAVED);
+      if (!siteEnabled) {
+        this.setMessage('The extension is turned off for this site. Enable it from the popup.', 'warning');
+      }
+    } catch (error) {
+      console.error('[APE] Failed to save site profile:', error);
+      this.setMessage(`Could not save the profile: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Check a profile against this page (options page "Test") and briefly show
+   * the prompt field it finds and where the button would go
+   * @returns {Promise<Object>} { title, url, pathMatches, promptMatches, anchorMatches, placed }
+   */
+  async test(profile) {
+    this.stop();
+
+    await platformRegistry.load();
+    this.basePack = platformRegistry.getPackForHost(window.location.hostname) ||
+      platformRegistry.getPack(PLATFORMS.GENERIC);
+
+    const countMatches = (selector) => {
+      try {
+        return selector ? deepQuerySelectorAll(selector) : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    const promptElements = countMatches(profile.promptSelector);
+    const anchorElements = countMatches(profile.anchorSelector);
+    const placed = promptElements.length > 0 && this.placePreview(profile, promptElements[0]);
+
+    if (promptElements.length > 0) {
+      this.highlight = document.createElement('div');
+      this.highlight.className = 'ape-picker-highlight';
+      document.body.appendChild(this.highlight);
+      this.positionHighlight(promptElements[0]);
+
+      this.testTimer = setTimeout(() => this.stop(), TEST_PREVIEW_DURATION);
+    }
+
+    return {
+      title: document.title,
+      url: window.location.href,
+      pathMatches: !profile.pathPattern || this.profileManager.matchesPath(window.location.pathname, profile.pathPattern),
+      promptMatches: promptElements.length,
+      anchorMatches: anchorElements.length,
+      placed
+    };
+  }
+}
+
+export default ElementPicker;
@@ -0,0 +1,91 @@
+/**
+ * Enhancement Client
+ * EnhancementPresets for content scripts: presets run in the background (see
+ * background/enhancement-runner.js), which holds the decrypted API keys and makes
+ * every provider request. Only context goes out and only results come back
+ */
+
+import browserCompat from '../shared/browser-compat.js';
+import { ENHANCE_REQUEST, ERROR_MESSAGES } from '../shared/constants.js';
+import { createCancelError } from '../shared/providers/index.js';
+import { ACTIONS, MESSAGE_ERRORS, readResponse } from '../shared/messages.js';
+import EnhancementPresets from './enhancement-presets.js';
+
+class EnhancementClient extends EnhancementPresets {
+  async enhance(context, enhancementType, settings = {}, streamOptions = {}) {
+    return await this.requestEnhancement(context, enhancementType, streamOptions);
+  }
+
+  /**
+   * Variants go through here; custom instructions come from the saved settings
+   */
+  async enhanceWithPreset(context, presetKey, customPrompt = null, streamOptions = {}) {
+    return await this.requestEnhancement(context, presetKey, streamOptions);
+  }
+
+  /**
+   * Run an enhancement in the background over a port
+   * Aborting the signal disconnects, which cancels the provider request
+   * @param {Object} options - { signal, onChunk(delta, fullText), temperature }
+   */
+  requestEnhancement(context, enhancementType, { signal, onChunk, temperature } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(createCancelError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const port = browserCompat.connect(ENHANCE_REQUEST.PORT);
+      let streamedText = '';
+      let settled = false;
+
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        port.disconnect();
+        callback(value);
+      };
+      const onAbort = () => finish(reject, createCancelError());
+
+      port.onMessage.addListener((message) => {
+        if (message.type === 'chunk') {
+          onChunk?.(message.text.slice(streamedText.length), message.text);
+          streamedText = message.text;
+          return;
+        }
+        if (message.type !== 'result') return;
+
+        let response;
+        try {
+          response = readResponse(ACTIONS.START_ENHANCEMENT, message.response);
+        } catch (error) {
+          if (error.code === MESSAGE_ERRORS.KEY_LOCKED) {
+            error.name = 'KeyLockedError';
+          }
+          finish(reject, error);
+          return;
+        }
+
+        this.lastRun = {
+          provider: response.provider,
+          model: response.model,
+          redactions: response.redactions || []
+        };
+        finish(resolve, response.text);
+      });
+
+      // The worker was stopped or the extension reloaded mid-request
+      port.onDisconnect.addListener(() => {
+        finish(reject, new Error(browserCompat.runtime.lastError?.message || ERROR_MESSAGES.API_ERROR));
+      });
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      port.postMessage({
+        type: 'start',
+        data: { context, enhancementType, temperature, stream: Boolean(onChunk) }
+      });
+    });
+  }
+}
+
+export default EnhancementClient;
@@ -3,12 +3,33 @@
  * Defines different enhancement strategies for various use cases
  */
 
-import browserCompat from '../shared/browser-compat.js';
-import { GEMINI_API, ERROR_MESSAGES, PROMPT_TEMPLATES, ENHANCEMENT_PRESETS } from '../shared/constants.js';
-import { TEST_MODE_ENABLED, HARDCODED_API_KEY } from '../shared/test-config.js';
+import settingsService from '../shared/settings-service.js';
+import {
+  PROMPT_TEMPLATES,
+  ENHANCEMENT_PRESETS,
+  VARIANT_CONFIG,
+  CONTEXT_BUDGET,
+  DEFAULT_SETTINGS,
+  ENHANCE_REQUEST
+} from '../shared/constants.js';
+import { getProvider, resolveProviderSettings } from '../shared/providers/index.js';
+import { retryWithBackoff, estimateTokens } from '../shared/utils.js';
+import Redactor from '../shared/redaction.js';
+import { SENDERS, createClient } from '../shared/messages.js';
+import ContextExtractor from './context-extractor.js';
+import PromptEnhancer from './prompt-enhancer.js';
+
+const messages = createClient(SENDERS.CONTENT);
 
 class EnhancementPresets {
-  constructor() {
+  /**
+   * @param {ContextExtractor} contextExtractor - ranks and summarizes conversation history
+   * @param {Object} subscriptionManager - answers getActiveSubscription(); without one the
+   *   subscription is requested from the background
+   */
+  constructor(contextExtractor = new ContextExtractor(null), subscriptionManager = null) {
+    this.contextExtractor = contextExtractor;
+    this.subscriptionManager = subscriptionManager;
     this.presets = {
       [ENHANCEMENT_PRESETS.CONCISE]: {
         name: 'Concise & Clear',
@@ -114,6 +135,7 @@ Return ONLY the enhanced prompt without any explanation.`,
     };
 
     this.contextInvalidNotified = false;
+    this.lastRun = null; // { provider, model, redactions } of the most recent enhancement
   }
 
   getAllPresets() {
@@ -127,72 +149,209 @@ Return ONLY the enhanced prompt without any explanation.`,
     return this.presets[key] || this.presets[ENHANCEMENT_PRESETS.BALANCED];
   }
 
-  async enhanceWithPreset(context, presetKey, customPrompt = null) {
+  /**
+   * Enhance a prompt the way both the inline button and the v2 button do: with the
+   * preset, falling back to PromptEnhancer if the preset run fails
+   * @param {Object} settings - custom enhancement instructions and fallback provider settings
+   * @param {Object} streamOptions - { onChunk, signal } forwarded to enhanceWithPreset; signal also cancels the fallback
+   */
+  async enhance(context, enhancementType, settings = {}, streamOptions = {}) {
+    const customPrompt = enhancementType === ENHANCEMENT_PRESETS.CUSTOM ? settings.customEnhancementPrompt : null;
+
+    try {
+      return await this.enhanceWithPreset(
+        context,
+        enhancementType || ENHANCEMENT_PRESETS.BALANCED,
+        customPrompt,
+        streamOptions
+      );
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'KeyLockedError') {
+        throw error;
+      }
+      console.error('[EnhancementPresets] Enhancement error:', error);
+
+      const fallback = await new PromptEnhancer({
+        getActiveSubscription: () => this.getSubscription()
+      }).enhancePrompt(context, settings, streamOptions.signal);
+      this.lastRun = {
+        provider: fallback.method === 'rule-based' ? 'rules' : fallback.method,
+        model: fallback.model || null,
+        redactions: fallback.redactions || []
+      };
+      return fallback.enhanced;
+    }
+  }
+
+  /**
+   * Enhance a prompt with a preset
+   * @param {Object} streamOptions - { onChunk(delta, fullText), signal } to stream AI output,
+   *   plus an optional sampling `temperature`
+   */
+  async enhanceWithPreset(context, presetKey, customPrompt = null, streamOptions = {}) {
     const preset = this.getPreset(presetKey);
     const settings = await this.getSettings();
     const subscription = await this.getSubscription();
 
-    const apiKey = settings.geminiKey
-      || subscription?.apiKey
-      || (TEST_MODE_ENABLED ? HARDCODED_API_KEY : null);
+    const providerSettings = resolveProviderSettings(settings, subscription);
+    this.lastRun = { provider: 'rules', model: null };
 
-    if (apiKey) {
-      return await this.enhanceWithAI(context, preset, presetKey, customPrompt, apiKey, settings);
+    if (providerSettings) {
+      return await this.enhanceWithAI(context, preset, presetKey, customPrompt, providerSettings, settings, streamOptions);
     }
 
     return await this.enhanceWithRules(context, preset);
   }
 
-  async enhanceWithAI(context, preset, presetKey, customPrompt, apiKey, settings) {
+  async enhanceWithAI(context, preset, presetKey, customPrompt, providerSettings, settings, streamOptions = {}) {
     const templateType = settings.promptTemplateType || 'standard';
     const systemPrompt = presetKey === ENHANCEMENT_PRESETS.CUSTOM && customPrompt
       ? customPrompt
       : preset.systemPrompt;
 
-    const enhancementRequest = this.buildEnhancementRequest(
+    // Secrets and PII are replaced before the request reaches the provider;
+    // placeholders are restored in the output
+    const redactor = new Redactor(settings.redaction);
+    const provider = getProvider(providerSettings.provider);
+    let enhancementRequest = this.buildEnhancementRequest(
       systemPrompt,
-      context,
-      settings
+      redactor.redactContext(context),
+      settings,
+      provider
     );
+    if (redactor.hasRedactions) {
+      enhancementRequest += `\n\n${redactor.getInstructions()}`;
+    }
+
+    const requestOptions = {
+      prompt: enhancementRequest,
+      apiKey: providerSettings.apiKey,
+      model: providerSettings.model,
+      baseUrl: providerSettings.baseUrl,
+      timeout: providerSettings.timeout,
+      generationConfig: {
+        temperature: streamOptions.temperature ?? 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 2048
+      }
+    };
 
     try {
-      const response = await fetch(
-        `${GEMINI_API.BASE_URL}/models/${GEMINI_API.MODEL}:generateContent`,
+      let enhanced = null;
+
+      if (streamOptions.onChunk) {
+        enhanced = await this.streamFromProvider(provider, requestOptions, {
+          ...streamOptions,
+          onChunk: (delta, fullText) => streamOptions.onChunk(delta, redactor.restore(fullText))
+        });
+      }
+
+      if (!enhanced) {
+        // Network errors, timeouts, rate limits and server errors are retried;
+        // local servers carry their own retry policy
+        enhanced = await retryWithBackoff(
+          () => provider.generate({ ...requestOptions, signal: streamOptions.signal }),
+          providerSettings.maxRetries || ENHANCE_REQUEST.MAX_RETRIES,
+          providerSettings.retryDelay || ENHANCE_REQUEST.RETRY_DELAY,
+          streamOptions.signal
+        );
+      }
+
+      this.lastRun = {
+        provider: providerSettings.provider,
+        model: providerSettings.model,
+        redactions: redactor.getSummary()
+      };
+      return redactor.restore(this.cleanEnhancedPrompt(enhanced, { templateType, presetKey }));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.error(`[EnhancementPresets] ${provider.name} API error:`, error);
+      return await this.enhanceWithRules(context, preset);
+    }
+  }
+
+  /**
+   * Generate alternative enhancements for the preview panel
+   * Candidates are produced one at a time and reported through onVariant;
+   * results identical to an earlier candidate are dropped
+   * @param {Object} options - { mode, count, basePreset, baseText, customPrompt, signal, onVariant }
+   * @returns {Promise<Array<{preset, text, provider, model}>>}
+   */
+  async generateVariants(context, options = {}) {
+    const {
+      mode = VARIANT_CONFIG.MODES.PRESETS,
+      count = VARIANT_CONFIG.MIN_COUNT,
+      basePreset = ENHANCEMENT_PRESETS.BALANCED,
+      baseText = '',
+      customPrompt = null,
+      signal = null,
+      onVariant = () => {}
+    } = options;
+
+    const sampling = mode === VARIANT_CONFIG.MODES.SAMPLING;
+    const total = Math.min(Math.max(count, VARIANT_CONFIG.MIN_COUNT), VARIANT_CONFIG.MAX_COUNT);
+
+    // The current result is the first candidate, so only the rest are generated
+    const presetKeys = sampling
+      ? Array(total - 1).fill(basePreset)
+      : VARIANT_CONFIG.PRESETS.filter(key => key !== basePreset);
+
+    const seen = new Set([baseText.trim()]);
+    const variants = [];
+
+    for (const presetKey of presetKeys) {
+      const text = await this.enhanceWithPreset(
+        context,
+        presetKey,
+        presetKey === ENHANCEMENT_PRESETS.CUSTOM ? customPrompt : null,
         {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-goog-api-key': apiKey
-          },
-          body: JSON.stringify({
-            contents: [{
-              parts: [{ text: enhancementRequest }]
-            }],
-            generationConfig: {
-              temperature: 0.7,
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 2048
-            }
-          })
+          signal,
+          temperature: sampling ? VARIANT_CONFIG.SAMPLING_TEMPERATURE : undefined
         }
       );
 
-      if (!response.ok) {
-        throw new Error(`${ERROR_MESSAGES.API_ERROR} (status ${response.status})`);
-      }
+      if (signal?.aborted) break;
+
+      const trimmed = (text || '').trim();
+      if (!trimmed || seen.has(trimmed)) continue;
+      seen.add(trimmed);
+
+      const variant = { preset: presetKey, text: trimmed, ...this.lastRun };
+      variants.push(variant);
+      onVariant(variant);
+    }
+
+    return variants;
+  }
 
-      const data = await response.json();
-      const enhanced = data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || '';
+  /**
+   * Stream the provider response, returning null if the stream failed before
+   * any text arrived so the caller can retry without streaming
+   */
+  async streamFromProvider(provider, requestOptions, { onChunk, signal }) {
+    let receivedText = false;
 
-      return this.cleanEnhancedPrompt(enhanced, { templateType, presetKey });
+    try {
+      return await provider.stream({ ...requestOptions, signal }, (delta, fullText) => {
+        receivedText = true;
+        onChunk(delta, fullText);
+      });
     } catch (error) {
-      console.error('[EnhancementPresets] Gemini API error:', error);
-      return await this.enhanceWithRules(context, preset);
+      if (error.name === 'AbortError' || receivedText) {
+        throw error;
+      }
+      console.warn(`[EnhancementPresets] ${provider.name} streaming failed, retrying without streaming:`, error);
+      return null;
     }
   }
 
-  buildEnhancementRequest(systemPrompt, context, settings = {}) {
+  /**
+   * @param {BaseProvider} provider - used for token estimates when packing history
+   */
+  buildEnhancementRequest(systemPrompt, context, settings = {}, provider = null) {
     const userInput = context.currentPrompt || '';
     const templateType = settings.promptTemplateType || 'standard';
     const enhancementLevel = settings.enhancementLevel || 'moderate';
@@ -213,15 +372,16 @@ Return ONLY the enhanced prompt without any explanation.`,
         request = `${systemPrompt.trim()}\n\n${request}`;
       }
 
-      if (context.conversationHistory && context.conversationHistory.length > 0) {
-        const recentMessages = context.conversationHistory.slice(-3);
-        const contextSummary = recentMessages
-          .map((msg, idx) => `${idx + 1}. [${msg.role}]: ${msg.content.substring(0, 200)}`)
-          .join('\n');
-
+      const contextSummary = this.formatConversationHistory(context, settings, provider);
+      if (contextSummary) {
         request += `\n\nConversation Snapshot:\n${contextSummary}`;
       }
 
+      const selectionContext = this.formatSelectionContext(context);
+      if (selectionContext) {
+        request += `\n\n${selectionContext}`;
+      }
+
       return request;
     }
 
@@ -254,14 +414,26 @@ Return ONLY the enhanced prompt without any explanation.`,
     // Intelligent context inclusion
     const conversationHistory = context.conversationHistory || [];
     const needsContext = this.contextIsRelevant(userInput, conversationHistory);
-    
-    if (needsContext && conversationHistory.length > 0) {
-      const recentMessages = conversationHistory.slice(-3);
-      const contextSummary = recentMessages
-        .map((msg, idx) => `${idx + 1}. [${msg.role}]: ${msg.content.substring(0, 200)}`)
-        .join('\n');
-      
-      const conversationContext = `CONVERSATION HISTORY:\n${contextSummary}\n`;
+    const selectionContext = this.formatSelectionContext(context);
+    let conversationContext = '';
+
+    const contextSummary = needsContext
+      ? this.formatConversationHistory(context, settings, provider)
+      : '';
+    if (contextSummary) {
+      conversationContext = `CONVERSATION HISTORY:\n${contextSummary}\n`;
+    }
+
+    if (selectionContext) {
+      conversationContext += `${conversationContext ? '\n' : ''}${selectionContext}\n`;
+
+      // Custom templates may not have a context slot
+      if (!/\$\{conversationContext\}/.test(request)) {
+        request += `\n\n${selectionContext}`;
+      }
+    }
+
+    if (conversationContext) {
       request = request.replace(/\$\{conversationContext\}/g, conversationContext);
     } else {
       // Remove the conversation context placeholder
@@ -271,6 +443,44 @@ Return ONLY the enhanced prompt without any explanation.`,
     return request;
   }
 
+  /**
+   * Conversation history packed under settings.contextTokenBudget, measured
+   * with the provider's tokenizer approximation
+   */
+  formatConversationHistory(context, settings = {}, provider = null) {
+    const history = context.conversationHistory || [];
+    if (history.length === 0) return '';
+
+    const budget = Math.min(
+      Math.max(settings.contextTokenBudget ?? DEFAULT_SETTINGS.contextTokenBudget, CONTEXT_BUDGET.MIN_TOKENS),
+      CONTEXT_BUDGET.MAX_TOKENS
+    );
+    const packed = this.contextExtractor.packHistory(context.currentPrompt || '', history, {
+      budget,
+      countTokens: provider ? text => provider.estimateTokens(text) : estimateTokens,
+      maxMessages: settings.contextWindow || DEFAULT_SETTINGS.contextWindow
+    });
+
+    const lines = packed.messages.map((msg, idx) => `${idx + 1}. [${msg.role}]: ${msg.content}`);
+    if (packed.summary) {
+      lines.unshift(`Earlier: ${packed.summary}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Describe the rest of the prompt when only a selected slice is being enhanced
+   */
+  formatSelectionContext(context) {
+    const selection = context.promptSelection;
+    if (!selection) return '';
+
+    return `SELECTED EXCERPT: The input is an excerpt selected from a longer prompt. Enhance only the excerpt so it still reads naturally in place; do not repeat or rewrite the surrounding text.
+SURROUNDING PROMPT (context only):
+${selection.before}[SELECTED EXCERPT]${selection.after}`;
+  }
+
   formatEnhancementLevel(level) {
     const levelMap = {
       'light': 'Light',
@@ -366,7 +576,6 @@ Return ONLY the enhanced prompt without any explanation.`,
 
   async enhanceWithRules(context, preset) {
     const strategy = preset.ruleBasedStrategy || 'general';
-    const { default: PromptEnhancer } = await import('./prompt-enhancer.js');
     const enhancer = new PromptEnhancer(null);
 
     const strategies = {
@@ -383,8 +592,7 @@ Return ONLY the enhanced prompt without any explanation.`,
 
   async getSettings() {
     try {
-      const result = await browserCompat.storageGet(['enhancerSettings']);
-      return result.enhancerSettings || {};
+      return await settingsService.get();
     } catch (error) {
       const message = error?.message || String(error);
       if (message.includes('Extension context invalidated')) {
@@ -400,11 +608,12 @@ Return ONLY the enhanced prompt without any explanation.`,
   }
 
   async getSubscription() {
+    if (this.subscriptionManager) {
+      return await this.subscriptionManager.getActiveSubscription();
+    }
+
     try {
-      const response = await browserCompat.sendMessage({
-        action: 'getSubscription'
-      });
-      return response || { type: 'free' };
+      return await messages.getSubscription() || { type: 'free' };
     } catch (error) {
       const message = error?.message || String(error);
       if (message.includes('Extension context invalidated')) {
@@ -5,7 +5,9 @@
 
 import { UI_CONSTANTS, SUCCESS_MESSAGES, ERROR_MESSAGES } from '../shared/constants.js';
 import { copyToClipboard, generateId, renderStaticHTML } from '../shared/utils.js';
-import browserCompat from '../shared/browser-compat.js';
+import { SENDERS, createClient } from '../shared/messages.js';
+
+const messages = createClient(SENDERS.CONTENT);
 
 class FloatingUI {
   constructor(enhancer, extractor, domObserver, settings) {
@@ -77,11 +79,6 @@ class FloatingUI {
             </div>
           </div>
 
-          <div id="ape-changes-section" class="ape-section ape-hidden">
-            <label class="ape-label">Changes Made:</label>
-            <div id="ape-changes" class="ape-changes-list"></div>
-          </div>
-
           <div class="ape-section">
             <label class="ape-label">Context:</label>
             <div id="ape-context" class="ape-context-display">
@@ -263,20 +260,6 @@ class FloatingUI {
     if (enhancedDiv) {
       enhancedDiv.textContent = result.enhanced;
     }
-
-    // Display changes
-    if (result.changes && result.changes.length > 0) {
-      const changesSection = document.getElementById('ape-changes-section');
-      const changesList = document.getElementById('ape-changes');
-
-      if (changesSection && changesList) {
-        const changesMarkup = result.changes
-          .map(change => `<span class="ape-change-badge">${change}</span>`)
-          .join('');
-        renderStaticHTML(changesList, changesMarkup);
-        changesSection.classList.remove('ape-hidden');
-      }
-    }
   }
 
   /**
@@ -335,7 +318,7 @@ class FloatingUI {
    * Open settings (popup)
    */
   openSettings() {
-    browserCompat.sendMessage({ action: 'openOptions' });
+    messages.openOptions().catch(error => console.error('[APE] Failed to open settings:', error));
   }
 
   /**
@@ -343,9 +326,7 @@ class FloatingUI {
    */
   async updateSubscriptionStatus() {
     try {
-      const response = await browserCompat.sendMessage({
-        action: 'getSubscriptionInfo'
-      });
+      const response = await messages.getSubscription();
 
       const badge = document.getElementById('ape-tier-badge');
       if (badge) {
@@ -466,10 +447,7 @@ class FloatingUI {
    */
   async trackEvent(eventName, eventData = {}) {
     try {
-      await browserCompat.sendMessage({
-        action: 'trackEvent',
-        data: { eventName, eventData }
-      });
+      await messages.trackEvent({ eventName, eventData });
     } catch (error) {
       console.error('[APE] Failed to track event:', error);
     }
@@ -3,11 +3,36 @@
  * Provides inline button beside chatbox for prompt enhancement
  */
 
-import { UI_CONSTANTS, SUCCESS_MESSAGES, ERROR_MESSAGES, STORAGE_KEYS } from '../shared/constants.js';
-import { copyToClipboard, generateId, renderStaticHTML } from '../shared/utils.js';
-import browserCompat from '../shared/browser-compat.js';
-import DOCKING_STRATEGIES from './docking-strategies.js';
-import EnhancementPresets from './enhancement-presets.js';
+import {
+  UI_CONSTANTS,
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  DEFAULT_SETTINGS,
+  EXPORT_FORMATS
+} from '../shared/constants.js';
+import { copyToClipboard, downloadFile, generateId, renderStaticHTML } from '../shared/utils.js';
+import settingsService from '../shared/settings-service.js';
+import { getDockingStrategy, insertAtAnchor } from './docking-strategies.js';
+import EnhancementClient from './enhancement-client.js';
+import RevertManager from './revert-manager.js';
+import PreviewPanel from './preview-panel.js';
+import { formatRedactionSummary } from '../shared/redaction.js';
+import { formatConversation } from '../shared/conversation-export.js';
+import { deepQuerySelector } from '../shared/deep-query.js';
+import { createCancelError } from '../shared/providers/index.js';
+import { SENDERS, createClient } from '../shared/messages.js';
+
+const messages = createClient(SENDERS.CONTENT);
+
+export const ENHANCEMENT_OUTCOMES = {
+  APPLIED: 'applied',
+  REJECTED: 'rejected',
+  UNCHANGED: 'unchanged',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  EMPTY: 'empty',
+  BUSY: 'busy'
+};
 
 class InlineUI {
   constructor(enhancer, extractor, domObserver, settings) {
@@ -19,8 +44,14 @@ class InlineUI {
     this.currentButton = null;
     this.enhancedPrompt = null;
     this.isProcessing = false;
+    this.streamController = null;
+    this.streamedPartialText = false;
+    this.lastEnhancementMeta = null;
+    this.pressedSelection = null;
     this.buttonId = `ape-inline-btn-${generateId()}`;
-    this.presets = new EnhancementPresets();
+    this.presets = new EnhancementClient(extractor);
+    this.revertManager = new RevertManager(domObserver);
+    this.previewPanel = new PreviewPanel();
     this.extensionInvalidatedNotified = false;
     this.currentDockingTarget = null;
     this.composerObserver = null;
@@ -103,6 +134,8 @@ class InlineUI {
       this.currentButton = null;
     }
     
+    this.previewPanel.close();
+
     // Clear cached elements
     this.cachedInputElement = null;
   }
@@ -112,7 +145,8 @@ class InlineUI {
    */
   isButtonAttached() {
     if (!this.currentButton) return false;
-    return document.body.contains(this.currentButton);
+    // isConnected also holds inside shadow roots and iframes
+    return this.currentButton.isConnected;
   }
 
   /**
@@ -128,7 +162,7 @@ class InlineUI {
     }
 
     // Also check if a button with our ID already exists in the DOM
-    const existingButton = document.getElementById(this.buttonId);
+    const existingButton = deepQuerySelector(`#${this.buttonId}`);
     if (existingButton) {
       console.log('[APE InlineUI] Button already exists in DOM, reusing...');
       this.currentButton = existingButton;
@@ -185,6 +219,13 @@ class InlineUI {
       </svg>
     `);
 
+    // Pressing the button can clear the editor's selection, so read it first
+    button.addEventListener('pointerdown', () => {
+      if (this.isProcessing) return;
+      const inputElement = this.domObserver.findElement(this.domObserver.selectors.inputArea);
+      this.pressedSelection = this.domObserver.getInputSelection(inputElement);
+    });
+
     button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -235,6 +276,32 @@ class InlineUI {
         </button>
       </div>
       <div class="ape-context-menu-divider"></div>
+      <button class="ape-context-menu-item" data-action="revert" ${this.revertManager.canRevert() ? '' : 'disabled'}>
+        <span class="ape-context-menu-emoji">↩️</span>
+        <span class="ape-context-menu-text">Revert Last Enhancement</span>
+        <span class="ape-context-menu-shortcut">Alt+Z</span>
+      </button>
+      <div class="ape-context-menu-divider"></div>
+      <div class="ape-context-menu-section">
+        <div class="ape-context-menu-label">Export conversation</div>
+        <button class="ape-context-menu-item" data-action="export" data-format="${EXPORT_FORMATS.MARKDOWN.id}">
+          <span class="ape-context-menu-emoji">📝</span>
+          <span class="ape-context-menu-text">Download Markdown</span>
+        </button>
+        <button class="ape-context-menu-item" data-action="export" data-format="${EXPORT_FORMATS.JSON.id}">
+          <span class="ape-context-menu-emoji">🗂️</span>
+          <span class="ape-context-menu-text">Download JSON</span>
+        </button>
+        <button class="ape-context-menu-item" data-action="export" data-format="${EXPORT_FORMATS.TEXT.id}">
+          <span class="ape-context-menu-emoji">📄</span>
+          <span class="ape-context-menu-text">Download Plain Text</span>
+        </button>
+        <button class="ape-context-menu-item" data-action="copy-export" data-format="${EXPORT_FORMATS.MARKDOWN.id}">
+          <span class="ape-context-menu-emoji">📋</span>
+          <span class="ape-context-menu-text">Copy as Markdown</span>
+        </button>
+      </div>
+      <div class="ape-context-menu-divider"></div>
       <button class="ape-context-menu-item" data-action="open-settings">
         <span class="ape-context-menu-emoji">⚙️</span>
         <span class="ape-context-menu-text">Open Settings</span>
@@ -271,8 +338,14 @@ class InlineUI {
         await this.changeTemplate(template);
         this.showToast(`Switched to ${template === 'standard' ? 'Direct Enhancer' : 'Structured Blueprint'}`, 'success');
         menu.remove();
+      } else if (action === 'revert') {
+        menu.remove();
+        await this.revertLastEnhancement();
+      } else if (action === 'export' || action === 'copy-export') {
+        menu.remove();
+        await this.exportConversation(button.dataset.format, action === 'copy-export' ? 'copy' : 'download');
       } else if (action === 'open-settings') {
-        browserCompat.sendMessage({ action: 'openOptions' });
+        messages.openOptions().catch(error => console.error('[APE InlineUI] Failed to open settings:', error));
         menu.remove();
       }
     });
@@ -292,15 +365,7 @@ class InlineUI {
    */
   async changeTemplate(templateType) {
     try {
-      const settings = await this.getSettings();
-      settings.promptTemplateType = templateType;
-
-      await browserCompat.storageSet({
-        enhancerSettings: settings
-      });
-
-      // Update cached settings
-      this.settings = settings;
+      this.settings = await settingsService.update({ promptTemplateType: templateType });
     } catch (error) {
       console.error('[InlineUI] Failed to change template:', error);
     }
@@ -312,8 +377,8 @@ class InlineUI {
   dockButton(inputElement) {
     if (!this.currentButton) return false;
 
-    const platform = this.domObserver.platform;
-    const strategy = DOCKING_STRATEGIES[platform] || DOCKING_STRATEGIES.generic;
+    const { pack, genericPack } = this.domObserver;
+    const strategy = getDockingStrategy(pack, genericPack);
 
     const anchor = strategy.findAnchor(inputElement);
 
@@ -325,50 +390,47 @@ class InlineUI {
     this.resetButtonStyles();
     strategy.applyStyles(this.currentButton, anchor.container);
 
-    // Handle button insertion with optional wrapper (for Perplexity, AI Studio)
-    let elementToInsert = this.currentButton;
-    if (anchor.needsWrapper) {
-      const wrapperTag = anchor.wrapperTag || 'span';
-      const wrapperClass = anchor.wrapperClass || '';
-      const expectedTag = wrapperTag.toUpperCase();
-      
-      // Check if button is already wrapped correctly
-      const parent = this.currentButton.parentElement;
-      const isCorrectlyWrapped = parent && 
-                                 parent.tagName === expectedTag && 
-                                 (!wrapperClass || parent.classList.contains(wrapperClass));
-      
-      if (!isCorrectlyWrapped) {
-        const wrapper = document.createElement(wrapperTag);
-        if (wrapperClass) {
-          wrapper.className = wrapperClass;
-        }
-        wrapper.appendChild(this.currentButton);
-        elementToInsert = wrapper;
-      } else {
-        elementToInsert = parent;
-      }
-    }
+    // Wrapper (Perplexity, AI Studio) and container positioning come from the anchor
+    const elementToInsert = insertAtAnchor(anchor, this.currentButton);
 
-    if (anchor.position === 'before' && anchor.referenceNode) {
-      anchor.container.insertBefore(elementToInsert, anchor.referenceNode);
-    } else if (anchor.position === 'after' && anchor.referenceNode) {
-      anchor.container.insertBefore(elementToInsert, anchor.referenceNode.nextSibling);
-    } else {
-      anchor.container.appendChild(elementToInsert);
-    }
+    this.prepareForeignRoot(elementToInsert);
 
     this.currentDockingTarget = {
       container: anchor.container,
       strategy
     };
-    this.currentStrategyKey = platform in DOCKING_STRATEGIES ? platform : 'generic';
+    this.currentStrategyKey = pack.docking ? pack.id : genericPack.id;
 
     this.setupDockingObserver(anchor.container, strategy);
 
     return true;
   }
 
+  /**
+   * Composers inside a shadow root or same-origin iframe do not get the
+   * manifest stylesheet or trigger the body observer; add both there
+   */
+  prepareForeignRoot(element) {
+    const root = element.getRootNode();
+    if (root === document || !(root.host || root.nodeType === Node.DOCUMENT_NODE)) {
+      return;
+    }
+
+    if (!root.querySelector('link[data-ape-styles]')) {
+      const stylesheet = (root.ownerDocument || root).createElement('link');
+      stylesheet.rel = 'stylesheet';
+      stylesheet.href = chrome?.runtime?.getURL('assets/styles/inline-ui.css') ||
+        browser?.runtime?.getURL('assets/styles/inline-ui.css');
+      stylesheet.setAttribute('data-ape-styles', '');
+      (root.head || root).appendChild(stylesheet);
+    }
+
+    this.composerObserver?.observe(root, {
+      childList: true,
+      subtree: true
+    });
+  }
+
   resetButtonStyles() {
     if (!this.currentButton) return;
     
@@ -483,13 +545,39 @@ class InlineUI {
 
   /**
    * Handle enhance button click
+   * A second click while a response is streaming cancels it,
+   * and a click while the preview is open dismisses it
    */
   async handleEnhanceClick() {
     if (this.isProcessing) {
-      console.log('[APE InlineUI] Already processing...');
+      if (this.streamController) {
+        this.cancelEnhancement();
+      } else if (this.previewPanel.isOpen()) {
+        this.previewPanel.close();
+      } else {
+        console.log('[APE InlineUI] Already processing...');
+      }
       return;
     }
 
+    await this.runEnhancement();
+  }
+
+  /**
+   * Enhance the prompt in the chat input
+   * When part of the prompt is selected only that slice is enhanced and replaced
+   * @param {Object} options - { preview } overrides settings.showDiff,
+   *   { wholePrompt } ignores any selection
+   * @returns {Promise<string>} One of ENHANCEMENT_OUTCOMES
+   */
+  async runEnhancement(options = {}) {
+    const pressedSelection = this.pressedSelection;
+    this.pressedSelection = null;
+
+    if (this.isProcessing) {
+      return ENHANCEMENT_OUTCOMES.BUSY;
+    }
+
     this.isProcessing = true;
     this.showLoading();
 
@@ -497,89 +585,335 @@ class InlineUI {
       // Get current settings
       const settings = await this.getSettings();
 
+      const inputElement = await this.domObserver.findInputElement();
+      const selection = options.wholePrompt
+        ? null
+        : pressedSelection || this.domObserver.getInputSelection(inputElement);
+
       // Extract context
-      const context = await this.extractor.extractFullContext();
+      const context = await this.extractor.extractFullContext({ selection });
 
       if (!context.currentPrompt || context.currentPrompt.trim().length === 0) {
         this.showToast('No prompt to enhance', 'error');
-        return;
+        return ENHANCEMENT_OUTCOMES.EMPTY;
       }
 
       console.log('[APE InlineUI] Enhancing prompt...', {
         originalLength: context.currentPrompt.length,
-        contextMessages: context.conversationHistory.length
+        contextMessages: context.conversationHistory.length,
+        selectionOnly: Boolean(selection)
       });
 
       // Get enhancement type from settings
       const enhancementType = settings.currentEnhancementType || 'balanced';
+      const variantMode = settings.variantMode || DEFAULT_SETTINGS.variantMode;
+      let appliedPreset = enhancementType;
+      const originalPrompt = context.currentPrompt;
+      const startedAt = performance.now();
+      const snapshot = this.revertManager.capture(
+        inputElement,
+        selection ? this.domObserver.readInputText(inputElement) : originalPrompt
+      );
 
-      // Enhance prompt
-      const enhanced = await this.enhancePrompt(context, enhancementType, settings);
-
-      if (!enhanced) {
-        this.showToast('Enhancement failed', 'error');
-        return;
+      // With previews on, output streams into the popover and the editor is left alone
+      const usePreview = options.preview ?? settings.showDiff !== false;
+      const preview = usePreview ? this.previewPanel : null;
+      preview?.open(this.currentButton, () => this.cancelEnhancement());
+
+      // Partial output goes to the preview, or into the editor unless only a
+      // selection is being replaced (that is swapped in once, at the end)
+      let onPartial = null;
+      if (preview) {
+        onPartial = text => preview.setStreamingText(text);
+      } else if (selection) {
+        onPartial = () => {};
       }
-        const trimmedOriginal = context.currentPrompt.trim();
-        const trimmedEnhanced = enhanced.trim();
-        if (!trimmedEnhanced.length) {
-          this.showToast('No enhanced content returned', 'warning');
-          return;
-        }
-        if (trimmedEnhanced === trimmedOriginal) {
-          this.showToast('No changes were applied to the prompt', 'info');
-          return;
+
+      let enhanced;
+      try {
+        enhanced = await this.streamEnhancement(context, enhancementType, settings, onPartial);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          await this.restoreAfterStream(snapshot, !preview);
+          this.showToast(preview ? 'Enhancement cancelled' : 'Enhancement cancelled. Original prompt restored.', 'info');
+          return ENHANCEMENT_OUTCOMES.CANCELLED;
         }
+        throw error;
+      }
 
-      this.enhancedPrompt = enhanced;
+      const trimmedOriginal = originalPrompt.trim();
+      const trimmedEnhanced = (enhanced || '').trim();
+      if (!trimmedEnhanced.length) {
+        await this.restoreAfterStream(snapshot);
+        this.showToast(enhanced ? 'No enhanced content returned' : 'Enhancement failed', enhanced ? 'warning' : 'error');
+        return ENHANCEMENT_OUTCOMES.FAILED;
+      }
+      if (trimmedEnhanced === trimmedOriginal) {
+        await this.restoreAfterStream(snapshot);
+        this.showToast('No changes were applied to the prompt', 'info');
+        return ENHANCEMENT_OUTCOMES.UNCHANGED;
+      }
 
       console.log('[APE InlineUI] Enhancement complete', {
         enhancedLength: enhanced.length,
-        difference: enhanced.length - context.currentPrompt.length
+        difference: enhanced.length - originalPrompt.length
       });
 
-      // Replace text in chatbox
-      const success = await this.domObserver.injectEnhancedPrompt(enhanced);
+      const redactionNotice = this.getRedactionNotice();
+
+      if (preview) {
+        this.hideLoading();
+        const decision = await preview.presentResult({
+          original: originalPrompt,
+          enhanced,
+          notice: redactionNotice,
+          changes: this.enhancer.identifyChanges(originalPrompt, enhanced),
+          preset: enhancementType,
+          presetLabel: this.presets.getPreset(enhancementType).name,
+          onRequestVariants: (onVariant, signal) => this.presets.generateVariants(context, {
+            mode: variantMode,
+            count: settings.variantCount || DEFAULT_SETTINGS.variantCount,
+            basePreset: enhancementType,
+            baseText: enhanced,
+            customPrompt: settings.customEnhancementPrompt,
+            signal,
+            onVariant: variant => onVariant({ ...variant, label: this.presets.getPreset(variant.preset).name })
+          })
+        });
+
+        if (!decision.accepted || !decision.text.trim()) {
+          this.showToast('Enhancement discarded', 'info');
+          return ENHANCEMENT_OUTCOMES.REJECTED;
+        }
+        enhanced = decision.text;
+
+        if (decision.variant) {
+          await this.trackVariantPick(decision.variant, variantMode);
+          appliedPreset = decision.variant;
+        }
+      }
+
+      this.enhancedPrompt = enhanced;
+
+      // Replace text in chatbox (or just the selected slice) with the final (cleaned) output
+      const success = selection
+        ? await this.domObserver.replaceSelection(inputElement, selection, enhanced)
+        : await this.domObserver.injectEnhancedPrompt(enhanced);
 
       if (success) {
-        this.showToast('Prompt enhanced!', 'success');
+        this.revertManager.remember(snapshot);
+        this.showToast(
+          redactionNotice ? `Prompt enhanced. ${redactionNotice}` : 'Prompt enhanced!',
+          redactionNotice ? 'warning' : 'success',
+          { label: 'Revert', onClick: () => this.revertLastEnhancement() }
+        );
 
         // Track enhancement
-        await this.trackEnhancement(enhancementType);
-      } else {
-        this.showToast('Failed to apply enhancement', 'error');
+        await this.trackEnhancement(appliedPreset);
+        await this.recordHistory({
+          original: originalPrompt,
+          enhanced,
+          preset: appliedPreset,
+          template: settings.promptTemplateType || 'standard',
+          latency: performance.now() - startedAt
+        });
+        return ENHANCEMENT_OUTCOMES.APPLIED;
       }
 
+      await this.restoreAfterStream(snapshot);
+      this.showToast('Failed to apply enhancement', 'error');
+      return ENHANCEMENT_OUTCOMES.FAILED;
     } catch (error) {
       console.error('[APE InlineUI] Enhancement error:', error);
-      this.showToast('Enhancement failed', 'error');
+      if (error.name === 'KeyLockedError') {
+        this.showToast(error.message, 'warning');
+      } else {
+        this.showToast('Enhancement failed', 'error');
+      }
+      return ENHANCEMENT_OUTCOMES.FAILED;
     } finally {
+      this.previewPanel.close();
       this.isProcessing = false;
       this.hideLoading();
     }
   }
 
   /**
-   * Enhance prompt using current settings
+   * Run an enhancement with streaming output and cancellation support
+   * Partial text is written through the DOM observer, or handed to onPartial
+   * when one is given; the caller applies the final text
    */
-  async enhancePrompt(context, enhancementType, settings) {
-    // Use the preset system
-    const customPrompt = enhancementType === 'custom' ? settings.customEnhancementPrompt : null;
+  async streamEnhancement(context, enhancementType, settings, onPartial = null) {
+    const controller = new AbortController();
+    const writer = onPartial ? null : this.createStreamWriter();
+    this.streamController = controller;
+    this.streamedPartialText = false;
+
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.cancelEnhancement();
+      }
+    };
+    document.addEventListener('keydown', handleEscape, true);
+    this.setCancelableState(true);
 
     try {
-      const enhanced = await this.presets.enhanceWithPreset(
-        context,
-        enhancementType || 'balanced',
-        customPrompt
-      );
+      const enhanced = await this.enhancePrompt(context, enhancementType, settings, {
+        signal: controller.signal,
+        onChunk: (delta, fullText) => {
+          if (onPartial) {
+            onPartial(fullText);
+            return;
+          }
+          this.streamedPartialText = true;
+          writer.write(fullText);
+        }
+      });
+
+      // Rule-based fallbacks don't observe the signal, so re-check it
+      if (controller.signal.aborted) {
+        throw createCancelError();
+      }
 
       return enhanced;
-    } catch (error) {
-      console.error('[InlineUI] Enhancement error:', error);
+    } finally {
+      await writer?.close();
+      document.removeEventListener('keydown', handleEscape, true);
+      this.setCancelableState(false);
+      this.streamController = null;
+    }
+  }
+
+  /**
+   * Coalescing writer: injects the latest streamed text, skipping
+   * intermediate chunks that arrive while a write is still in progress
+   */
+  createStreamWriter() {
+    let pendingText = null;
+    let activeWrite = null;
+    let closed = false;
+
+    const flush = async () => {
+      while (pendingText !== null && !closed) {
+        const text = pendingText;
+        pendingText = null;
+        await this.domObserver.injectEnhancedPrompt(text);
+      }
+      activeWrite = null;
+    };
+
+    return {
+      write(text) {
+        if (closed) return;
+        pendingText = text;
+        if (!activeWrite) {
+          activeWrite = flush();
+        }
+      },
+      async close() {
+        closed = true;
+        pendingText = null;
+        await activeWrite;
+      }
+    };
+  }
+
+  /**
+   * Cancel an in-flight enhancement
+   */
+  cancelEnhancement() {
+    if (this.streamController && !this.streamController.signal.aborted) {
+      console.log('[APE InlineUI] Cancelling enhancement');
+      this.streamController.abort();
+    }
+  }
+
+  /**
+   * Put the original prompt back if partial output was streamed into the editor
+   */
+  async restoreAfterStream(snapshot, force = false) {
+    if (snapshot && (force || this.streamedPartialText)) {
+      await this.revertManager.restore(snapshot);
+    }
+  }
+
+  /**
+   * Undo the last enhancement, restoring the exact original prompt
+   */
+  async revertLastEnhancement() {
+    if (this.isProcessing) return;
 
-      // Fallback to basic enhancement
-      const fallback = await this.enhancer.enhancePrompt(context, settings);
-      return fallback.enhanced;
+    if (!this.revertManager.canRevert()) {
+      this.showToast('Nothing to revert', 'info');
+      return;
+    }
+
+    const restored = await this.revertManager.revert();
+    this.showToast(
+      restored ? 'Original prompt restored' : 'Could not fully restore the original prompt',
+      restored ? 'success' : 'warning'
+    );
+  }
+
+  /**
+   * Export the current conversation as a file download or to the clipboard
+   * @param {string} format - EXPORT_FORMATS[...].id
+   * @param {'download'|'copy'} destination
+   */
+  async exportConversation(format, destination = 'download') {
+    const conversation = this.extractor.extractConversation();
+    if (conversation.turns.length === 0) {
+      this.showToast('No conversation found to export', 'info');
+      return;
+    }
+
+    const { content, filename, mimeType } = formatConversation(conversation, format);
+    const turnLabel = `${conversation.turns.length} turn${conversation.turns.length === 1 ? '' : 's'}`;
+
+    if (destination === 'copy') {
+      const copied = await copyToClipboard(content);
+      this.showToast(copied ? `Copied ${turnLabel} to clipboard` : 'Could not copy the conversation', copied ? 'success' : 'error');
+      return;
+    }
+
+    downloadFile(content, filename, mimeType);
+    this.showToast(`Exported ${turnLabel} to ${filename}`, 'success');
+  }
+
+  /**
+   * Enhance prompt using current settings
+   * @param {Object} streamOptions - { onChunk, signal } forwarded to the preset system
+   */
+  async enhancePrompt(context, enhancementType, settings, streamOptions = {}) {
+    const enhanced = await this.presets.enhance(context, enhancementType, settings, streamOptions);
+    this.lastEnhancementMeta = this.presets.lastRun;
+    return enhanced;
+  }
+
+  /**
+   * Describe what was redacted from the last request, or null if nothing was
+   */
+  getRedactionNotice() {
+    const redactions = this.lastEnhancementMeta?.redactions;
+    if (!redactions?.length) return null;
+    return `Redacted before sending: ${formatRedactionSummary(redactions)}`;
+  }
+
+  /**
+   * Record a completed enhancement in the history store
+   */
+  async recordHistory(entry) {
+    try {
+      await messages.recordEnhancement({
+        ...entry,
+        platform: this.domObserver.platform,
+        provider: this.lastEnhancementMeta?.provider || null,
+        model: this.lastEnhancementMeta?.model || null,
+        url: window.location.href
+      });
+    } catch (error) {
+      console.error('[APE InlineUI] Failed to record history:', error);
     }
   }
 
@@ -588,9 +922,7 @@ class InlineUI {
    */
   async getSettings() {
     try {
-      const response = await browserCompat.sendMessage({
-        action: 'getSettings'
-      });
+      const response = await messages.getSettings();
       if (response) {
         this.settings = response;
       }
@@ -608,13 +940,7 @@ class InlineUI {
       }
 
       try {
-        const fallback = await browserCompat.storageGet([STORAGE_KEYS.SETTINGS]);
-        if (fallback?.[STORAGE_KEYS.SETTINGS]) {
-          this.settings = {
-            ...this.settings,
-            ...fallback[STORAGE_KEYS.SETTINGS]
-          };
-        }
+        this.settings = await settingsService.get();
       } catch (storageError) {
         console.error('[APE InlineUI] Storage fallback failed:', storageError);
       }
@@ -624,39 +950,42 @@ class InlineUI {
   }
 
   /**
-   * Track enhancement event
+   * Track enhancement event; the background counts it in the usage stats
    */
   async trackEnhancement(enhancementType) {
     try {
-      await browserCompat.sendMessage({
-        action: 'trackEvent',
-        data: {
-          eventName: 'prompt_enhanced',
-          eventData: {
-            platform: this.domObserver.platform,
-            enhancementType,
-            timestamp: Date.now()
-          }
+      await messages.trackEvent({
+        eventName: 'prompt_enhanced',
+        eventData: {
+          platform: this.domObserver.platform,
+          enhancementType,
+          timestamp: Date.now()
         }
       });
-
-      // Update usage stats
-      const stats = await browserCompat.storageGet(['usageStats']) || {};
-      const usageStats = stats.usageStats || { totalEnhancements: 0, byokEnhancements: 0 };
-
-      usageStats.totalEnhancements++;
-
-      const subscription = await browserCompat.sendMessage({ action: 'getSubscription' });
-      if (subscription && subscription.type === 'byok') {
-        usageStats.byokEnhancements++;
-      }
-
-      await browserCompat.storageSet({ usageStats });
     } catch (error) {
       console.error('[APE InlineUI] Failed to track enhancement:', error);
     }
   }
 
+  /**
+   * Record which candidate won when the user picked from the Variants view
+   */
+  async trackVariantPick(preset, mode) {
+    try {
+      await messages.trackEvent({
+        eventName: 'variant_picked',
+        eventData: {
+          platform: this.domObserver.platform,
+          preset,
+          mode,
+          timestamp: Date.now()
+        }
+      });
+    } catch (error) {
+      console.error('[APE InlineUI] Failed to track variant pick:', error);
+    }
+  }
+
   /**
    * Show loading state
    */
@@ -679,10 +1008,23 @@ class InlineUI {
     this.currentButton.classList.remove('ape-processing');
   }
 
+  /**
+   * Keep the button clickable while streaming so a second click cancels
+   */
+  setCancelableState(cancelable) {
+    if (!this.currentButton) return;
+
+    const label = cancelable ? 'Cancel enhancement (Esc)' : 'Enhance Prompt (Alt+E)';
+    this.currentButton.disabled = this.isProcessing && !cancelable;
+    this.currentButton.title = label;
+    this.currentButton.setAttribute('aria-label', label);
+  }
+
   /**
    * Show toast notification
+   * @param {Object} action - Optional { label, onClick } button
    */
-  showToast(message, type = 'info') {
+  showToast(message, type = 'info', action = null) {
     // Remove any existing toast
     const existingToast = document.querySelector('.ape-toast');
     if (existingToast) {
@@ -705,16 +1047,28 @@ class InlineUI {
       <span class="ape-toast-message">${message}</span>
     `);
 
+    if (action) {
+      const actionButton = document.createElement('button');
+      actionButton.type = 'button';
+      actionButton.className = 'ape-toast-action';
+      actionButton.textContent = action.label;
+      actionButton.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(actionButton);
+    }
+
     document.body.appendChild(toast);
 
     // Trigger animation
     setTimeout(() => toast.classList.add('ape-toast-show'), 10);
 
-    // Auto-remove after delay
+    // Auto-remove after delay (longer when there is an action to take)
     setTimeout(() => {
       toast.classList.remove('ape-toast-show');
       setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    }, action ? 6000 : 3000);
   }
 
   /**
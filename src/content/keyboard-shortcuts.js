@@ -3,8 +3,8 @@
  * Manages keyboard shortcuts for quick actions
  */
 
-import browserCompat from '../shared/browser-compat.js';
-import { ENHANCEMENT_PRESETS, STORAGE_KEYS } from '../shared/constants.js';
+import settingsService from '../shared/settings-service.js';
+import { ENHANCEMENT_PRESETS } from '../shared/constants.js';
 import { renderStaticHTML } from '../shared/utils.js';
 
 class KeyboardShortcuts {
@@ -40,7 +40,7 @@ class KeyboardShortcuts {
 
     // Prevent default behavior for our shortcuts
     const key = event.key.toLowerCase();
-    const shortcutKeys = ['e', '1', '2', '3', 'c'];
+    const shortcutKeys = ['e', '1', '2', '3', 'c', 'z'];
 
     if (!shortcutKeys.includes(key)) return;
 
@@ -101,6 +101,9 @@ class KeyboardShortcuts {
       case 'c':
         this.handleCustomEditorShortcut();
         break;
+      case 'z':
+        await this.handleRevertShortcut();
+        break;
     }
   }
 
@@ -122,6 +125,18 @@ class KeyboardShortcuts {
     this.showShortcutFeedback('⚡ Enhancing prompt...');
   }
 
+  /**
+   * Handle Alt+Z - Revert the last enhancement
+   */
+  async handleRevertShortcut() {
+    if (!this.inlineUI) {
+      console.warn('[KeyboardShortcuts] InlineUI not available');
+      return;
+    }
+
+    await this.inlineUI.revertLastEnhancement();
+  }
+
   /**
    * Handle Alt+1/2/3 - Quick preset switch
    */
@@ -364,8 +379,7 @@ class KeyboardShortcuts {
    */
   async getSettings() {
     try {
-      const result = await browserCompat.storage_get([STORAGE_KEYS.SETTINGS]);
-      return result[STORAGE_KEYS.SETTINGS] || this.settings || {};
+      return await settingsService.get();
     } catch (error) {
       console.error('[KeyboardShortcuts] Failed to get settings:', error);
       return this.settings || {};
@@ -377,17 +391,8 @@ class KeyboardShortcuts {
    */
   async saveSettings(settings) {
     try {
-      await browserCompat.storage_set({
-        [STORAGE_KEYS.SETTINGS]: settings
-      });
-
-      // Update local reference
-      this.settings = settings;
-
-      // Update InlineUI settings
-      if (this.inlineUI) {
-        this.inlineUI.settings = settings;
-      }
+      // Every context, this one included, picks the change up through settingsService.subscribe
+      await settingsService.set(settings);
     } catch (error) {
       console.error('[KeyboardShortcuts] Failed to save settings:', error);
     }
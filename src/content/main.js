@@ -8,7 +8,19 @@ import ContextExtractor from './context-extractor.js';
 import PromptEnhancer from './prompt-enhancer.js';
 import InlineUI from './inline-ui.js';
 import KeyboardShortcuts from './keyboard-shortcuts.js';
+import SubmitInterceptor from './submit-interceptor.js';
+import SelectorHealth from './selector-health.js';
+import ElementPicker from './element-picker.js';
 import browserCompat from '../shared/browser-compat.js';
+import settingsService from '../shared/settings-service.js';
+import { formatConversation } from '../shared/conversation-export.js';
+import { configureDeepQuery } from '../shared/deep-query.js';
+import platformRegistry from '../shared/platform-registry.js';
+import ProfileManager from '../shared/profile-manager.js';
+import MessageRouter from '../shared/message-router.js';
+import { ACTIONS, SENDERS, TARGETS, createClient } from '../shared/messages.js';
+
+const messages = createClient(SENDERS.CONTENT);
 
 class AIPromptEnhancerExtension {
   constructor() {
@@ -17,8 +29,14 @@ class AIPromptEnhancerExtension {
     this.promptEnhancer = null;
     this.inlineUI = null;
     this.keyboardShortcuts = null;
+    this.submitInterceptor = null;
+    this.selectorHealth = null;
     this.settings = null;
+    this.unsubscribeSettings = null;
+    this.stopMessages = null;
+    this.siteConfig = null;
     this.initialized = false;
+    this.initializing = false;
     this.contextInvalidated = false;
   }
 
@@ -27,16 +45,32 @@ class AIPromptEnhancerExtension {
    */
   destroy() {
     console.log('[APE] Destroying extension instance...');
+
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+      this.unsubscribeSettings = null;
+    }
+
+    if (this.stopMessages) {
+      this.stopMessages();
+      this.stopMessages = null;
+    }
     
     if (this.inlineUI) {
       this.inlineUI.destroy();
       this.inlineUI = null;
     }
+
+    if (this.submitInterceptor) {
+      this.submitInterceptor.destroy();
+      this.submitInterceptor = null;
+    }
     
     this.domObserver = null;
     this.contextExtractor = null;
     this.promptEnhancer = null;
     this.keyboardShortcuts = null;
+    this.selectorHealth = null;
     this.initialized = false;
   }
 
@@ -44,13 +78,18 @@ class AIPromptEnhancerExtension {
    * Initialize the extension
    */
   async initialize() {
-    if (this.initialized) return;
+    if (this.initialized || this.initializing) return;
+    this.initializing = true;
 
     console.log('[APE] Initializing AI Prompt Enhancer...');
 
     try {
-      // Check if site is disabled
-      const hostname = window.location.hostname;
+      // Built-in and imported platform packs decide detection, selectors and docking
+      await platformRegistry.load();
+
+      // Check if site is disabled; subframes go by the site that embeds them
+      const isTopFrame = window.top === window;
+      const hostname = isTopFrame ? window.location.hostname : this.getTopHostname();
       const isDisabled = await this.isSiteDisabled(hostname);
       
       if (isDisabled) {
@@ -58,6 +97,16 @@ class AIPromptEnhancerExtension {
         return;
       }
 
+      // Frames only run when the site opted in (see background/frame-scripts.js)
+      if (!isTopFrame && !this.siteConfig?.allFrames) {
+        return;
+      }
+
+      // Each frame has its own instance, so the top frame leaves their composers alone
+      if (isTopFrame && this.siteConfig?.allFrames) {
+        configureDeepQuery({ includeFrames: false });
+      }
+
       // Wait for page to be ready
       if (document.readyState === 'loading') {
         await new Promise(resolve => {
@@ -73,16 +122,20 @@ class AIPromptEnhancerExtension {
 
       // Initialize components
       this.domObserver = new ResilientDOMObserver();
+
+      // Profiles made with the element picker override the pack's input and placement
+      const profile = await this.getSiteProfile();
+      if (profile) {
+        this.domObserver.applyProfile(profile);
+      }
+
+      await this.domObserver.loadLearnedSelectors();
+      this.selectorHealth = new SelectorHealth(this.domObserver);
       this.contextExtractor = new ContextExtractor(this.domObserver);
 
       // Create a mock subscription manager for content script
       const mockSubManager = {
-        getActiveSubscription: async () => {
-          const response = await browserCompat.sendMessage({
-            action: 'getSubscription'
-          });
-          return response;
-        }
+        getActiveSubscription: () => messages.getSubscription()
       };
 
       this.promptEnhancer = new PromptEnhancer(mockSubManager);
@@ -101,18 +154,76 @@ class AIPromptEnhancerExtension {
         this.settings
       );
 
+      // Auto-enhance on send (opt-in per site)
+      this.submitInterceptor = new SubmitInterceptor(
+        this.inlineUI,
+        this.domObserver,
+        this.settings
+      );
+
+      // Edits from the options page, popup or another tab apply without a reload
+      this.unsubscribeSettings = settingsService.subscribe(settings => this.applySettings(settings));
+
+      // Listen for requests from extension pages (history re-apply, ...)
+      this.setupMessageListener();
+
       this.initialized = true;
       console.log('[APE] Initialization complete');
 
+      // Record which selectors still match for the popup's health indicator
+      await this.selectorHealth.run();
+
       // Track initialization
       await this.trackEvent('extension_initialized', {
         platform: this.domObserver.platform
       });
     } catch (error) {
       console.error('[APE] Initialization failed:', error);
+    } finally {
+      this.initializing = false;
     }
   }
 
+  /**
+   * Hostname of the top-level page when running inside a frame
+   */
+  getTopHostname() {
+    try {
+      const origins = window.location.ancestorOrigins;
+      if (origins?.length) {
+        return new URL(origins[origins.length - 1]).hostname;
+      }
+      return window.top.location.hostname;
+    } catch (error) {
+      // Cross-origin top without ancestorOrigins (Firefox)
+      return document.referrer ? new URL(document.referrer).hostname : '';
+    }
+  }
+
+  /**
+   * Handle messages sent to this tab
+   */
+  setupMessageListener() {
+    this.stopMessages = new MessageRouter(TARGETS.TAB)
+      .on(ACTIONS.EXPORT_CONVERSATION, (data) => {
+        const conversation = this.contextExtractor.extractConversation();
+        if (conversation.turns.length === 0) {
+          throw new Error('No conversation found on this page');
+        }
+        return {
+          turnCount: conversation.turns.length,
+          ...formatConversation(conversation, data.format)
+        };
+      })
+      .on(ACTIONS.GET_SELECTOR_HEALTH, () => this.selectorHealth.run())
+      .on(ACTIONS.APPLY_PROMPT, async (data) => {
+        if (!await this.domObserver.injectEnhancedPrompt(data.text)) {
+          throw new Error('Could not insert the prompt on this page');
+        }
+      })
+      .listen();
+  }
+
   /**
    * Wait for page to be ready for manipulation
    */
@@ -131,21 +242,14 @@ class AIPromptEnhancerExtension {
       const result = await browserCompat.storageGet(['managedSites']);
       const managedSites = result.managedSites || [];
       const siteConfig = managedSites.find(s => hostname.includes(s.hostname));
+      this.siteConfig = siteConfig || null;
       
       console.log('[APE] Checking site status for:', hostname);
       console.log('[APE] Managed sites:', managedSites);
       console.log('[APE] Site config found:', siteConfig);
       
-      // Check if this is a native platform
-      const nativeDomains = [
-        'chatgpt.com',
-        'chat.openai.com',
-        'claude.ai',
-        'gemini.google.com',
-        'perplexity.ai',
-        'aistudio.google.com'
-      ];
-      const isNativePlatform = nativeDomains.some(domain => hostname.includes(domain));
+      // Sites with a platform pack count as native platforms
+      const isNativePlatform = platformRegistry.isKnownHost(hostname);
       
       if (siteConfig) {
         // Explicit configuration exists - use it
@@ -164,15 +268,26 @@ class AIPromptEnhancerExtension {
     }
   }
 
+  /**
+   * User-made profile for this page; the built-in profiles cover sites the packs already handle
+   */
+  async getSiteProfile() {
+    try {
+      const profileManager = new ProfileManager();
+      await profileManager.initialize();
+      return profileManager.getActiveProfile(window.location.href, { includeBuiltIn: false });
+    } catch (error) {
+      console.warn('[APE] Failed to load site profiles:', error);
+      return null;
+    }
+  }
+
   /**
    * Load settings from storage
    */
   async loadSettings() {
     try {
-      const response = await browserCompat.sendMessage({
-        action: 'getSettings'
-      });
-      return response;
+      return await settingsService.get();
     } catch (error) {
       console.error('[APE] Failed to load settings:', error);
 
@@ -182,15 +297,24 @@ class AIPromptEnhancerExtension {
     }
   }
 
+  /**
+   * Hand changed settings to every component holding a copy
+   */
+  applySettings(settings) {
+    this.settings = settings;
+    [this.inlineUI, this.keyboardShortcuts, this.submitInterceptor].forEach((component) => {
+      if (component) {
+        component.settings = settings;
+      }
+    });
+  }
+
   /**
    * Track event
    */
   async trackEvent(eventName, eventData = {}) {
     try {
-      await browserCompat.sendMessage({
-        action: 'trackEvent',
-        data: { eventName, eventData }
-      });
+      await messages.trackEvent({ eventName, eventData });
     } catch (error) {
       console.error('[APE] Failed to track event:', error);
     }
@@ -198,7 +322,8 @@ class AIPromptEnhancerExtension {
 }
 
 // Prevent multiple initializations
-if (!window.APE_Extension || !window.APE_Extension.initialized) {
+// The all-frames script also runs in the top frame, so an instance still starting up counts too
+if (!window.APE_Extension || (!window.APE_Extension.initialized && !window.APE_Extension.initializing)) {
   console.log('[APE] Starting new extension instance');
   const extension = new AIPromptEnhancerExtension();
   extension.initialize();
@@ -222,3 +347,15 @@ if (!window.APE_Extension || !window.APE_Extension.initialized) {
 } else {
   console.log('[APE] Extension already initialized, skipping...');
 }
+
+// The popup starts the picker, and the options page tests profiles, on any page,
+// including sites the extension is not enabled on yet
+if (window.top === window && !window.APE_ElementPicker) {
+  const elementPicker = new ElementPicker();
+  window.APE_ElementPicker = elementPicker;
+
+  new MessageRouter(TARGETS.TAB)
+    .on(ACTIONS.START_ELEMENT_PICKER, () => elementPicker.start())
+    .on(ACTIONS.TEST_SITE_PROFILE, async data => ({ report: await elementPicker.test(data.profile) }))
+    .listen();
+}
@@ -0,0 +1,151 @@
+/**
+ * Conversation Parser
+ * Walks a platform's turn structure, described by its platform pack's
+ * `parser` hints, and returns ordered, role-attributed turns
+ */
+
+import { extractMessageParts, partsToText } from './message-parts.js';
+
+class ConversationParser {
+  /**
+   * @param {string} platform - platform pack id
+   * @param {Object} config - selectors, all relative to the conversation root or a turn:
+   *   turns           every turn element, user and assistant, in one selector list
+   *   user            turns that match are the user's; others are the assistant's
+   *   body            message body inside a turn (falls back to the turn itself)
+   *   exclude         subtrees left out of the message text
+   *   attachments     attachment chips or thumbnails inside a turn
+   *   attachmentScope ancestor to search for attachments when they render beside the turn
+   *   codeLanguage    { closest, query } label for code blocks whose language is shown outside the <pre>
+   *   citations       links to cited sources inside a turn
+   */
+  constructor(platform, config) {
+    this.platform = platform;
+    this.config = config;
+  }
+
+  /**
+   * Parse the conversation in DOM order
+   * @returns {Array<{role, text, code, citations, attachments, parts, content, element}>}
+   */
+  parse(root = document) {
+    return this.findTurnElements(root)
+      .map(element => this.parseTurn(element))
+      .filter(Boolean);
+  }
+
+  /**
+   * Turn elements in document order; matches nested inside another match are dropped
+   */
+  findTurnElements(root) {
+    const turns = [];
+
+    root.querySelectorAll(this.config.turns.join(',')).forEach((element) => {
+      const last = turns[turns.length - 1];
+      if (!last || !last.contains(element)) {
+        turns.push(element);
+      }
+    });
+
+    return turns;
+  }
+
+  getRole(element) {
+    return this.config.user.some(selector => element.matches(selector)) ? 'user' : 'assistant';
+  }
+
+  getBody(element) {
+    for (const selector of this.config.body) {
+      const body = element.querySelector(selector);
+      if (body) return body;
+    }
+    return element;
+  }
+
+  /**
+   * Label for code blocks whose language is shown outside the <pre>
+   */
+  getCodeLanguage(pre) {
+    const hint = this.config.codeLanguage;
+    if (!hint) return null;
+
+    const scope = hint.closest ? pre.closest(hint.closest) : pre;
+    return scope?.querySelector(hint.query)?.textContent || null;
+  }
+
+  parseTurn(element) {
+    const parts = extractMessageParts(this.getBody(element), {
+      exclude: this.config.exclude.join(',') || null,
+      languageOf: pre => this.getCodeLanguage(pre)
+    });
+    const attachments = this.extractAttachments(element);
+    const citations = this.extractCitations(element);
+
+    if (parts.length === 0 && attachments.length === 0) {
+      return null;
+    }
+
+    const body = partsToText(parts);
+    const attachmentNote = attachments.length > 0 ? `[Attached: ${attachments.join(', ')}]` : '';
+
+    return {
+      role: this.getRole(element),
+      text: parts.filter(part => part.type === 'text').map(part => part.text).join('\n\n'),
+      code: parts
+        .filter(part => part.type === 'code')
+        .map(({ language, text }) => ({ language, text })),
+      citations,
+      attachments,
+      parts,
+      content: [attachmentNote, body].filter(Boolean).join('\n\n'),
+      element
+    };
+  }
+
+  /**
+   * Attachment file names, taken from a title/aria-label/alt or the chip text
+   */
+  extractAttachments(element) {
+    const names = new Set();
+    const scope = (this.config.attachmentScope && element.closest(this.config.attachmentScope)) || element;
+
+    this.config.attachments.forEach((selector) => {
+      scope.querySelectorAll(selector).forEach((attachment) => {
+        const name = attachment.getAttribute('title') ||
+          attachment.getAttribute('aria-label') ||
+          attachment.getAttribute('alt') ||
+          attachment.textContent;
+        const cleaned = (name || '').replace(/\s+/g, ' ').trim();
+        if (cleaned) {
+          names.add(cleaned);
+        }
+      });
+    });
+
+    return Array.from(names);
+  }
+
+  /**
+   * Linked sources cited by the turn, de-duplicated by URL in order of first citation
+   * @returns {Array<{title: string, url: string}>}
+   */
+  extractCitations(element) {
+    if (this.config.citations.length === 0) return [];
+
+    const citations = new Map();
+
+    element.querySelectorAll(this.config.citations.join(',')).forEach((link) => {
+      if (!link.href || citations.has(link.href)) return;
+
+      let title = link.getAttribute('aria-label') || link.textContent.replace(/\s+/g, ' ').trim();
+      if (!title || /^\d+$/.test(title)) {
+        title = new URL(link.href).hostname.replace(/^www\./, '');
+      }
+      citations.set(link.href, { title, url: link.href });
+    });
+
+    return Array.from(citations.values());
+  }
+}
+
+export default ConversationParser;
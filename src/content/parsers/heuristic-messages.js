@@ -0,0 +1,184 @@
+/**
+ * Heuristic Message Extraction
+ * Finds chat messages by selector and role hints on sites whose platform pack
+ * has no conversation parser
+ */
+
+import { deepQuerySelectorAll } from '../../shared/deep-query.js';
+import { extractMessageParts, partsToText } from './message-parts.js';
+
+/**
+ * Check if element is in the main conversation area (not sidebar)
+ */
+export function isInConversationArea(element) {
+  // Check if element is in sidebar or navigation
+  let current = element;
+  while (current && current !== document.body) {
+    const classList = current.className || '';
+    const role = current.getAttribute('role') || '';
+    
+    // Common sidebar/navigation indicators
+    if (
+      classList.includes('sidebar') ||
+      classList.includes('Sidebar') ||
+      classList.includes('navigation') ||
+      classList.includes('Navigation') ||
+      classList.includes('history') ||
+      classList.includes('History') ||
+      role === 'navigation' ||
+      role === 'complementary' ||
+      current.tagName === 'NAV' ||
+      current.tagName === 'ASIDE'
+    ) {
+      return false;
+    }
+    
+    current = current.parentElement;
+  }
+  
+  return true;
+}
+
+/**
+ * Check if element is a UI component (not actual message)
+ */
+function isUIElement(element) {
+  const classList = element.className || '';
+  const text = (element.textContent || '').trim();
+  
+  // Skip elements that are buttons, links, or headers
+  if (
+    element.tagName === 'BUTTON' ||
+    element.tagName === 'A' ||
+    element.tagName === 'HEADER' ||
+    element.tagName === 'FOOTER' ||
+    element.tagName === 'NAV'
+  ) {
+    return true;
+  }
+
+  // Skip elements with very short text (likely UI labels)
+  if (text.length < 10) {
+    return true;
+  }
+
+  // Skip common UI patterns
+  const uiPatterns = [
+    'toolbar',
+    'menu',
+    'dropdown',
+    'tooltip',
+    'badge',
+    'chip',
+    'tab',
+    'header',
+    'footer'
+  ];
+
+  return uiPatterns.some(pattern => 
+    classList.toLowerCase().includes(pattern)
+  );
+}
+
+/**
+ * Validate if content is a real message
+ */
+function isValidMessage(content) {
+  // Must have minimum length
+  if (content.length < 10) {
+    return false;
+  }
+
+  // Must have some actual words (not just symbols/numbers)
+  const wordCount = content.split(/\s+/).filter(word => /[a-zA-Z]{2,}/.test(word)).length;
+  if (wordCount < 2) {
+    return false;
+  }
+
+  // Exclude common UI text patterns
+  const excludePatterns = [
+    /^(new chat|new thread|delete|edit|copy|share|export)$/i,
+    /^(today|yesterday|last week|this month)$/i,
+    /^\d+\s*(min|hour|day|week|month)s?\s*ago$/i,
+    /^[0-9\/\-:]+$/,  // Pure dates/times
+    /^[\d\s]+$/       // Pure numbers
+  ];
+
+  return !excludePatterns.some(pattern => pattern.test(content));
+}
+
+/**
+ * Determine if message is from user
+ */
+function isUserMessage(element, userSelectors) {
+  // Try the platform's selectors
+  for (const selector of userSelectors) {
+    if (element.matches(selector)) return true;
+  }
+
+  // Fallback heuristics
+  const classList = element.className || '';
+  const dataAttrs = Array.from(element.attributes || [])
+    .map(attr => attr.name + attr.value)
+    .join(' ');
+
+  return (
+    classList.includes('user') ||
+    classList.includes('human') ||
+    dataAttrs.includes('user') ||
+    dataAttrs.includes('human')
+  );
+}
+
+/**
+ * Messages under root, in DOM order
+ * @param {Element} root - Conversation area, or document.body
+ * @param {Object} selectors - { messageContainer, userMessage } selector lists
+ */
+export function extractHeuristicMessages(root, selectors) {
+  const messages = [];
+  const messageElements = deepQuerySelectorAll(
+    selectors.messageContainer.join(','),
+    root
+  );
+
+  messageElements.forEach((element) => {
+    // Skip nested matches (a turn wrapper and the message inside it)
+    const previous = messages[messages.length - 1];
+    if (previous?.element.contains(element)) {
+      return;
+    }
+
+    // Skip if element is not in conversation area (e.g., sidebar)
+    if (!isInConversationArea(element)) {
+      return;
+    }
+
+    // Skip elements that are clearly UI/navigation (sidebars, headers, etc.)
+    if (isUIElement(element)) {
+      return;
+    }
+
+    const isUser = isUserMessage(element, selectors.userMessage);
+    const parts = extractMessageParts(element);
+    const content = partsToText(parts);
+
+    // Validate message quality
+    if (content && isValidMessage(content)) {
+      messages.push({
+        role: isUser ? 'user' : 'assistant',
+        content: content,
+        text: parts.filter(part => part.type === 'text').map(part => part.text).join('\n\n'),
+        code: parts
+          .filter(part => part.type === 'code')
+          .map(({ language, text }) => ({ language, text })),
+        citations: [],
+        attachments: [],
+        parts: parts,
+        element: element
+      });
+    }
+  });
+
+  return messages;
+}
@@ -0,0 +1,20 @@
+/**
+ * Conversation Parser Registry
+ * Builds a parser from a platform pack's `parser` hints
+ */
+
+import ConversationParser from './conversation-parser.js';
+
+const parsers = new Map();
+
+/**
+ * Get the parser for a platform pack, or null when the pack has no parser hints
+ */
+export function getConversationParser(pack) {
+  if (!pack?.parser) return null;
+
+  if (!parsers.has(pack.id)) {
+    parsers.set(pack.id, new ConversationParser(pack.id, pack.parser));
+  }
+  return parsers.get(pack.id);
+}
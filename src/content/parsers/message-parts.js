@@ -0,0 +1,128 @@
+/**
+ * Message Parts
+ * Splits rendered chat messages into text and code parts
+ */
+
+export const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'PRE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+const CODE_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  'c++': 'cpp',
+  'c#': 'csharp',
+  cs: 'csharp',
+  rb: 'ruby',
+  kt: 'kotlin',
+  rs: 'rust',
+  golang: 'go'
+};
+
+/**
+ * Normalize a language name or label ("Python", "js", "C++") to a lowercase id
+ */
+export function normalizeLanguage(language) {
+  const normalized = (language || '').trim().toLowerCase();
+  if (!normalized) return null;
+  return CODE_LANGUAGE_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Language of a code block from `language-*` / `lang-*` classes or a data attribute
+ */
+export function extractCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const candidates = [code, pre].filter(Boolean);
+
+  for (const element of candidates) {
+    const declared = element.getAttribute('data-language');
+    const match = declared
+      ? [null, declared]
+      : /(?:^|\s)(?:language|lang)-([\w+#-]+)/.exec(element.className || '');
+
+    if (match) {
+      return normalizeLanguage(match[1]);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collapse whitespace and drop copy-button leftovers from prose
+ */
+export function cleanText(content) {
+  return content
+    .replace(/\s+/g, ' ')
+    .replace(/Copy code/gi, '')
+    .replace(/^\d+\s*\/\s*\d+/, '')
+    .trim();
+}
+
+/**
+ * Split a message into text and code parts
+ * Code blocks (<pre>) keep their whitespace and language; prose is cleaned
+ * @param {Object} options - { exclude } selector for subtrees to skip,
+ *   { languageOf(pre) } for platforms that label code blocks outside the <pre>
+ * @returns {Array<{type: 'text', text: string} | {type: 'code', text: string, language: string|null}>}
+ */
+export function extractMessageParts(element, options = {}) {
+  const { exclude = null, languageOf = null } = options;
+  const parts = [];
+  let buffer = '';
+
+  const flushText = () => {
+    const text = cleanText(buffer);
+    if (text) {
+      parts.push({ type: 'text', text });
+    }
+    buffer = '';
+  };
+
+  const walk = (node) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        buffer += child.textContent;
+      } else if (child.nodeType !== Node.ELEMENT_NODE || child.tagName === 'BUTTON') {
+        // Copy buttons and other controls are not message text
+      } else if (exclude && child.matches(exclude)) {
+        // Platform chrome inside the message (citation chips, thoughts, ...)
+      } else if (child.tagName === 'PRE') {
+        flushText();
+        const code = (child.querySelector('code') || child).textContent.replace(/^\n+|\s+$/g, '');
+        if (code) {
+          parts.push({
+            type: 'code',
+            text: code,
+            language: extractCodeLanguage(child) || normalizeLanguage(languageOf?.(child))
+          });
+        }
+      } else {
+        walk(child);
+        if (BLOCK_TAGS.has(child.tagName)) {
+          buffer += ' ';
+        }
+      }
+    });
+  };
+
+  walk(element);
+  flushText();
+
+  return parts;
+}
+
+/**
+ * Join message parts into a single string, fencing code blocks
+ */
+export function partsToText(parts) {
+  return parts
+    .map(part => (part.type === 'code'
+      ? `\`\`\`${part.language || ''}\n${part.text}\n\`\`\``
+      : part.text))
+    .join('\n\n');
+}
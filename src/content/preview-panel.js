@@ -0,0 +1,452 @@
+/**
+ * Preview Panel
+ * Popover anchored to the enhance button that shows a word-level diff
+ * of the original and enhanced prompt before anything is applied
+ */
+
+import { diffWords, summarizeDiff } from '../shared/diff.js';
+import { copyToClipboard, estimateTokens, renderStaticHTML } from '../shared/utils.js';
+
+const PANEL_ID = 'ape-preview-panel';
+const PANEL_GAP = 10;
+
+class PreviewPanel {
+  constructor() {
+    this.panel = null;
+    this.anchor = null;
+    this.resolveDecision = null;
+    this.onCancel = null;
+    this.view = 'diff';
+    this.enhancedText = '';
+    this.originalText = '';
+    this.resultPreset = null;
+    this.resultLabel = null;
+    this.variants = [];
+    this.onRequestVariants = null;
+    this.variantsController = null;
+    this.variantsRequested = false;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.reposition = this.reposition.bind(this);
+  }
+
+  /**
+   * Whether the panel is on screen
+   */
+  isOpen() {
+    return Boolean(this.panel?.isConnected);
+  }
+
+  /**
+   * Open the panel in its loading state
+   * @param {HTMLElement} anchor - Element to anchor to (the docked button)
+   * @param {Function} onCancel - Called when the user cancels while generating
+   */
+  open(anchor, onCancel = null) {
+    this.close();
+
+    this.anchor = anchor;
+    this.onCancel = onCancel;
+    this.view = 'diff';
+    this.variants = [];
+    this.variantsRequested = false;
+
+    const panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    panel.className = 'ape-preview-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Enhanced prompt preview');
+
+    renderStaticHTML(panel, `
+      <div class="ape-preview-header">
+        <span class="ape-preview-title">✨ Enhanced prompt</span>
+        <div class="ape-preview-summary"></div>
+        <div class="ape-preview-notice ape-hidden"></div>
+      </div>
+      <div class="ape-preview-body">
+        <div class="ape-preview-diff ape-preview-loading">Enhancing…</div>
+        <textarea class="ape-preview-editor ape-hidden" rows="8"></textarea>
+        <div class="ape-preview-variants ape-hidden"></div>
+      </div>
+      <div class="ape-preview-actions">
+        <button type="button" class="ape-btn ape-btn-secondary" data-action="cancel">Cancel</button>
+      </div>
+    `);
+
+    panel.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (button) {
+        this.handleAction(button.dataset.action, button);
+      }
+    });
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    window.addEventListener('resize', this.reposition);
+    window.addEventListener('scroll', this.reposition, true);
+
+    this.reposition();
+    setTimeout(() => panel.classList.add('ape-show'), 10);
+  }
+
+  /**
+   * Show partial output while the response streams in
+   */
+  setStreamingText(text) {
+    const diff = this.panel?.querySelector('.ape-preview-diff');
+    if (!diff) return;
+
+    diff.classList.remove('ape-preview-loading');
+    diff.textContent = text;
+    diff.scrollTop = diff.scrollHeight;
+    this.reposition();
+  }
+
+  /**
+   * Show the final diff and wait for the user's decision
+   * @param {Object} result - { original, enhanced, changes, notice, preset, presetLabel, onRequestVariants }
+   *   notice is an optional warning shown above the diff (e.g. what was redacted)
+   *   onRequestVariants(onVariant, signal) enables the Variants view; each variant is
+   *   { preset, label, text }
+   * @returns {Promise<{accepted: boolean, text: string, variant: string|null}>}
+   *   variant is the preset of the candidate picked from the Variants view
+   */
+  presentResult({
+    original,
+    enhanced,
+    changes = [],
+    notice = null,
+    preset = null,
+    presetLabel = null,
+    onRequestVariants = null
+  }) {
+    if (!this.isOpen()) {
+      return Promise.resolve({ accepted: false, text: enhanced, variant: null });
+    }
+
+    this.originalText = original;
+    this.enhancedText = enhanced;
+    this.resultPreset = preset;
+    this.resultLabel = presetLabel || preset;
+    this.onRequestVariants = onRequestVariants;
+    this.onCancel = null;
+
+    const ops = diffWords(original, enhanced);
+    this.renderSummary(summarizeDiff(ops), changes);
+    this.renderNotice(notice);
+    this.renderDiff(ops);
+    this.renderResultActions();
+    this.reposition();
+
+    this.panel.querySelector('[data-action="accept"]')?.focus();
+
+    return new Promise((resolve) => {
+      this.resolveDecision = resolve;
+    });
+  }
+
+  /**
+   * Close the panel, rejecting any pending decision
+   */
+  close() {
+    if (this.resolveDecision) {
+      const resolve = this.resolveDecision;
+      this.resolveDecision = null;
+      resolve({ accepted: false, text: this.enhancedText, variant: null });
+    }
+
+    this.variantsController?.abort();
+    this.variantsController = null;
+
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    window.removeEventListener('resize', this.reposition);
+    window.removeEventListener('scroll', this.reposition, true);
+
+    this.panel?.remove();
+    this.panel = null;
+    this.anchor = null;
+    this.onCancel = null;
+    this.onRequestVariants = null;
+  }
+
+  renderSummary({ added, removed }, changes) {
+    const summary = this.panel.querySelector('.ape-preview-summary');
+    summary.replaceChildren();
+
+    const counts = document.createElement('span');
+    counts.className = 'ape-preview-counts';
+    counts.textContent = `+${added} / −${removed} words`;
+    summary.appendChild(counts);
+
+    changes.forEach((change) => {
+      const badge = document.createElement('span');
+      badge.className = 'ape-change-badge';
+      badge.textContent = change;
+      summary.appendChild(badge);
+    });
+  }
+
+  renderNotice(notice) {
+    const element = this.panel.querySelector('.ape-preview-notice');
+    element.textContent = notice ? `⚠ ${notice}` : '';
+    element.classList.toggle('ape-hidden', !notice);
+  }
+
+  renderDiff(ops) {
+    const diff = this.panel.querySelector('.ape-preview-diff');
+    diff.classList.remove('ape-preview-loading');
+    diff.replaceChildren();
+
+    ops.forEach((op) => {
+      if (op.type === 'equal') {
+        diff.appendChild(document.createTextNode(op.text));
+        return;
+      }
+
+      const span = document.createElement(op.type === 'insert' ? 'ins' : 'del');
+      span.className = op.type === 'insert' ? 'ape-diff-insert' : 'ape-diff-delete';
+      span.textContent = op.text;
+      diff.appendChild(span);
+    });
+
+    diff.scrollTop = 0;
+  }
+
+  renderResultActions() {
+    const actions = this.panel.querySelector('.ape-preview-actions');
+    renderStaticHTML(actions, `
+      <button type="button" class="ape-btn ape-btn-secondary ape-btn-left" data-action="variants">Variants</button>
+      <button type="button" class="ape-btn ape-btn-secondary" data-action="copy">Copy</button>
+      <button type="button" class="ape-btn ape-btn-secondary" data-action="edit">Edit</button>
+      <button type="button" class="ape-btn ape-btn-secondary" data-action="reject">Reject</button>
+      <button type="button" class="ape-btn ape-btn-primary" data-action="accept">Apply</button>
+    `);
+
+    if (!this.onRequestVariants) {
+      actions.querySelector('[data-action="variants"]').remove();
+    }
+  }
+
+  async handleAction(action, button = null) {
+    switch (action) {
+      case 'cancel':
+        this.onCancel?.();
+        this.close();
+        break;
+      case 'accept':
+        this.finish(true);
+        break;
+      case 'reject':
+        this.finish(false);
+        break;
+      case 'edit':
+        this.setView(this.view === 'edit' ? 'diff' : 'edit');
+        break;
+      case 'variants':
+        this.setView(this.view === 'variants' ? 'diff' : 'variants');
+        break;
+      case 'pick':
+        this.finish(true, button?.dataset.index);
+        break;
+      case 'copy': {
+        const button = this.panel.querySelector('[data-action="copy"]');
+        const copied = await copyToClipboard(this.getCurrentText());
+        if (button) {
+          button.textContent = copied ? 'Copied!' : 'Copy failed';
+          setTimeout(() => {
+            if (button.isConnected) button.textContent = 'Copy';
+          }, 1500);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Switch between the diff, inline editor and variants views
+   */
+  setView(view) {
+    const diff = this.panel.querySelector('.ape-preview-diff');
+    const editor = this.panel.querySelector('.ape-preview-editor');
+    const variants = this.panel.querySelector('.ape-preview-variants');
+    const editButton = this.panel.querySelector('[data-action="edit"]');
+    const variantsButton = this.panel.querySelector('[data-action="variants"]');
+
+    // Leaving the editor keeps the edits and refreshes the diff
+    if (this.view === 'edit' && view !== 'edit') {
+      this.enhancedText = editor.value;
+      this.renderDiff(diffWords(this.originalText, this.enhancedText));
+    }
+
+    if (view === 'edit') {
+      editor.value = this.enhancedText;
+      editor.style.height = `${Math.max(diff.offsetHeight, 120)}px`;
+    }
+
+    this.view = view;
+    diff.classList.toggle('ape-hidden', view !== 'diff');
+    editor.classList.toggle('ape-hidden', view !== 'edit');
+    variants.classList.toggle('ape-hidden', view !== 'variants');
+    this.panel.classList.toggle('ape-preview-wide', view === 'variants');
+
+    if (editButton) editButton.textContent = view === 'edit' ? 'Show diff' : 'Edit';
+    if (variantsButton) variantsButton.textContent = view === 'variants' ? 'Show diff' : 'Variants';
+
+    if (view === 'edit') {
+      editor.focus();
+    } else if (view === 'variants' && !this.variantsRequested) {
+      this.requestVariants();
+    }
+
+    this.reposition();
+  }
+
+  /**
+   * Ask the caller for alternative candidates, adding a card as each arrives
+   */
+  async requestVariants() {
+    const container = this.panel.querySelector('.ape-preview-variants');
+    this.variantsRequested = true;
+    this.variants = [{
+      preset: this.resultPreset,
+      label: this.resultLabel,
+      text: this.enhancedText,
+      current: true
+    }];
+
+    container.replaceChildren(this.createVariantCard(this.variants[0], 0));
+
+    const pending = document.createElement('div');
+    pending.className = 'ape-variant-card ape-variant-pending';
+    pending.textContent = 'Generating variants…';
+    container.appendChild(pending);
+
+    const controller = new AbortController();
+    this.variantsController = controller;
+
+    try {
+      await this.onRequestVariants((variant) => {
+        if (controller.signal.aborted || !pending.isConnected) return;
+        this.variants.push(variant);
+        container.insertBefore(this.createVariantCard(variant, this.variants.length - 1), pending);
+        this.reposition();
+      }, controller.signal);
+
+      if (this.variants.length === 1) {
+        pending.textContent = 'No different variants were produced';
+        return;
+      }
+      pending.remove();
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('[APE PreviewPanel] Failed to generate variants:', error);
+      pending.textContent = 'Could not generate variants';
+    } finally {
+      if (this.variantsController === controller) {
+        this.variantsController = null;
+      }
+    }
+  }
+
+  createVariantCard(variant, index) {
+    const card = document.createElement('div');
+    card.className = 'ape-variant-card';
+
+    const header = document.createElement('div');
+    header.className = 'ape-variant-header';
+
+    const label = document.createElement('span');
+    label.className = 'ape-variant-label';
+    const name = variant.label || variant.preset || 'Enhanced';
+    label.textContent = variant.current ? `${name} (current)` : name;
+
+    const stats = document.createElement('span');
+    stats.className = 'ape-variant-stats';
+    const words = (variant.text.match(/[^\s]+/g) || []).length;
+    stats.textContent = `${words} words · ~${estimateTokens(variant.text)} tokens`;
+
+    header.append(label, stats);
+
+    const text = document.createElement('div');
+    text.className = 'ape-variant-text';
+    text.textContent = variant.text;
+
+    const pick = document.createElement('button');
+    pick.type = 'button';
+    pick.className = 'ape-btn ape-btn-primary';
+    pick.dataset.action = 'pick';
+    pick.dataset.index = String(index);
+    pick.textContent = 'Apply this';
+
+    card.append(header, text, pick);
+    return card;
+  }
+
+  getCurrentText() {
+    if (this.view === 'edit') {
+      return this.panel.querySelector('.ape-preview-editor').value;
+    }
+    return this.enhancedText;
+  }
+
+  /**
+   * Resolve the pending decision
+   * @param {boolean} accepted
+   * @param {string} variantIndex - Index of the candidate picked in the Variants view
+   */
+  finish(accepted, variantIndex = undefined) {
+    const resolve = this.resolveDecision;
+    const variant = variantIndex !== undefined ? this.variants[Number(variantIndex)] : null;
+    // The current card follows any inline edits made before switching views
+    const text = variant && !variant.current ? variant.text : this.getCurrentText();
+    this.resolveDecision = null;
+    this.close();
+    resolve?.({ accepted, text, variant: variant ? variant.preset : null });
+  }
+
+  handleKeyDown(event) {
+    if (!this.isOpen()) return;
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      if (this.resolveDecision) {
+        this.finish(false);
+      } else {
+        this.handleAction('cancel');
+      }
+    } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey) && this.resolveDecision) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.finish(true);
+    }
+  }
+
+  /**
+   * Place the panel above the anchor (composers sit at the bottom of the page),
+   * flipping below and clamping to the viewport when there isn't room
+   */
+  reposition() {
+    if (!this.panel) return;
+
+    const panelRect = this.panel.getBoundingClientRect();
+    const anchorRect = this.anchor?.isConnected
+      ? this.anchor.getBoundingClientRect()
+      : { top: window.innerHeight - PANEL_GAP, bottom: window.innerHeight - PANEL_GAP, right: window.innerWidth - PANEL_GAP };
+
+    let top = anchorRect.top - panelRect.height - PANEL_GAP;
+    if (top < PANEL_GAP) {
+      top = Math.min(anchorRect.bottom + PANEL_GAP, window.innerHeight - panelRect.height - PANEL_GAP);
+    }
+
+    let left = anchorRect.right - panelRect.width;
+    left = Math.min(Math.max(left, PANEL_GAP), window.innerWidth - panelRect.width - PANEL_GAP);
+
+    this.panel.style.top = `${Math.max(top, PANEL_GAP)}px`;
+    this.panel.style.left = `${Math.max(left, PANEL_GAP)}px`;
+  }
+}
+
+export default PreviewPanel;
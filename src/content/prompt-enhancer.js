@@ -5,7 +5,8 @@
 
 import { ENHANCEMENT_LEVELS, GEMINI_API, ERROR_MESSAGES, PROMPT_TEMPLATES } from '../shared/constants.js';
 import { truncate, retryWithBackoff } from '../shared/utils.js';
-import { TEST_MODE_ENABLED, HARDCODED_API_KEY } from '../shared/test-config.js';
+import { getProvider, resolveProviderSettings } from '../shared/providers/index.js';
+import Redactor from '../shared/redaction.js';
 
 class PromptEnhancer {
   constructor(subscriptionManager) {
@@ -22,21 +23,20 @@ class PromptEnhancer {
 
   /**
    * Main enhancement entry point
+   * @param {AbortSignal|null} signal - cancels the provider request
    */
-  async enhancePrompt(context, settings = {}) {
+  async enhancePrompt(context, settings = {}, signal = null) {
     const subscription = this.subscriptionManager
       ? await this.subscriptionManager.getActiveSubscription()
       : null;
 
-    const apiKey = settings.geminiKey
-      || subscription?.apiKey
-      || (TEST_MODE_ENABLED ? HARDCODED_API_KEY : null);
+    const providerSettings = resolveProviderSettings(settings, subscription);
 
-    if (!apiKey) {
+    if (!providerSettings) {
       throw new Error(ERROR_MESSAGES.API_KEY_INVALID);
     }
 
-    return await this.enhanceWithGemini(context, apiKey, settings);
+    return await this.enhanceWithProvider(context, providerSettings, settings, signal);
   }
 
   /**
@@ -73,92 +73,68 @@ class PromptEnhancer {
   }
 
   /**
-   * AI-powered enhancement with Gemini (BYOK tier)
+   * AI-powered enhancement with the configured LLM provider (BYOK tier)
    */
-  async enhanceWithGemini(context, apiKey, settings = {}) {
+  async enhanceWithProvider(context, providerSettings, settings = {}, signal = null) {
     const { currentPrompt, conversationHistory, metadata } = context;
 
     if (!currentPrompt || currentPrompt.trim().length === 0) {
       throw new Error(ERROR_MESSAGES.NO_PROMPT);
     }
 
-    const enhancementPrompt = this.buildGeminiPrompt(context, settings);
+    const redactor = new Redactor(settings.redaction);
+    let enhancementPrompt = this.buildEnhancementPrompt(redactor.redactContext(context), settings);
+    if (redactor.hasRedactions) {
+      enhancementPrompt += `\n\n${redactor.getInstructions()}`;
+    }
 
     try {
-      const enhanced = await retryWithBackoff(async () => {
-        return await this.callGeminiAPI(enhancementPrompt, apiKey);
-      }, GEMINI_API.MAX_RETRIES);
+      const enhanced = redactor.restore(await retryWithBackoff(async () => {
+        return await this.callProviderAPI(enhancementPrompt, providerSettings, signal);
+      }, providerSettings.maxRetries || GEMINI_API.MAX_RETRIES, providerSettings.retryDelay, signal));
 
       return {
         original: currentPrompt,
         enhanced: enhanced,
         strategy: 'ai-powered',
-        method: 'gemini',
+        method: providerSettings.provider,
+        model: providerSettings.model,
+        redactions: redactor.getSummary(),
         changes: this.identifyChanges(currentPrompt, enhanced)
       };
     } catch (error) {
-      console.error('[APE] Gemini API error:', error);
+      if (error.name === 'AbortError') throw error;
+      console.error(`[APE] ${providerSettings.provider} API error:`, error);
       throw new Error(ERROR_MESSAGES.API_ERROR);
     }
   }
 
   /**
-   * Call Gemini API
+   * Call the configured provider API
    */
-  async callGeminiAPI(prompt, apiKey) {
-    const url = `${GEMINI_API.BASE_URL}/models/${GEMINI_API.MODEL}:generateContent`;
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), GEMINI_API.TIMEOUT);
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': apiKey
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024
-          }
-        }),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        if (response.status === 429) {
-          throw new Error(ERROR_MESSAGES.RATE_LIMIT);
-        }
-        throw new Error(`API error: ${response.status}`);
+  async callProviderAPI(prompt, providerSettings, signal = null) {
+    const provider = getProvider(providerSettings.provider);
+
+    return await provider.generate({
+      prompt,
+      apiKey: providerSettings.apiKey,
+      model: providerSettings.model,
+      baseUrl: providerSettings.baseUrl,
+      timeout: providerSettings.timeout,
+      signal,
+      generationConfig: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024
       }
-
-      const data = await response.json();
-
-      if (!data.candidates || data.candidates.length === 0) {
-        throw new Error('No response from API');
-      }
-
-      return data.candidates[0].content.parts[0].text.trim();
-    } finally {
-      clearTimeout(timeout);
-    }
+    });
   }
 
   /**
-   * Build prompt for Gemini API
+   * Build enhancement prompt for the provider API
    */
-  buildGeminiPrompt(context, settings = {}) {
+  buildEnhancementPrompt(context, settings = {}) {
     const { currentPrompt } = context;
     const templateType = settings.promptTemplateType || 'standard';
 
@@ -0,0 +1,125 @@
+/**
+ * Revert Manager
+ * Keeps the pre-enhancement prompt for each input element so the last
+ * enhancement can be undone, even in editors whose own undo stack
+ * doesn't see the programmatic replacement
+ */
+
+class RevertManager {
+  constructor(domObserver) {
+    this.domObserver = domObserver;
+    this.snapshots = new WeakMap();
+    this.lastElement = null;
+  }
+
+  /**
+   * Capture an input's current state before it is overwritten
+   * For contenteditable editors the DOM is cloned too, so structure
+   * (paragraphs, line breaks) can be restored exactly
+   */
+  capture(element, text) {
+    if (!element) return null;
+
+    const isEditable = element.tagName !== 'TEXTAREA' && element.tagName !== 'INPUT';
+    let nodes = null;
+
+    if (isEditable) {
+      nodes = document.createDocumentFragment();
+      element.childNodes.forEach(node => nodes.appendChild(node.cloneNode(true)));
+    }
+
+    return { element, text, nodes, capturedAt: Date.now() };
+  }
+
+  /**
+   * Remember a captured snapshot as the revert point for its element
+   */
+  remember(snapshot) {
+    if (!snapshot?.element) return;
+
+    this.snapshots.set(snapshot.element, snapshot);
+    this.lastElement = snapshot.element;
+  }
+
+  /**
+   * Snapshot that a revert would restore, if any
+   */
+  getSnapshot() {
+    const current = this.domObserver.inputElement;
+    if (current && this.snapshots.has(current)) {
+      return this.snapshots.get(current);
+    }
+
+    if (this.lastElement?.isConnected && this.snapshots.has(this.lastElement)) {
+      return this.snapshots.get(this.lastElement);
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether there is an enhancement to revert
+   */
+  canRevert() {
+    return Boolean(this.getSnapshot());
+  }
+
+  /**
+   * Restore the original prompt of the last enhancement
+   * @returns {Promise<boolean>} Whether the input now holds the original text
+   */
+  async revert() {
+    const snapshot = this.getSnapshot();
+    if (!snapshot) return false;
+
+    const restored = await this.restore(snapshot);
+    if (restored) {
+      this.snapshots.delete(snapshot.element);
+      if (this.lastElement === snapshot.element) {
+        this.lastElement = null;
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Write a snapshot back into its element
+   */
+  async restore(snapshot) {
+    const { element, text } = snapshot;
+
+    // First go through the normal injection path so the editor updates its own state
+    await this.domObserver.injectEnhancedPrompt(text, element);
+
+    if (!this.matchesOriginal(element, text) && snapshot.nodes) {
+      // The editor normalised the text (e.g. collapsed newlines); put the original DOM back
+      this.restoreNodes(element, snapshot.nodes);
+    }
+
+    return this.matchesOriginal(element, text);
+  }
+
+  /**
+   * Compare an element's text with the original, ignoring the trailing
+   * newline contenteditable innerText tends to add
+   */
+  matchesOriginal(element, text) {
+    const current = this.domObserver.readInputText(element) ?? '';
+    return current.replace(/\n$/, '') === text.replace(/\n$/, '');
+  }
+
+  /**
+   * Replace a contenteditable's children with cloned snapshot nodes
+   */
+  restoreNodes(element, nodes) {
+    element.replaceChildren(nodes.cloneNode(true));
+    element.dispatchEvent(new InputEvent('input', {
+      bubbles: true,
+      composed: true,
+      inputType: 'insertReplacementText'
+    }));
+  }
+}
+
+export default RevertManager;
@@ -0,0 +1,108 @@
+/**
+ * Selector Health
+ * Reports which of the platform's selectors still match, so a site redesign
+ * shows up in the popup before the button goes missing
+ */
+
+import { SELECTOR_GROUPS, SELECTOR_HEALTH } from '../shared/constants.js';
+import { deepQuerySelectorAll } from '../shared/deep-query.js';
+import { SENDERS, createClient } from '../shared/messages.js';
+
+const messages = createClient(SENDERS.CONTENT);
+
+class SelectorHealth {
+  constructor(domObserver) {
+    this.domObserver = domObserver;
+  }
+
+  /**
+   * Check every selector of every group against the current page
+   * @returns {Object} { hostname, platform, checkedAt, status, groups: { [group]: { status, matchedSelector, selectors } } }
+   */
+  check() {
+    const groups = {};
+
+    SELECTOR_GROUPS.forEach((group) => {
+      groups[group] = this.checkGroup(group);
+    });
+
+    return {
+      hostname: window.location.hostname,
+      platform: this.domObserver.platform,
+      checkedAt: Date.now(),
+      status: this.getOverallStatus(groups),
+      groups
+    };
+  }
+
+  /**
+   * Group status: 'ok' when the primary selector matched, 'fallback' when only
+   * a later or learned one did, 'missing' when nothing matched
+   */
+  checkGroup(group) {
+    const [primary] = this.domObserver.platformSelectors[group] || [];
+    const learned = new Set((this.domObserver.learnedSelectors[group] || []).map(entry => entry.selector));
+    // The prompt input has to be usable; send buttons are disabled while the input is empty
+    const requireUsable = group === 'inputArea';
+
+    const selectors = (this.domObserver.selectors[group] || []).map((selector) => {
+      let elements = [];
+      try {
+        elements = deepQuerySelectorAll(selector);
+      } catch (error) {
+        // Invalid selector counts as no match
+      }
+
+      const usable = elements.filter(element => this.domObserver.validateElement(element)).length;
+      return {
+        selector,
+        source: learned.has(selector) ? 'learned' : 'platform',
+        matches: elements.length,
+        usable,
+        matched: requireUsable ? usable > 0 : elements.length > 0
+      };
+    });
+
+    const matched = selectors.find(entry => entry.matched);
+    let status = 'missing';
+    if (matched) {
+      status = matched.selector === primary ? 'ok' : 'fallback';
+    }
+
+    return {
+      status,
+      matchedSelector: matched?.selector || null,
+      selectors
+    };
+  }
+
+  getOverallStatus(groups) {
+    if (groups.inputArea.status === 'missing') {
+      return SELECTOR_HEALTH.BROKEN;
+    }
+    return Object.values(groups).every(group => group.status === 'ok')
+      ? SELECTOR_HEALTH.HEALTHY
+      : SELECTOR_HEALTH.DEGRADED;
+  }
+
+  /**
+   * Check and have the background store the report for the popup
+   */
+  async run() {
+    const report = this.check();
+
+    try {
+      await messages.saveSelectorHealth({ report });
+    } catch (error) {
+      console.warn('[APE] Failed to save selector health:', error);
+    }
+
+    if (report.status !== SELECTOR_HEALTH.HEALTHY) {
+      console.warn(`[APE] Selector health ${report.status}:`, report.groups);
+    }
+
+    return report;
+  }
+}
+
+export default SelectorHealth;
@@ -0,0 +1,226 @@
+/**
+ * Submit Interceptor
+ * Auto-enhance on send: holds back Enter / send-button submits, enhances the
+ * prompt, then replays the original submit
+ */
+
+import browserCompat from '../shared/browser-compat.js';
+import { AUTO_ENHANCE_CONFIG, DEFAULT_SETTINGS } from '../shared/constants.js';
+import { ENHANCEMENT_OUTCOMES } from './inline-ui.js';
+
+const MODIFIER_KEYS = ['shiftKey', 'altKey', 'ctrlKey', 'metaKey'];
+
+// The user still meant to send in these cases, so the prompt goes out as it stands
+const SEND_OUTCOMES = [
+  ENHANCEMENT_OUTCOMES.APPLIED,
+  ENHANCEMENT_OUTCOMES.REJECTED,
+  ENHANCEMENT_OUTCOMES.UNCHANGED,
+  ENHANCEMENT_OUTCOMES.FAILED
+];
+
+class SubmitInterceptor {
+  constructor(inlineUI, domObserver, settings) {
+    this.inlineUI = inlineUI;
+    this.domObserver = domObserver;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.siteOptedIn = false;
+    this.pending = false;
+    this.replaying = false;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      const result = await browserCompat.storageGet(['managedSites']);
+      this.siteOptedIn = this.isSiteOptedIn(result.managedSites);
+    } catch (error) {
+      console.error('[APE SubmitInterceptor] Failed to load site settings:', error);
+    }
+
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('click', this.handleClick, true);
+    browserCompat.onStorageChanged(this.handleStorageChange);
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.removeEventListener('click', this.handleClick, true);
+    try {
+      browserCompat.offStorageChanged(this.handleStorageChange);
+    } catch (error) {
+      // Extension context already gone
+    }
+  }
+
+  /**
+   * Auto-enhance needs both the global switch and a per-site opt-in
+   */
+  isActive() {
+    return Boolean(this.settings.autoEnhance && this.siteOptedIn);
+  }
+
+  isSiteOptedIn(managedSites = []) {
+    const hostname = window.location.hostname;
+    const site = managedSites.find(s => hostname === s.hostname || hostname.endsWith(`.${s.hostname}`));
+    return Boolean(site?.autoEnhance);
+  }
+
+  /**
+   * Keep the site opt-in current without a page reload; settings are pushed in
+   * by main.js
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    if (changes.managedSites) {
+      this.siteOptedIn = this.isSiteOptedIn(changes.managedSites.newValue || []);
+    }
+  }
+
+  /**
+   * Whether the bypass modifier is held (e.g. Alt+Enter sends the raw prompt)
+   */
+  isBypass(event) {
+    const property = AUTO_ENHANCE_CONFIG.BYPASS_KEYS[this.settings.autoEnhanceBypassKey];
+    return Boolean(property && event[property]);
+  }
+
+  handleKeyDown(event) {
+    if (!event.isTrusted || this.replaying || event.key !== 'Enter' || event.isComposing) return;
+    if (!this.isActive()) return;
+
+    const inputElement = this.domObserver.closestMatch(event.target, this.domObserver.selectors.inputArea);
+    if (!inputElement) return;
+
+    const bypass = this.isBypass(event);
+    const bypassProperty = AUTO_ENHANCE_CONFIG.BYPASS_KEYS[this.settings.autoEnhanceBypassKey];
+
+    // Any other modifier keeps its native meaning; Shift+Enter inserts a newline
+    if (MODIFIER_KEYS.some(key => event[key] && key !== bypassProperty)) return;
+
+    if (this.pending) {
+      this.swallow(event);
+      return;
+    }
+
+    if (bypass) {
+      this.swallow(event);
+      this.replaySubmit(inputElement);
+      return;
+    }
+
+    if (!this.meetsMinLength(inputElement)) return;
+
+    this.swallow(event);
+    this.enhanceThenSubmit(inputElement);
+  }
+
+  handleClick(event) {
+    if (!event.isTrusted || this.replaying || !this.isActive()) return;
+
+    const button = this.domObserver.closestMatch(event.target, this.domObserver.selectors.sendButton);
+    if (!button) return;
+
+    if (this.pending) {
+      this.swallow(event);
+      return;
+    }
+
+    // Modifier+click goes straight through as a raw send
+    if (this.isBypass(event)) return;
+
+    const inputElement = this.domObserver.findElement(this.domObserver.selectors.inputArea);
+    if (!inputElement || !this.meetsMinLength(inputElement)) return;
+
+    this.swallow(event);
+    this.enhanceThenSubmit(inputElement, button);
+  }
+
+  meetsMinLength(inputElement) {
+    const text = this.domObserver.readInputText(inputElement) || '';
+    return text.trim().length >= (this.settings.autoEnhanceMinLength || 0);
+  }
+
+  swallow(event) {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+
+  /**
+   * Enhance the prompt, then send whatever is in the input
+   * Cancelling the enhancement (Esc) also cancels the send
+   */
+  async enhanceThenSubmit(inputElement, button = null) {
+    this.pending = true;
+
+    try {
+      const outcome = await this.inlineUI.runEnhancement({
+        preview: Boolean(this.settings.autoEnhanceConfirm),
+        wholePrompt: true
+      });
+
+      if (!SEND_OUTCOMES.includes(outcome)) {
+        console.log('[APE SubmitInterceptor] Send held back:', outcome);
+        return;
+      }
+
+      await this.replaySubmit(inputElement, button);
+    } catch (error) {
+      console.error('[APE SubmitInterceptor] Auto-enhance failed:', error);
+    } finally {
+      this.pending = false;
+    }
+  }
+
+  /**
+   * Replay the submit: click the send button once the editor has picked up the
+   * new text, falling back to a synthetic Enter on the input
+   */
+  async replaySubmit(inputElement, button = null) {
+    const sendButton = await this.waitForSendButton(button);
+
+    this.replaying = true;
+    try {
+      if (sendButton) {
+        sendButton.click();
+        return;
+      }
+
+      const target = inputElement?.isConnected
+        ? inputElement
+        : this.domObserver.findElement(this.domObserver.selectors.inputArea);
+
+      target?.dispatchEvent(new KeyboardEvent('keydown', {
+        key: 'Enter',
+        code: 'Enter',
+        keyCode: 13,
+        which: 13,
+        bubbles: true,
+        cancelable: true
+      }));
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  async waitForSendButton(preferred = null) {
+    const deadline = Date.now() + AUTO_ENHANCE_CONFIG.SEND_READY_TIMEOUT;
+
+    while (Date.now() < deadline) {
+      const button = preferred?.isConnected ? preferred : this.domObserver.findSendButton();
+      if (button && !button.disabled && !button.hasAttribute('disabled')) {
+        return button;
+      }
+      await new Promise(resolve => setTimeout(resolve, AUTO_ENHANCE_CONFIG.SEND_READY_POLL));
+    }
+
+    return null;
+  }
+}
+
+export default SubmitInterceptor;
@@ -4,16 +4,38 @@
  */
 
 import EnhancementPresets from '../content/enhancement-presets.js';
-import { DEFAULT_SETTINGS, ENHANCEMENT_PRESETS, STORAGE_KEYS } from '../shared/constants.js';
+import { DEFAULT_SETTINGS, ENHANCEMENT_PRESETS, STORAGE_KEYS, LOCAL_MODEL_API, HISTORY_CONFIG, VARIANT_CONFIG } from '../shared/constants.js';
 import browserCompat from '../shared/browser-compat.js';
+import settingsService from '../shared/settings-service.js';
 import { TEST_MODE_ENABLED, HARDCODED_API_KEY, VERBOSE_LOGGING } from '../shared/test-config.js';
-import { renderStaticHTML } from '../shared/utils.js';
+import { renderStaticHTML, formatTimestamp, copyToClipboard, debounce, downloadFile } from '../shared/utils.js';
+import { getAllProviders, getLocalServers } from '../shared/providers/index.js';
+import { compileCustomPattern } from '../shared/redaction.js';
+import { GENERIC_PLATFORM_ID, validatePlatformPack } from '../shared/platform-packs.js';
+import ProfileManager from '../shared/profile-manager.js';
+import { MESSAGE_ERRORS, SENDERS, createClient } from '../shared/messages.js';
+import {
+  PLACEMENT_MODES,
+  buildProfilesFile,
+  findProfileConflicts,
+  mergeProfiles,
+  parseProfilesFile,
+  validateProfile
+} from '../shared/site-profiles.js';
+
+const messages = createClient(SENDERS.EXTENSION);
 
 class OptionsPage {
   constructor() {
     this.presets = new EnhancementPresets();
     this.settings = null;
+    this.subscription = null;
+    this.providers = getAllProviders();
+    this.localServers = getLocalServers();
     this.usageStats = null;
+    this.profileManager = new ProfileManager();
+    this.editingProfileId = null;
+    this.pendingProfileImport = null;
 
     this.init();
   }
@@ -23,12 +45,16 @@ class OptionsPage {
 
     // Load current settings
     await this.loadSettings();
+    await this.loadSubscription();
 
     // Populate UI
     this.populateEnhancementTypes();
     this.populateShortcuts();
     this.populateSettings();
     this.loadUsageStats();
+    this.loadHistory();
+    this.loadPlatformPacks();
+    this.loadProfiles();
 
     // Attach event listeners
     this.attachEventListeners();
@@ -41,13 +67,23 @@ class OptionsPage {
    */
   async loadSettings() {
     try {
-      const result = await browserCompat.storage_get([STORAGE_KEYS.SETTINGS]);
-      const storedSettings = result[STORAGE_KEYS.SETTINGS] || {};
-      this.settings = { ...DEFAULT_SETTINGS, ...storedSettings };
+      this.settings = await settingsService.get();
       console.log('[Options] Settings loaded:', this.settings);
     } catch (error) {
       console.error('[Options] Failed to load settings:', error);
-      this.settings = { ...DEFAULT_SETTINGS };
+      this.settings = structuredClone(DEFAULT_SETTINGS);
+    }
+  }
+
+  /**
+   * Load BYOK subscription info (provider, model, masked key) from background
+   */
+  async loadSubscription() {
+    try {
+      this.subscription = await messages.getSubscriptionInfo();
+    } catch (error) {
+      console.error('[Options] Failed to load subscription:', error);
+      this.subscription = null;
     }
   }
 
@@ -56,7 +92,7 @@ class OptionsPage {
    */
   async loadUsageStats() {
     try {
-      const result = await browserCompat.storage_get([STORAGE_KEYS.USAGE_STATS]);
+      const result = await browserCompat.storageGet([STORAGE_KEYS.USAGE_STATS]);
       this.usageStats = result[STORAGE_KEYS.USAGE_STATS] || {
         totalEnhancements: 0,
         byokEnhancements: 0
@@ -67,6 +103,15 @@ class OptionsPage {
       document.getElementById('byok-enhancements').textContent = this.usageStats.byokEnhancements || 0;
       document.getElementById('free-enhancements').textContent =
         (this.usageStats.totalEnhancements || 0) - (this.usageStats.byokEnhancements || 0);
+
+      const [topPreset, topCount] = Object.entries(this.usageStats.variantPicks || {})
+        .sort((a, b) => b[1] - a[1])[0] || [];
+      document.getElementById('top-variant').textContent = topPreset
+        ? this.presets.getPreset(topPreset).name
+        : '—';
+      document.getElementById('top-variant-label').textContent = topPreset
+        ? `Most Picked Variant (${topCount}×)`
+        : 'Most Picked Variant';
     } catch (error) {
       console.error('[Options] Failed to load usage stats:', error);
     }
@@ -169,33 +214,65 @@ class OptionsPage {
       autoEnhance.checked = this.settings.autoEnhance || false;
     }
 
+    const autoEnhanceMinLength = document.getElementById('auto-enhance-min-length');
+    if (autoEnhanceMinLength) {
+      autoEnhanceMinLength.value = this.settings.autoEnhanceMinLength ?? DEFAULT_SETTINGS.autoEnhanceMinLength;
+    }
+
+    const autoEnhanceBypass = document.getElementById('auto-enhance-bypass');
+    if (autoEnhanceBypass) {
+      autoEnhanceBypass.value = this.settings.autoEnhanceBypassKey || DEFAULT_SETTINGS.autoEnhanceBypassKey;
+    }
+
+    const autoEnhanceConfirm = document.getElementById('auto-enhance-confirm');
+    if (autoEnhanceConfirm) {
+      autoEnhanceConfirm.checked = this.settings.autoEnhanceConfirm || false;
+    }
+
     // Show diff
     const showDiff = document.getElementById('show-diff');
     if (showDiff) {
       showDiff.checked = this.settings.showDiff !== false; // Default true
     }
 
+    // Preview variants
+    const variantMode = document.getElementById('variant-mode');
+    if (variantMode) {
+      variantMode.value = this.settings.variantMode || VARIANT_CONFIG.MODES.PRESETS;
+    }
+
+    const variantCount = document.getElementById('variant-count');
+    if (variantCount) {
+      variantCount.value = this.settings.variantCount || DEFAULT_SETTINGS.variantCount;
+      variantCount.disabled = variantMode?.value !== VARIANT_CONFIG.MODES.SAMPLING;
+    }
+
     // Custom prompt
     const customPromptTextarea = document.getElementById('custom-prompt-textarea');
     if (customPromptTextarea) {
       customPromptTextarea.value = this.settings.customEnhancementPrompt || '';
     }
 
-    // API key
+    this.populateRedaction();
+
+    // API provider and key
+    this.populateProviders();
+    this.populateKeyPassphrase();
+
+    // Local model server
+    this.populateLocalModel();
+
     const apiKeyInput = document.getElementById('gemini-api-key');
     if (apiKeyInput) {
-      apiKeyInput.value = this.settings.geminiKey || '';
-
       // TEST MODE: Pre-fill with hardcoded key if in test mode
-      if (TEST_MODE_ENABLED && !this.settings.geminiKey) {
+      if (TEST_MODE_ENABLED && this.subscription?.type !== 'byok') {
         console.log('[Options TEST MODE] Pre-filling with hardcoded API key');
         apiKeyInput.value = HARDCODED_API_KEY;
-        this.settings.geminiKey = HARDCODED_API_KEY;
       }
 
       // Show/hide remove button
       const removeBtn = document.getElementById('remove-api-key');
-      if (this.settings.geminiKey) {
+      if (this.subscription?.type === 'byok') {
         removeBtn.style.display = 'inline-block';
         this.updateSubscriptionStatus(true);
       } else {
@@ -267,6 +344,36 @@ class OptionsPage {
       });
     }
 
+    // Provider selection
+    const providerSelect = document.getElementById('provider-select');
+    if (providerSelect) {
+      providerSelect.addEventListener('change', () => {
+        this.handleProviderChange(providerSelect.value);
+      });
+    }
+
+    // Local model server
+    const localServerSelect = document.getElementById('local-model-server');
+    if (localServerSelect) {
+      localServerSelect.addEventListener('change', () => {
+        this.handleLocalServerChange(localServerSelect.value);
+      });
+    }
+
+    const testLocalModelBtn = document.getElementById('test-local-model');
+    if (testLocalModelBtn) {
+      testLocalModelBtn.addEventListener('click', async () => {
+        await this.handleTestLocalModel();
+      });
+    }
+
+    const saveLocalModelBtn = document.getElementById('save-local-model');
+    if (saveLocalModelBtn) {
+      saveLocalModelBtn.addEventListener('click', async () => {
+        await this.handleSaveLocalModel();
+      });
+    }
+
     // Save API key
     const saveApiKeyBtn = document.getElementById('save-api-key');
     if (saveApiKeyBtn) {
@@ -283,6 +390,20 @@ class OptionsPage {
       });
     }
 
+    // Key passphrase
+    document.getElementById('unlock-keys')?.addEventListener('click', async () => {
+      await this.handleUnlockKeys();
+    });
+    document.getElementById('set-key-passphrase')?.addEventListener('click', async () => {
+      await this.handleSetKeyPassphrase();
+    });
+    document.getElementById('remove-key-passphrase')?.addEventListener('click', async () => {
+      await this.handleRemoveKeyPassphrase();
+    });
+    document.getElementById('lock-keys')?.addEventListener('click', async () => {
+      await this.handleLockKeys();
+    });
+
     // General settings
     const enhancementLevel = document.getElementById('enhancement-level');
     if (enhancementLevel) {
@@ -308,6 +429,50 @@ class OptionsPage {
       });
     }
 
+    const autoEnhanceMinLength = document.getElementById('auto-enhance-min-length');
+    if (autoEnhanceMinLength) {
+      autoEnhanceMinLength.addEventListener('change', () => {
+        const minLength = parseInt(autoEnhanceMinLength.value, 10);
+        this.settings.autoEnhanceMinLength = Number.isNaN(minLength) ? DEFAULT_SETTINGS.autoEnhanceMinLength : Math.max(minLength, 0);
+        autoEnhanceMinLength.value = this.settings.autoEnhanceMinLength;
+        this.autoSaveSettings();
+      });
+    }
+
+    const autoEnhanceBypass = document.getElementById('auto-enhance-bypass');
+    if (autoEnhanceBypass) {
+      autoEnhanceBypass.addEventListener('change', () => {
+        this.settings.autoEnhanceBypassKey = autoEnhanceBypass.value;
+        this.autoSaveSettings();
+      });
+    }
+
+    const autoEnhanceConfirm = document.getElementById('auto-enhance-confirm');
+    if (autoEnhanceConfirm) {
+      autoEnhanceConfirm.addEventListener('change', () => {
+        this.settings.autoEnhanceConfirm = autoEnhanceConfirm.checked;
+        this.autoSaveSettings();
+      });
+    }
+
+    const redactionEnabled = document.getElementById('redaction-enabled');
+    if (redactionEnabled) {
+      redactionEnabled.addEventListener('change', () => {
+        this.updateRedaction({ enabled: redactionEnabled.checked });
+        this.populateRedaction();
+      });
+    }
+
+    document.querySelectorAll('[data-redaction-type]').forEach((checkbox) => {
+      checkbox.addEventListener('change', () => {
+        this.updateRedaction({ [checkbox.dataset.redactionType]: checkbox.checked });
+      });
+    });
+
+    document.getElementById('save-redaction-patterns')?.addEventListener('click', () => {
+      this.saveRedactionPatterns();
+    });
+
     const showDiff = document.getElementById('show-diff');
     if (showDiff) {
       showDiff.addEventListener('change', () => {
@@ -316,6 +481,30 @@ class OptionsPage {
       });
     }
 
+    const variantMode = document.getElementById('variant-mode');
+    const variantCount = document.getElementById('variant-count');
+    if (variantMode) {
+      variantMode.addEventListener('change', () => {
+        this.settings.variantMode = variantMode.value;
+        if (variantCount) {
+          variantCount.disabled = variantMode.value !== VARIANT_CONFIG.MODES.SAMPLING;
+        }
+        this.autoSaveSettings();
+      });
+    }
+
+    if (variantCount) {
+      variantCount.addEventListener('change', () => {
+        const count = parseInt(variantCount.value, 10);
+        this.settings.variantCount = Math.min(
+          Math.max(count || DEFAULT_SETTINGS.variantCount, VARIANT_CONFIG.MIN_COUNT),
+          VARIANT_CONFIG.MAX_COUNT
+        );
+        variantCount.value = this.settings.variantCount;
+        this.autoSaveSettings();
+      });
+    }
+
     // Save all settings button
     const saveAllBtn = document.getElementById('save-all-settings');
     if (saveAllBtn) {
@@ -324,11 +513,90 @@ class OptionsPage {
       });
     }
 
+    // Platform packs
+    const importPackBtn = document.getElementById('import-platform-pack');
+    const packFileInput = document.getElementById('platform-pack-file');
+    if (importPackBtn && packFileInput) {
+      importPackBtn.addEventListener('click', () => packFileInput.click());
+      packFileInput.addEventListener('change', async () => {
+        const [file] = packFileInput.files;
+        packFileInput.value = '';
+        if (file) {
+          await this.handleImportPlatformPack(file);
+        }
+      });
+    }
+
+    // Site profiles
+    document.getElementById('new-profile')?.addEventListener('click', () => {
+      this.openProfileEditor(null);
+    });
+    document.getElementById('cancel-profile-edit')?.addEventListener('click', () => {
+      this.closeProfileEditor();
+    });
+    document.getElementById('profile-editor')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.handleSaveProfile();
+    });
+    document.getElementById('test-profile-draft')?.addEventListener('click', async () => {
+      const profile = this.readProfileForm();
+      if (profile) {
+        await this.handleTestProfile(profile);
+      }
+    });
+    document.getElementById('export-profiles')?.addEventListener('click', () => {
+      this.handleExportProfiles();
+    });
+    document.getElementById('profile-import-conflicts')?.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-resolution]');
+      if (button) {
+        await this.resolveProfileImport(button.dataset.resolution);
+      }
+    });
+
+    const importProfilesBtn = document.getElementById('import-profiles');
+    const profilesFileInput = document.getElementById('profiles-file');
+    if (importProfilesBtn && profilesFileInput) {
+      importProfilesBtn.addEventListener('click', () => profilesFileInput.click());
+      profilesFileInput.addEventListener('change', async () => {
+        const [file] = profilesFileInput.files;
+        profilesFileInput.value = '';
+        if (file) {
+          await this.handleImportProfiles(file);
+        }
+      });
+    }
+
     // Add custom platform
     const addPlatformBtn = document.getElementById('add-custom-platform');
     if (addPlatformBtn) {
       addPlatformBtn.addEventListener('click', () => {
-        this.showCustomPlatformDialog();
+        this.showElementPickerHelp();
+      });
+    }
+
+    // Enhancement history
+    const historySearch = document.getElementById('history-search');
+    if (historySearch) {
+      historySearch.addEventListener('input', debounce(() => this.loadHistory(), 250));
+    }
+
+    const historyPlatform = document.getElementById('history-platform');
+    if (historyPlatform) {
+      historyPlatform.addEventListener('change', () => this.loadHistory());
+    }
+
+    const historyRetention = document.getElementById('history-retention');
+    if (historyRetention) {
+      historyRetention.addEventListener('change', async () => {
+        await this.handleRetentionChange(historyRetention.value);
+      });
+    }
+
+    const purgeHistoryBtn = document.getElementById('purge-history');
+    if (purgeHistoryBtn) {
+      purgeHistoryBtn.addEventListener('click', async () => {
+        await this.handlePurgeHistory();
       });
     }
   }
@@ -433,21 +701,101 @@ class OptionsPage {
     }
   }
 
+  /**
+   * Populate provider dropdown and reflect the active BYOK configuration
+   */
+  populateProviders() {
+    const providerSelect = document.getElementById('provider-select');
+    if (!providerSelect) return;
+
+    providerSelect.replaceChildren();
+    this.providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      providerSelect.appendChild(option);
+    });
+
+    const hasByok = this.subscription?.type === 'byok';
+    const activeProvider = hasByok ? this.subscription.provider : this.providers[0].id;
+    providerSelect.value = activeProvider;
+    this.handleProviderChange(activeProvider);
+
+    if (hasByok) {
+      document.getElementById('provider-model').value = this.subscription.model || '';
+      document.getElementById('provider-base-url').value = this.subscription.baseUrl || '';
+      if (this.subscription.apiKeyMasked) {
+        document.getElementById('gemini-api-key').placeholder = this.subscription.apiKeyMasked;
+      }
+    }
+  }
+
+  /**
+   * Update model suggestions, key hints and base URL field for the selected provider
+   */
+  handleProviderChange(providerId) {
+    const provider = this.getProviderInfo(providerId);
+    if (!provider) return;
+
+    const modelOptions = document.getElementById('provider-model-options');
+    modelOptions.replaceChildren();
+    provider.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      modelOptions.appendChild(option);
+    });
+
+    const modelInput = document.getElementById('provider-model');
+    modelInput.value = '';
+    modelInput.placeholder = provider.defaultModel || 'Model name';
+
+    document.getElementById('provider-base-url-group').style.display =
+      provider.requiresBaseUrl ? 'block' : 'none';
+
+    const apiKeyInput = document.getElementById('gemini-api-key');
+    if (this.subscription?.provider !== providerId) {
+      apiKeyInput.placeholder = provider.keyPrefix
+        ? `${provider.keyPrefix}...`
+        : (provider.requiresKey ? 'API key' : 'API key (optional)');
+    }
+
+    const keyLink = document.getElementById('provider-key-link');
+    keyLink.style.display = provider.keyUrl ? 'inline' : 'none';
+    if (provider.keyUrl) keyLink.href = provider.keyUrl;
+  }
+
+  /**
+   * Look up provider metadata by id
+   */
+  getProviderInfo(providerId) {
+    return this.providers.find(provider => provider.id === providerId);
+  }
+
   /**
    * Handle save API key
+   * Validation and storage happen in the background subscription manager
    */
   async handleSaveApiKey() {
     const input = document.getElementById('gemini-api-key');
     const apiKey = input.value.trim();
+    const providerId = document.getElementById('provider-select').value;
+    const provider = this.getProviderInfo(providerId);
+    const model = document.getElementById('provider-model').value.trim() || null;
+    const baseUrl = document.getElementById('provider-base-url').value.trim() || null;
 
-    if (!apiKey) {
+    if (!apiKey && provider.requiresKey) {
       this.showStatus('Please enter an API key', 'error');
       return;
     }
 
     // Validate API key format
-    if (!apiKey.startsWith('AIza')) {
-      this.showStatus('Invalid API key format. Should start with "AIza"', 'error');
+    if (apiKey && provider.keyPrefix && !apiKey.startsWith(provider.keyPrefix)) {
+      this.showStatus(`Invalid API key format. Should start with "${provider.keyPrefix}"`, 'error');
+      return;
+    }
+
+    if (provider.requiresBaseUrl && (!baseUrl || !model)) {
+      this.showStatus('Please enter the endpoint base URL and model', 'error');
       return;
     }
 
@@ -458,59 +806,33 @@ class OptionsPage {
     saveBtn.disabled = true;
 
     try {
-      // Test the API key
-      const isValid = await this.validateGeminiKey(apiKey);
+      await messages.activateBYOK({ apiKey, provider: providerId, model, baseUrl });
 
-      if (isValid) {
-        this.settings.geminiKey = apiKey;
-        this.settings.subscriptionType = 'byok';
+      this.settings.subscriptionType = 'byok';
+      await this.saveSettings();
 
-        await this.saveSettings();
+      await this.loadSubscription();
+      input.value = '';
+      this.populateProviders();
 
-        // Update UI
-        document.getElementById('remove-api-key').style.display = 'inline-block';
-        this.updateSubscriptionStatus(true);
+      // Update UI
+      document.getElementById('remove-api-key').style.display = 'inline-block';
+      this.updateSubscriptionStatus(true);
 
-        this.showStatus('API key saved successfully! 🎉', 'success');
+      this.showStatus('API key saved successfully! 🎉', 'success');
+    } catch (error) {
+      if (error.code === MESSAGE_ERRORS.HANDLER_FAILED) {
+        this.showStatus(error.message || 'API key validation failed. Please check your key.', 'error');
       } else {
-        this.showStatus('API key validation failed. Please check your key.', 'error');
+        console.error('[Options] API key validation error:', error);
+        this.showStatus('Failed to validate API key. Check your internet connection.', 'error');
       }
-    } catch (error) {
-      console.error('[Options] API key validation error:', error);
-      this.showStatus('Failed to validate API key. Check your internet connection.', 'error');
     } finally {
       saveBtn.textContent = originalText;
       saveBtn.disabled = false;
     }
   }
 
-  /**
-   * Validate Gemini API key
-   */
-  async validateGeminiKey(apiKey) {
-    try {
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${apiKey}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            contents: [{
-              parts: [{ text: 'Test' }]
-            }]
-          })
-        }
-      );
-
-      return response.ok;
-    } catch (error) {
-      console.error('[Options] API key validation error:', error);
-      return false;
-    }
-  }
-
   /**
    * Handle remove API key
    */
@@ -519,19 +841,101 @@ class OptionsPage {
       return;
     }
 
-    this.settings.geminiKey = '';
+    try {
+      await messages.deactivateBYOK();
+    } catch (error) {
+      console.error('[Options] Failed to deactivate BYOK:', error);
+    }
+
     this.settings.subscriptionType = 'free';
 
     await this.saveSettings();
+    await this.loadSubscription();
 
     // Update UI
     document.getElementById('gemini-api-key').value = '';
     document.getElementById('remove-api-key').style.display = 'none';
+    this.populateProviders();
     this.updateSubscriptionStatus(false);
 
     this.showStatus('API key removed. Switched to free tier.', 'info');
   }
 
+  /**
+   * Show the key vault state: passphrase or device key, locked or not
+   */
+  populateKeyPassphrase() {
+    const status = document.getElementById('key-passphrase-status');
+    if (!status) return;
+
+    const passphrase = Boolean(this.subscription?.keyPassphrase);
+    const locked = Boolean(this.subscription?.keyLocked);
+
+    if (locked) {
+      status.textContent = 'Locked for this browser session. Enter your passphrase to unlock.';
+    } else if (passphrase) {
+      status.textContent = 'Encrypted with your passphrase, asked for once per browser session.';
+    } else {
+      status.textContent = 'Encrypted with a key kept on this device. Add a passphrase to require it once per browser session.';
+    }
+
+    document.getElementById('unlock-keys').style.display = locked ? 'inline-block' : 'none';
+    document.getElementById('set-key-passphrase').style.display = locked ? 'none' : 'inline-block';
+    document.getElementById('set-key-passphrase').textContent = passphrase ? 'Change Passphrase' : 'Set Passphrase';
+    document.getElementById('remove-key-passphrase').style.display = passphrase && !locked ? 'inline-block' : 'none';
+    document.getElementById('lock-keys').style.display = passphrase && !locked ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Send a key vault action and refresh the passphrase controls
+   */
+  async runKeyAction(action, data) {
+    const input = document.getElementById('key-passphrase');
+
+    try {
+      const { message } = await messages[action](data);
+      this.showStatus(message, 'success');
+    } catch (error) {
+      console.error(`[Options] ${action} failed:`, error);
+      this.showStatus(error.code === MESSAGE_ERRORS.HANDLER_FAILED
+        ? error.message
+        : 'Key passphrase update failed', 'error');
+    }
+
+    input.value = '';
+    await this.loadSubscription();
+    this.populateKeyPassphrase();
+  }
+
+  async handleUnlockKeys() {
+    const passphrase = document.getElementById('key-passphrase').value;
+    if (!passphrase) {
+      this.showStatus('Please enter your passphrase', 'error');
+      return;
+    }
+    await this.runKeyAction('unlockKeys', { passphrase });
+  }
+
+  async handleSetKeyPassphrase() {
+    const passphrase = document.getElementById('key-passphrase').value;
+    if (passphrase.length < 8) {
+      this.showStatus('Use a passphrase of at least 8 characters', 'error');
+      return;
+    }
+    await this.runKeyAction('setKeyPassphrase', { passphrase });
+  }
+
+  async handleRemoveKeyPassphrase() {
+    if (!confirm('Remove the passphrase? Your API key stays encrypted, but no longer needs unlocking.')) {
+      return;
+    }
+    await this.runKeyAction('setKeyPassphrase', { passphrase: null });
+  }
+
+  async handleLockKeys() {
+    await this.runKeyAction('lockKeys');
+  }
+
   /**
    * Update subscription status display
    */
@@ -540,9 +944,11 @@ class OptionsPage {
     const status = document.getElementById('subscription-status');
 
     if (hasByok) {
+      const provider = this.getProviderInfo(this.subscription?.provider);
+      const model = this.subscription?.model || provider?.defaultModel;
       badge.textContent = 'BYOK Tier';
       badge.className = 'subscription-badge byok';
-      status.textContent = 'Using AI-powered enhancement with Gemini';
+      status.textContent = `Using AI-powered enhancement with ${provider?.name || 'Gemini'}${model ? ` (${model})` : ''}`;
     } else {
       badge.textContent = 'Free Tier';
       badge.className = 'subscription-badge free';
@@ -550,6 +956,367 @@ class OptionsPage {
     }
   }
 
+  /**
+   * Populate the local model form from settings
+   */
+  populateLocalModel() {
+    const localModel = { ...DEFAULT_SETTINGS.localModel, ...(this.settings.localModel || {}) };
+
+    const serverSelect = document.getElementById('local-model-server');
+    if (!serverSelect) return;
+
+    serverSelect.replaceChildren();
+    this.localServers.forEach(server => {
+      const option = document.createElement('option');
+      option.value = server.id;
+      option.textContent = server.name;
+      serverSelect.appendChild(option);
+    });
+    serverSelect.value = localModel.server;
+    this.handleLocalServerChange(localModel.server);
+
+    document.getElementById('local-model-enabled').checked = localModel.enabled;
+    document.getElementById('local-model-base-url').value = localModel.baseUrl || '';
+    document.getElementById('local-model-name').value = localModel.model || '';
+    document.getElementById('local-model-timeout').value =
+      Math.round((localModel.timeout || LOCAL_MODEL_API.TIMEOUT) / 1000);
+    document.getElementById('local-model-retries').value =
+      localModel.maxRetries || LOCAL_MODEL_API.MAX_RETRIES;
+  }
+
+  /**
+   * Update placeholders for the selected local server type
+   */
+  handleLocalServerChange(serverId) {
+    const server = this.localServers.find(entry => entry.id === serverId);
+    if (!server) return;
+
+    document.getElementById('local-model-base-url').placeholder = server.defaultBaseUrl;
+    document.getElementById('local-model-name').placeholder = server.requiresModel
+      ? 'e.g. llama3.2'
+      : 'Uses the model the server was started with';
+  }
+
+  /**
+   * Read the local model form into a settings object
+   */
+  readLocalModelForm() {
+    const timeoutSeconds = parseInt(document.getElementById('local-model-timeout').value, 10);
+    const maxRetries = parseInt(document.getElementById('local-model-retries').value, 10);
+
+    return {
+      enabled: document.getElementById('local-model-enabled').checked,
+      server: document.getElementById('local-model-server').value,
+      baseUrl: document.getElementById('local-model-base-url').value.trim(),
+      model: document.getElementById('local-model-name').value.trim(),
+      timeout: Number.isFinite(timeoutSeconds) && timeoutSeconds > 0 ? timeoutSeconds * 1000 : null,
+      maxRetries: Number.isFinite(maxRetries) && maxRetries > 0 ? maxRetries : null
+    };
+  }
+
+  /**
+   * Ping the local server and offer its models as suggestions
+   */
+  async handleTestLocalModel() {
+    const localModel = this.readLocalModelForm();
+    const testBtn = document.getElementById('test-local-model');
+    const originalText = testBtn.textContent;
+    testBtn.textContent = 'Checking...';
+    testBtn.disabled = true;
+
+    try {
+      const modelOptions = document.getElementById('local-model-options');
+      modelOptions.replaceChildren();
+
+      const result = await messages.checkLocalServer({ localModel });
+      result.models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        modelOptions.appendChild(option);
+      });
+
+      const modelList = result.models.length ? result.models.join(', ') : 'no models reported';
+      this.showLocalModelStatus(`Connected to ${result.baseUrl} (${result.latency}ms): ${modelList}`);
+    } catch (error) {
+      if (error.code === MESSAGE_ERRORS.HANDLER_FAILED) {
+        this.showLocalModelStatus(error.message || 'Local server is not reachable');
+      } else {
+        console.error('[Options] Local server check error:', error);
+        this.showLocalModelStatus('Failed to check local server');
+      }
+    } finally {
+      testBtn.textContent = originalText;
+      testBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Save local model settings
+   */
+  async handleSaveLocalModel() {
+    const localModel = this.readLocalModelForm();
+    const server = this.localServers.find(entry => entry.id === localModel.server);
+
+    if (localModel.enabled && server?.requiresModel && !localModel.model) {
+      this.showStatus(`${server.name} requires a model name`, 'error');
+      return;
+    }
+
+    this.settings.localModel = localModel;
+    await this.saveSettings();
+
+    this.showStatus(localModel.enabled ? 'Local model enabled ✓' : 'Local model settings saved', 'success');
+  }
+
+  /**
+   * Show the result of a local server check under the form
+   */
+  getRedactionSettings() {
+    return { ...DEFAULT_SETTINGS.redaction, ...(this.settings.redaction || {}) };
+  }
+
+  populateRedaction() {
+    const redaction = this.getRedactionSettings();
+
+    const enabled = document.getElementById('redaction-enabled');
+    if (enabled) {
+      enabled.checked = redaction.enabled !== false;
+    }
+
+    document.querySelectorAll('[data-redaction-type]').forEach((checkbox) => {
+      checkbox.checked = redaction[checkbox.dataset.redactionType] !== false;
+      checkbox.disabled = redaction.enabled === false;
+    });
+
+    const patterns = document.getElementById('redaction-custom-patterns');
+    if (patterns) {
+      patterns.value = (redaction.customPatterns || []).join('\n');
+    }
+  }
+
+  updateRedaction(changes) {
+    this.settings.redaction = { ...this.getRedactionSettings(), ...changes };
+    this.autoSaveSettings();
+  }
+
+  /**
+   * Validate and save custom redaction patterns (one per line)
+   */
+  saveRedactionPatterns() {
+    const textarea = document.getElementById('redaction-custom-patterns');
+    if (!textarea) return;
+
+    const patterns = textarea.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+
+    const invalid = patterns.filter((pattern) => {
+      try {
+        compileCustomPattern(pattern);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+
+    if (invalid.length > 0) {
+      this.showStatus(`Invalid pattern: ${invalid[0]}`, 'error');
+      return;
+    }
+
+    this.updateRedaction({ customPatterns: patterns });
+    this.showStatus('Redaction patterns saved', 'success');
+  }
+
+  showLocalModelStatus(message) {
+    const status = document.getElementById('local-model-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Load enhancement history with the current search/platform filters
+   */
+  async loadHistory() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
+
+    const query = document.getElementById('history-search')?.value || '';
+    const platform = document.getElementById('history-platform')?.value || '';
+
+    try {
+      const response = await messages.getHistory({ query, platform });
+
+      this.populateHistoryFilters(response.platforms || [], response.retentionDays);
+      this.renderHistory(response.entries || []);
+    } catch (error) {
+      console.error('[Options] Failed to load history:', error);
+      this.renderHistory([]);
+    }
+  }
+
+  /**
+   * Fill platform filter and retention dropdowns
+   */
+  populateHistoryFilters(platforms, retentionDays) {
+    const platformSelect = document.getElementById('history-platform');
+    if (platformSelect) {
+      const selected = platformSelect.value;
+      platformSelect.replaceChildren(new Option('All platforms', ''));
+      platforms.forEach(platform => {
+        platformSelect.appendChild(new Option(platform, platform));
+      });
+      platformSelect.value = platforms.includes(selected) ? selected : '';
+    }
+
+    const retentionSelect = document.getElementById('history-retention');
+    if (retentionSelect && retentionSelect.options.length === 0) {
+      HISTORY_CONFIG.RETENTION_OPTIONS.forEach(days => {
+        const label = days === 0 ? `Until ${HISTORY_CONFIG.MAX_ENTRIES} entries` : `${days} days`;
+        retentionSelect.appendChild(new Option(label, String(days)));
+      });
+    }
+    if (retentionSelect && retentionDays !== undefined) {
+      retentionSelect.value = String(retentionDays);
+    }
+  }
+
+  /**
+   * Render history entries
+   */
+  renderHistory(entries) {
+    const list = document.getElementById('history-list');
+    list.replaceChildren();
+
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No enhancements recorded yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      list.appendChild(this.createHistoryItem(entry));
+    });
+  }
+
+  /**
+   * Build one history entry element (text content only, never HTML)
+   */
+  createHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+
+    const badge = document.createElement('span');
+    badge.className = 'history-badge';
+    badge.textContent = entry.platform;
+    meta.appendChild(badge);
+
+    const details = [
+      formatTimestamp(entry.timestamp),
+      entry.preset,
+      entry.template,
+      [entry.provider, entry.model].filter(Boolean).join(' · '),
+      Number.isFinite(entry.latency) ? `${(entry.latency / 1000).toFixed(1)}s` : null
+    ].filter(Boolean);
+    details.forEach(detail => {
+      const span = document.createElement('span');
+      span.textContent = detail;
+      meta.appendChild(span);
+    });
+
+    const enhanced = document.createElement('div');
+    enhanced.className = 'history-text';
+    enhanced.textContent = entry.enhanced;
+
+    const original = document.createElement('details');
+    original.className = 'history-original';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Original prompt';
+    const originalText = document.createElement('div');
+    originalText.className = 'history-text';
+    originalText.textContent = entry.original;
+    original.append(summary, originalText);
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'btn btn-outline';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', async () => {
+      const copied = await copyToClipboard(entry.enhanced);
+      this.showStatus(copied ? 'Copied to clipboard!' : 'Failed to copy', copied ? 'success' : 'error');
+    });
+
+    const reapplyBtn = document.createElement('button');
+    reapplyBtn.className = 'btn btn-primary';
+    reapplyBtn.textContent = 'Re-apply to chat';
+    reapplyBtn.addEventListener('click', async () => {
+      await this.handleReapplyHistory(entry.id);
+    });
+
+    actions.append(copyBtn, reapplyBtn);
+    item.append(meta, enhanced, original, actions);
+
+    return item;
+  }
+
+  /**
+   * Insert a past enhancement into the most recently used chat tab
+   */
+  async handleReapplyHistory(id) {
+    try {
+      const { tabTitle } = await messages.reapplyHistoryEntry({ id });
+      this.showStatus(`Applied to "${tabTitle || 'chat'}"`, 'success');
+    } catch (error) {
+      console.error('[Options] Failed to re-apply history entry:', error);
+      this.showStatus(error.code === MESSAGE_ERRORS.HANDLER_FAILED
+        ? error.message
+        : 'Could not apply prompt', 'error');
+    }
+  }
+
+  /**
+   * Update the history retention period
+   */
+  async handleRetentionChange(days) {
+    try {
+      await messages.setHistoryRetention({ retentionDays: parseInt(days, 10) });
+      this.settings.historyRetentionDays = parseInt(days, 10);
+      await this.loadHistory();
+      this.showStatus('History retention updated', 'success');
+    } catch (error) {
+      console.error('[Options] Failed to update retention:', error);
+      this.showStatus('Failed to update retention', 'error');
+    }
+  }
+
+  /**
+   * Delete all history entries
+   */
+  async handlePurgeHistory() {
+    if (!confirm('Delete your entire enhancement history? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await messages.purgeHistory();
+      await this.loadHistory();
+      this.showStatus('History cleared', 'info');
+    } catch (error) {
+      console.error('[Options] Failed to purge history:', error);
+      this.showStatus('Failed to clear history', 'error');
+    }
+  }
+
   /**
    * Auto-save settings (debounced)
    */
@@ -573,20 +1340,7 @@ class OptionsPage {
    */
   async saveSettings() {
     try {
-      await browserCompat.storage_set({
-        [STORAGE_KEYS.SETTINGS]: this.settings
-      });
-
-      // Also notify background script to update subscription
-      if (this.settings.geminiKey) {
-        await browserCompat.sendMessage({
-          action: 'updateSubscription',
-          data: {
-            type: 'byok',
-            apiKey: this.settings.geminiKey
-          }
-        });
-      }
+      await settingsService.set(this.settings);
 
       console.log('[Options] Settings saved:', this.settings);
     } catch (error) {
@@ -596,11 +1350,493 @@ class OptionsPage {
   }
 
   /**
-   * Show custom platform dialog
+   * Load built-in and imported platform packs from the background
+   */
+  async loadPlatformPacks() {
+    try {
+      const response = await messages.getPlatformPacks();
+      this.renderPlatformPacks(response?.packs || []);
+    } catch (error) {
+      console.error('[Options] Failed to load platform packs:', error);
+    }
+  }
+
+  renderPlatformPacks(packs) {
+    const grid = document.getElementById('platforms-grid');
+    if (!grid) return;
+
+    grid.replaceChildren(...packs
+      .filter(pack => pack.id !== GENERIC_PLATFORM_ID)
+      .map(pack => this.createPlatformCard(pack)));
+  }
+
+  /**
+   * Build one platform card (text content only, packs may come from a file)
+   */
+  createPlatformCard(pack) {
+    const card = document.createElement('div');
+    card.className = 'platform-card';
+
+    const status = document.createElement('div');
+    status.className = 'platform-status active';
+    status.textContent = pack.source === 'imported' ? '📦' : '✓';
+
+    const name = document.createElement('div');
+    name.className = 'platform-name';
+    name.textContent = pack.name;
+
+    const hosts = document.createElement('div');
+    hosts.className = 'platform-hosts';
+    hosts.textContent = pack.hosts.join(', ');
+
+    card.append(status, name, hosts);
+
+    if (pack.source === 'imported') {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-outline';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => this.handleRemovePlatformPack(pack));
+      card.appendChild(removeBtn);
+    }
+
+    return card;
+  }
+
+  /**
+   * Validate a pack file here (selectors need a DOM to check) and store it via the background
+   */
+  async handleImportPlatformPack(file) {
+    let pack;
+    try {
+      pack = validatePlatformPack(JSON.parse(await file.text()));
+    } catch (error) {
+      this.showStatus(`Invalid platform pack: ${error.message}`, 'error');
+      return;
+    }
+
+    try {
+      await messages.importPlatformPack({ pack });
+    } catch (error) {
+      this.showStatus(`Failed to import pack: ${error.message}`, 'error');
+      return;
+    }
+
+    this.showStatus(`Imported ${pack.name}. Reload its tabs to apply.`, 'success');
+    await this.loadPlatformPacks();
+  }
+
+  async handleRemovePlatformPack(pack) {
+    if (!confirm(`Remove the ${pack.name} platform pack?`)) return;
+
+    try {
+      await messages.removePlatformPack({ id: pack.id });
+    } catch (error) {
+      console.error('[Options] Failed to remove platform pack:', error);
+      this.showStatus('Failed to remove platform pack', 'error');
+      return;
+    }
+
+    this.showStatus(`Removed ${pack.name}`, 'success');
+    await this.loadPlatformPacks();
+  }
+
+  /**
+   * Load site profiles and render the list
+   */
+  async loadProfiles() {
+    await this.profileManager.initialize();
+    this.renderProfiles();
+  }
+
+  renderProfiles() {
+    const list = document.getElementById('profiles-list');
+    if (!list) return;
+
+    const profiles = this.profileManager.getAllProfiles();
+    if (profiles.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No site profiles yet.';
+      list.replaceChildren(empty);
+      return;
+    }
+
+    list.replaceChildren(...profiles.map(profile => this.createProfileItem(profile)));
+  }
+
+  /**
+   * Build one profile entry (text content only, profiles may come from a file)
+   */
+  createProfileItem(profile) {
+    const item = document.createElement('div');
+    item.className = 'profile-item';
+    item.classList.toggle('disabled', profile.enabled === false);
+
+    const header = document.createElement('div');
+    header.className = 'profile-header';
+
+    const name = document.createElement('span');
+    name.className = 'profile-name';
+    name.textContent = profile.name || profile.id;
+    header.appendChild(name);
+
+    if (this.profileManager.isBuiltInProfile(profile)) {
+      const badge = document.createElement('span');
+      badge.className = 'profile-badge';
+      badge.textContent = 'Built-in';
+      badge.title = 'Platform packs handle this site; edit or duplicate the profile to override them';
+      header.appendChild(badge);
+    }
+
+    const toggle = document.createElement('label');
+    toggle.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'checkbox-input';
+    checkbox.checked = profile.enabled !== false;
+    checkbox.addEventListener('change', () => this.handleToggleProfile(profile, checkbox.checked));
+    toggle.append(checkbox, 'Enabled');
+    header.appendChild(toggle);
+
+    const mode = PLACEMENT_MODES.find(placement => placement.id === profile.mode);
+    const meta = document.createElement('div');
+    meta.className = 'profile-meta';
+    meta.textContent = [
+      `${profile.domain}${profile.pathPattern || ''}`,
+      mode ? mode.label : profile.mode,
+      profile.notes
+    ].filter(Boolean).join(' · ');
+
+    const promptSelector = document.createElement('code');
+    promptSelector.className = 'profile-selector';
+    promptSelector.textContent = `Prompt: ${profile.promptSelector}`;
+
+    const anchorSelector = document.createElement('code');
+    anchorSelector.className = 'profile-selector';
+    anchorSelector.textContent = `Container: ${profile.anchorSelector || "prompt field's parent"}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+    [
+      ['Edit', 'btn-outline', () => this.openProfileEditor(profile)],
+      ['Duplicate', 'btn-outline', () => this.handleDuplicateProfile(profile)],
+      ['Test on Open Tab', 'btn-outline', () => this.handleTestProfile(profile)],
+      ['Delete', 'btn-secondary', () => this.handleDeleteProfile(profile)]
+    ].forEach(([label, variant, onClick]) => {
+      const button = document.createElement('button');
+      button.className = `btn ${variant}`;
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    });
+
+    item.append(header, meta, promptSelector, anchorSelector, actions);
+    return item;
+  }
+
+  /**
+   * Show the editor for a profile, or an empty one for a new profile
+   */
+  openProfileEditor(profile) {
+    const form = document.getElementById('profile-editor');
+    if (!form) return;
+
+    const modeSelect = form.elements.mode;
+    if (modeSelect.options.length === 0) {
+      PLACEMENT_MODES.forEach(mode => modeSelect.appendChild(new Option(mode.label, mode.id)));
+    }
+
+    this.editingProfileId = profile?.id || null;
+    document.getElementById('profile-editor-title').textContent = profile ? `Edit ${profile.name || profile.id}` : 'New Profile';
+
+    const values = profile || { mode: PLACEMENT_MODES[0].id, enabled: true };
+    ['name', 'domain', 'pathPattern', 'promptSelector', 'anchorSelector', 'mode', 'offsetX', 'offsetY', 'size', 'notes']
+      .forEach((field) => {
+        form.elements[field].value = values[field] || '';
+      });
+    form.elements.enabled.checked = values.enabled !== false;
+
+    this.showProfileError(null);
+    form.hidden = false;
+    form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    form.elements.name.focus();
+  }
+
+  closeProfileEditor() {
+    const form = document.getElementById('profile-editor');
+    if (form) form.hidden = true;
+    this.editingProfileId = null;
+  }
+
+  /**
+   * Validated profile from the editor, or null after showing what is wrong
+   */
+  readProfileForm() {
+    const form = document.getElementById('profile-editor');
+    const existing = this.editingProfileId ? this.profileManager.getProfileById(this.editingProfileId) : null;
+
+    try {
+      const profile = validateProfile({
+        ...existing,
+        name: form.elements.name.value,
+        domain: form.elements.domain.value,
+        pathPattern: form.elements.pathPattern.value,
+        promptSelector: form.elements.promptSelector.value,
+        anchorSelector: form.elements.anchorSelector.value,
+        mode: form.elements.mode.value,
+        offsetX: form.elements.offsetX.value,
+        offsetY: form.elements.offsetY.value,
+        size: form.elements.size.value,
+        notes: form.elements.notes.value,
+        enabled: form.elements.enabled.checked
+      });
+      this.showProfileError(null);
+      return profile;
+    } catch (error) {
+      this.showProfileError(error);
+      return null;
+    }
+  }
+
+  showProfileError(error) {
+    const form = document.getElementById('profile-editor');
+    const message = document.getElementById('profile-editor-error');
+
+    form.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+    message.hidden = !error;
+    message.textContent = error?.message || '';
+
+    if (error?.field && form.elements[error.field]) {
+      form.elements[error.field].classList.add('invalid');
+      form.elements[error.field].focus();
+    }
+  }
+
+  async handleSaveProfile() {
+    const profile = this.readProfileForm();
+    if (!profile) return;
+
+    try {
+      await this.profileManager.saveProfile({
+        ...profile,
+        id: this.editingProfileId,
+        createdAt: profile.createdAt || Date.now()
+      });
+      this.closeProfileEditor();
+      this.renderProfiles();
+      this.showStatus(`Saved ${profile.name}. Reload its tabs to apply.`, 'success');
+    } catch (error) {
+      console.error('[Options] Failed to save profile:', error);
+      this.showStatus('Failed to save profile', 'error');
+    }
+  }
+
+  async handleDuplicateProfile(profile) {
+    const copy = {
+      ...profile,
+      id: null,
+      name: `${profile.name || profile.id} (copy)`,
+      createdAt: Date.now()
+    };
+
+    try {
+      await this.profileManager.saveProfile(copy);
+      this.renderProfiles();
+      this.openProfileEditor(copy);
+    } catch (error) {
+      console.error('[Options] Failed to duplicate profile:', error);
+      this.showStatus('Failed to duplicate profile', 'error');
+    }
+  }
+
+  async handleToggleProfile(profile, enabled) {
+    try {
+      await this.profileManager.saveProfile({ ...profile, enabled });
+      this.renderProfiles();
+    } catch (error) {
+      console.error('[Options] Failed to update profile:', error);
+      this.showStatus('Failed to update profile', 'error');
+    }
+  }
+
+  async handleDeleteProfile(profile) {
+    if (!confirm(`Delete the profile "${profile.name || profile.id}"?`)) return;
+
+    try {
+      await this.profileManager.deleteProfile(profile.id);
+      if (this.editingProfileId === profile.id) {
+        this.closeProfileEditor();
+      }
+      this.renderProfiles();
+      this.showStatus('Profile deleted', 'info');
+    } catch (error) {
+      console.error('[Options] Failed to delete profile:', error);
+      this.showStatus('Failed to delete profile', 'error');
+    }
+  }
+
+  /**
+   * Most recently used tab on the profile's domain
+   */
+  async findTabForProfile(profile) {
+    const tabs = await browserCompat.queryTabs({ url: ['http://*/*', 'https://*/*'] });
+
+    return tabs
+      .filter((tab) => {
+        try {
+          return this.profileManager.matchesDomain(new URL(tab.url).hostname, profile.domain);
+        } catch (error) {
+          return false;
+        }
+      })
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
+  }
+
+  /**
+   * Check a profile against an open tab of its site; the tab briefly shows the
+   * prompt field found and a preview of the button
+   */
+  async handleTestProfile(profile) {
+    const tab = await this.findTabForProfile(profile);
+    if (!tab) {
+      this.showProfileTestResult(`Open a ${profile.domain} tab to test this profile.`, []);
+      return;
+    }
+
+    let report;
+    try {
+      ({ report } = await messages.testSiteProfile(tab.id, { profile }));
+    } catch (error) {
+      // The test itself failed; anything else means no content script answered
+      this.showProfileTestResult(error.code === MESSAGE_ERRORS.HANDLER_FAILED
+        ? `Test failed: ${error.message}`
+        : `Could not reach "${tab.title}". Reload the tab and try again.`, []);
+      return;
+    }
+
+    const count = (matches, noun) => `${matches} ${noun}${matches === 1 ? '' : 's'}`;
+    this.showProfileTestResult(`Tested "${profile.name}" on "${report.title}"`, [
+      report.pathMatches
+        ? '✓ The tab\'s page matches the path pattern'
+        : '✗ The tab\'s page does not match the path pattern',
+      report.promptMatches > 0
+        ? `✓ Prompt field selector matches ${count(report.promptMatches, 'element')}`
+        : '✗ Prompt field selector matches nothing',
+      profile.anchorSelector
+        ? `${report.anchorMatches > 0 ? '✓' : '✗'} Container selector matches ${count(report.anchorMatches, 'element')}`
+        : '✓ The button goes in the prompt field\'s container',
+      report.placed
+        ? '✓ Button placed; check the tab for the preview'
+        : '✗ The button could not be placed'
+    ]);
+  }
+
+  showProfileTestResult(title, lines) {
+    const result = document.getElementById('profile-test-result');
+    if (!result) return;
+
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    lines.forEach((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+
+    result.replaceChildren(heading, list);
+    result.hidden = false;
+  }
+
+  /**
+   * Read a profiles file; conflicting ids wait for the user to pick a resolution
+   */
+  async handleImportProfiles(file) {
+    let parsed;
+    try {
+      parsed = parseProfilesFile(JSON.parse(await file.text()));
+    } catch (error) {
+      this.showStatus(`Invalid profiles file: ${error.message}`, 'error');
+      return;
+    }
+
+    if (parsed.profiles.length === 0) {
+      this.showStatus(`No valid profiles in the file${parsed.errors.length ? `: ${parsed.errors[0]}` : ''}`, 'error');
+      return;
+    }
+
+    this.pendingProfileImport = parsed;
+
+    const conflicts = findProfileConflicts(this.profileManager.getAllProfiles(), parsed.profiles);
+    if (conflicts.length === 0) {
+      await this.resolveProfileImport('skip');
+      return;
+    }
+
+    const names = conflicts.map(profile => profile.name || profile.id).join(', ');
+    document.getElementById('profile-import-conflicts-text').textContent =
+      `${conflicts.length} imported profile${conflicts.length === 1 ? ' has the same id as an existing one' : 's have the same ids as existing ones'}: ${names}.`;
+    document.getElementById('profile-import-conflicts').hidden = false;
+  }
+
+  /**
+   * Merge the pending import by id
+   * @param {string} resolution - 'replace', 'keep-both', 'skip' or 'cancel'
+   */
+  async resolveProfileImport(resolution) {
+    const pending = this.pendingProfileImport;
+    this.pendingProfileImport = null;
+    document.getElementById('profile-import-conflicts').hidden = true;
+
+    if (!pending || resolution === 'cancel') return;
+
+    const { profiles, summary } = mergeProfiles(
+      this.profileManager.getAllProfiles(),
+      pending.profiles,
+      resolution
+    );
+
+    try {
+      await this.profileManager.setProfiles(profiles);
+      if (pending.defaultProfile) {
+        await this.profileManager.updateDefaultProfile(pending.defaultProfile);
+      }
+    } catch (error) {
+      console.error('[Options] Failed to import profiles:', error);
+      this.showStatus('Failed to import profiles', 'error');
+      return;
+    }
+
+    this.renderProfiles();
+
+    const parts = [
+      summary.added && `${summary.added} added`,
+      summary.replaced && `${summary.replaced} replaced`,
+      summary.renamed && `${summary.renamed} kept as copies`,
+      summary.skipped && `${summary.skipped} skipped`,
+      summary.unchanged && `${summary.unchanged} unchanged`,
+      pending.errors.length && `${pending.errors.length} invalid`
+    ].filter(Boolean);
+    this.showStatus(`Imported profiles: ${parts.join(', ')}`, pending.errors.length ? 'info' : 'success');
+
+    if (pending.errors.length) {
+      console.warn('[Options] Invalid profiles skipped:', pending.errors);
+    }
+  }
+
+  handleExportProfiles() {
+    const file = buildProfilesFile(
+      this.profileManager.getAllProfiles(),
+      this.profileManager.getDefaultProfile()
+    );
+    downloadFile(JSON.stringify(file, null, 2), 'prompt-enhancer-profiles.json', 'application/json');
+  }
+
+  /**
+   * Custom sites are set up on the site itself with the popup's element picker
    */
-  showCustomPlatformDialog() {
-    this.showStatus('Custom platform configuration coming soon!', 'info');
-    // TODO: Implement in Phase 4
+  showElementPickerHelp() {
+    this.showStatus('Open the site, click the extension icon and choose "Pick prompt field & button spot"', 'info');
   }
 
   /**
@@ -4,8 +4,20 @@
  */
 
 import browserCompat from '../shared/browser-compat.js';
-import { STORAGE_KEYS, DEFAULT_SETTINGS } from '../shared/constants.js';
-import { renderStaticHTML } from '../shared/utils.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_SETTINGS,
+  LOCAL_SERVER_CONFIG,
+  CONTEXT_BUDGET,
+  SELECTOR_GROUPS,
+  SELECTOR_HEALTH
+} from '../shared/constants.js';
+import { renderStaticHTML, copyToClipboard, downloadFile } from '../shared/utils.js';
+import { getAllProviders } from '../shared/providers/index.js';
+import { GENERIC_PLATFORM_ID, findPackForHost } from '../shared/platform-packs.js';
+import { MESSAGE_ERRORS, SENDERS, createClient } from '../shared/messages.js';
+
+const messages = createClient(SENDERS.EXTENSION);
 
 class PopupController {
   constructor() {
@@ -15,16 +27,22 @@ class PopupController {
     this.hasUnsavedChanges = false;
     this.currentTab = null;
     this.managedSites = [];
+    this.platformPacks = [];
+    this.selectorHealth = {};
+    this.providers = getAllProviders();
     this.init();
   }
 
   async init() {
     await this.loadData();
     await this.loadCurrentTab();
+    await this.loadPlatformPacks();
     await this.loadManagedSites();
     this.setupEventListeners();
     this.updateUI();
     this.updateSiteManagement();
+    await this.loadSelectorHealth();
+    await this.loadLocalModels();
   }
 
   /**
@@ -33,9 +51,7 @@ class PopupController {
   async loadData() {
     try {
       // Load settings
-      const settingsResponse = await browserCompat.sendMessage({
-        action: 'getSettings'
-      });
+      const settingsResponse = await messages.getSettings();
       this.settings = {
         ...DEFAULT_SETTINGS,
         ...(settingsResponse || {})
@@ -45,15 +61,10 @@ class PopupController {
       this.originalSettings = JSON.parse(JSON.stringify(this.settings));
 
       // Load subscription info
-      const subResponse = await browserCompat.sendMessage({
-        action: 'getSubscriptionInfo'
-      });
-      this.subscription = subResponse;
+      this.subscription = await messages.getSubscriptionInfo();
 
       // Load usage stats
-      const stats = await browserCompat.sendMessage({
-        action: 'getUsageStats'
-      });
+      const stats = await messages.getUsageStats();
       this.updateStats(stats);
     } catch (error) {
       console.error('[APE Popup] Failed to load data:', error);
@@ -64,6 +75,14 @@ class PopupController {
    * Setup event listeners
    */
   setupEventListeners() {
+    // Conversation export
+    document.getElementById('export-download')?.addEventListener('click', () => {
+      this.exportConversation('download');
+    });
+    document.getElementById('export-copy')?.addEventListener('click', () => {
+      this.exportConversation('copy');
+    });
+
     // BYOK toggle
     document.getElementById('toggle-byok')?.addEventListener('click', () => {
       this.toggleBYOKConfig();
@@ -84,6 +103,22 @@ class PopupController {
       this.toggleKeyVisibility();
     });
 
+    // Unlock a passphrase-protected key for this session
+    document.getElementById('unlock-key')?.addEventListener('click', () => {
+      this.unlockKey();
+    });
+    document.getElementById('key-passphrase')?.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        this.unlockKey();
+      }
+    });
+
+    // Provider selection
+    this.populateProviderOptions();
+    document.getElementById('provider-select')?.addEventListener('change', (event) => {
+      this.handleProviderChange(event.target.value);
+    });
+
     // Save bar buttons
     document.getElementById('save-settings')?.addEventListener('click', () => {
       this.saveSettings();
@@ -108,12 +143,23 @@ class PopupController {
       this.checkForChanges();
     });
 
+    // Local model selection
+    document.getElementById('local-model-select')?.addEventListener('change', (event) => {
+      this.settings.localModel = { ...this.settings.localModel, model: event.target.value };
+      this.updateProviderSummary();
+      this.checkForChanges();
+    });
+
     // Context window changes
     const contextWindow = document.getElementById('context-window');
     contextWindow?.addEventListener('input', () => {
       this.checkForChanges();
     });
 
+    document.getElementById('context-token-budget')?.addEventListener('input', () => {
+      this.checkForChanges();
+    });
+
     // Load current settings into form
     this.loadSettingsIntoForm();
   }
@@ -137,6 +183,153 @@ class PopupController {
       // Hide remove button
       removeKeyBtn?.classList.add('hidden');
     }
+
+    document.getElementById('key-unlock')?.classList.toggle('hidden', !this.subscription?.keyLocked);
+
+    this.updateProviderSummary();
+  }
+
+  /**
+   * Fill the provider dropdown and select the active provider
+   */
+  populateProviderOptions() {
+    const providerSelect = document.getElementById('provider-select');
+    if (!providerSelect) return;
+
+    providerSelect.replaceChildren();
+    this.providers.forEach((provider) => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      providerSelect.appendChild(option);
+    });
+
+    const activeProvider = this.subscription?.type === 'byok'
+      ? this.subscription.provider
+      : this.providers[0]?.id;
+    providerSelect.value = activeProvider;
+    this.handleProviderChange(activeProvider);
+
+    const modelInput = document.getElementById('provider-model');
+    const baseUrlInput = document.getElementById('provider-base-url');
+    if (this.subscription?.type === 'byok') {
+      if (modelInput && this.subscription.model) modelInput.value = this.subscription.model;
+      if (baseUrlInput && this.subscription.baseUrl) baseUrlInput.value = this.subscription.baseUrl;
+    }
+  }
+
+  /**
+   * Update model suggestions, key hints and base URL field for a provider
+   */
+  handleProviderChange(providerId) {
+    const provider = this.getProviderInfo(providerId);
+    if (!provider) return;
+
+    const modelInput = document.getElementById('provider-model');
+    const modelOptions = document.getElementById('provider-model-options');
+    if (modelOptions) {
+      modelOptions.replaceChildren();
+      provider.models.forEach((model) => {
+        const option = document.createElement('option');
+        option.value = model;
+        modelOptions.appendChild(option);
+      });
+    }
+    if (modelInput) {
+      modelInput.value = '';
+      modelInput.placeholder = provider.defaultModel || 'Model name';
+    }
+
+    document.getElementById('provider-base-url-wrapper')
+      ?.classList.toggle('hidden', !provider.requiresBaseUrl);
+
+    const apiKeyInput = document.getElementById('gemini-api-key');
+    if (apiKeyInput && this.subscription?.provider !== providerId) {
+      apiKeyInput.placeholder = provider.keyPrefix
+        ? `${provider.keyPrefix}...`
+        : (provider.requiresKey ? 'API key' : 'API key (optional)');
+    }
+
+    const keyLink = document.getElementById('provider-key-link');
+    if (keyLink) {
+      keyLink.classList.toggle('hidden', !provider.keyUrl);
+      if (provider.keyUrl) keyLink.href = provider.keyUrl;
+    }
+  }
+
+  /**
+   * Look up provider metadata by id
+   */
+  getProviderInfo(providerId) {
+    return this.providers.find((provider) => provider.id === providerId);
+  }
+
+  /**
+   * Ping the configured local server and list the models it offers
+   */
+  async loadLocalModels() {
+    const localModel = this.settings?.localModel;
+    const panel = document.getElementById('local-model-panel');
+    if (!panel || !localModel?.enabled) return;
+
+    const serverName = LOCAL_SERVER_CONFIG[localModel.server]?.NAME || 'Local server';
+    const label = document.getElementById('local-model-label');
+    const status = document.getElementById('local-model-status');
+    const select = document.getElementById('local-model-select');
+
+    panel.classList.remove('hidden');
+    if (label) label.textContent = `${serverName} model`;
+    if (status) status.textContent = 'Checking local server...';
+
+    try {
+      const result = await messages.checkLocalServer({ localModel });
+
+      const models = [...result.models];
+      if (localModel.model && !models.includes(localModel.model)) {
+        models.unshift(localModel.model);
+      }
+
+      select?.replaceChildren();
+      models.forEach((model) => {
+        const option = document.createElement('option');
+        option.value = model;
+        option.textContent = model;
+        select?.appendChild(option);
+      });
+      if (select && localModel.model) select.value = localModel.model;
+      if (select) select.disabled = models.length === 0;
+
+      if (status) {
+        status.textContent = `${result.models.length} model${result.models.length === 1 ? '' : 's'} available at ${result.baseUrl}`;
+      }
+    } catch (error) {
+      console.error('[APE Popup] Local server check error:', error);
+      if (status) {
+        status.textContent = error.code === MESSAGE_ERRORS.HANDLER_FAILED
+          ? error.message
+          : 'Local server is not reachable';
+      }
+    }
+  }
+
+  /**
+   * Show which provider and model enhancements will use
+   */
+  updateProviderSummary() {
+    const summary = document.getElementById('provider-summary');
+    if (!summary) return;
+
+    const localModel = this.settings?.localModel;
+    if (localModel?.enabled) {
+      const serverName = LOCAL_SERVER_CONFIG[localModel.server]?.NAME || 'Local server';
+      summary.textContent = `Local · ${serverName}${localModel.model ? ` · ${localModel.model}` : ''}`;
+    } else if (this.subscription?.type === 'byok') {
+      const provider = this.getProviderInfo(this.subscription.provider);
+      const model = this.subscription.model || provider?.defaultModel;
+      summary.textContent = `${provider?.name || 'AI provider'}${model ? ` · ${model}` : ''}`;
+    } else {
+      summary.textContent = 'Rule-based enhancement (no provider configured)';
+    }
   }
 
   /**
@@ -158,12 +351,26 @@ class PopupController {
   async saveAPIKey() {
     const apiKeyInput = document.getElementById('gemini-api-key');
     const apiKey = apiKeyInput?.value?.trim();
+    const providerId = document.getElementById('provider-select')?.value;
+    const provider = this.getProviderInfo(providerId);
+    const model = document.getElementById('provider-model')?.value?.trim() || null;
+    const baseUrl = document.getElementById('provider-base-url')?.value?.trim() || null;
 
-    if (!apiKey) {
+    if (!apiKey && provider?.requiresKey) {
       this.showStatus('Please enter an API key', 'error');
       return;
     }
 
+    if (provider?.requiresBaseUrl && !baseUrl) {
+      this.showStatus('Please enter the endpoint base URL', 'error');
+      return;
+    }
+
+    if (provider?.requiresBaseUrl && !model) {
+      this.showStatus('Please enter a model name', 'error');
+      return;
+    }
+
     const saveBtn = document.getElementById('save-api-key');
     if (saveBtn) {
       saveBtn.textContent = 'Validating...';
@@ -171,31 +378,28 @@ class PopupController {
     }
 
     try {
-      const response = await browserCompat.sendMessage({
-        action: 'activateBYOK',
-        data: { apiKey }
-      });
+      await messages.activateBYOK({ apiKey, provider: providerId, model, baseUrl });
 
-      if (response.success) {
-        this.showStatus('✓ API key saved successfully!', 'success');
+      this.showStatus('✓ API key saved successfully!', 'success');
 
-        // Clear input
-        if (apiKeyInput) apiKeyInput.value = '';
+      // Clear input
+      if (apiKeyInput) apiKeyInput.value = '';
 
-        // Reload data and update UI
-        await this.loadData();
-        this.updateUI();
+      // Reload data and update UI
+      await this.loadData();
+      this.updateUI();
 
-        // Hide config panel after success
-        setTimeout(() => {
-          this.toggleBYOKConfig();
-        }, 2000);
+      // Hide config panel after success
+      setTimeout(() => {
+        this.toggleBYOKConfig();
+      }, 2000);
+    } catch (error) {
+      if (error.code === MESSAGE_ERRORS.HANDLER_FAILED) {
+        this.showStatus(`Failed: ${error.message || 'Unknown error'}`, 'error');
       } else {
-        this.showStatus(`Failed: ${response.error || 'Unknown error'}`, 'error');
+        console.error('[APE Popup] Save API key error:', error);
+        this.showStatus('Failed to save API key', 'error');
       }
-    } catch (error) {
-      console.error('[APE Popup] Save API key error:', error);
-      this.showStatus('Failed to save API key', 'error');
     } finally {
       if (saveBtn) {
         saveBtn.textContent = 'Save Key';
@@ -213,25 +417,42 @@ class PopupController {
     }
 
     try {
-      const response = await browserCompat.sendMessage({
-        action: 'deactivateBYOK'
-      });
+      await messages.deactivateBYOK();
+      this.showStatus('✓ API key removed', 'success');
 
-      if (response.success) {
-        this.showStatus('✓ API key removed', 'success');
-
-        // Reload data and update UI
-        await this.loadData();
-        this.updateUI();
-      } else {
-        this.showStatus('Failed to remove API key', 'error');
-      }
+      // Reload data and update UI
+      await this.loadData();
+      this.updateUI();
     } catch (error) {
       console.error('[APE Popup] Remove API key error:', error);
       this.showStatus('Failed to remove API key', 'error');
     }
   }
 
+  /**
+   * Unlock the stored API key with its passphrase until the browser closes
+   */
+  async unlockKey() {
+    const input = document.getElementById('key-passphrase');
+    if (!input?.value) {
+      this.showStatus('Please enter your passphrase', 'error', 'key-unlock-status');
+      return;
+    }
+
+    try {
+      await messages.unlockKeys({ passphrase: input.value });
+      input.value = '';
+      await this.loadData();
+      this.updateUI();
+    } catch (error) {
+      console.error('[APE Popup] Unlock key error:', error);
+      input.value = '';
+      this.showStatus(error.code === MESSAGE_ERRORS.HANDLER_FAILED
+        ? error.message
+        : 'Could not unlock the API key', 'error', 'key-unlock-status');
+    }
+  }
+
   /**
    * Toggle API key visibility
    */
@@ -270,6 +491,17 @@ class PopupController {
 
     const contextWindow = document.getElementById('context-window');
     if (contextWindow) contextWindow.value = this.settings.contextWindow;
+
+    const tokenBudget = document.getElementById('context-token-budget');
+    if (tokenBudget) {
+      tokenBudget.value = this.settings.contextTokenBudget ?? DEFAULT_SETTINGS.contextTokenBudget;
+    }
+
+    const localModelSelect = document.getElementById('local-model-select');
+    if (localModelSelect && this.settings.localModel?.model) {
+      localModelSelect.value = this.settings.localModel.model;
+    }
+    this.updateProviderSummary();
   }
 
   /**
@@ -284,9 +516,15 @@ class PopupController {
       ? contextWindowValue
       : (this.settings?.contextWindow ?? DEFAULT_SETTINGS.contextWindow);
 
+    const tokenBudgetValue = parseInt(document.getElementById('context-token-budget')?.value, 10);
+    const resolvedTokenBudget = Number.isFinite(tokenBudgetValue)
+      ? Math.min(Math.max(tokenBudgetValue, CONTEXT_BUDGET.MIN_TOKENS), CONTEXT_BUDGET.MAX_TOKENS)
+      : (this.settings?.contextTokenBudget ?? DEFAULT_SETTINGS.contextTokenBudget);
+
     const newSettings = {
       ...this.settings,
       contextWindow: resolvedContextWindow,
+      contextTokenBudget: resolvedTokenBudget,
       promptTemplateType: templateType,
       customPromptTemplate: customTemplate
     };
@@ -298,10 +536,7 @@ class PopupController {
     }
 
     try {
-      await browserCompat.sendMessage({
-        action: 'saveSettings',
-        data: { settings: newSettings }
-      });
+      await messages.saveSettings({ settings: newSettings });
 
       this.settings = newSettings;
       this.originalSettings = JSON.parse(JSON.stringify(newSettings));
@@ -331,13 +566,16 @@ class PopupController {
    */
   checkForChanges() {
     const currentContextWindow = parseInt(document.getElementById('context-window')?.value, 10);
+    const currentTokenBudget = parseInt(document.getElementById('context-token-budget')?.value, 10);
     const currentTemplate = document.querySelector('input[name="prompt-template"]:checked')?.value || 'standard';
     const currentCustomTemplate = document.getElementById('custom-template-input')?.value?.trim() || '';
     
     const hasChanges = 
       currentContextWindow !== this.originalSettings.contextWindow ||
+      currentTokenBudget !== (this.originalSettings.contextTokenBudget ?? DEFAULT_SETTINGS.contextTokenBudget) ||
       currentTemplate !== this.originalSettings.promptTemplateType ||
-      currentCustomTemplate !== this.originalSettings.customPromptTemplate;
+      currentCustomTemplate !== this.originalSettings.customPromptTemplate ||
+      this.settings.localModel?.model !== this.originalSettings.localModel?.model;
     
     if (hasChanges !== this.hasUnsavedChanges) {
       this.hasUnsavedChanges = hasChanges;
@@ -424,6 +662,19 @@ class PopupController {
     }
   }
 
+  /**
+   * Load platform packs (built-in and imported) from the background
+   */
+  async loadPlatformPacks() {
+    try {
+      const response = await messages.getPlatformPacks();
+      this.platformPacks = response?.packs || [];
+    } catch (error) {
+      console.error('[APE Popup] Failed to load platform packs:', error);
+      this.platformPacks = [];
+    }
+  }
+
   /**
    * Load managed sites from storage
    */
@@ -438,6 +689,85 @@ class PopupController {
     }
   }
 
+  /**
+   * Load stored selector health reports, refreshing the current tab's from its content script
+   */
+  async loadSelectorHealth() {
+    try {
+      const result = await browserCompat.storageGet([STORAGE_KEYS.SELECTOR_HEALTH]);
+      this.selectorHealth = result[STORAGE_KEYS.SELECTOR_HEALTH] || {};
+    } catch (error) {
+      console.error('[APE Popup] Failed to load selector health:', error);
+      this.selectorHealth = {};
+    }
+
+    if (this.currentTab?.id) {
+      try {
+        const report = await messages.getSelectorHealth(this.currentTab.id);
+        if (report?.hostname) {
+          this.selectorHealth[report.hostname] = report;
+        }
+      } catch (error) {
+        // The enhancer is not running on this page; keep the stored report
+      }
+    }
+
+    this.renderSelectorHealth();
+    this.renderManagedSites();
+  }
+
+  /**
+   * One-line summary of a selector health report
+   */
+  describeSelectorHealth(report) {
+    const labels = {
+      inputArea: 'prompt input',
+      sendButton: 'send button',
+      messageContainer: 'messages',
+      conversationArea: 'conversation area'
+    };
+
+    if (report.status === SELECTOR_HEALTH.BROKEN) {
+      return 'Prompt input not found — the site may have changed';
+    }
+
+    const fallbacks = SELECTOR_GROUPS.filter(group => report.groups[group]?.status === 'fallback');
+    const missing = SELECTOR_GROUPS.filter(group => report.groups[group]?.status === 'missing');
+
+    if (missing.length === 0 && fallbacks.length === 0) {
+      return 'Selectors healthy';
+    }
+
+    return [
+      fallbacks.length > 0 ? `Fallback for ${fallbacks.map(group => labels[group]).join(', ')}` : '',
+      missing.length > 0 ? `No match for ${missing.map(group => labels[group]).join(', ')}` : ''
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Green/amber/red indicator for the current site
+   */
+  renderSelectorHealth() {
+    const container = document.getElementById('current-site-health');
+    if (!container) return;
+
+    const hostname = this.currentTab?.url ? new URL(this.currentTab.url).hostname : null;
+    const report = hostname ? this.selectorHealth[hostname] : null;
+
+    if (!report) {
+      container.hidden = true;
+      return;
+    }
+
+    const dot = container.querySelector('.site-health-dot');
+    dot.className = `site-health-dot ${report.status}`;
+    container.querySelector('.site-health-text').textContent = this.describeSelectorHealth(report);
+    container.title = SELECTOR_GROUPS
+      .map(group => `${group}: ${report.groups[group]?.matchedSelector || 'no match'}`)
+      .join('\n');
+    container.hidden = false;
+  }
+
   /**
    * Save managed sites to storage
    */
@@ -463,6 +793,9 @@ class PopupController {
     const siteNameElem = document.getElementById('current-site-name');
     const siteUrlElem = document.getElementById('current-site-url');
     const toggleBtn = document.getElementById('toggle-site-btn');
+    const autoEnhanceToggle = document.getElementById('auto-enhance-site');
+    const allFramesToggle = document.getElementById('all-frames-site');
+    const pickElementsBtn = document.getElementById('pick-elements-btn');
 
     if (hostname && !hostname.startsWith('chrome') && !hostname.startsWith('about')) {
       const isNativePlatform = this.isNativePlatform(hostname);
@@ -482,12 +815,43 @@ class PopupController {
 
       // Update event listener
       toggleBtn.onclick = () => this.toggleCurrentSite();
+
+      if (autoEnhanceToggle) {
+        autoEnhanceToggle.disabled = !isEnabled;
+        autoEnhanceToggle.checked = Boolean(siteConfig?.autoEnhance);
+        autoEnhanceToggle.onchange = () => this.setSiteOption('autoEnhance', autoEnhanceToggle.checked);
+      }
+
+      if (allFramesToggle) {
+        allFramesToggle.disabled = !isEnabled;
+        allFramesToggle.checked = Boolean(siteConfig?.allFrames);
+        allFramesToggle.onchange = () => this.setSiteOption('allFrames', allFramesToggle.checked);
+      }
+
+      if (pickElementsBtn) {
+        pickElementsBtn.disabled = false;
+        pickElementsBtn.onclick = () => this.startElementPicker();
+      }
     } else {
       siteNameElem.textContent = 'Not available on this page';
       siteUrlElem.textContent = hostname || '—';
       toggleBtn.disabled = true;
       toggleBtn.classList.remove('enabled');
       toggleBtn.querySelector('.toggle-site-text').textContent = 'Not Available';
+
+      if (autoEnhanceToggle) {
+        autoEnhanceToggle.disabled = true;
+        autoEnhanceToggle.checked = false;
+      }
+
+      if (allFramesToggle) {
+        allFramesToggle.disabled = true;
+        allFramesToggle.checked = false;
+      }
+
+      if (pickElementsBtn) {
+        pickElementsBtn.disabled = true;
+      }
     }
 
     // Update managed sites list
@@ -498,28 +862,17 @@ class PopupController {
    * Check if hostname is a native/built-in supported platform
    */
   isNativePlatform(hostname) {
-    const nativeDomains = [
-      'chatgpt.com',
-      'chat.openai.com',
-      'claude.ai',
-      'gemini.google.com',
-      'perplexity.ai',
-      'aistudio.google.com'
-    ];
-    
-    return nativeDomains.some(domain => hostname.includes(domain));
+    const pack = findPackForHost(this.platformPacks, hostname);
+    return Boolean(pack) && pack.id !== GENERIC_PLATFORM_ID;
   }
 
   /**
    * Get friendly name for hostname
    */
   getFriendlyName(hostname) {
-    if (hostname.includes('chatgpt.com') || hostname.includes('chat.openai.com')) return 'ChatGPT';
-    if (hostname.includes('claude.ai')) return 'Claude';
-    if (hostname.includes('gemini.google.com')) return 'Gemini';
-    if (hostname.includes('perplexity.ai')) return 'Perplexity';
-    if (hostname.includes('aistudio.google.com')) return 'Google AI Studio';
-    return hostname;
+    return this.isNativePlatform(hostname)
+      ? findPackForHost(this.platformPacks, hostname).name
+      : hostname;
   }
 
   /**
@@ -560,6 +913,52 @@ class PopupController {
     }
   }
 
+  /**
+   * Set a per-site option (autoEnhance, allFrames) for the current site
+   * Content scripts and the background pick this up from storage, so no reload is needed
+   */
+  async setSiteOption(option, enabled) {
+    if (!this.currentTab?.url) return;
+
+    const hostname = new URL(this.currentTab.url).hostname;
+    const site = this.managedSites.find(s => s.hostname === hostname);
+
+    if (site) {
+      site[option] = enabled;
+    } else {
+      this.managedSites.push({
+        hostname,
+        name: this.getFriendlyName(hostname),
+        enabled: this.isNativePlatform(hostname), // Keep the default state
+        [option]: enabled,
+        addedAt: Date.now()
+      });
+    }
+
+    await this.saveManagedSites();
+    this.updateSiteManagement();
+  }
+
+  /**
+   * Start the element picker in the current tab; the popup closes so the page can be clicked
+   */
+  async startElementPicker() {
+    if (!this.currentTab?.id) return;
+
+    try {
+      await messages.startElementPicker(this.currentTab.id);
+    } catch (error) {
+      // The picker itself failed; anything else means no content script answered
+      const message = error.code === MESSAGE_ERRORS.HANDLER_FAILED
+        ? error.message || 'Could not start the element picker'
+        : 'The page needs a reload before picking elements';
+      this.showStatus(message, 'error', 'picker-status');
+      return;
+    }
+
+    window.close();
+  }
+
   /**
    * Remove a managed site
    */
@@ -605,10 +1004,11 @@ class PopupController {
     const managedSiteMarkup = sortedSites.map(site => `
       <div class="managed-site-item">
         <div class="managed-site-info">
+          ${this.selectorHealth[site.hostname] ? `<span class="site-health-dot ${this.selectorHealth[site.hostname].status}"></span>` : ''}
           <div class="managed-site-details">
             <div class="managed-site-name">${site.name}</div>
             <div class="managed-site-status ${site.enabled ? 'enabled' : 'disabled'}">
-              ${site.enabled ? 'Enabled' : 'Disabled'}
+              ${site.enabled ? 'Enabled' : 'Disabled'}${site.autoEnhance ? ' · Auto-enhance' : ''}${site.allFrames ? ' · All frames' : ''}
             </div>
           </div>
         </div>
@@ -629,11 +1029,50 @@ class PopupController {
     });
   }
 
+  /**
+   * Export the conversation in the current tab (formatted by its content script)
+   * @param {'download'|'copy'} destination
+   */
+  async exportConversation(destination) {
+    const format = document.getElementById('export-format')?.value;
+
+    if (!this.currentTab?.id) {
+      this.showStatus('No active tab to export from', 'error', 'export-status');
+      return;
+    }
+
+    let result;
+    try {
+      result = await messages.exportConversation(this.currentTab.id, { format });
+    } catch (error) {
+      // Export itself failed; anything else means no content script answered
+      this.showStatus(error.code === MESSAGE_ERRORS.HANDLER_FAILED
+        ? error.message
+        : 'The enhancer is not running on this page', 'error', 'export-status');
+      return;
+    }
+
+    const turnLabel = `${result.turnCount} turn${result.turnCount === 1 ? '' : 's'}`;
+
+    if (destination === 'copy') {
+      const copied = await copyToClipboard(result.content);
+      this.showStatus(
+        copied ? `Copied ${turnLabel} to clipboard` : 'Could not copy the conversation',
+        copied ? 'success' : 'error',
+        'export-status'
+      );
+      return;
+    }
+
+    downloadFile(result.content, result.filename, result.mimeType);
+    this.showStatus(`Exported ${turnLabel} to ${result.filename}`, 'success', 'export-status');
+  }
+
   /**
    * Show status message
    */
-  showStatus(message, type) {
-    const statusElem = document.getElementById('api-key-status');
+  showStatus(message, type, elementId = 'api-key-status') {
+    const statusElem = document.getElementById(elementId);
 
     if (statusElem) {
       statusElem.textContent = message;
@@ -31,20 +31,20 @@ class BrowserCompat {
     }
   }
 
-  // Unified storage API with promises
-  async storageGet(keys) {
+  // Unified storage API with promises; area is 'local' (default), 'sync' or 'session'
+  async storageGet(keys, area = 'local') {
     if (!this.isContextValid()) {
       throw new Error('Extension context invalidated');
     }
     
     return new Promise((resolve, reject) => {
       try {
-        if (!this.api.storage || !this.api.storage.local) {
+        if (!this.api.storage || !this.api.storage[area]) {
           reject(new Error('Storage API not available'));
           return;
         }
         
-        this.api.storage.local.get(keys, (result) => {
+        this.api.storage[area].get(keys, (result) => {
           if (this.api.runtime.lastError) {
             reject(this.api.runtime.lastError);
           } else {
@@ -57,19 +57,19 @@ class BrowserCompat {
     });
   }
 
-  async storageSet(items) {
+  async storageSet(items, area = 'local') {
     if (!this.isContextValid()) {
       throw new Error('Extension context invalidated');
     }
     
     return new Promise((resolve, reject) => {
       try {
-        if (!this.api.storage || !this.api.storage.local) {
+        if (!this.api.storage || !this.api.storage[area]) {
           reject(new Error('Storage API not available'));
           return;
         }
         
-        this.api.storage.local.set(items, () => {
+        this.api.storage[area].set(items, () => {
           if (this.api.runtime.lastError) {
             reject(this.api.runtime.lastError);
           } else {
@@ -82,19 +82,19 @@ class BrowserCompat {
     });
   }
 
-  async storageRemove(keys) {
+  async storageRemove(keys, area = 'local') {
     if (!this.isContextValid()) {
       throw new Error('Extension context invalidated');
     }
     
     return new Promise((resolve, reject) => {
       try {
-        if (!this.api.storage || !this.api.storage.local) {
+        if (!this.api.storage || !this.api.storage[area]) {
           reject(new Error('Storage API not available'));
           return;
         }
         
-        this.api.storage.local.remove(keys, () => {
+        this.api.storage[area].remove(keys, () => {
           if (this.api.runtime.lastError) {
             reject(this.api.runtime.lastError);
           } else {
@@ -128,6 +128,44 @@ class BrowserCompat {
     });
   }
 
+  // Send a message to a content script in a specific tab
+  async sendTabMessage(tabId, message) {
+    if (!this.isContextValid()) {
+      throw new Error('Extension context invalidated');
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        this.api.tabs.sendMessage(tabId, message, (response) => {
+          if (this.api.runtime.lastError) {
+            reject(this.api.runtime.lastError);
+          } else {
+            resolve(response);
+          }
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Query tabs
+  async queryTabs(queryInfo) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.api.tabs.query(queryInfo, (tabs) => {
+          if (this.api.runtime.lastError) {
+            reject(this.api.runtime.lastError);
+          } else {
+            resolve(tabs || []);
+          }
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   // Runtime API passthrough
   get runtime() {
     return this.api.runtime;
@@ -138,6 +176,32 @@ class BrowserCompat {
     this.api.runtime.onMessage.addListener(callback);
   }
 
+  offMessage(callback) {
+    this.api.runtime.onMessage.removeListener(callback);
+  }
+
+  // Open a long-lived connection to the background
+  connect(name) {
+    if (!this.isContextValid()) {
+      throw new Error('Extension context invalidated');
+    }
+    return this.api.runtime.connect({ name });
+  }
+
+  // Listen for connections: callback(port)
+  onConnect(callback) {
+    this.api.runtime.onConnect.addListener(callback);
+  }
+
+  // Listen for storage changes: callback(changes, areaName)
+  onStorageChanged(callback) {
+    this.api.storage.onChanged.addListener(callback);
+  }
+
+  offStorageChanged(callback) {
+    this.api.storage.onChanged.removeListener(callback);
+  }
+
   // Get extension URL
   getURL(path) {
     return this.api.runtime.getURL(path);
@@ -2,6 +2,7 @@
  * Application Constants
  */
 
+// Ids of the built-in platform packs (src/shared/platforms)
 export const PLATFORMS = {
   CHATGPT: 'chatgpt',
   CLAUDE: 'claude',
@@ -35,7 +36,14 @@ export const STORAGE_KEYS = {
   SETTINGS: 'enhancerSettings',
   SUBSCRIPTION: 'subscription',
   USAGE_STATS: 'usageStats',
-  ENHANCEMENT_HISTORY: 'enhancementHistory'
+  ENHANCEMENT_HISTORY: 'enhancementHistory',
+  LEARNED_SELECTORS: 'learnedSelectors',
+  PLATFORM_PACKS: 'platformPacks',
+  SELECTOR_HEALTH: 'selectorHealth',
+  SITE_PROFILES: 'siteProfiles',
+  DEFAULT_SITE_PROFILE: 'defaultSiteProfile',
+  KEY_VAULT: 'keyVault',
+  KEY_VAULT_SESSION: 'keyVaultSession' // storage.session
 };
 
 export const DEFAULT_SETTINGS = {
@@ -43,12 +51,36 @@ export const DEFAULT_SETTINGS = {
   enhancementLevel: ENHANCEMENT_LEVELS.MODERATE,
   currentEnhancementType: ENHANCEMENT_PRESETS.BALANCED,
   customEnhancementPrompt: '',
-  contextWindow: 10,
-  autoEnhance: false,
+  contextWindow: 10,             // most recent turns considered verbatim; older ones are summarized
+  contextTokenBudget: 1000,      // see CONTEXT_BUDGET
+  autoEnhance: false,            // master switch; sites also opt in via managedSites[].autoEnhance
+  autoEnhanceMinLength: 15,      // shorter prompts are sent as typed
+  autoEnhanceConfirm: false,     // show the preview panel before sending
+  autoEnhanceBypassKey: 'Alt',   // modifier+Enter (or +click) sends the raw prompt
   showDiff: true,
-  geminiApiKey: null,
   promptTemplateType: 'standard',
   customPromptTemplate: '',
+  localModel: {
+    enabled: false,
+    server: 'ollama',
+    baseUrl: '',
+    model: '',
+    timeout: null,    // null = LOCAL_MODEL_API.TIMEOUT
+    maxRetries: null  // null = LOCAL_MODEL_API.MAX_RETRIES
+  },
+  historyRetentionDays: 30, // 0 = keep until HISTORY_CONFIG.MAX_ENTRIES is reached
+  redaction: {
+    enabled: true,
+    apiKeys: true,
+    tokens: true,
+    privateKeys: true,
+    emails: true,
+    phones: true,
+    creditCards: true,
+    customPatterns: [] // regex sources, or /source/flags
+  },
+  variantMode: 'presets', // see VARIANT_CONFIG.MODES
+  variantCount: 3,
   shortcuts: {
     'Alt+1': ENHANCEMENT_PRESETS.CONCISE,
     'Alt+2': ENHANCEMENT_PRESETS.BALANCED,
@@ -143,6 +175,154 @@ export const GEMINI_API = {
   TIMEOUT: 10000
 };
 
+export const LLM_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
+  OPENAI_COMPATIBLE: 'openai-compatible'
+};
+
+export const PROVIDER_CONFIG = {
+  [LLM_PROVIDERS.GEMINI]: {
+    NAME: 'Google Gemini',
+    BASE_URL: GEMINI_API.BASE_URL,
+    DEFAULT_MODEL: GEMINI_API.MODEL,
+    MODELS: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-pro'],
+    KEY_PREFIX: 'AIza',
+    KEY_URL: 'https://aistudio.google.com/app/apikey',
+    REQUIRES_KEY: true,
+    CHARS_PER_TOKEN: 4
+  },
+  [LLM_PROVIDERS.OPENAI]: {
+    NAME: 'OpenAI',
+    BASE_URL: 'https://api.openai.com/v1',
+    DEFAULT_MODEL: 'gpt-4o-mini',
+    MODELS: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
+    KEY_PREFIX: 'sk-',
+    KEY_URL: 'https://platform.openai.com/api-keys',
+    REQUIRES_KEY: true,
+    CHARS_PER_TOKEN: 4
+  },
+  [LLM_PROVIDERS.ANTHROPIC]: {
+    NAME: 'Anthropic',
+    BASE_URL: 'https://api.anthropic.com/v1',
+    API_VERSION: '2023-06-01',
+    DEFAULT_MODEL: 'claude-3-5-haiku-latest',
+    MODELS: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest'],
+    KEY_PREFIX: 'sk-ant-',
+    KEY_URL: 'https://console.anthropic.com/settings/keys',
+    REQUIRES_KEY: true,
+    CHARS_PER_TOKEN: 3.5
+  },
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: {
+    NAME: 'OpenAI-compatible endpoint',
+    BASE_URL: null,
+    DEFAULT_MODEL: null,
+    MODELS: [],
+    KEY_PREFIX: null,
+    KEY_URL: null,
+    REQUIRES_KEY: false,
+    CHARS_PER_TOKEN: 4
+  }
+};
+
+export const LOCAL_MODEL_SERVERS = {
+  OLLAMA: 'ollama',
+  LLAMA_CPP: 'llamacpp'
+};
+
+export const LOCAL_SERVER_CONFIG = {
+  [LOCAL_MODEL_SERVERS.OLLAMA]: {
+    NAME: 'Ollama',
+    BASE_URL: 'http://localhost:11434',
+    DEFAULT_MODEL: null,
+    MODELS: [],
+    REQUIRES_MODEL: true,
+    CHARS_PER_TOKEN: 3.5
+  },
+  [LOCAL_MODEL_SERVERS.LLAMA_CPP]: {
+    NAME: 'llama.cpp server',
+    BASE_URL: 'http://localhost:8080',
+    DEFAULT_MODEL: null,
+    MODELS: [],
+    REQUIRES_MODEL: false,
+    CHARS_PER_TOKEN: 3.5
+  }
+};
+
+// Enhancements the background runs for content scripts (background/enhancement-runner.js)
+export const ENHANCE_REQUEST = {
+  PORT: 'enhance',
+  MAX_RETRIES: 2,
+  RETRY_DELAY: 1000,
+  DEADLINE: 180000 // whole enhancement, retries and fallbacks included
+};
+
+// Local inference is slower than hosted APIs, so it gets its own policy
+export const LOCAL_MODEL_API = {
+  TIMEOUT: 60000,
+  MAX_RETRIES: 2,
+  RETRY_DELAY: 2000,
+  PING_TIMEOUT: 3000
+};
+
+export const HISTORY_CONFIG = {
+  MAX_ENTRIES: 300,
+  RETENTION_OPTIONS: [7, 30, 90, 365, 0]
+};
+
+// Selector groups checked by the selector health diagnostics
+export const SELECTOR_GROUPS = ['inputArea', 'sendButton', 'messageContainer', 'conversationArea'];
+
+export const SELECTOR_HEALTH = {
+  HEALTHY: 'healthy',   // every group matched its primary selector
+  DEGRADED: 'degraded', // a group needed a fallback or learned selector, or found nothing
+  BROKEN: 'broken',     // no prompt input found at all
+  MAX_LEARNED_PER_GROUP: 3
+};
+
+// Conversation export formats
+export const EXPORT_FORMATS = {
+  MARKDOWN: { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  JSON: { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  TEXT: { id: 'text', label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Conversation history packed into enhancement requests
+export const CONTEXT_BUDGET = {
+  MIN_TOKENS: 100,
+  MAX_TOKENS: 8000,
+  SUMMARY_SHARE: 0.25,      // budget reserved for the summary of older turns
+  MIN_MESSAGE_TOKENS: 30,   // smaller leftovers are not worth a truncated message
+  RECENCY_WEIGHT: 0.5       // added to keyword relevance, scaled by position
+};
+
+// Candidate variants offered from the preview panel
+export const VARIANT_CONFIG = {
+  MODES: {
+    PRESETS: 'presets',   // one candidate per preset below
+    SAMPLING: 'sampling'  // repeated runs of the current preset at a higher temperature
+  },
+  PRESETS: [
+    ENHANCEMENT_PRESETS.CONCISE,
+    ENHANCEMENT_PRESETS.DETAILED,
+    ENHANCEMENT_PRESETS.TECHNICAL
+  ],
+  MIN_COUNT: 2,
+  MAX_COUNT: 4,
+  SAMPLING_TEMPERATURE: 1.0
+};
+
+export const AUTO_ENHANCE_CONFIG = {
+  // Not Shift: composers use Shift+Enter for a newline
+  BYPASS_KEYS: {
+    Alt: 'altKey',
+    Ctrl: 'ctrlKey'
+  },
+  SEND_READY_TIMEOUT: 1500, // wait for the send button to enable after injecting
+  SEND_READY_POLL: 100
+};
+
 export const UI_CONSTANTS = {
   FLOATING_BUTTON_ID: 'ape-floating-button',
   PANEL_ID: 'ape-enhancement-panel',
@@ -156,7 +336,9 @@ export const ERROR_MESSAGES = {
   API_ERROR: 'Failed to enhance prompt. Please try again.',
   PLATFORM_NOT_SUPPORTED: 'This platform is not yet supported',
   INJECTION_FAILED: 'Failed to apply enhanced prompt',
-  RATE_LIMIT: 'Rate limit exceeded. Please wait a moment.'
+  RATE_LIMIT: 'Rate limit exceeded. Please wait a moment.',
+  KEY_LOCKED: 'Your API key is locked. Unlock it from the extension popup.',
+  KEY_UNREADABLE: 'Your saved API key can no longer be read. Enter it again in the options.'
 };
 
 export const SUCCESS_MESSAGES = {
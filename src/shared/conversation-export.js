@@ -0,0 +1,130 @@
+/**
+ * Conversation Export
+ * Formats parsed conversation turns as Markdown, JSON or plain text
+ */
+
+import { EXPORT_FORMATS } from './constants.js';
+
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant'
+};
+
+/**
+ * Look up an export format by id (defaults to Markdown)
+ */
+export function getExportFormat(formatId) {
+  return Object.values(EXPORT_FORMATS).find(format => format.id === formatId) || EXPORT_FORMATS.MARKDOWN;
+}
+
+/**
+ * Fence a code block with enough backticks to survive backticks inside it
+ */
+function fenceCode(text, language) {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language || ''}\n${text}\n${fence}`;
+}
+
+function turnBody(turn, renderCode) {
+  const parts = turn.parts?.length ? turn.parts : [{ type: 'text', text: turn.content || '' }];
+  return parts
+    .map(part => (part.type === 'code' ? renderCode(part) : part.text))
+    .join('\n\n');
+}
+
+function toMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `- Platform: ${conversation.platform}`,
+    `- URL: ${conversation.url}`,
+    `- Exported: ${new Date(conversation.exportedAt).toISOString()}`,
+    `- Turns: ${conversation.turns.length}`
+  ];
+
+  conversation.turns.forEach((turn) => {
+    lines.push('', `## ${ROLE_LABELS[turn.role] || turn.role}`, '');
+
+    if (turn.attachments?.length) {
+      lines.push(`**Attachments:** ${turn.attachments.join(', ')}`, '');
+    }
+
+    lines.push(turnBody(turn, part => fenceCode(part.text, part.language)));
+
+    if (turn.citations?.length) {
+      lines.push('', '**Sources:**');
+      turn.citations.forEach((citation, index) => {
+        lines.push(`${index + 1}. [${citation.title}](${citation.url})`);
+      });
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function toJSON(conversation) {
+  return JSON.stringify({
+    title: conversation.title,
+    platform: conversation.platform,
+    url: conversation.url,
+    exportedAt: new Date(conversation.exportedAt).toISOString(),
+    turns: conversation.turns.map((turn, index) => ({
+      index,
+      role: turn.role,
+      text: turn.text ?? turn.content,
+      code: turn.code || [],
+      citations: turn.citations || [],
+      attachments: turn.attachments || [],
+      parts: turn.parts || []
+    }))
+  }, null, 2);
+}
+
+function toPlainText(conversation) {
+  const header = `${conversation.title}\n${conversation.url}`;
+  const turns = conversation.turns.map((turn) => {
+    const label = ROLE_LABELS[turn.role] || turn.role;
+    const attachments = turn.attachments?.length ? `[Attached: ${turn.attachments.join(', ')}]\n` : '';
+    const sources = turn.citations?.length
+      ? `\n\nSources:\n${turn.citations.map(c => `- ${c.title}: ${c.url}`).join('\n')}`
+      : '';
+    return `${label}:\n${attachments}${turnBody(turn, part => part.text)}${sources}`;
+  });
+
+  return `${[header, ...turns].join('\n\n')}\n`;
+}
+
+/**
+ * File name from the conversation title, e.g. "design-review-2025-01-31.md"
+ */
+function buildFilename(conversation, format) {
+  const slug = (conversation.title || 'conversation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'conversation';
+  const date = new Date(conversation.exportedAt).toISOString().slice(0, 10);
+  return `${slug}-${date}.${format.extension}`;
+}
+
+/**
+ * Format a conversation for export
+ * @param {Object} conversation - { title, platform, url, exportedAt, turns }
+ * @param {string} formatId - EXPORT_FORMATS[...].id
+ * @returns {{content: string, filename: string, mimeType: string}}
+ */
+export function formatConversation(conversation, formatId) {
+  const format = getExportFormat(formatId);
+  const formatters = {
+    [EXPORT_FORMATS.MARKDOWN.id]: toMarkdown,
+    [EXPORT_FORMATS.JSON.id]: toJSON,
+    [EXPORT_FORMATS.TEXT.id]: toPlainText
+  };
+
+  return {
+    content: formatters[format.id](conversation),
+    filename: buildFilename(conversation, format),
+    mimeType: format.mimeType
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Deep Query
+ * querySelector(All) that also searches open shadow roots and same-origin iframes
+ */
+
+// Roots are re-collected at most this often; composers re-render far less frequently
+const ROOT_CACHE_MS = 250;
+
+const options = {
+  includeFrames: true
+};
+
+let rootCache = new WeakMap();
+
+/**
+ * Adjust traversal, e.g. skip iframes that run their own content script
+ * @param {Object} overrides - { includeFrames }
+ */
+export function configureDeepQuery(overrides = {}) {
+  Object.assign(options, overrides);
+  rootCache = new WeakMap();
+}
+
+/**
+ * Document of a same-origin iframe, or null when it is cross-origin or not loaded
+ */
+function getFrameDocument(frame) {
+  try {
+    const frameDocument = frame.contentDocument;
+    return frameDocument?.documentElement ? frameDocument : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every searchable root under `root`: the root itself, then open shadow roots
+ * and same-origin iframe documents, however deeply nested
+ */
+export function getSearchRoots(root = document) {
+  const cached = rootCache.get(root);
+  if (cached && Date.now() - cached.time < ROOT_CACHE_MS) {
+    return cached.roots;
+  }
+
+  const roots = [root];
+
+  for (let i = 0; i < roots.length; i++) {
+    const current = roots[i];
+    const ownerDocument = current.ownerDocument || current;
+    const walker = ownerDocument.createTreeWalker(current, NodeFilter.SHOW_ELEMENT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.shadowRoot) {
+        roots.push(node.shadowRoot);
+      }
+      if (options.includeFrames && (node.tagName === 'IFRAME' || node.tagName === 'FRAME')) {
+        const frameDocument = getFrameDocument(node);
+        if (frameDocument) {
+          roots.push(frameDocument);
+        }
+      }
+    }
+  }
+
+  rootCache.set(root, { roots, time: Date.now() });
+  return roots;
+}
+
+/**
+ * First match across all search roots (throws on an invalid selector, like querySelector)
+ */
+export function deepQuerySelector(selector, root = document) {
+  for (const searchRoot of getSearchRoots(root)) {
+    const match = searchRoot.querySelector(selector);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+/**
+ * All matches across all search roots
+ */
+export function deepQuerySelectorAll(selector, root = document) {
+  return getSearchRoots(root).flatMap(searchRoot => Array.from(searchRoot.querySelectorAll(selector)));
+}
+
+/**
+ * The focused element, looking through shadow hosts and same-origin iframes
+ */
+export function deepActiveElement(root = document) {
+  let active = root.activeElement;
+
+  while (active) {
+    if (active.shadowRoot?.activeElement) {
+      active = active.shadowRoot.activeElement;
+    } else if (active.tagName === 'IFRAME' && getFrameDocument(active)?.activeElement) {
+      const inner = getFrameDocument(active).activeElement;
+      if (inner === inner.ownerDocument.body) break;
+      active = inner;
+    } else {
+      break;
+    }
+  }
+
+  return active;
+}
+
+/**
+ * Node.contains() that crosses shadow and same-origin frame boundaries
+ */
+export function deepContains(container, node) {
+  let current = node;
+
+  while (current) {
+    if (container === current || container.contains(current)) {
+      return true;
+    }
+    const root = current.getRootNode();
+    current = root.host || root.defaultView?.frameElement || null;
+  }
+
+  return false;
+}
+
+/**
+ * Selection object for the tree a node lives in (shadow root or frame document)
+ */
+export function getSelectionFor(node) {
+  const root = node.getRootNode();
+  if (typeof root.getSelection === 'function') {
+    return root.getSelection();
+  }
+  return (node.ownerDocument || document).getSelection();
+}
@@ -0,0 +1,119 @@
+/**
+ * Word-level Diff
+ * LCS diff over word and whitespace tokens, used by the preview panel
+ */
+
+// Above this many LCS cells the middle section is shown as one replace
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into word and whitespace tokens
+ */
+export function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Diff two strings word by word
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>}
+ */
+export function diffWords(original, enhanced) {
+  const a = tokenize(original);
+  const b = tokenize(enhanced);
+
+  // Trim common prefix and suffix so the DP only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  pushOp(ops, 'equal', a.slice(0, start));
+  diffMiddle(a.slice(start, endA), b.slice(start, endB)).forEach(op => pushOp(ops, op.type, [op.text]));
+  pushOp(ops, 'equal', a.slice(endA));
+
+  return ops;
+}
+
+/**
+ * Count inserted and deleted words (whitespace ignored)
+ */
+export function summarizeDiff(ops) {
+  const countWords = text => (text.match(/[^\s]+/g) || []).length;
+
+  return ops.reduce((summary, op) => {
+    if (op.type === 'insert') summary.added += countWords(op.text);
+    if (op.type === 'delete') summary.removed += countWords(op.text);
+    return summary;
+  }, { added: 0, removed: 0 });
+}
+
+function diffMiddle(a, b) {
+  if (a.length === 0 && b.length === 0) return [];
+  if (a.length === 0) return [{ type: 'insert', text: b.join('') }];
+  if (b.length === 0) return [{ type: 'delete', text: a.join('') }];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      { type: 'delete', text: a.join('') },
+      { type: 'insert', text: b.join('') }
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..], stored row-major
+  const cols = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * cols);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = a[i] === b[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      ops.push({ type: 'delete', text: a[i] });
+      i++;
+    } else {
+      ops.push({ type: 'insert', text: b[j] });
+      j++;
+    }
+  }
+
+  while (i < a.length) ops.push({ type: 'delete', text: a[i++] });
+  while (j < b.length) ops.push({ type: 'insert', text: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Append tokens, merging with the previous op of the same type
+ */
+function pushOp(ops, type, tokens) {
+  const text = tokens.join('');
+  if (!text) return;
+
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    ops.push({ type, text });
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Learned Selectors
+ * When a fallback selector or heuristic finds an element the primary selector
+ * missed, a selector built from the element's stable attributes is kept per site
+ */
+
+import browserCompat from './browser-compat.js';
+import { STORAGE_KEYS, SELECTOR_HEALTH } from './constants.js';
+import { deepQuerySelectorAll } from './deep-query.js';
+
+// Attributes sites keep across deploys, most specific first
+const STABLE_ATTRIBUTES = [
+  'data-testid',
+  'data-test-id',
+  'data-qa',
+  'name',
+  'aria-label',
+  'placeholder',
+  'role',
+  'type',
+  'contenteditable'
+];
+
+const MAX_VALUE_LENGTH = 60;
+const MAX_PATH_DEPTH = 8;
+const MAX_PATH_CLASSES = 2;
+
+/**
+ * Generated values (React ids, hashes, counters) change between page loads
+ */
+function isStableValue(value) {
+  return Boolean(value) &&
+    value.length <= MAX_VALUE_LENGTH &&
+    !/\d{4,}|:|[a-f0-9]{8,}/i.test(value);
+}
+
+function escapeAttributeValue(value) {
+  return value.replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Build the shortest selector from stable attributes that still finds the element
+ * @returns {string|null} null when the element has nothing stable to go on
+ */
+export function buildStableSelector(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+  const tag = element.localName;
+  const root = element.getRootNode();
+
+  if (isStableValue(element.id)) {
+    const selector = `${tag}#${CSS.escape(element.id)}`;
+    if (deepQuerySelectorAll(selector, root).length === 1) {
+      return selector;
+    }
+  }
+
+  let selector = tag;
+  let hasAttribute = false;
+
+  for (const attribute of STABLE_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (!isStableValue(value)) continue;
+
+    selector += `[${attribute}="${escapeAttributeValue(value)}"]`;
+    hasAttribute = true;
+
+    const matches = deepQuerySelectorAll(selector, root);
+    if (matches.length === 1 && matches[0] === element) {
+      return selector;
+    }
+  }
+
+  // Not unique, but still specific enough to prefer over a bare tag
+  return hasAttribute && deepQuerySelectorAll(selector, root).includes(element) ? selector : null;
+}
+
+function isUniqueMatch(selector, element, root) {
+  const matches = deepQuerySelectorAll(selector, root);
+  return matches.length === 1 && matches[0] === element;
+}
+
+/**
+ * One step of a structural path: tag, a couple of stable classes and, when
+ * siblings share the tag, its position among them
+ */
+function describePathSegment(element) {
+  const classes = [...element.classList]
+    .filter(className => isStableValue(className) && /^[a-z_-][\w-]*$/i.test(className))
+    .slice(0, MAX_PATH_CLASSES);
+
+  let segment = element.localName + classes.map(className => `.${CSS.escape(className)}`).join('');
+
+  const siblings = element.parentElement
+    ? [...element.parentElement.children].filter(sibling => sibling.localName === element.localName)
+    : [];
+  if (siblings.length > 1) {
+    segment += `:nth-of-type(${siblings.indexOf(element) + 1})`;
+  }
+  return segment;
+}
+
+/**
+ * Selector for an element the user picked: the stable selector when it is unique,
+ * otherwise a short child path from the nearest ancestor that can be identified
+ * @returns {string|null}
+ */
+export function buildRobustSelector(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+  const root = element.getRootNode();
+  const stable = buildStableSelector(element);
+  if (stable && isUniqueMatch(stable, element, root)) {
+    return stable;
+  }
+
+  const segments = [];
+  let current = element;
+
+  while (current && segments.length < MAX_PATH_DEPTH) {
+    segments.unshift(describePathSegment(current));
+    const path = segments.join(' > ');
+    if (isUniqueMatch(path, element, root)) {
+      return path;
+    }
+
+    const parent = current.parentElement;
+    if (!parent) break;
+
+    const parentSelector = buildStableSelector(parent);
+    if (parentSelector && isUniqueMatch(`${parentSelector} > ${path}`, element, root)) {
+      return `${parentSelector} > ${path}`;
+    }
+    current = parent;
+  }
+
+  // Not unique within the depth limit; the first match is still this element or an earlier twin
+  return stable || segments.join(' > ');
+}
+
+class LearnedSelectors {
+  constructor() {
+    this.cache = null;
+  }
+
+  async load() {
+    if (!this.cache) {
+      try {
+        const result = await browserCompat.storageGet([STORAGE_KEYS.LEARNED_SELECTORS]);
+        this.cache = result[STORAGE_KEYS.LEARNED_SELECTORS] || {};
+      } catch (error) {
+        console.warn('[APE] Failed to load learned selectors:', error);
+        this.cache = {};
+      }
+    }
+    return this.cache;
+  }
+
+  /**
+   * Learned selectors for a site
+   * @returns {Promise<Object>} { [group]: [{ selector, learnedAt }] }
+   */
+  async getForSite(hostname) {
+    const learned = await this.load();
+    return learned[hostname] || {};
+  }
+
+  /**
+   * Remember a stable selector for an element found by a fallback
+   * @returns {Promise<string|null>} the selector, or null if nothing stable was found
+   */
+  async learn(hostname, group, element) {
+    const selector = buildStableSelector(element);
+    if (!selector) return null;
+
+    const learned = await this.load();
+    const site = learned[hostname] || {};
+    const entries = site[group] || [];
+
+    if (entries.some(entry => entry.selector === selector)) {
+      return selector;
+    }
+
+    site[group] = [{ selector, learnedAt: Date.now() }, ...entries]
+      .slice(0, SELECTOR_HEALTH.MAX_LEARNED_PER_GROUP);
+    learned[hostname] = site;
+
+    try {
+      await browserCompat.storageSet({ [STORAGE_KEYS.LEARNED_SELECTORS]: learned });
+      console.log(`[APE] Learned ${group} selector for ${hostname}:`, selector);
+    } catch (error) {
+      console.warn('[APE] Failed to save learned selector:', error);
+    }
+
+    return selector;
+  }
+
+  /**
+   * Drop everything learned for a site
+   */
+  async forget(hostname) {
+    const learned = await this.load();
+    delete learned[hostname];
+    await browserCompat.storageSet({ [STORAGE_KEYS.LEARNED_SELECTORS]: learned });
+  }
+}
+
+export default new LearnedSelectors();
@@ -0,0 +1,140 @@
+/**
+ * Message Router
+ * Answers { action, data } messages for one context. Before a handler runs, the
+ * router checks that the action exists and is handled here, that the sender may
+ * send it and that its data matches MESSAGE_SCHEMA; the handler's result, or the
+ * reason it was refused, goes back in a { success, data, error } envelope
+ *
+ * The background answers every message, so unknown actions fail clearly. A tab
+ * can have several routers, one per frame and content script, so tab routers
+ * stay silent on actions they have no handler for and leave them to the others
+ */
+
+import browserCompat from './browser-compat.js';
+import {
+  MESSAGE_SCHEMA,
+  MESSAGE_ERRORS,
+  SENDERS,
+  TARGETS,
+  createMessageError,
+  createErrorResponse,
+  createResponse,
+  validatePayload
+} from './messages.js';
+
+/**
+ * SENDERS value for a runtime.onMessage sender, or null if it isn't this extension
+ */
+export function getSenderType(sender) {
+  const runtime = browserCompat.runtime;
+  if (!sender || sender.id !== runtime.id) return null;
+
+  const url = sender.url || sender.origin || '';
+  if (url.startsWith(runtime.getURL(''))) {
+    return SENDERS.EXTENSION;
+  }
+  // Content scripts always come from a tab; the background and popup never do
+  return sender.tab ? SENDERS.CONTENT : SENDERS.EXTENSION;
+}
+
+/**
+ * Check that the sender may send an action and that its data matches MESSAGE_SCHEMA.
+ * Ports check their messages with this too, as port.sender is a runtime sender
+ * @returns {Object} the checked data (see validatePayload)
+ * @throws {Error} MessageError FORBIDDEN or INVALID_PAYLOAD
+ */
+export function checkMessage(action, data, sender) {
+  if (!MESSAGE_SCHEMA[action].senders.includes(getSenderType(sender))) {
+    throw createMessageError(MESSAGE_ERRORS.FORBIDDEN, `${action} is not allowed from this context`);
+  }
+  return validatePayload(action, data);
+}
+
+class MessageRouter {
+  /**
+   * @param {string} target - TARGETS value of the context this router answers for
+   */
+  constructor(target) {
+    this.target = target;
+    this.handlers = new Map();
+    this.listener = null;
+  }
+
+  /**
+   * Register the handler for an action
+   * @param {Function} handler - (data, sender) => result, sync or async
+   */
+  on(action, handler) {
+    if (MESSAGE_SCHEMA[action]?.target !== this.target) {
+      throw new Error(`Action ${action} is not handled by the ${this.target}`);
+    }
+    this.handlers.set(action, handler);
+    return this;
+  }
+
+  /**
+   * Whether this router responds to a message at all
+   */
+  answers(message) {
+    return this.target === TARGETS.BACKGROUND || this.handlers.has(message?.action);
+  }
+
+  /**
+   * Check and run one message
+   * @returns {Promise<Object>} response envelope
+   */
+  async handle(message, sender) {
+    const action = message?.action;
+
+    try {
+      const spec = MESSAGE_SCHEMA[action];
+      if (typeof action !== 'string' || !spec) {
+        throw createMessageError(MESSAGE_ERRORS.UNKNOWN_ACTION, `Unknown action: ${action}`);
+      }
+
+      const handler = this.handlers.get(action);
+      if (!handler) {
+        throw createMessageError(MESSAGE_ERRORS.UNKNOWN_ACTION, `No ${this.target} handler for ${action}`);
+      }
+
+      const data = checkMessage(action, message.data, sender);
+      return createResponse(await handler(data, sender));
+    } catch (error) {
+      if (error.name === 'MessageError') {
+        console.warn('[APE] Message refused:', error.message);
+      } else {
+        console.error(`[APE] ${action} handler error:`, error);
+      }
+      return createErrorResponse(error);
+    }
+  }
+
+  /**
+   * Start answering runtime messages
+   * @returns {Function} stop listening
+   */
+  listen() {
+    this.listener = (message, sender, sendResponse) => {
+      if (!this.answers(message)) return false;
+
+      this.handle(message, sender).then(sendResponse);
+      // Respond asynchronously
+      return true;
+    };
+
+    browserCompat.onMessage(this.listener);
+    return () => this.stop();
+  }
+
+  stop() {
+    if (!this.listener) return;
+    try {
+      browserCompat.offMessage(this.listener);
+    } catch (error) {
+      // Extension context already gone
+    }
+    this.listener = null;
+  }
+}
+
+export default MessageRouter;
@@ -0,0 +1,323 @@
+/**
+ * Message Protocol
+ * Every runtime and tab message is { action, data }, answered with an envelope
+ * { success, data, error }. MESSAGE_SCHEMA lists each action with the context that
+ * handles it, the senders allowed to send it and the shape of its data;
+ * MessageRouter (message-router.js) checks all three before a handler runs, and
+ * createClient() builds the sending side from the same schema
+ *
+ * Streamed enhancements use a port instead (see background/enhancement-runner.js).
+ * Its start message is checked against MESSAGE_SCHEMA too, and its result is the
+ * same envelope
+ */
+
+import browserCompat from './browser-compat.js';
+
+/**
+ * Who sent a message: content scripts run in web pages; extension pages are the
+ * background, popup and options page
+ */
+export const SENDERS = {
+  CONTENT: 'content',
+  EXTENSION: 'extension'
+};
+
+/**
+ * Where an action is handled: the background, or content scripts in a tab
+ */
+export const TARGETS = {
+  BACKGROUND: 'background',
+  TAB: 'tab'
+};
+
+export const MESSAGE_ERRORS = {
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  FORBIDDEN: 'FORBIDDEN',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  HANDLER_FAILED: 'HANDLER_FAILED',
+  NO_RESPONSE: 'NO_RESPONSE',
+  // The key vault is waiting for its passphrase
+  KEY_LOCKED: 'KEY_LOCKED'
+};
+
+export const ACTIONS = {
+  // Subscription and API keys
+  GET_SUBSCRIPTION: 'getSubscription',
+  GET_SUBSCRIPTION_INFO: 'getSubscriptionInfo',
+  ACTIVATE_BYOK: 'activateBYOK',
+  DEACTIVATE_BYOK: 'deactivateBYOK',
+  UPDATE_API_KEY: 'updateAPIKey',
+  CHECK_LOCAL_SERVER: 'checkLocalServer',
+  UNLOCK_KEYS: 'unlockKeys',
+  LOCK_KEYS: 'lockKeys',
+  SET_KEY_PASSPHRASE: 'setKeyPassphrase',
+
+  // Enhancement and usage
+  ENHANCE: 'enhance',
+  START_ENHANCEMENT: 'startEnhancement',
+  TRACK_EVENT: 'trackEvent',
+  GET_USAGE_STATS: 'getUsageStats',
+
+  // History
+  RECORD_ENHANCEMENT: 'recordEnhancement',
+  GET_HISTORY: 'getHistory',
+  PURGE_HISTORY: 'purgeHistory',
+  SET_HISTORY_RETENTION: 'setHistoryRetention',
+  REAPPLY_HISTORY_ENTRY: 'reapplyHistoryEntry',
+
+  // Settings and platform packs
+  GET_SETTINGS: 'getSettings',
+  SAVE_SETTINGS: 'saveSettings',
+  OPEN_OPTIONS: 'openOptions',
+  GET_PLATFORM_PACKS: 'getPlatformPacks',
+  IMPORT_PLATFORM_PACK: 'importPlatformPack',
+  REMOVE_PLATFORM_PACK: 'removePlatformPack',
+
+  // Content scripts
+  APPLY_PROMPT: 'applyPrompt',
+  EXPORT_CONVERSATION: 'exportConversation',
+  GET_SELECTOR_HEALTH: 'getSelectorHealth',
+  START_ELEMENT_PICKER: 'startElementPicker',
+  TEST_SITE_PROFILE: 'testSiteProfile',
+  ENABLE_SITE: 'enableSite',
+  SAVE_SELECTOR_HEALTH: 'saveSelectorHealth',
+
+  // v2 content script
+  RELOAD_EXTENSION: 'reloadExtension',
+  REMOUNT_BUTTON: 'remountButton',
+  GET_STATUS: 'getStatus'
+};
+
+const ANY_SENDER = [SENDERS.CONTENT, SENDERS.EXTENSION];
+const EXTENSION_ONLY = [SENDERS.EXTENSION];
+
+/**
+ * Each action's target, allowed senders and data fields. Field types are 'string',
+ * 'number', 'boolean', 'object' or 'array'; a trailing ? makes the field optional
+ * (missing or null). Data with fields not listed here is rejected. Port messages
+ * are marked port: true and have no client function
+ */
+export const MESSAGE_SCHEMA = {
+  [ACTIONS.GET_SUBSCRIPTION]: { target: TARGETS.BACKGROUND, senders: ANY_SENDER, data: {} },
+  [ACTIONS.GET_SUBSCRIPTION_INFO]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.ACTIVATE_BYOK]: {
+    target: TARGETS.BACKGROUND,
+    senders: EXTENSION_ONLY,
+    data: { apiKey: 'string', provider: 'string?', model: 'string?', baseUrl: 'string?' }
+  },
+  [ACTIONS.DEACTIVATE_BYOK]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.UPDATE_API_KEY]: {
+    target: TARGETS.BACKGROUND,
+    senders: EXTENSION_ONLY,
+    data: { apiKey: 'string', model: 'string?' }
+  },
+  [ACTIONS.CHECK_LOCAL_SERVER]: {
+    target: TARGETS.BACKGROUND,
+    senders: EXTENSION_ONLY,
+    data: { localModel: 'object?' }
+  },
+  [ACTIONS.UNLOCK_KEYS]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: { passphrase: 'string' } },
+  [ACTIONS.LOCK_KEYS]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.SET_KEY_PASSPHRASE]: {
+    target: TARGETS.BACKGROUND,
+    senders: EXTENSION_ONLY,
+    data: { passphrase: 'string?' }
+  },
+
+  [ACTIONS.ENHANCE]: {
+    target: TARGETS.BACKGROUND,
+    senders: ANY_SENDER,
+    data: { context: 'object', enhancementType: 'string?', temperature: 'number?' }
+  },
+  [ACTIONS.START_ENHANCEMENT]: {
+    target: TARGETS.BACKGROUND,
+    senders: ANY_SENDER,
+    port: true,
+    data: { context: 'object', enhancementType: 'string?', temperature: 'number?', stream: 'boolean?' }
+  },
+  [ACTIONS.TRACK_EVENT]: {
+    target: TARGETS.BACKGROUND,
+    senders: ANY_SENDER,
+    data: { eventName: 'string', eventData: 'object?' }
+  },
+  [ACTIONS.GET_USAGE_STATS]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: {} },
+
+  [ACTIONS.RECORD_ENHANCEMENT]: {
+    target: TARGETS.BACKGROUND,
+    senders: [SENDERS.CONTENT],
+    data: {
+      original: 'string',
+      enhanced: 'string',
+      preset: 'string?',
+      template: 'string?',
+      platform: 'string?',
+      provider: 'string?',
+      model: 'string?',
+      latency: 'number?',
+      url: 'string?'
+    }
+  },
+  [ACTIONS.GET_HISTORY]: {
+    target: TARGETS.BACKGROUND,
+    senders: EXTENSION_ONLY,
+    data: { query: 'string?', platform: 'string?' }
+  },
+  [ACTIONS.PURGE_HISTORY]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.SET_HISTORY_RETENTION]: {
+    target: TARGETS.BACKGROUND,
+    senders: EXTENSION_ONLY,
+    data: { retentionDays: 'number' }
+  },
+  [ACTIONS.REAPPLY_HISTORY_ENTRY]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: { id: 'string' } },
+
+  [ACTIONS.GET_SETTINGS]: { target: TARGETS.BACKGROUND, senders: ANY_SENDER, data: {} },
+  [ACTIONS.SAVE_SETTINGS]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: { settings: 'object' } },
+  [ACTIONS.OPEN_OPTIONS]: { target: TARGETS.BACKGROUND, senders: ANY_SENDER, data: {} },
+  [ACTIONS.GET_PLATFORM_PACKS]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.IMPORT_PLATFORM_PACK]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: { pack: 'object' } },
+  [ACTIONS.REMOVE_PLATFORM_PACK]: { target: TARGETS.BACKGROUND, senders: EXTENSION_ONLY, data: { id: 'string' } },
+
+  [ACTIONS.APPLY_PROMPT]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: { text: 'string' } },
+  [ACTIONS.EXPORT_CONVERSATION]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: { format: 'string?' } },
+  [ACTIONS.GET_SELECTOR_HEALTH]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.START_ELEMENT_PICKER]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.TEST_SITE_PROFILE]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: { profile: 'object' } },
+  // Content scripts can only store these for the site they run on
+  [ACTIONS.ENABLE_SITE]: { target: TARGETS.BACKGROUND, senders: [SENDERS.CONTENT], data: {} },
+  [ACTIONS.SAVE_SELECTOR_HEALTH]: {
+    target: TARGETS.BACKGROUND,
+    senders: [SENDERS.CONTENT],
+    data: { report: 'object' }
+  },
+
+  [ACTIONS.RELOAD_EXTENSION]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.REMOUNT_BUTTON]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: {} },
+  [ACTIONS.GET_STATUS]: { target: TARGETS.TAB, senders: EXTENSION_ONLY, data: {} }
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'number':
+      return Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Error for a message that was refused or failed
+ * @param {string} code - A MESSAGE_ERRORS value
+ */
+export function createMessageError(code, message) {
+  const error = new Error(message);
+  error.name = 'MessageError';
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check a message's data against its action's schema
+ * @returns {Object} the fields that were sent; missing and null ones are left out
+ * @throws {Error} MessageError INVALID_PAYLOAD naming the first bad field
+ */
+export function validatePayload(action, data) {
+  const fields = MESSAGE_SCHEMA[action].data;
+  if (data === undefined || data === null) {
+    data = {};
+  }
+  if (!isPlainObject(data)) {
+    throw createMessageError(MESSAGE_ERRORS.INVALID_PAYLOAD, `${action}: data must be an object`);
+  }
+
+  Object.keys(data).forEach((key) => {
+    if (!fields[key]) {
+      throw createMessageError(MESSAGE_ERRORS.INVALID_PAYLOAD, `${action}: unexpected field "${key}"`);
+    }
+  });
+
+  const checked = {};
+  Object.entries(fields).forEach(([key, type]) => {
+    const optional = type.endsWith('?');
+    const baseType = optional ? type.slice(0, -1) : type;
+    const value = data[key];
+
+    if (value === undefined || value === null) {
+      if (!optional) {
+        throw createMessageError(MESSAGE_ERRORS.INVALID_PAYLOAD, `${action}: missing ${baseType} "${key}"`);
+      }
+    } else if (!matchesType(value, baseType)) {
+      throw createMessageError(MESSAGE_ERRORS.INVALID_PAYLOAD, `${action}: expected ${baseType} for "${key}"`);
+    } else {
+      checked[key] = value;
+    }
+  });
+
+  return checked;
+}
+
+/**
+ * Envelope for a handled message
+ */
+export function createResponse(data) {
+  return { success: true, data: data ?? null, error: null };
+}
+
+/**
+ * Envelope for a refused or failed message
+ */
+export function createErrorResponse(error) {
+  return {
+    success: false,
+    data: null,
+    error: {
+      code: error.code || MESSAGE_ERRORS.HANDLER_FAILED,
+      message: error.message || String(error)
+    }
+  };
+}
+
+/**
+ * Data from an envelope
+ * @throws {Error} MessageError carrying the envelope's error code
+ */
+export function readResponse(action, response) {
+  if (!response) {
+    throw createMessageError(MESSAGE_ERRORS.NO_RESPONSE, `${action}: no response`);
+  }
+  if (!response.success) {
+    throw createMessageError(
+      response.error?.code || MESSAGE_ERRORS.HANDLER_FAILED,
+      response.error?.message || `${action} failed`
+    );
+  }
+  return response.data;
+}
+
+/**
+ * Functions for every action a sender may send, named after the action.
+ * Background actions take (data); tab actions take (tabId, data). Each resolves to
+ * the handler's data and rejects with a MessageError when the message is refused or
+ * its handler throws, or with the browser's error when nothing could be reached
+ * @param {string} sender - A SENDERS value
+ */
+export function createClient(sender) {
+  const client = {};
+
+  Object.entries(MESSAGE_SCHEMA).forEach(([action, spec]) => {
+    if (spec.port || !spec.senders.includes(sender)) return;
+
+    client[action] = spec.target === TARGETS.TAB
+      ? async (tabId, data) => readResponse(action, await browserCompat.sendTabMessage(tabId, { action, data }))
+      : async (data) => readResponse(action, await browserCompat.sendMessage({ action, data }));
+  });
+
+  return client;
+}
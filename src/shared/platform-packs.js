@@ -0,0 +1,242 @@
+/**
+ * Platform Packs
+ * Validation and host matching for declarative platform definitions.
+ * Kept free of JSON imports so the unbundled popup and options pages can use it
+ *
+ * A pack describes one chat platform:
+ *   id, name, schemaVersion, hosts
+ *   selectors  inputArea, sendButton, messageContainer, userMessage, assistantMessage, conversationArea
+ *   docking    anchors tried in order, each a chain of steps to the element the button goes beside
+ *   button     class name and inline styles for the docked button
+ *   editor     editor adapter hint (see content/editors)
+ *   parser     turn structure for the conversation parser
+ */
+
+export const PLATFORM_PACK_SCHEMA_VERSION = 1;
+
+export const GENERIC_PLATFORM_ID = 'generic';
+
+export const SELECTOR_GROUP_KEYS = [
+  'inputArea',
+  'sendButton',
+  'messageContainer',
+  'userMessage',
+  'assistantMessage',
+  'conversationArea'
+];
+
+export const EDITOR_HINTS = ['prosemirror', 'quill', 'lexical', 'codemirror', 'monaco', 'generic'];
+
+const INSERT_POSITIONS = ['before', 'after', 'prepend', 'append'];
+const STEP_TYPES = ['input', 'query', 'closest', 'parent'];
+const PARSER_LIST_KEYS = ['turns', 'user', 'body', 'exclude', 'attachments', 'citations'];
+
+/**
+ * Throw early on selectors the browser can't parse, where a DOM is available
+ */
+export function assertSelector(selector, path) {
+  if (typeof selector !== 'string' || !selector.trim()) {
+    throw new Error(`${path} must be a non-empty selector string`);
+  }
+  if (typeof document === 'undefined') return;
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+  } catch (error) {
+    throw new Error(`${path} is not a valid selector: ${selector}`);
+  }
+}
+
+function selectorList(value, path, { required = false } = {}) {
+  if (value === undefined || value === null) {
+    if (required) throw new Error(`${path} is required`);
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${path} must be an array of selectors`);
+  }
+  if (required && value.length === 0) {
+    throw new Error(`${path} needs at least one selector`);
+  }
+
+  value.forEach((selector, index) => assertSelector(selector, `${path}[${index}]`));
+  return [...value];
+}
+
+function styleMap(value, path) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${path} must be an object of style properties`);
+  }
+
+  Object.entries(value).forEach(([property, styleValue]) => {
+    if (!/^[a-zA-Z]+$/.test(property) || typeof styleValue !== 'string') {
+      throw new Error(`${path}.${property} must be a camelCase property with a string value`);
+    }
+  });
+  return { ...value };
+}
+
+function buttonClassName(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string' || !/^[\w-]*$/.test(value)) {
+    throw new Error('button.className must be a single class name');
+  }
+  return value;
+}
+
+function validateStep(step, path) {
+  const types = STEP_TYPES.filter(type => step && Object.prototype.hasOwnProperty.call(step, type));
+  if (types.length !== 1) {
+    throw new Error(`${path} must have exactly one of: ${STEP_TYPES.join(', ')}`);
+  }
+
+  const [type] = types;
+  if (type === 'query' || type === 'closest') {
+    return { [type]: selectorList(step[type], `${path}.${type}`, { required: true }) };
+  }
+  return { [type]: true };
+}
+
+function validateDocking(docking, path) {
+  if (docking === undefined || docking === null) return null;
+  if (!Array.isArray(docking.anchors) || docking.anchors.length === 0) {
+    throw new Error(`${path}.anchors needs at least one anchor`);
+  }
+
+  const anchors = docking.anchors.map((anchor, index) => {
+    const anchorPath = `${path}.anchors[${index}]`;
+    if (!Array.isArray(anchor.target) || anchor.target.length === 0) {
+      throw new Error(`${anchorPath}.target needs at least one step`);
+    }
+    if (!INSERT_POSITIONS.includes(anchor.insert)) {
+      throw new Error(`${anchorPath}.insert must be one of: ${INSERT_POSITIONS.join(', ')}`);
+    }
+    if (anchor.wrapper && !/^[a-z][a-z0-9-]*$/.test(anchor.wrapper.tag || '')) {
+      throw new Error(`${anchorPath}.wrapper.tag must be an element name`);
+    }
+    if (anchor.wrapper && !/^[\w -]*$/.test(anchor.wrapper.className || '')) {
+      throw new Error(`${anchorPath}.wrapper.className must be space-separated class names`);
+    }
+
+    return {
+      target: anchor.target.map((step, stepIndex) => validateStep(step, `${anchorPath}.target[${stepIndex}]`)),
+      insert: anchor.insert,
+      wrapper: anchor.wrapper
+        ? { tag: anchor.wrapper.tag, className: String(anchor.wrapper.className || '') }
+        : null,
+      // Make a statically positioned target the containing block for an absolutely positioned button
+      positioned: Boolean(anchor.positioned)
+    };
+  });
+
+  return {
+    anchors,
+    validate: {
+      contains: selectorList(docking.validate?.contains, `${path}.validate.contains`),
+      exists: selectorList(docking.validate?.exists, `${path}.validate.exists`)
+    }
+  };
+}
+
+function validateParser(parser, path) {
+  if (parser === undefined || parser === null) return null;
+
+  const validated = {};
+  PARSER_LIST_KEYS.forEach((key) => {
+    validated[key] = selectorList(parser[key], `${path}.${key}`, { required: key === 'turns' });
+  });
+
+  if (parser.attachmentScope !== undefined) {
+    assertSelector(parser.attachmentScope, `${path}.attachmentScope`);
+    validated.attachmentScope = parser.attachmentScope;
+  }
+
+  if (parser.codeLanguage !== undefined) {
+    const { closest, query } = parser.codeLanguage || {};
+    if (closest !== undefined) assertSelector(closest, `${path}.codeLanguage.closest`);
+    assertSelector(query, `${path}.codeLanguage.query`);
+    validated.codeLanguage = { closest: closest || null, query };
+  }
+
+  return validated;
+}
+
+/**
+ * Check a pack against the schema and fill in defaults
+ * @returns {Object} the normalized pack
+ * @throws {Error} describing the first problem found
+ */
+export function validatePlatformPack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    throw new Error('A platform pack must be a JSON object');
+  }
+  if (pack.schemaVersion !== PLATFORM_PACK_SCHEMA_VERSION) {
+    throw new Error(`Unsupported schemaVersion ${pack.schemaVersion}; expected ${PLATFORM_PACK_SCHEMA_VERSION}`);
+  }
+  if (typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(pack.id)) {
+    throw new Error('id must be lowercase letters, digits and dashes');
+  }
+  if (typeof pack.name !== 'string' || !pack.name.trim()) {
+    throw new Error('name is required');
+  }
+
+  const hosts = Array.isArray(pack.hosts) ? pack.hosts : [];
+  if (pack.id !== GENERIC_PLATFORM_ID && hosts.length === 0) {
+    throw new Error('hosts needs at least one hostname');
+  }
+  hosts.forEach((host, index) => {
+    if (typeof host !== 'string' || !/^[a-z0-9.-]+$/i.test(host)) {
+      throw new Error(`hosts[${index}] must be a hostname such as chat.example.com`);
+    }
+  });
+
+  if (pack.editor !== undefined && pack.editor !== null && !EDITOR_HINTS.includes(pack.editor)) {
+    throw new Error(`editor must be one of: ${EDITOR_HINTS.join(', ')}`);
+  }
+
+  const selectors = {};
+  SELECTOR_GROUP_KEYS.forEach((group) => {
+    selectors[group] = selectorList(pack.selectors?.[group], `selectors.${group}`, {
+      required: group === 'inputArea'
+    });
+  });
+
+  return {
+    id: pack.id,
+    name: pack.name.trim(),
+    schemaVersion: PLATFORM_PACK_SCHEMA_VERSION,
+    hosts: hosts.map(host => host.toLowerCase()),
+    selectors,
+    docking: validateDocking(pack.docking, 'docking'),
+    button: pack.button
+      ? {
+        className: buttonClassName(pack.button.className),
+        style: styleMap(pack.button.style, 'button.style'),
+        ltrStyle: styleMap(pack.button.ltrStyle, 'button.ltrStyle'),
+        rtlStyle: styleMap(pack.button.rtlStyle, 'button.rtlStyle')
+      }
+      : null,
+    editor: pack.editor || null,
+    parser: validateParser(pack.parser, 'parser')
+  };
+}
+
+/**
+ * Whether a hostname is the pack host or one of its subdomains
+ */
+export function hostMatches(hostname, host) {
+  const normalized = (hostname || '').toLowerCase();
+  return normalized === host || normalized.endsWith(`.${host}`);
+}
+
+/**
+ * The pack for a hostname; sites no pack claims get the generic pack
+ * @param {Array<Object>} packs - in priority order (imported packs first)
+ */
+export function findPackForHost(packs, hostname) {
+  return packs.find(pack => pack.id !== GENERIC_PLATFORM_ID &&
+      pack.hosts.some(host => hostMatches(hostname, host))) ||
+    packs.find(pack => pack.id === GENERIC_PLATFORM_ID) ||
+    null;
+}
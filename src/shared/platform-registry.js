@@ -0,0 +1,90 @@
+/**
+ * Platform Registry
+ * Built-in platform packs plus packs imported from the options page.
+ * Imported packs take priority and replace a built-in pack with the same id
+ */
+
+import browserCompat from './browser-compat.js';
+import { STORAGE_KEYS } from './constants.js';
+import { BUILTIN_PLATFORM_PACKS } from './platforms/index.js';
+import { GENERIC_PLATFORM_ID, findPackForHost, validatePlatformPack } from './platform-packs.js';
+
+class PlatformRegistry {
+  constructor() {
+    this.importedPacks = [];
+  }
+
+  /**
+   * Read imported packs from storage; invalid ones are skipped
+   */
+  async load() {
+    try {
+      const result = await browserCompat.storageGet([STORAGE_KEYS.PLATFORM_PACKS]);
+      this.importedPacks = (result[STORAGE_KEYS.PLATFORM_PACKS] || [])
+        .map((pack) => {
+          try {
+            return validatePlatformPack(pack);
+          } catch (error) {
+            console.warn(`[APE] Skipping invalid platform pack "${pack?.id}":`, error.message);
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error('[APE] Failed to load platform packs:', error);
+      this.importedPacks = [];
+    }
+    return this.getPacks();
+  }
+
+  /**
+   * All packs in priority order, each tagged with where it came from
+   */
+  getPacks() {
+    const importedIds = new Set(this.importedPacks.map(pack => pack.id));
+    return [
+      ...this.importedPacks.map(pack => ({ ...pack, source: 'imported' })),
+      ...BUILTIN_PLATFORM_PACKS
+        .filter(pack => !importedIds.has(pack.id))
+        .map(pack => ({ ...pack, source: 'builtin' }))
+    ];
+  }
+
+  getPack(id) {
+    return this.getPacks().find(pack => pack.id === id) || null;
+  }
+
+  getPackForHost(hostname) {
+    return findPackForHost(this.getPacks(), hostname);
+  }
+
+  /**
+   * Sites with their own pack are enabled by default
+   */
+  isKnownHost(hostname) {
+    return this.getPackForHost(hostname)?.id !== GENERIC_PLATFORM_ID;
+  }
+
+  /**
+   * Validate and store a pack, replacing an imported pack with the same id
+   * @returns {Promise<Object>} the normalized pack
+   */
+  async importPack(pack) {
+    const validated = validatePlatformPack(pack);
+    const imported = [...this.importedPacks.filter(existing => existing.id !== validated.id), validated];
+
+    await browserCompat.storageSet({ [STORAGE_KEYS.PLATFORM_PACKS]: imported });
+    this.importedPacks = imported;
+
+    console.log('[APE] Imported platform pack:', validated.id);
+    return validated;
+  }
+
+  async removePack(id) {
+    const imported = this.importedPacks.filter(pack => pack.id !== id);
+    await browserCompat.storageSet({ [STORAGE_KEYS.PLATFORM_PACKS]: imported });
+    this.importedPacks = imported;
+  }
+}
+
+export default new PlatformRegistry();
@@ -0,0 +1,22 @@
+/**
+ * Built-in Platform Packs
+ * JSON imports only resolve in bundled scripts (content script, service worker);
+ * extension pages get packs from the background with `getPlatformPacks`
+ */
+
+import chatgpt from './chatgpt.json';
+import claude from './claude.json';
+import gemini from './gemini.json';
+import perplexity from './perplexity.json';
+import aistudio from './aistudio.json';
+import generic from './generic.json';
+import { validatePlatformPack } from '../platform-packs.js';
+
+export const BUILTIN_PLATFORM_PACKS = [
+  chatgpt,
+  claude,
+  gemini,
+  perplexity,
+  aistudio,
+  generic
+].map(validatePlatformPack);
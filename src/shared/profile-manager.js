@@ -3,8 +3,9 @@
  * Manages placement profiles and determines which profile to use for a given URL
  */
 
-const STORAGE_KEY_PROFILES = 'promptenhancer_profiles';
-const STORAGE_KEY_DEFAULT = 'promptenhancer_defaultProfile';
+import browserCompat from './browser-compat.js';
+import { STORAGE_KEYS } from './constants.js';
+import { createProfileId } from './site-profiles.js';
 
 class ProfileManager {
   constructor() {
@@ -32,55 +33,21 @@ class ProfileManager {
   }
 
   /**
-   * Load profiles from chrome.storage
+   * Load profiles from storage.local
    */
   async loadProfiles() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.sync.get([STORAGE_KEY_PROFILES, STORAGE_KEY_DEFAULT], (result) => {
-        if (chrome.runtime.lastError) {
-          // Fallback to local storage if sync fails
-          chrome.storage.local.get([STORAGE_KEY_PROFILES, STORAGE_KEY_DEFAULT], (localResult) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              this.profiles = localResult[STORAGE_KEY_PROFILES] || this.getBuiltInProfiles();
-              this.defaultProfile = localResult[STORAGE_KEY_DEFAULT] || this.getBuiltInDefaultProfile();
-              resolve();
-            }
-          });
-        } else {
-          this.profiles = result[STORAGE_KEY_PROFILES] || this.getBuiltInProfiles();
-          this.defaultProfile = result[STORAGE_KEY_DEFAULT] || this.getBuiltInDefaultProfile();
-          resolve();
-        }
-      });
-    });
+    const result = await browserCompat.storageGet([STORAGE_KEYS.SITE_PROFILES, STORAGE_KEYS.DEFAULT_SITE_PROFILE]);
+    this.profiles = result[STORAGE_KEYS.SITE_PROFILES] || this.getBuiltInProfiles();
+    this.defaultProfile = result[STORAGE_KEYS.DEFAULT_SITE_PROFILE] || this.getBuiltInDefaultProfile();
   }
 
   /**
-   * Save profiles to chrome.storage
+   * Save profiles to storage.local
    */
   async saveProfiles() {
-    return new Promise((resolve, reject) => {
-      const data = {
-        [STORAGE_KEY_PROFILES]: this.profiles,
-        [STORAGE_KEY_DEFAULT]: this.defaultProfile
-      };
-
-      chrome.storage.sync.set(data, () => {
-        if (chrome.runtime.lastError) {
-          // Fallback to local storage
-          chrome.storage.local.set(data, () => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        } else {
-          resolve();
-        }
-      });
+    await browserCompat.storageSet({
+      [STORAGE_KEYS.SITE_PROFILES]: this.profiles,
+      [STORAGE_KEYS.DEFAULT_SITE_PROFILE]: this.defaultProfile
     });
   }
 
@@ -93,8 +60,11 @@ class ProfileManager {
    * 2. Domain + pathPattern match
    * 3. Domain-only match
    * 4. null (fallback)
+   *
+   * @param {Object} options - includeBuiltIn: false skips the built-in profiles,
+   *   for callers that have their own configuration for those sites
    */
-  getActiveProfile(urlString) {
+  getActiveProfile(urlString, { includeBuiltIn = true } = {}) {
     if (!this.initialized) {
       console.warn('[ProfileManager] Not initialized, using built-in profiles');
       this.profiles = this.getBuiltInProfiles();
@@ -105,7 +75,9 @@ class ProfileManager {
       const domain = url.hostname;
       const path = url.pathname;
 
-      const enabledProfiles = this.profiles.filter(p => p.enabled !== false);
+      const enabledProfiles = this.profiles.filter(p =>
+        p.enabled !== false && (includeBuiltIn || !this.isBuiltInProfile(p))
+      );
 
       // 1. Try exact URL match
       const exactMatch = enabledProfiles.find(p => p.url && p.url === urlString);
@@ -204,6 +176,15 @@ class ProfileManager {
     console.log('[ProfileManager] Saved profile:', profile.id);
   }
 
+  /**
+   * Replace every profile at once (import)
+   */
+  async setProfiles(profiles) {
+    this.profiles = [...profiles];
+    await this.saveProfiles();
+    console.log('[ProfileManager] Saved', this.profiles.length, 'profiles');
+  }
+
   /**
    * Delete a profile by ID
    */
@@ -246,7 +227,15 @@ class ProfileManager {
    * Generate a unique profile ID
    */
   generateProfileId() {
-    return 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    return createProfileId();
+  }
+
+  /**
+   * Check if a profile is one of the built-in ones, unedited
+   */
+  isBuiltInProfile(profile) {
+    const builtIn = this.getBuiltInProfiles().find(p => p.id === profile.id);
+    return Boolean(builtIn) && Object.keys(builtIn).every(key => builtIn[key] === profile[key]);
   }
 
   /**
@@ -0,0 +1,66 @@
+/**
+ * Anthropic Provider
+ * Adapter for the Anthropic Messages API
+ */
+
+import BaseProvider from './base-provider.js';
+import { LLM_PROVIDERS, PROVIDER_CONFIG } from '../constants.js';
+
+class AnthropicProvider extends BaseProvider {
+  constructor() {
+    super(LLM_PROVIDERS.ANTHROPIC, PROVIDER_CONFIG[LLM_PROVIDERS.ANTHROPIC]);
+  }
+
+  buildRequest({ prompt, apiKey, model, baseUrl, generationConfig = {} }) {
+    // Newer models reject temperature together with top_p, so temperature wins
+    const sampling = {};
+    if (generationConfig.temperature != null) {
+      sampling.temperature = generationConfig.temperature;
+    } else if (generationConfig.topP != null) {
+      sampling.top_p = generationConfig.topP;
+    }
+    if (generationConfig.topK != null) {
+      sampling.top_k = generationConfig.topK;
+    }
+
+    return {
+      url: `${this.getBaseUrl(baseUrl)}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': this.config.API_VERSION,
+        // Required for requests made from a browser extension context
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: {
+        model: this.getModel(model),
+        max_tokens: generationConfig.maxOutputTokens || 1024,
+        ...sampling,
+        messages: [
+          { role: 'user', content: prompt }
+        ]
+      }
+    };
+  }
+
+  parseResponse(data) {
+    if (!Array.isArray(data?.content)) return '';
+
+    return data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  parseStreamEvent(event) {
+    if (event?.type === 'error') {
+      throw new Error(`API error: ${event.error?.type || 'stream error'}`);
+    }
+    if (event?.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      return event.delta.text;
+    }
+    return '';
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,330 @@
+/**
+ * Base LLM Provider
+ * Shared request plumbing for provider adapters
+ */
+
+import { ERROR_MESSAGES, GEMINI_API } from '../constants.js';
+import { estimateTokens } from '../utils.js';
+
+class BaseProvider {
+  constructor(id, config) {
+    this.id = id;
+    this.config = config;
+  }
+
+  /**
+   * Human readable provider name
+   */
+  get name() {
+    return this.config.NAME;
+  }
+
+  /**
+   * Resolve the model to use for a request
+   */
+  getModel(model) {
+    return model || this.config.DEFAULT_MODEL;
+  }
+
+  /**
+   * Approximate token count using this provider's tokenizer density
+   */
+  estimateTokens(text) {
+    return estimateTokens(text, this.config.CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Resolve the API base URL (without trailing slash)
+   */
+  getBaseUrl(baseUrl) {
+    const resolved = baseUrl || this.config.BASE_URL;
+    if (!resolved) {
+      throw new Error(`${this.name} requires a base URL`);
+    }
+    return resolved.replace(/\/+$/, '');
+  }
+
+  /**
+   * Build { url, headers, body } for a generation request
+   * Implemented by each adapter
+   */
+  buildRequest(/* options */) {
+    throw new Error(`${this.id}: buildRequest not implemented`);
+  }
+
+  /**
+   * Extract the generated text from a provider response body
+   * Implemented by each adapter
+   */
+  parseResponse(/* data */) {
+    throw new Error(`${this.id}: parseResponse not implemented`);
+  }
+
+  /**
+   * List models the endpoint offers
+   * Hosted providers return their known model list; local servers query the server
+   */
+  async listModels(/* options */) {
+    return this.config.MODELS || [];
+  }
+
+  /**
+   * fetch() with an abort timeout and optional caller AbortSignal
+   */
+  async fetchWithTimeout(url, init, timeoutMs = GEMINI_API.TIMEOUT, signal = null) {
+    if (signal?.aborted) {
+      throw createCancelError();
+    }
+
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort();
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    signal?.addEventListener('abort', abortFromCaller);
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (timedOut) {
+          throw new Error(`${this.name} request timed out after ${timeoutMs}ms`);
+        }
+        throw createCancelError();
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', abortFromCaller);
+    }
+  }
+
+  /**
+   * Streaming wire format: 'sse' (data: lines) or 'ndjson' (one JSON object per line)
+   */
+  get streamFormat() {
+    return 'sse';
+  }
+
+  /**
+   * Build { url, headers, body } for a streaming request
+   * Most APIs only need `stream: true` on the regular request
+   */
+  buildStreamRequest(options) {
+    const request = this.buildRequest(options);
+    return {
+      ...request,
+      body: { ...request.body, stream: true }
+    };
+  }
+
+  /**
+   * Extract the text delta from one parsed stream event
+   * Implemented by each adapter
+   */
+  parseStreamEvent(/* event */) {
+    throw new Error(`${this.id}: parseStreamEvent not implemented`);
+  }
+
+  /**
+   * Stream text for a prompt, reporting each delta as it arrives
+   * The timeout is an idle timeout: it resets whenever data arrives
+   * @param {Object} options - generate() options plus { signal } for cancellation
+   * @param {Function} onChunk - (delta, fullText) => void
+   * @returns {Promise<string>} Full generated text
+   */
+  async stream(options, onChunk = () => {}) {
+    const { url, headers, body } = this.buildStreamRequest(options);
+    const timeoutMs = options.timeout || GEMINI_API.TIMEOUT;
+    const controller = new AbortController();
+    let timedOut = false;
+    let timeout = null;
+
+    const resetTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+    const abortFromCaller = () => controller.abort();
+
+    if (options.signal?.aborted) {
+      throw createCancelError();
+    }
+    options.signal?.addEventListener('abort', abortFromCaller);
+    resetTimeout();
+
+    let fullText = '';
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw createResponseError(response.status);
+      }
+
+      if (!response.body) {
+        throw new Error('Streaming not supported by this endpoint');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      const handleLine = (line) => {
+        const event = this.parseStreamLine(line);
+        if (!event) return;
+
+        const delta = this.parseStreamEvent(event);
+        if (delta) {
+          fullText += delta;
+          onChunk(delta, fullText);
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        resetTimeout();
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+
+      buffer += decoder.decode();
+      if (buffer) {
+        handleLine(buffer);
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (timedOut) {
+          throw new Error(`${this.name} stream timed out after ${timeoutMs}ms without data`);
+        }
+        throw createCancelError();
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+      options.signal?.removeEventListener('abort', abortFromCaller);
+    }
+
+    if (!fullText) {
+      throw new Error('No response from API');
+    }
+
+    return fullText.trim();
+  }
+
+  /**
+   * Parse one line of the stream into a JSON event (or null to skip it)
+   */
+  parseStreamLine(line) {
+    let payload = line.trim();
+    if (!payload) return null;
+
+    if (this.streamFormat === 'sse') {
+      if (!payload.startsWith('data:')) return null;
+      payload = payload.slice(5).trim();
+      if (payload === '[DONE]') return null;
+    }
+
+    try {
+      return JSON.parse(payload);
+    } catch (error) {
+      console.warn(`[APE] ${this.name}: skipping unparsable stream line`);
+      return null;
+    }
+  }
+
+  /**
+   * Generate text for a prompt
+   * @param {Object} options - { prompt, apiKey, model, baseUrl, generationConfig, timeout, signal }
+   */
+  async generate(options) {
+    const { url, headers, body } = this.buildRequest(options);
+    const timeoutMs = options.timeout || GEMINI_API.TIMEOUT;
+
+    const response = await this.fetchWithTimeout(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    }, timeoutMs, options.signal);
+
+    if (!response.ok) {
+      throw createResponseError(response.status);
+    }
+
+    const data = await response.json();
+    const text = this.parseResponse(data);
+
+    if (!text) {
+      throw new Error('No response from API');
+    }
+
+    return text.trim();
+  }
+
+  /**
+   * Check that an API key (and model) is accepted by the provider
+   * Rate-limited responses count as valid: the key works, it is just at quota
+   * @param {Object} options - { model, baseUrl, timeout }
+   */
+  async validateKey(apiKey, options = {}) {
+    const { url, headers, body } = this.buildRequest({
+      ...options,
+      apiKey,
+      prompt: 'Test',
+      generationConfig: { maxOutputTokens: 10 }
+    });
+
+    try {
+      const response = await this.fetchWithTimeout(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      }, options.timeout || GEMINI_API.TIMEOUT);
+
+      if (response.status !== 200 && response.status !== 429) {
+        const errorText = await response.text();
+        console.error(`[APE] ${this.name} validation failed:`, errorText);
+      }
+
+      return response.status === 200 || response.status === 429;
+    } catch (error) {
+      console.error(`[APE] ${this.name} validation error:`, error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Error for a failed HTTP response; only rate limits and server errors are worth retrying
+ */
+function createResponseError(status) {
+  const error = new Error(status === 429 ? ERROR_MESSAGES.RATE_LIMIT : `API error: ${status}`);
+  error.status = status;
+  error.retryable = status === 429 || status >= 500;
+  return error;
+}
+
+/**
+ * Error used when the caller cancels a request
+ */
+export function createCancelError() {
+  const error = new Error('Enhancement cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export default BaseProvider;
@@ -0,0 +1,54 @@
+/**
+ * Gemini Provider
+ * Adapter for the Google Generative Language generateContent API
+ */
+
+import BaseProvider from './base-provider.js';
+import { LLM_PROVIDERS, PROVIDER_CONFIG } from '../constants.js';
+
+class GeminiProvider extends BaseProvider {
+  constructor() {
+    super(LLM_PROVIDERS.GEMINI, PROVIDER_CONFIG[LLM_PROVIDERS.GEMINI]);
+  }
+
+  buildRequest({ prompt, apiKey, model, baseUrl, generationConfig = {} }) {
+    return {
+      url: `${this.getBaseUrl(baseUrl)}/models/${this.getModel(model)}:generateContent`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
+      },
+      body: {
+        contents: [{
+          parts: [{ text: prompt }]
+        }],
+        generationConfig: {
+          temperature: generationConfig.temperature,
+          topK: generationConfig.topK,
+          topP: generationConfig.topP,
+          maxOutputTokens: generationConfig.maxOutputTokens
+        }
+      }
+    };
+  }
+
+  buildStreamRequest(options) {
+    const request = this.buildRequest(options);
+    return {
+      ...request,
+      url: request.url.replace(/:generateContent$/, ':streamGenerateContent?alt=sse')
+    };
+  }
+
+  parseResponse(data) {
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+
+  parseStreamEvent(event) {
+    // Each SSE chunk is a partial generateContent response
+    const parts = event?.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+}
+
+export default GeminiProvider;
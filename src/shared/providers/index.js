@@ -0,0 +1,152 @@
+/**
+ * LLM Provider Registry
+ * Maps provider ids to adapters and resolves which provider a request should use
+ */
+
+import GeminiProvider from './gemini-provider.js';
+import OpenAIProvider from './openai-provider.js';
+import AnthropicProvider from './anthropic-provider.js';
+import OpenAICompatibleProvider from './openai-compatible-provider.js';
+import OllamaProvider from './ollama-provider.js';
+import LlamaCppProvider from './llamacpp-provider.js';
+import {
+  LLM_PROVIDERS,
+  PROVIDER_CONFIG,
+  LOCAL_MODEL_SERVERS,
+  LOCAL_SERVER_CONFIG,
+  LOCAL_MODEL_API,
+  SUBSCRIPTION_TYPES
+} from '../constants.js';
+import { TEST_MODE_ENABLED, HARDCODED_API_KEY } from '../test-config.js';
+
+export { createCancelError } from './base-provider.js';
+
+const PROVIDERS = {
+  [LLM_PROVIDERS.GEMINI]: new GeminiProvider(),
+  [LLM_PROVIDERS.OPENAI]: new OpenAIProvider(),
+  [LLM_PROVIDERS.ANTHROPIC]: new AnthropicProvider(),
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: new OpenAICompatibleProvider()
+};
+
+const LOCAL_PROVIDERS = {
+  [LOCAL_MODEL_SERVERS.OLLAMA]: new OllamaProvider(),
+  [LOCAL_MODEL_SERVERS.LLAMA_CPP]: new LlamaCppProvider()
+};
+
+/**
+ * Get a provider adapter by id (defaults to Gemini)
+ */
+export function getProvider(providerId) {
+  return PROVIDERS[providerId] || LOCAL_PROVIDERS[providerId] || PROVIDERS[LLM_PROVIDERS.GEMINI];
+}
+
+/**
+ * Check whether a provider id is a known hosted (BYOK) provider
+ */
+export function isKnownProvider(providerId) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, providerId);
+}
+
+/**
+ * Check whether a provider id is a local inference server
+ */
+export function isLocalProvider(providerId) {
+  return Object.prototype.hasOwnProperty.call(LOCAL_PROVIDERS, providerId);
+}
+
+/**
+ * List providers for settings UIs
+ */
+export function getAllProviders() {
+  return Object.entries(PROVIDER_CONFIG).map(([id, config]) => ({
+    id,
+    name: config.NAME,
+    defaultModel: config.DEFAULT_MODEL,
+    models: config.MODELS,
+    keyPrefix: config.KEY_PREFIX,
+    keyUrl: config.KEY_URL,
+    requiresKey: config.REQUIRES_KEY,
+    requiresBaseUrl: !config.BASE_URL
+  }));
+}
+
+/**
+ * List local server types for settings UIs
+ */
+export function getLocalServers() {
+  return Object.entries(LOCAL_SERVER_CONFIG).map(([id, config]) => ({
+    id,
+    name: config.NAME,
+    defaultBaseUrl: config.BASE_URL,
+    requiresModel: config.REQUIRES_MODEL
+  }));
+}
+
+/**
+ * Resolve the local server configuration from settings, or null if disabled
+ */
+export function resolveLocalModelSettings(localModel) {
+  if (!localModel?.enabled || !isLocalProvider(localModel.server)) {
+    return null;
+  }
+
+  const config = LOCAL_SERVER_CONFIG[localModel.server];
+  if (config.REQUIRES_MODEL && !localModel.model) {
+    return null;
+  }
+
+  return {
+    provider: localModel.server,
+    apiKey: null,
+    model: localModel.model || null,
+    baseUrl: localModel.baseUrl || config.BASE_URL,
+    timeout: localModel.timeout || LOCAL_MODEL_API.TIMEOUT,
+    maxRetries: localModel.maxRetries || LOCAL_MODEL_API.MAX_RETRIES,
+    retryDelay: LOCAL_MODEL_API.RETRY_DELAY,
+    local: true
+  };
+}
+
+/**
+ * Resolve provider, credentials and model for an enhancement request
+ * Returns null when no AI provider is configured (rule-based fallback)
+ *
+ * Priority:
+ * 1. Enabled local model server (prompts never leave the machine)
+ * 2. Active BYOK subscription (provider/model chosen per key); its apiKey is
+ *    only present in the background, see SubscriptionManager.getUnlockedSubscription
+ * 3. Test mode hardcoded key
+ */
+export function resolveProviderSettings(settings = {}, subscription = null) {
+  const localSettings = resolveLocalModelSettings(settings.localModel);
+  if (localSettings) {
+    return localSettings;
+  }
+
+  if (subscription?.type === SUBSCRIPTION_TYPES.BYOK) {
+    const provider = isKnownProvider(subscription.provider)
+      ? subscription.provider
+      : LLM_PROVIDERS.GEMINI;
+    const requiresKey = PROVIDER_CONFIG[provider].REQUIRES_KEY;
+
+    if (subscription.apiKey || !requiresKey) {
+      return {
+        provider,
+        apiKey: subscription.apiKey || null,
+        model: subscription.model || PROVIDER_CONFIG[provider].DEFAULT_MODEL,
+        baseUrl: subscription.baseUrl || null
+      };
+    }
+  }
+
+  if (TEST_MODE_ENABLED && HARDCODED_API_KEY) {
+    return {
+      provider: LLM_PROVIDERS.GEMINI,
+      apiKey: HARDCODED_API_KEY,
+      model: PROVIDER_CONFIG[LLM_PROVIDERS.GEMINI].DEFAULT_MODEL,
+      baseUrl: null
+    };
+  }
+
+  return null;
+}
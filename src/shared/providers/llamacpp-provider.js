@@ -0,0 +1,61 @@
+/**
+ * llama.cpp Provider
+ * Adapter for a local llama.cpp server (/completion)
+ */
+
+import BaseProvider from './base-provider.js';
+import { LOCAL_MODEL_SERVERS, LOCAL_SERVER_CONFIG, LOCAL_MODEL_API } from '../constants.js';
+
+class LlamaCppProvider extends BaseProvider {
+  constructor() {
+    super(LOCAL_MODEL_SERVERS.LLAMA_CPP, LOCAL_SERVER_CONFIG[LOCAL_MODEL_SERVERS.LLAMA_CPP]);
+  }
+
+  buildRequest({ prompt, baseUrl, generationConfig = {} }) {
+    // llama.cpp serves whichever model it was started with
+    return {
+      url: `${this.getBaseUrl(baseUrl)}/completion`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: {
+        prompt,
+        stream: false,
+        temperature: generationConfig.temperature,
+        top_k: generationConfig.topK,
+        top_p: generationConfig.topP,
+        n_predict: generationConfig.maxOutputTokens
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return data?.content || '';
+  }
+
+  parseStreamEvent(event) {
+    return event?.content || '';
+  }
+
+  /**
+   * List the loaded model via the OpenAI-style /v1/models route,
+   * falling back to /health for older server builds
+   */
+  async listModels({ baseUrl, timeout = LOCAL_MODEL_API.PING_TIMEOUT } = {}) {
+    const root = this.getBaseUrl(baseUrl);
+
+    const response = await this.fetchWithTimeout(`${root}/v1/models`, { method: 'GET' }, timeout);
+    if (response.ok) {
+      const data = await response.json();
+      return (data?.data || []).map(model => model.id);
+    }
+
+    const health = await this.fetchWithTimeout(`${root}/health`, { method: 'GET' }, timeout);
+    if (!health.ok) {
+      throw new Error(`${this.name} responded with ${health.status}`);
+    }
+    return [];
+  }
+}
+
+export default LlamaCppProvider;
@@ -0,0 +1,73 @@
+/**
+ * Ollama Provider
+ * Adapter for a local Ollama server (/api/generate)
+ */
+
+import BaseProvider from './base-provider.js';
+import { LOCAL_MODEL_SERVERS, LOCAL_SERVER_CONFIG, LOCAL_MODEL_API } from '../constants.js';
+
+class OllamaProvider extends BaseProvider {
+  constructor() {
+    super(LOCAL_MODEL_SERVERS.OLLAMA, LOCAL_SERVER_CONFIG[LOCAL_MODEL_SERVERS.OLLAMA]);
+  }
+
+  getModel(model) {
+    if (!model) {
+      throw new Error(`${this.name} requires a model name`);
+    }
+    return model;
+  }
+
+  buildRequest({ prompt, model, baseUrl, generationConfig = {} }) {
+    return {
+      url: `${this.getBaseUrl(baseUrl)}/api/generate`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: {
+        model: this.getModel(model),
+        prompt,
+        stream: false,
+        options: {
+          temperature: generationConfig.temperature,
+          top_k: generationConfig.topK,
+          top_p: generationConfig.topP,
+          num_predict: generationConfig.maxOutputTokens
+        }
+      }
+    };
+  }
+
+  get streamFormat() {
+    return 'ndjson';
+  }
+
+  parseResponse(data) {
+    return data?.response || '';
+  }
+
+  parseStreamEvent(event) {
+    if (event?.error) {
+      throw new Error(`${this.name} error: ${event.error}`);
+    }
+    return event?.response || '';
+  }
+
+  /**
+   * List locally pulled models (/api/tags)
+   */
+  async listModels({ baseUrl, timeout = LOCAL_MODEL_API.PING_TIMEOUT } = {}) {
+    const response = await this.fetchWithTimeout(`${this.getBaseUrl(baseUrl)}/api/tags`, {
+      method: 'GET'
+    }, timeout);
+
+    if (!response.ok) {
+      throw new Error(`${this.name} responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data?.models || []).map(model => model.name);
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,23 @@
+/**
+ * OpenAI-compatible Provider
+ * Chat Completions adapter for any endpoint that mirrors the OpenAI API
+ * (Azure-style gateways, OpenRouter, vLLM, LM Studio, ...)
+ */
+
+import OpenAIProvider from './openai-provider.js';
+import { LLM_PROVIDERS, PROVIDER_CONFIG } from '../constants.js';
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor() {
+    super(LLM_PROVIDERS.OPENAI_COMPATIBLE, PROVIDER_CONFIG[LLM_PROVIDERS.OPENAI_COMPATIBLE]);
+  }
+
+  getModel(model) {
+    if (!model) {
+      throw new Error(`${this.name} requires a model name`);
+    }
+    return model;
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,46 @@
+/**
+ * OpenAI Provider
+ * Adapter for the OpenAI Chat Completions API
+ */
+
+import BaseProvider from './base-provider.js';
+import { LLM_PROVIDERS, PROVIDER_CONFIG } from '../constants.js';
+
+class OpenAIProvider extends BaseProvider {
+  constructor(id = LLM_PROVIDERS.OPENAI, config = PROVIDER_CONFIG[LLM_PROVIDERS.OPENAI]) {
+    super(id, config);
+  }
+
+  buildRequest({ prompt, apiKey, model, baseUrl, generationConfig = {} }) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return {
+      url: `${this.getBaseUrl(baseUrl)}/chat/completions`,
+      headers,
+      body: {
+        model: this.getModel(model),
+        messages: [
+          { role: 'user', content: prompt }
+        ],
+        temperature: generationConfig.temperature,
+        top_p: generationConfig.topP,
+        max_tokens: generationConfig.maxOutputTokens
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return data?.choices?.[0]?.message?.content || '';
+  }
+
+  parseStreamEvent(event) {
+    return event?.choices?.[0]?.delta?.content || '';
+  }
+}
+
+export default OpenAIProvider;
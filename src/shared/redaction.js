@@ -0,0 +1,248 @@
+/**
+ * Secret and PII Redaction
+ * Masks sensitive values before text is sent to a provider and
+ * restores them in the generated output
+ */
+
+import { DEFAULT_SETTINGS } from './constants.js';
+
+const PLACEHOLDER_PREFIX = 'REDACTED';
+const PLACEHOLDER_PATTERN = new RegExp(`\\[${PLACEHOLDER_PREFIX}_[A-Z_]+_\\d+\\]`, 'g');
+
+/**
+ * Luhn checksum, used to tell card numbers from other long digit runs
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+function isPhoneNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 15;
+}
+
+// Order matters: earlier rules claim their matches before later, broader ones can
+const REDACTION_RULES = [
+  {
+    type: 'privateKeys',
+    label: 'private key',
+    placeholder: 'PRIVATE_KEY',
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g
+  },
+  {
+    type: 'apiKeys',
+    label: 'API key',
+    placeholder: 'API_KEY',
+    pattern: /\b(?:sk-ant-[A-Za-z0-9_-]{20,}|sk-(?:proj-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|[rs]k_(?:live|test)_[A-Za-z0-9]{16,})\b/g
+  },
+  {
+    type: 'tokens',
+    label: 'token',
+    placeholder: 'TOKEN',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}|(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{20,}=*/g
+  },
+  {
+    type: 'creditCards',
+    label: 'credit card number',
+    placeholder: 'CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: passesLuhn
+  },
+  {
+    type: 'emails',
+    label: 'email address',
+    placeholder: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'phones',
+    label: 'phone number',
+    placeholder: 'PHONE',
+    pattern: /(?<![\w+])\+?\(?\d[\d ().-]{8,}\d(?!\w)/g,
+    validate: isPhoneNumber
+  }
+];
+
+/**
+ * Compile a user-supplied pattern, written either as `source` or `/source/flags`
+ * Throws on invalid syntax so the options page can report it
+ */
+export function compileCustomPattern(pattern) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern.trim());
+  const source = literal ? literal[1] : pattern.trim();
+  const flags = literal ? literal[2] : '';
+
+  return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+}
+
+/**
+ * Human readable list, e.g. "2 email addresses, 1 API key"
+ */
+export function formatRedactionSummary(summary = []) {
+  return summary
+    .map(({ label, count }) => {
+      const plural = /(s|ch)$/.test(label) ? `${label}es` : `${label}s`;
+      return `${count} ${count === 1 ? label : plural}`;
+    })
+    .join(', ');
+}
+
+class Redactor {
+  /**
+   * @param {Object} options - settings.redaction ({ enabled, <rule type>: bool, customPatterns })
+   */
+  constructor(options = {}) {
+    const config = { ...DEFAULT_SETTINGS.redaction, ...options };
+
+    this.enabled = config.enabled !== false;
+    this.rules = REDACTION_RULES
+      .filter(rule => config[rule.type] !== false)
+      .concat(this.buildCustomRules(config.customPatterns));
+
+    this.placeholders = new Map(); // placeholder -> original value
+    this.valueIndex = new Map();   // original value -> placeholder
+    this.counts = new Map();       // rule label -> count
+    this.nextIds = new Map();      // placeholder name -> next number
+  }
+
+  buildCustomRules(patterns = []) {
+    return patterns
+      .filter(pattern => typeof pattern === 'string' && pattern.trim())
+      .map((pattern) => {
+        try {
+          return {
+            type: 'custom',
+            label: 'custom match',
+            placeholder: 'CUSTOM',
+            pattern: compileCustomPattern(pattern)
+          };
+        } catch (error) {
+          console.warn('[APE] Skipping invalid redaction pattern:', pattern);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Replace sensitive values in text with placeholders
+   * The same value always maps to the same placeholder. Every rule matches the
+   * original text, so no rule sees, or rewrites, another rule's placeholders
+   */
+  redact(text) {
+    if (!this.enabled || !text) return text;
+
+    // Placeholders already in the text are claimed first and kept as they are
+    const spans = Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      replacement: match[0]
+    }));
+    const isClaimed = (start, end) => spans.some(span => start < span.end && end > span.start);
+
+    this.rules.forEach((rule) => {
+      for (const match of text.matchAll(rule.pattern)) {
+        const value = match[0];
+        const start = match.index;
+        const end = start + value.length;
+
+        if (!value || isClaimed(start, end)) continue;
+        if (rule.validate && !rule.validate(value)) continue;
+        spans.push({ start, end, replacement: this.placeholderFor(rule, value) });
+      }
+    });
+
+    spans.sort((a, b) => a.start - b.start);
+
+    let result = '';
+    let position = 0;
+    spans.forEach((span) => {
+      result += text.slice(position, span.start) + span.replacement;
+      position = span.end;
+    });
+    return result + text.slice(position);
+  }
+
+  placeholderFor(rule, value) {
+    if (this.valueIndex.has(value)) {
+      return this.valueIndex.get(value);
+    }
+
+    const id = (this.nextIds.get(rule.placeholder) || 0) + 1;
+    this.nextIds.set(rule.placeholder, id);
+
+    const placeholder = `[${PLACEHOLDER_PREFIX}_${rule.placeholder}_${id}]`;
+    this.placeholders.set(placeholder, value);
+    this.valueIndex.set(value, placeholder);
+    this.counts.set(rule.label, (this.counts.get(rule.label) || 0) + 1);
+
+    return placeholder;
+  }
+
+  /**
+   * Redact every piece of an enhancement context that may be sent out
+   */
+  redactContext(context) {
+    return {
+      ...context,
+      currentPrompt: this.redact(context.currentPrompt),
+      promptSelection: context.promptSelection
+        ? {
+          before: this.redact(context.promptSelection.before),
+          after: this.redact(context.promptSelection.after)
+        }
+        : null,
+      conversationHistory: (context.conversationHistory || []).map(message => ({
+        ...message,
+        content: this.redact(message.content),
+        parts: message.parts?.map(part => ({ ...part, text: this.redact(part.text) }))
+      }))
+    };
+  }
+
+  /**
+   * Put the original values back into generated text
+   */
+  restore(text) {
+    if (!text || this.placeholders.size === 0) return text;
+
+    let restored = text;
+    this.placeholders.forEach((value, placeholder) => {
+      restored = restored.split(placeholder).join(value);
+    });
+    return restored;
+  }
+
+  get hasRedactions() {
+    return this.placeholders.size > 0;
+  }
+
+  /**
+   * Instruction appended to requests that contain placeholders
+   */
+  getInstructions() {
+    return `Some values were replaced with placeholders such as [${PLACEHOLDER_PREFIX}_EMAIL_1] for privacy. Keep every placeholder exactly as written.`;
+  }
+
+  /**
+   * @returns {Array<{label: string, count: number}>}
+   */
+  getSummary() {
+    return Array.from(this.counts, ([label, count]) => ({ label, count }));
+  }
+}
+
+export default Redactor;
@@ -0,0 +1,307 @@
+/**
+ * Settings Service
+ * The one place settings are read, written and watched. Settings live in
+ * storage.local under STORAGE_KEYS.SETTINGS, checked against SETTINGS_SCHEMA with
+ * DEFAULT_SETTINGS filled in at every level, and carry a schemaVersion that
+ * migrate() brings up to date when the extension updates
+ */
+
+import browserCompat from './browser-compat.js';
+import {
+  DEFAULT_SETTINGS,
+  STORAGE_KEYS,
+  SUBSCRIPTION_TYPES,
+  LLM_PROVIDERS,
+  PROVIDER_CONFIG
+} from './constants.js';
+import { maskKey } from './utils.js';
+
+/**
+ * Type of each setting: 'string', 'number', 'boolean', 'array', 'record' (a map
+ * replaced as a whole), or a nested schema. A trailing ? also allows null.
+ * Stored values of the wrong type fall back to the default; unknown keys are dropped
+ */
+export const SETTINGS_SCHEMA = {
+  subscriptionType: 'string',
+  enhancementLevel: 'string',
+  currentEnhancementType: 'string',
+  customEnhancementPrompt: 'string',
+  contextWindow: 'number',
+  contextTokenBudget: 'number',
+  autoEnhance: 'boolean',
+  autoEnhanceMinLength: 'number',
+  autoEnhanceConfirm: 'boolean',
+  autoEnhanceBypassKey: 'string',
+  showDiff: 'boolean',
+  promptTemplateType: 'string',
+  customPromptTemplate: 'string',
+  localModel: {
+    enabled: 'boolean',
+    server: 'string',
+    baseUrl: 'string',
+    model: 'string',
+    timeout: 'number?',
+    maxRetries: 'number?'
+  },
+  historyRetentionDays: 'number',
+  redaction: {
+    enabled: 'boolean',
+    apiKeys: 'boolean',
+    tokens: 'boolean',
+    privateKeys: 'boolean',
+    emails: 'boolean',
+    phones: 'boolean',
+    creditCards: 'boolean',
+    customPatterns: 'array'
+  },
+  variantMode: 'string',
+  variantCount: 'number',
+  shortcuts: 'record'
+};
+
+// Storage from the v2 front end, before its settings and profiles joined these
+const LEGACY_V2_SETTINGS = 'enhancer_settings';
+const LEGACY_PROFILES = 'promptenhancer_profiles';
+const LEGACY_DEFAULT_PROFILE = 'promptenhancer_defaultProfile';
+
+/**
+ * v2 wrote to storage.sync and fell back to storage.local; sync wins, as it did on read
+ */
+async function readLegacyStorage(keys) {
+  const [local, synced] = await Promise.all(
+    ['local', 'sync'].map(area => browserCompat.storageGet(keys, area).catch(() => ({})))
+  );
+  return { ...local, ...synced };
+}
+
+/**
+ * MIGRATIONS[n] upgrades stored settings from schemaVersion n to n + 1; a
+ * migration may also move data stored under other keys. Each gets the options
+ * passed to migrate()
+ */
+const MIGRATIONS = [
+  // 1: v2's profiles move from storage.sync to storage.local beside everything else.
+  // Its enhancer_settings (enabled, apiKey, apiEndpoint) only configured the stub
+  // enhancer that the shared pipeline replaced, so they are dropped
+  async (settings) => {
+    const legacyKeys = [LEGACY_V2_SETTINGS, LEGACY_PROFILES, LEGACY_DEFAULT_PROFILE];
+    const legacy = await readLegacyStorage(legacyKeys);
+    const current = await browserCompat.storageGet([STORAGE_KEYS.SITE_PROFILES, STORAGE_KEYS.DEFAULT_SITE_PROFILE]);
+
+    const moved = {};
+    if (legacy[LEGACY_PROFILES] && !current[STORAGE_KEYS.SITE_PROFILES]) {
+      moved[STORAGE_KEYS.SITE_PROFILES] = legacy[LEGACY_PROFILES];
+    }
+    if (legacy[LEGACY_DEFAULT_PROFILE] && !current[STORAGE_KEYS.DEFAULT_SITE_PROFILE]) {
+      moved[STORAGE_KEYS.DEFAULT_SITE_PROFILE] = legacy[LEGACY_DEFAULT_PROFILE];
+    }
+    if (Object.keys(moved).length > 0) {
+      await browserCompat.storageSet(moved);
+    }
+
+    await Promise.all(
+      ['local', 'sync'].map(area => browserCompat.storageRemove(legacyKeys, area).catch(() => {}))
+    );
+    return settings;
+  },
+
+  // 2: settings stop holding API keys. A legacy Gemini key becomes a BYOK
+  // subscription, encrypted by the background's key vault before it is written
+  async (settings, { encryptKey } = {}) => {
+    const { geminiKey, geminiApiKey, ...rest } = settings;
+    const legacyKey = geminiKey || geminiApiKey;
+    if (!legacyKey) return rest;
+
+    const result = await browserCompat.storageGet([STORAGE_KEYS.SUBSCRIPTION]);
+    if (result[STORAGE_KEYS.SUBSCRIPTION]?.type === SUBSCRIPTION_TYPES.BYOK) return rest;
+
+    let encryptedKey;
+    try {
+      if (!encryptKey) {
+        throw new Error('No key vault to encrypt with');
+      }
+      encryptedKey = await encryptKey(legacyKey);
+    } catch (error) {
+      // Only a vault waiting for its passphrase fails here, and settings this old
+      // predate the vault; the key is dropped rather than stored in plaintext
+      console.warn('[APE] Could not encrypt the legacy API key; it has to be entered again:', error.message);
+      return rest;
+    }
+
+    await browserCompat.storageSet({
+      [STORAGE_KEYS.SUBSCRIPTION]: {
+        type: SUBSCRIPTION_TYPES.BYOK,
+        active: true,
+        encryptedKey,
+        apiKeyMasked: maskKey(legacyKey),
+        provider: LLM_PROVIDERS.GEMINI,
+        model: PROVIDER_CONFIG[LLM_PROVIDERS.GEMINI].DEFAULT_MODEL,
+        baseUrl: null,
+        activatedAt: Date.now()
+      }
+    });
+    return rest;
+  }
+];
+
+export const SETTINGS_SCHEMA_VERSION = MIGRATIONS.length;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  const nullable = type.endsWith('?');
+  const baseType = nullable ? type.slice(0, -1) : type;
+  if (value === null) return nullable;
+
+  switch (baseType) {
+    case 'array':
+      return Array.isArray(value);
+    case 'record':
+      return isPlainObject(value);
+    case 'number':
+      return Number.isFinite(value);
+    default:
+      return typeof value === baseType;
+  }
+}
+
+function normalizeWith(schema, defaults, value, path) {
+  const normalized = {};
+
+  Object.entries(schema).forEach(([key, type]) => {
+    const current = value?.[key];
+
+    if (isPlainObject(type)) {
+      normalized[key] = normalizeWith(type, defaults?.[key], isPlainObject(current) ? current : {}, `${path}${key}.`);
+    } else if (current !== undefined && matchesType(current, type)) {
+      normalized[key] = structuredClone(current);
+    } else {
+      if (current !== undefined) {
+        console.warn(`[APE] Ignoring setting ${path}${key}: expected ${type}`);
+      }
+      normalized[key] = structuredClone(defaults?.[key] ?? null);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Settings checked against SETTINGS_SCHEMA, with defaults filled in at every level
+ */
+export function normalizeSettings(settings) {
+  return normalizeWith(SETTINGS_SCHEMA, DEFAULT_SETTINGS, isPlainObject(settings) ? settings : {}, '');
+}
+
+/**
+ * Apply partial changes; nested groups (localModel, redaction) merge key by key
+ */
+function applyChanges(schema, settings, changes) {
+  const updated = { ...settings };
+
+  Object.entries(changes).forEach(([key, value]) => {
+    updated[key] = isPlainObject(schema[key]) && isPlainObject(value)
+      ? applyChanges(schema[key], settings[key] || {}, value)
+      : value;
+  });
+
+  return updated;
+}
+
+class SettingsService {
+  /**
+   * Stored settings as written, or null if nothing was saved yet
+   */
+  async read() {
+    const result = await browserCompat.storageGet([STORAGE_KEYS.SETTINGS]);
+    return result[STORAGE_KEYS.SETTINGS] || null;
+  }
+
+  async write(settings, schemaVersion) {
+    await browserCompat.storageSet({
+      [STORAGE_KEYS.SETTINGS]: { ...settings, schemaVersion }
+    });
+  }
+
+  /**
+   * Current settings, with defaults for anything missing or invalid
+   */
+  async get() {
+    return normalizeSettings(await this.read());
+  }
+
+  /**
+   * Replace all settings
+   * The stored schemaVersion is kept so a pending migration still runs
+   * @returns {Promise<Object>} the settings as saved
+   */
+  async set(settings) {
+    const stored = await this.read();
+    const normalized = normalizeSettings(settings);
+    await this.write(normalized, stored?.schemaVersion || 0);
+    return normalized;
+  }
+
+  /**
+   * Change some settings, leaving the rest as they are
+   * @returns {Promise<Object>} the settings as saved
+   */
+  async update(changes) {
+    return await this.set(applyChanges(SETTINGS_SCHEMA, await this.get(), changes));
+  }
+
+  /**
+   * Store the defaults at the current schema version (first install)
+   */
+  async reset() {
+    const settings = normalizeSettings(DEFAULT_SETTINGS);
+    await this.write(settings, SETTINGS_SCHEMA_VERSION);
+    return settings;
+  }
+
+  /**
+   * Run the migrations between the stored schemaVersion and the current one, in order
+   * @param {Object} options - { encryptKey(text) } from the background, which owns
+   *   the key vault; content scripts never migrate
+   */
+  async migrate(options = {}) {
+    const stored = await this.read();
+    let version = stored?.schemaVersion || 0;
+    let settings = stored || {};
+    if (version >= SETTINGS_SCHEMA_VERSION) return;
+
+    while (version < SETTINGS_SCHEMA_VERSION) {
+      settings = await MIGRATIONS[version](settings, options);
+      version++;
+    }
+
+    await this.write(normalizeSettings(settings), version);
+    console.log('[APE] Settings migrated to schema version', version);
+  }
+
+  /**
+   * Call back with the new settings whenever they change, in any extension context
+   * @param {Function} callback - (settings) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEYS.SETTINGS]) {
+        callback(normalizeSettings(changes[STORAGE_KEYS.SETTINGS].newValue));
+      }
+    };
+
+    browserCompat.onStorageChanged(listener);
+    return () => {
+      try {
+        browserCompat.offStorageChanged(listener);
+      } catch (error) {
+        // Extension context already gone
+      }
+    };
+  }
+}
+
+export default new SettingsService();
@@ -0,0 +1,329 @@
+/**
+ * Site Profiles
+ * Validation, import/export and merging for placement profiles (see profile-manager.js),
+ * and the platform pack overlay the content script docks with
+ */
+
+import { assertSelector } from './platform-packs.js';
+
+export const PLACEMENT_MODES = [
+  { id: 'inside-bottom-right', label: 'Inside, bottom right' },
+  { id: 'inside-top-right', label: 'Inside, top right' },
+  { id: 'inside-bottom-left', label: 'Inside, bottom left' },
+  { id: 'inside-top-left', label: 'Inside, top left' },
+  { id: 'toolbar', label: 'In toolbar, before its first button' },
+  { id: 'inline-after', label: 'Right after the prompt field' }
+];
+
+const DEFAULT_OFFSET = '8px';
+const DEFAULT_SIZE = '32px';
+
+// Shareable file format, same as src/v2/example-profiles.json
+const PROFILES_FILE_VERSION = '2.0.0';
+
+// Fields a profile keeps; anything else in an imported file is dropped
+const PROFILE_FIELDS = [
+  'id',
+  'name',
+  'domain',
+  'pathPattern',
+  'url',
+  'promptSelector',
+  'anchorSelector',
+  'mode',
+  'offsetX',
+  'offsetY',
+  'size',
+  'enabled',
+  'notes',
+  'createdAt'
+];
+
+export const PROFILE_CONFLICT_RESOLUTIONS = ['replace', 'keep-both', 'skip'];
+
+// Path segments that identify one chat rather than a section of the site
+const ID_SEGMENT = /^(?=.*\d)[\w-]{8,}$|^[a-f0-9-]{16,}$/i;
+
+/**
+ * Path pattern covering every page like this one: /c/6f2a9e1b-... becomes /c/*
+ * @returns {string|null} null for the site root, meaning the whole domain
+ */
+export function derivePathPattern(pathname) {
+  const segments = (pathname || '/').split('/').filter(Boolean);
+  if (segments.length === 0) return null;
+
+  const idIndex = segments.findIndex(segment => ID_SEGMENT.test(segment));
+  if (idIndex === -1) {
+    return `/${segments.join('/')}`;
+  }
+  return `/${[...segments.slice(0, idIndex), '*'].join('/')}${idIndex < segments.length - 1 ? '*' : ''}`;
+}
+
+/**
+ * Docking anchors and button styles for a profile's placement mode
+ */
+function placementFor(profile) {
+  const offsetX = profile.offsetX || DEFAULT_OFFSET;
+  const offsetY = profile.offsetY || DEFAULT_OFFSET;
+  const anchorTarget = profile.anchorSelector
+    ? [{ query: [profile.anchorSelector] }]
+    : [{ input: true }, { parent: true }];
+
+  if (profile.mode === 'toolbar') {
+    return {
+      anchors: [
+        { target: [...anchorTarget, { query: ['button'] }], insert: 'before', wrapper: null, positioned: false },
+        { target: anchorTarget, insert: 'append', wrapper: null, positioned: false }
+      ],
+      style: { position: 'relative', display: 'inline-flex' }
+    };
+  }
+
+  if (profile.mode === 'inline-after') {
+    return {
+      anchors: [{ target: [{ input: true }], insert: 'after', wrapper: null, positioned: false }],
+      style: { position: 'relative', display: 'inline-flex', marginLeft: offsetX, verticalAlign: 'middle' }
+    };
+  }
+
+  // inside-{vertical}-{horizontal}, the default
+  const [, vertical = 'bottom', horizontal = 'right'] = (profile.mode || '').split('-');
+  const style = {
+    position: 'absolute',
+    zIndex: '1000',
+    margin: '0',
+    top: 'auto',
+    bottom: 'auto',
+    left: 'auto',
+    right: 'auto'
+  };
+  style[vertical === 'top' ? 'top' : 'bottom'] = offsetY;
+  style[horizontal === 'left' ? 'left' : 'right'] = offsetX;
+
+  return {
+    anchors: [{ target: anchorTarget, insert: 'append', wrapper: null, positioned: true }],
+    style
+  };
+}
+
+/**
+ * Platform pack with the profile's prompt selector tried first and its placement
+ * replacing the pack's docking; the rest of the base pack is kept
+ * @param {Object} profile - A placement profile
+ * @param {Object} basePack - The pack detected for the site
+ */
+export function profileToPack(profile, basePack) {
+  const { anchors, style } = placementFor(profile);
+  const size = profile.size || DEFAULT_SIZE;
+  const inputArea = basePack.selectors.inputArea.filter(selector => selector !== profile.promptSelector);
+
+  return {
+    ...basePack,
+    id: `profile-${profile.id}`,
+    name: profile.name || basePack.name,
+    selectors: {
+      ...basePack.selectors,
+      inputArea: profile.promptSelector ? [profile.promptSelector, ...inputArea] : inputArea
+    },
+    docking: {
+      anchors,
+      validate: { contains: [], exists: [] }
+    },
+    button: {
+      className: basePack.button?.className || '',
+      style: { ...basePack.button?.style, ...style, width: size, height: size },
+      ltrStyle: {},
+      rtlStyle: {}
+    }
+  };
+}
+
+function profileError(field, message) {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+}
+
+function optionalString(value) {
+  if (value === undefined || value === null) return null;
+  return String(value).trim() || null;
+}
+
+function cssLength(value, field, fallback) {
+  const length = optionalString(value) || fallback;
+  if (!/^(0|-?\d+(\.\d+)?(px|rem|em|%))$/.test(length)) {
+    throw profileError(field, `${field} must be a CSS length such as 12px`);
+  }
+  return length;
+}
+
+export function createProfileId() {
+  return 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Check a profile and fill in defaults
+ * @returns {Object} the normalized profile
+ * @throws {Error} with a `field` property naming the first invalid field
+ */
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw profileError(null, 'A profile must be a JSON object');
+  }
+
+  const id = optionalString(profile.id);
+  if (id && !/^[\w-]+$/.test(id)) {
+    throw profileError('id', 'id must be letters, digits, dashes and underscores');
+  }
+
+  const domain = (optionalString(profile.domain) || '').toLowerCase();
+  if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain)) {
+    throw profileError('domain', 'domain must be a hostname such as chat.example.com or *.example.com');
+  }
+
+  const pathPattern = optionalString(profile.pathPattern);
+  if (pathPattern && !pathPattern.startsWith('/')) {
+    throw profileError('pathPattern', 'pathPattern must start with /');
+  }
+
+  const url = optionalString(profile.url);
+  if (url) {
+    try {
+      new URL(url);
+    } catch (error) {
+      throw profileError('url', 'url must be a full URL');
+    }
+  }
+
+  const promptSelector = optionalString(profile.promptSelector);
+  if (!promptSelector) {
+    throw profileError('promptSelector', 'promptSelector is required');
+  }
+
+  const anchorSelector = optionalString(profile.anchorSelector);
+  try {
+    assertSelector(promptSelector, 'promptSelector');
+    if (anchorSelector) assertSelector(anchorSelector, 'anchorSelector');
+  } catch (error) {
+    throw profileError(error.message.split(' ')[0], error.message);
+  }
+
+  const mode = profile.mode || PLACEMENT_MODES[0].id;
+  if (!PLACEMENT_MODES.some(placement => placement.id === mode)) {
+    throw profileError('mode', `mode must be one of: ${PLACEMENT_MODES.map(placement => placement.id).join(', ')}`);
+  }
+
+  const normalized = {
+    id,
+    name: optionalString(profile.name) || `${domain}${pathPattern || ''}`,
+    domain,
+    pathPattern,
+    promptSelector,
+    anchorSelector,
+    mode,
+    offsetX: cssLength(profile.offsetX, 'offsetX', DEFAULT_OFFSET),
+    offsetY: cssLength(profile.offsetY, 'offsetY', DEFAULT_OFFSET),
+    size: cssLength(profile.size, 'size', DEFAULT_SIZE),
+    enabled: profile.enabled !== false
+  };
+
+  if (url) normalized.url = url;
+  if (optionalString(profile.notes)) normalized.notes = optionalString(profile.notes);
+  if (Number.isFinite(profile.createdAt)) normalized.createdAt = profile.createdAt;
+
+  return normalized;
+}
+
+/**
+ * Read a profiles file: { profiles, defaultProfile } as in example-profiles.json, or a bare array
+ * @returns {Object} { profiles, errors, defaultProfile }; invalid profiles are listed in errors
+ */
+export function parseProfilesFile(data) {
+  const list = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a "profiles" array');
+  }
+
+  const profiles = [];
+  const errors = [];
+  list.forEach((profile, index) => {
+    try {
+      const validated = validateProfile(profile);
+      profiles.push({ ...validated, id: validated.id || createProfileId() });
+    } catch (error) {
+      errors.push(`profiles[${index}]: ${error.message}`);
+    }
+  });
+
+  const defaultProfile = !Array.isArray(data) && data.defaultProfile &&
+    typeof data.defaultProfile === 'object' && !Array.isArray(data.defaultProfile)
+    ? data.defaultProfile
+    : null;
+
+  return { profiles, errors, defaultProfile };
+}
+
+/**
+ * Contents of an export file in the example-profiles.json format
+ */
+export function buildProfilesFile(profiles, defaultProfile) {
+  return {
+    profiles,
+    defaultProfile,
+    metadata: {
+      version: PROFILES_FILE_VERSION,
+      description: 'AI Prompt Enhancer site profiles',
+      lastUpdated: new Date().toISOString().slice(0, 10)
+    }
+  };
+}
+
+export function isSameProfile(a, b) {
+  return PROFILE_FIELDS.every(field => (a[field] ?? null) === (b[field] ?? null));
+}
+
+/**
+ * Imported profiles whose id is taken by a different existing profile
+ */
+export function findProfileConflicts(existing, incoming) {
+  return incoming.filter((profile) => {
+    const current = existing.find(saved => saved.id === profile.id);
+    return current && !isSameProfile(current, profile);
+  });
+}
+
+/**
+ * Merge imported profiles into the existing ones by id
+ * @param {string} resolution - For ids that conflict: 'replace' the existing profile,
+ *   'keep-both' under a new id, or 'skip' the imported one
+ * @returns {Object} { profiles, summary: { added, replaced, renamed, skipped, unchanged } }
+ */
+export function mergeProfiles(existing, incoming, resolution = 'skip') {
+  const profiles = [...existing];
+  const summary = { added: 0, replaced: 0, renamed: 0, skipped: 0, unchanged: 0 };
+
+  incoming.forEach((profile) => {
+    const index = profiles.findIndex(saved => saved.id === profile.id);
+
+    if (index === -1) {
+      profiles.push(profile);
+      summary.added++;
+    } else if (isSameProfile(profiles[index], profile)) {
+      summary.unchanged++;
+    } else if (resolution === 'replace') {
+      profiles[index] = profile;
+      summary.replaced++;
+    } else if (resolution === 'keep-both') {
+      let copyNumber = 2;
+      while (profiles.some(saved => saved.id === `${profile.id}-${copyNumber}`)) {
+        copyNumber++;
+      }
+      profiles.push({ ...profile, id: `${profile.id}-${copyNumber}`, name: `${profile.name} (${copyNumber})` });
+      summary.renamed++;
+    } else {
+      summary.skipped++;
+    }
+  });
+
+  return { profiles, summary };
+}
@@ -137,6 +137,30 @@ export function truncate(text, maxLength) {
   return text.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * Rough token estimate
+ * @param {number} charsPerToken - tokenizer density for Latin text (~4 for English);
+ *   providers pass their own, see PROVIDER_CONFIG[...].CHARS_PER_TOKEN
+ */
+export function estimateTokens(text, charsPerToken = 4) {
+  if (!text) return 0;
+
+  // CJK characters come out at roughly one token each in common tokenizers
+  const wide = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+  return Math.ceil(wide + (text.length - wide) / charsPerToken);
+}
+
+/**
+ * Shortened API key that is safe to show, stored beside its ciphertext
+ */
+export function maskKey(apiKey) {
+  if (!apiKey || apiKey.length < 12) return '****';
+
+  const start = apiKey.substring(0, 6);
+  const end = apiKey.substring(apiKey.length - 4);
+  return `${start}...${end}`;
+}
+
 /**
  * Hash string (simple hash for deduplication)
  */
@@ -246,18 +270,41 @@ export async function copyToClipboard(text) {
   }
 }
 
+/**
+ * Save text as a file through a temporary download link
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Retry async function with exponential backoff
+ * Cancellations (AbortError) and errors marked retryable: false are thrown right away;
+ * an aborted signal also cuts the wait short, so fn sees the cancellation
  */
-export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, signal = null) {
   for (let i = 0; i < maxRetries; i++) {
     try {
       return await fn();
     } catch (error) {
-      if (i === maxRetries - 1) throw error;
+      if (i === maxRetries - 1 || error.name === 'AbortError' || error.retryable === false) throw error;
 
       const delay = baseDelay * Math.pow(2, i);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, delay);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      });
     }
   }
 }
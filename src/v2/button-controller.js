@@ -1,4 +1,10 @@
 import { renderStaticHTML } from '../shared/utils.js';
+import { formatRedactionSummary } from '../shared/redaction.js';
+import ContextExtractor from '../content/context-extractor.js';
+import PageContext from './page-context.js';
+import { MESSAGE_ERRORS, SENDERS, createClient } from '../shared/messages.js';
+
+const messages = createClient(SENDERS.CONTENT);
 
 /**
  * ButtonController
@@ -12,6 +18,7 @@ class ButtonController {
     this.anchorElement = null;
     this.placement = null;
     this.isProcessing = false;
+    this.contextExtractor = new ContextExtractor(new PageContext(this));
   }
 
   /**
@@ -280,9 +287,9 @@ class ButtonController {
       return;
     }
 
-    // Extract text from prompt
-    const text = this.extractText();
-    if (!text || text.trim().length === 0) {
+    // Same context the inline button sends: prompt, conversation history and metadata
+    const context = await this.contextExtractor.extractFullContext();
+    if (!context.currentPrompt || context.currentPrompt.trim().length === 0) {
       console.log('[ButtonController] No text to enhance');
       this.showTooltip('No text to enhance', 'warning');
       return;
@@ -292,33 +299,38 @@ class ButtonController {
     this.showLoading();
 
     try {
-      console.log('[ButtonController] Enhancing prompt...', text.length, 'chars');
-
-      // Send message to background script
-      const response = await chrome.runtime.sendMessage({
-        type: 'ENHANCE_PROMPT',
-        text: text
-      });
-
-      if (response.ok && response.text) {
-        // Replace text in prompt field
-        const success = this.replaceText(response.text);
-
-        if (success) {
-          console.log('[ButtonController] Enhancement successful');
-          this.showTooltip('Prompt enhanced!', 'success');
-        } else {
-          console.error('[ButtonController] Failed to replace text');
-          this.showTooltip('Failed to apply enhancement', 'error');
-        }
+      console.log('[ButtonController] Enhancing prompt...', context.currentPrompt.length, 'chars,',
+        context.conversationHistory.length, 'context messages');
+
+      // Run the current preset in the background script
+      const response = await messages.enhance({ context });
+
+      if (response.text.trim() === context.currentPrompt.trim()) {
+        this.showTooltip('No changes were applied to the prompt', 'info');
+        return;
+      }
+
+      // Replace text in prompt field
+      const success = this.replaceText(response.text);
+
+      if (success) {
+        console.log('[ButtonController] Enhancement successful');
+        this.showTooltip(
+          response.redactions?.length
+            ? `Prompt enhanced. Redacted before sending: ${formatRedactionSummary(response.redactions)}`
+            : 'Prompt enhanced!',
+          response.redactions?.length ? 'warning' : 'success'
+        );
       } else {
-        console.error('[ButtonController] Enhancement failed:', response.error);
-        this.showTooltip(response.error || 'Enhancement failed', 'error');
+        console.error('[ButtonController] Failed to replace text');
+        this.showTooltip('Failed to apply enhancement', 'error');
       }
 
     } catch (error) {
       console.error('[ButtonController] Error during enhancement:', error);
-      this.showTooltip('Enhancement error', 'error');
+      this.showTooltip(error.code === MESSAGE_ERRORS.HANDLER_FAILED || error.code === MESSAGE_ERRORS.KEY_LOCKED
+        ? error.message
+        : 'Enhancement error', 'error');
     } finally {
       this.isProcessing = false;
       this.hideLoading();
@@ -3,10 +3,12 @@
  * Entry point that initializes and connects all components
  */
 
-import ProfileManager from './profile-manager.js';
+import ProfileManager from '../shared/profile-manager.js';
 import PromptDetector from './prompt-detector.js';
 import ButtonController from './button-controller.js';
 import Watcher from './watcher.js';
+import MessageRouter from '../shared/message-router.js';
+import { ACTIONS, TARGETS } from '../shared/messages.js';
 
 /**
  * Main application class
@@ -108,32 +110,23 @@ document.addEventListener('visibilitychange', () => {
 });
 
 // Handle extension updates/reloads
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'RELOAD_EXTENSION') {
+new MessageRouter(TARGETS.TAB)
+  .on(ACTIONS.RELOAD_EXTENSION, async () => {
     console.log('[PromptEnhancer] Reloading extension...');
     app.destroy();
-    app.initialize();
-    sendResponse({ ok: true });
-    return true;
-  }
-
-  if (message.type === 'REMOUNT_BUTTON') {
+    await app.initialize();
+  })
+  .on(ACTIONS.REMOUNT_BUTTON, () => {
     console.log('[PromptEnhancer] Remounting button...');
     app.watcher.remount();
-    sendResponse({ ok: true });
-    return true;
-  }
-
-  if (message.type === 'GET_STATUS') {
-    sendResponse({
-      initialized: app.initialized,
-      buttonMounted: app.buttonController?.isMounted() || false,
-      currentProfile: app.watcher?.currentProfile?.id || null,
-      url: window.location.href
-    });
-    return true;
-  }
-});
+  })
+  .on(ACTIONS.GET_STATUS, () => ({
+    initialized: app.initialized,
+    buttonMounted: app.buttonController?.isMounted() || false,
+    currentProfile: app.watcher?.currentProfile?.id || null,
+    url: window.location.href
+  }))
+  .listen();
 
 // Export for module usage (if needed)
 export default app;
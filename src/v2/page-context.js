@@ -0,0 +1,40 @@
+import { PLATFORMS } from '../shared/constants.js';
+import { deepQuerySelector } from '../shared/deep-query.js';
+import { extractHeuristicMessages } from '../content/parsers/heuristic-messages.js';
+import genericPack from '../shared/platforms/generic.json';
+
+/**
+ * PageContext
+ * Reads the page the way ContextExtractor expects a DOM observer to, so prompts
+ * detected by profile get the same conversation context as the inline button
+ */
+
+const { selectors } = genericPack;
+
+class PageContext {
+  /**
+   * @param {ButtonController} buttonController - reads the mounted prompt field
+   */
+  constructor(buttonController) {
+    this.buttonController = buttonController;
+    this.platform = PLATFORMS.GENERIC;
+    this.conversationParser = null;
+  }
+
+  async extractPromptText() {
+    return this.buttonController.extractText();
+  }
+
+  /**
+   * Conversation messages in DOM order, found with the generic pack's heuristics
+   */
+  extractMessages() {
+    const conversationArea = selectors.conversationArea
+      .map(selector => deepQuerySelector(selector))
+      .find(Boolean);
+
+    return extractHeuristicMessages(conversationArea || document.body, selectors);
+  }
+}
+
+export default PageContext;
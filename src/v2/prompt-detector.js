@@ -1,8 +1,12 @@
 /**
  * PromptDetector
  * Finds prompt input fields using either profiles or heuristics
+ * Searches open shadow roots and same-origin iframes as well as the document
  */
 
+import { deepQuerySelector, deepQuerySelectorAll } from '../shared/deep-query.js';
+import learnedSelectors from '../shared/learned-selectors.js';
+
 class PromptDetector {
   constructor(defaultProfile) {
     this.defaultProfile = defaultProfile || {
@@ -79,6 +83,12 @@ class PromptDetector {
     console.log('[PromptDetector] Found', scored.length, 'candidates, best score:', scored[0].score);
 
     const best = scored[0].element;
+
+    // Remember the winner so the content script's selectors find it next time
+    learnedSelectors.learn(window.location.hostname, 'inputArea', best).catch((error) => {
+      console.warn('[PromptDetector] Failed to learn selector:', error);
+    });
+
     return {
       promptElement: best,
       anchorElement: best.parentElement || best
@@ -92,7 +102,7 @@ class PromptDetector {
     const candidates = [];
 
     // Find textareas
-    const textareas = Array.from(document.querySelectorAll('textarea'));
+    const textareas = deepQuerySelectorAll('textarea');
     for (const textarea of textareas) {
       if (this.isUsableElement(textarea) && this.meetsMinimumSize(textarea)) {
         candidates.push(textarea);
@@ -100,7 +110,7 @@ class PromptDetector {
     }
 
     // Find large text inputs
-    const textInputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
+    const textInputs = deepQuerySelectorAll('input[type="text"], input[type="search"]');
     for (const input of textInputs) {
       if (this.isUsableElement(input) && this.meetsMinimumSize(input)) {
         candidates.push(input);
@@ -108,7 +118,7 @@ class PromptDetector {
     }
 
     // Find contenteditable elements
-    const editables = Array.from(document.querySelectorAll('[contenteditable="true"]'));
+    const editables = deepQuerySelectorAll('[contenteditable="true"]');
     for (const editable of editables) {
       if (this.isUsableElement(editable) && this.meetsMinimumSize(editable)) {
         candidates.push(editable);
@@ -265,7 +275,7 @@ class PromptDetector {
     if (rect.width === 0 && rect.height === 0) return false;
 
     // Check display and visibility
-    const style = window.getComputedStyle(element);
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
     if (style.display === 'none') return false;
     if (style.visibility === 'hidden') return false;
     if (style.opacity === '0') return false;
@@ -291,7 +301,7 @@ class PromptDetector {
 
     for (const sel of selectors) {
       try {
-        const element = document.querySelector(sel);
+        const element = deepQuerySelector(sel);
         if (element) {
           return element;
         }
@@ -315,7 +325,7 @@ class PromptDetector {
 
     for (const sel of selectors) {
       try {
-        const found = Array.from(document.querySelectorAll(sel));
+        const found = deepQuerySelectorAll(sel);
         elements.push(...found);
       } catch (error) {
         console.warn('[PromptDetector] Invalid selector:', sel, error);
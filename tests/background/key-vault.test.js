@@ -0,0 +1,137 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { chromeFake, resetChrome } from '../helpers/chrome.js';
+import keyVault from '../../src/background/key-vault.js';
+import { ERROR_MESSAGES, STORAGE_KEYS } from '../../src/shared/constants.js';
+import { MESSAGE_ERRORS } from '../../src/shared/messages.js';
+
+const { local, session } = chromeFake.storage;
+const apiKey = 'sk-test-1234567890abcdef';
+
+function storedRecord() {
+  return local.dump()[STORAGE_KEYS.KEY_VAULT];
+}
+
+// The service worker stopped; IndexedDB and storage.session survive it
+function restartWorker() {
+  keyVault.key = null;
+}
+
+// The browser was closed, which clears storage.session
+function restartBrowser() {
+  restartWorker();
+  session.clear();
+}
+
+beforeEach(() => {
+  resetChrome();
+  globalThis.indexedDB = new IDBFactory();
+  keyVault.key = null;
+});
+
+describe('KeyVault with a device key', () => {
+  test('round-trips a key through AES-GCM', async () => {
+    const encrypted = await keyVault.encrypt(apiKey);
+
+    expect(encrypted).toEqual({ iv: expect.any(String), data: expect.any(String) });
+    expect(atob(encrypted.iv)).toHaveLength(12);
+    expect(JSON.stringify(encrypted)).not.toContain(apiKey);
+    expect(await keyVault.decrypt(encrypted)).toBe(apiKey);
+  });
+
+  test('uses a fresh IV for every encryption', async () => {
+    const first = await keyVault.encrypt(apiKey);
+    const second = await keyVault.encrypt(apiKey);
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.data).not.toBe(second.data);
+  });
+
+  test('refuses tampered ciphertext', async () => {
+    const encrypted = await keyVault.encrypt(apiKey);
+    const data = Uint8Array.from(atob(encrypted.data), char => char.charCodeAt(0));
+    data[0] ^= 1;
+
+    await expect(keyVault.decrypt({ ...encrypted, data: btoa(String.fromCharCode(...data)) }))
+      .rejects.toThrow(ERROR_MESSAGES.KEY_UNREADABLE);
+  });
+
+  test('keeps the key in IndexedDB, not in extension storage', async () => {
+    const encrypted = await keyVault.encrypt(apiKey);
+
+    expect(storedRecord()).toEqual({ check: expect.any(Object) });
+    restartWorker();
+    expect(await keyVault.decrypt(encrypted)).toBe(apiKey);
+    expect(await keyVault.getStatus()).toEqual({ passphrase: false, locked: false });
+  });
+
+  test('cannot read keys encrypted before the site data was cleared', async () => {
+    const encrypted = await keyVault.encrypt(apiKey);
+    restartWorker();
+    globalThis.indexedDB = new IDBFactory();
+
+    await expect(keyVault.decrypt(encrypted)).rejects.toThrow(ERROR_MESSAGES.KEY_UNREADABLE);
+  });
+});
+
+describe('KeyVault with a passphrase', () => {
+  const passphrase = 'correct horse battery staple';
+  let encrypted;
+
+  beforeEach(async () => {
+    await keyVault.rekey(passphrase);
+    encrypted = await keyVault.encrypt(apiKey);
+  });
+
+  test('derives the key with PBKDF2 from a stored random salt', async () => {
+    const record = storedRecord();
+
+    expect(atob(record.salt)).toHaveLength(16);
+    expect(record.iterations).toBeGreaterThanOrEqual(310000);
+    expect(JSON.stringify(local.dump())).not.toContain(passphrase);
+
+    // The same passphrase derives the same key again
+    restartBrowser();
+    expect(await keyVault.unlock(passphrase)).toBe(true);
+    expect(await keyVault.decrypt(encrypted)).toBe(apiKey);
+  });
+
+  test('stays unlocked across worker restarts in the same browser session', async () => {
+    restartWorker();
+
+    expect(await keyVault.getStatus()).toEqual({ passphrase: true, locked: false });
+    expect(await keyVault.decrypt(encrypted)).toBe(apiKey);
+  });
+
+  test('starts a new browser session locked', async () => {
+    restartBrowser();
+
+    expect(await keyVault.getStatus()).toEqual({ passphrase: true, locked: true });
+    await expect(keyVault.decrypt(encrypted)).rejects.toMatchObject({
+      name: 'KeyLockedError',
+      code: MESSAGE_ERRORS.KEY_LOCKED
+    });
+  });
+
+  test('rejects a wrong passphrase and stays locked', async () => {
+    restartBrowser();
+
+    expect(await keyVault.unlock('wrong passphrase')).toBe(false);
+    expect(await keyVault.getStatus()).toEqual({ passphrase: true, locked: true });
+  });
+
+  test('locks on request', async () => {
+    await keyVault.lock();
+
+    expect(await keyVault.getStatus()).toEqual({ passphrase: true, locked: true });
+    await expect(keyVault.encrypt(apiKey)).rejects.toMatchObject({ name: 'KeyLockedError' });
+  });
+
+  test('goes back to a device key when the passphrase is removed', async () => {
+    await keyVault.rekey(null);
+
+    expect(storedRecord()).not.toHaveProperty('salt');
+    expect(session.dump()).toEqual({});
+    expect(await keyVault.getStatus()).toEqual({ passphrase: false, locked: false });
+    await expect(keyVault.decrypt(encrypted)).rejects.toThrow(ERROR_MESSAGES.KEY_UNREADABLE);
+  });
+});
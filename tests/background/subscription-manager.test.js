@@ -0,0 +1,146 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { chromeFake, resetChrome } from '../helpers/chrome.js';
+import subscriptionManager from '../../src/background/subscription-manager.js';
+import keyVault from '../../src/background/key-vault.js';
+import { LLM_PROVIDERS, STORAGE_KEYS, SUBSCRIPTION_TYPES } from '../../src/shared/constants.js';
+
+const { local, session } = chromeFake.storage;
+const apiKey = 'sk-test-1234567890abcdef';
+
+function storedSubscription() {
+  return local.dump()[STORAGE_KEYS.SUBSCRIPTION];
+}
+
+async function storeSubscription(subscription) {
+  await local.set({ [STORAGE_KEYS.SUBSCRIPTION]: subscription }, () => {});
+}
+
+const legacySubscription = {
+  type: SUBSCRIPTION_TYPES.BYOK,
+  active: true,
+  provider: LLM_PROVIDERS.OPENAI,
+  model: 'gpt-4o-mini',
+  apiKey
+};
+
+beforeEach(() => {
+  resetChrome();
+  globalThis.indexedDB = new IDBFactory();
+  keyVault.key = null;
+  subscriptionManager.subscriptionStatus = null;
+  subscriptionManager.initialized = false;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SubscriptionManager.getActiveSubscription', () => {
+  test('starts on the free tier', async () => {
+    expect(await subscriptionManager.getActiveSubscription()).toMatchObject({
+      type: SUBSCRIPTION_TYPES.FREE,
+      active: true
+    });
+  });
+
+  test('leaves out the encrypted and plaintext key', async () => {
+    await storeSubscription({ ...legacySubscription, encryptedKey: { iv: 'iv', data: 'data' } });
+
+    const subscription = await subscriptionManager.getActiveSubscription();
+
+    expect(subscription).toMatchObject({ type: SUBSCRIPTION_TYPES.BYOK, provider: LLM_PROVIDERS.OPENAI });
+    expect(subscription).not.toHaveProperty('encryptedKey');
+    expect(subscription).not.toHaveProperty('apiKey');
+  });
+
+  test('getUnlockedSubscription adds the decrypted key', async () => {
+    await storeSubscription(legacySubscription);
+
+    expect(await subscriptionManager.getUnlockedSubscription()).toMatchObject({
+      type: SUBSCRIPTION_TYPES.BYOK,
+      apiKey
+    });
+  });
+});
+
+describe('SubscriptionManager.migrateLegacyKey', () => {
+  test('encrypts a plaintext key on first load and drops the plaintext', async () => {
+    await storeSubscription(legacySubscription);
+
+    await subscriptionManager.initialize();
+    const stored = storedSubscription();
+
+    expect(stored).not.toHaveProperty('apiKey');
+    expect(stored.encryptedKey).toEqual({ iv: expect.any(String), data: expect.any(String) });
+    expect(stored.apiKeyMasked).toBe('sk-tes...cdef');
+    expect(JSON.stringify(local.dump())).not.toContain(apiKey);
+    expect(await subscriptionManager.getAPIKey()).toBe(apiKey);
+  });
+
+  test('waits for the passphrase while the vault is locked', async () => {
+    await keyVault.rekey('passphrase');
+    keyVault.key = null;
+    session.clear();
+    await storeSubscription(legacySubscription);
+
+    await subscriptionManager.initialize();
+    expect(storedSubscription().apiKey).toBe(apiKey);
+    await expect(subscriptionManager.getUnlockedSubscription()).rejects.toMatchObject({ name: 'KeyLockedError' });
+
+    await subscriptionManager.unlockKeys('passphrase');
+    expect(storedSubscription()).not.toHaveProperty('apiKey');
+    expect(await subscriptionManager.getAPIKey()).toBe(apiKey);
+  });
+
+  test('does nothing without a plaintext key', async () => {
+    await storeSubscription({ type: SUBSCRIPTION_TYPES.FREE, active: true });
+    await subscriptionManager.initialize();
+
+    await subscriptionManager.migrateLegacyKey();
+
+    expect(storedSubscription()).toEqual({ type: SUBSCRIPTION_TYPES.FREE, active: true });
+  });
+});
+
+describe('SubscriptionManager key changes', () => {
+  test('activateBYOK stores only the encrypted key and a masked copy', async () => {
+    jest.spyOn(subscriptionManager, 'validateProviderKey').mockResolvedValue(true);
+
+    await subscriptionManager.activateBYOK(` ${apiKey}\u200B`, { provider: LLM_PROVIDERS.OPENAI });
+
+    expect(storedSubscription()).toMatchObject({ type: SUBSCRIPTION_TYPES.BYOK, apiKeyMasked: 'sk-tes...cdef' });
+    expect(JSON.stringify(local.dump())).not.toContain(apiKey);
+    expect(await subscriptionManager.getAPIKey()).toBe(apiKey);
+  });
+
+  test('activateBYOK throws when the provider rejects the key', async () => {
+    jest.spyOn(subscriptionManager, 'validateProviderKey').mockResolvedValue(false);
+    await subscriptionManager.initialize();
+
+    await expect(subscriptionManager.activateBYOK(apiKey, { provider: LLM_PROVIDERS.OPENAI }))
+      .rejects.toThrow('Invalid API key or API access denied');
+    expect(storedSubscription().type).toBe(SUBSCRIPTION_TYPES.FREE);
+  });
+
+  test('setKeyPassphrase re-encrypts the stored key under the passphrase', async () => {
+    await storeSubscription(legacySubscription);
+    await subscriptionManager.initialize();
+    const before = storedSubscription().encryptedKey;
+
+    await subscriptionManager.setKeyPassphrase('passphrase');
+
+    expect(storedSubscription().encryptedKey).not.toEqual(before);
+    expect(await subscriptionManager.getSubscriptionInfo()).toMatchObject({
+      keyPassphrase: true,
+      keyLocked: false,
+      hasApiKey: true
+    });
+
+    keyVault.key = null;
+    session.clear();
+    expect((await subscriptionManager.getSubscriptionInfo()).keyLocked).toBe(true);
+    await expect(subscriptionManager.unlockKeys('wrong')).rejects.toThrow('Wrong passphrase');
+  });
+});
@@ -0,0 +1,138 @@
+import ContextExtractor from '../../src/content/context-extractor.js';
+import { estimateTokens } from '../../src/shared/utils.js';
+
+// One token per word keeps the budgets in these tests easy to follow
+const countWords = text => (text.match(/\S+/g) || []).length;
+
+function message(role, content) {
+  return { role, content };
+}
+
+function filler(words, word = 'lorem') {
+  return Array(words).fill(word).join(' ');
+}
+
+describe('estimateTokens', () => {
+  test('is zero for empty text', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(null)).toBe(0);
+  });
+
+  test('counts about four Latin characters per token, rounded up', () => {
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+    expect(estimateTokens('a'.repeat(400))).toBe(100);
+  });
+
+  test('uses the density it is given', () => {
+    expect(estimateTokens('a'.repeat(35), 3.5)).toBe(10);
+  });
+
+  test('counts CJK characters as one token each', () => {
+    expect(estimateTokens('日本語')).toBe(3);
+    expect(estimateTokens('한국어 text')).toBe(5);
+  });
+});
+
+describe('ContextExtractor.packHistory', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new ContextExtractor(null);
+  });
+
+  test('returns nothing for an empty history or no budget', () => {
+    const empty = { messages: [], summary: null, tokens: 0 };
+
+    expect(extractor.packHistory('prompt', [])).toEqual(empty);
+    expect(extractor.packHistory('prompt', [message('user', 'hello')], { budget: 0 })).toEqual(empty);
+  });
+
+  test('keeps every turn verbatim, in conversation order, when they fit', () => {
+    const history = [
+      message('user', 'first question here'),
+      message('assistant', 'first answer'),
+      message('user', 'second question')
+    ];
+
+    const packed = extractor.packHistory('next', history, { budget: 100, countTokens: countWords });
+
+    expect(packed.messages).toEqual(history.map(msg => ({ ...msg, truncated: false })));
+    expect(packed.summary).toBeNull();
+    expect(packed.tokens).toBe(7);
+  });
+
+  test('prefers turns that share keywords with the prompt over more recent ones', () => {
+    const history = [
+      message('user', `kubernetes rollback failed ${filler(37)}`),
+      message('assistant', filler(40, 'ipsum')),
+      message('user', filler(40, 'dolor'))
+    ];
+
+    const packed = extractor.packHistory('Why did the kubernetes rollback fail?', history, {
+      budget: 60,
+      countTokens: countWords
+    });
+
+    expect(packed.messages).toHaveLength(1);
+    expect(packed.messages[0].content).toBe(history[0].content);
+  });
+
+  test('falls back to recency when nothing matches the prompt', () => {
+    const history = [
+      message('user', filler(40, 'ipsum')),
+      message('assistant', filler(40, 'dolor'))
+    ];
+
+    const packed = extractor.packHistory('unrelated', history, { budget: 60, countTokens: countWords });
+
+    expect(packed.messages.map(msg => msg.content)).toEqual([history[1].content]);
+  });
+
+  test('truncates the turn that no longer fits when enough budget is left', () => {
+    const history = [message('user', filler(100))];
+
+    const packed = extractor.packHistory('prompt', history, { budget: 50, countTokens: countWords });
+    const [kept] = packed.messages;
+
+    expect(kept.truncated).toBe(true);
+    expect(kept.content.endsWith('…')).toBe(true);
+    expect(countWords(kept.content)).toBeLessThanOrEqual(50);
+    expect(packed.tokens).toBeLessThanOrEqual(50);
+  });
+
+  test('summarizes turns older than maxMessages within a reserved share', () => {
+    const history = [
+      message('user', 'How do I configure webpack aliases for the project?'),
+      message('assistant', 'Add a resolve.alias section to webpack.config.js.'),
+      message('user', 'Thanks, and for jest?'),
+      message('assistant', 'Use moduleNameMapper in the jest config.')
+    ];
+
+    const packed = extractor.packHistory('jest aliases', history, {
+      budget: 200,
+      countTokens: countWords,
+      maxMessages: 2
+    });
+
+    expect(packed.messages.map(msg => msg.content)).toEqual([history[2].content, history[3].content]);
+    expect(packed.summary).toMatch(/^2 earlier turns/);
+    expect(packed.tokens).toBe(
+      countWords(history[2].content) + countWords(history[3].content) + countWords(packed.summary)
+    );
+  });
+
+  test('stays within the budget with the default token estimate', () => {
+    const history = Array.from({ length: 30 }, (_, i) =>
+      message(i % 2 ? 'assistant' : 'user', `Turn ${i} talks about caching strategies. ${filler(60)}`)
+    );
+
+    const packed = extractor.packHistory('caching strategies', history, { budget: 300, maxMessages: 10 });
+    const used = packed.messages.reduce((total, msg) => total + estimateTokens(msg.content), 0) +
+      estimateTokens(packed.summary);
+
+    expect(packed.tokens).toBe(used);
+    expect(packed.tokens).toBeLessThanOrEqual(300);
+    expect(packed.summary).toMatch(/earlier turns/);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * In-memory stand-in for the chrome extension APIs the shared modules use.
+ * browser-compat reads `chrome` when it is first imported, so import this
+ * helper before any module under test
+ */
+
+const EXTENSION_ID = 'test-extension-id';
+
+function createArea() {
+  let items = {};
+
+  return {
+    get(keys, callback) {
+      const names = Array.isArray(keys) ? keys : [keys];
+      const result = {};
+      names.forEach(name => {
+        if (name in items) result[name] = structuredClone(items[name]);
+      });
+      callback(result);
+    },
+    set(values, callback) {
+      items = { ...items, ...structuredClone(values) };
+      callback();
+    },
+    remove(keys, callback) {
+      (Array.isArray(keys) ? keys : [keys]).forEach(name => delete items[name]);
+      callback();
+    },
+    dump() {
+      return structuredClone(items);
+    },
+    clear() {
+      items = {};
+    }
+  };
+}
+
+const messageListeners = new Set();
+
+export const chromeFake = {
+  runtime: {
+    id: EXTENSION_ID,
+    lastError: undefined,
+    getURL: (path) => `chrome-extension://${EXTENSION_ID}/${path}`,
+    onMessage: {
+      addListener: listener => messageListeners.add(listener),
+      removeListener: listener => messageListeners.delete(listener)
+    }
+  },
+  storage: {
+    local: createArea(),
+    sync: createArea(),
+    session: createArea(),
+    onChanged: {
+      addListener() {},
+      removeListener() {}
+    }
+  }
+};
+
+globalThis.chrome = chromeFake;
+
+/**
+ * Deliver a message to the registered onMessage listeners, like runtime.sendMessage
+ * @returns {Promise<*>} the first response, or undefined if no listener answered
+ */
+export function dispatchMessage(message, sender) {
+  return new Promise(resolve => {
+    const answered = [...messageListeners].some(listener => listener(message, sender, resolve) === true);
+    if (!answered) resolve(undefined);
+  });
+}
+
+export function resetChrome() {
+  Object.values(chromeFake.storage).forEach(area => area.clear?.());
+  messageListeners.clear();
+}
@@ -0,0 +1,85 @@
+import { diffWords, summarizeDiff, tokenize } from '../../src/shared/diff.js';
+
+/**
+ * The text an op list gives back for one side of the diff
+ */
+function sideOf(ops, side) {
+  return ops
+    .filter(op => op.type === 'equal' || op.type === side)
+    .map(op => op.text)
+    .join('');
+}
+
+describe('tokenize', () => {
+  test('splits words and keeps the whitespace between them', () => {
+    expect(tokenize('Fix  the\nbug')).toEqual(['Fix', '  ', 'the', '\n', 'bug']);
+  });
+
+  test('returns no tokens for empty or missing text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('diffWords', () => {
+  test('returns one equal op for identical text', () => {
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', text: 'same text' }]);
+  });
+
+  test('handles an empty side', () => {
+    expect(diffWords('', 'new text')).toEqual([{ type: 'insert', text: 'new text' }]);
+    expect(diffWords('old text', '')).toEqual([{ type: 'delete', text: 'old text' }]);
+    expect(diffWords('', '')).toEqual([]);
+  });
+
+  test('marks a replaced word between unchanged ones', () => {
+    expect(diffWords('the quick fox', 'the slow fox')).toEqual([
+      { type: 'equal', text: 'the ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' fox' }
+    ]);
+  });
+
+  test('merges neighbouring tokens of the same kind into one op', () => {
+    expect(diffWords('Write a poem', 'Write a short rhyming poem')).toEqual([
+      { type: 'equal', text: 'Write a ' },
+      { type: 'insert', text: 'short rhyming ' },
+      { type: 'equal', text: 'poem' }
+    ]);
+  });
+
+  test.each([
+    ['Explain closures', 'Explain JavaScript closures with two short examples'],
+    ['fix bug in parser\nplease', 'Fix the bug in the parser.\n\nAdd a test.'],
+    ['a b c d e', 'e d c b a']
+  ])('rebuilds both texts from the ops: %j', (original, enhanced) => {
+    const ops = diffWords(original, enhanced);
+
+    expect(sideOf(ops, 'delete')).toBe(original);
+    expect(sideOf(ops, 'insert')).toBe(enhanced);
+  });
+
+  test('shows a very large changed middle as one delete and one insert', () => {
+    const words = prefix => Array.from({ length: 1001 }, (_, i) => `${prefix}${i}`).join(' ');
+    const original = words('old');
+    const enhanced = words('new');
+
+    expect(diffWords(original, enhanced)).toEqual([
+      { type: 'delete', text: original },
+      { type: 'insert', text: enhanced }
+    ]);
+  });
+});
+
+describe('summarizeDiff', () => {
+  test('counts inserted and deleted words, not whitespace', () => {
+    const ops = diffWords('Write a poem about cats', 'Write a short poem about dogs');
+
+    expect(summarizeDiff(ops)).toEqual({ added: 2, removed: 1 });
+  });
+
+  test('reports no changes for equal text', () => {
+    expect(summarizeDiff(diffWords('same', 'same'))).toEqual({ added: 0, removed: 0 });
+  });
+});
@@ -0,0 +1,131 @@
+import { chromeFake, dispatchMessage, resetChrome } from '../helpers/chrome.js';
+import MessageRouter, { checkMessage, getSenderType } from '../../src/shared/message-router.js';
+import { ACTIONS, MESSAGE_ERRORS, SENDERS, TARGETS } from '../../src/shared/messages.js';
+
+const { id } = chromeFake.runtime;
+
+const senders = {
+  popup: { id, url: `chrome-extension://${id}/popup/popup.html` },
+  background: { id },
+  content: { id, url: 'https://chat.example.com/', tab: { id: 7 } },
+  otherExtension: { id: 'other-extension', url: 'chrome-extension://other-extension/page.html' }
+};
+
+beforeEach(() => {
+  resetChrome();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getSenderType', () => {
+  test('tells extension pages from content scripts', () => {
+    expect(getSenderType(senders.popup)).toBe(SENDERS.EXTENSION);
+    expect(getSenderType(senders.background)).toBe(SENDERS.EXTENSION);
+    expect(getSenderType(senders.content)).toBe(SENDERS.CONTENT);
+  });
+
+  test('counts an extension page opened in a tab as an extension page', () => {
+    expect(getSenderType({ ...senders.popup, tab: { id: 3 } })).toBe(SENDERS.EXTENSION);
+  });
+
+  test('rejects other extensions and missing senders', () => {
+    expect(getSenderType(senders.otherExtension)).toBeNull();
+    expect(getSenderType(undefined)).toBeNull();
+  });
+});
+
+describe('checkMessage', () => {
+  const start = { context: { currentPrompt: 'hi' }, stream: true };
+
+  test('returns the checked data for an allowed sender', () => {
+    expect(checkMessage(ACTIONS.START_ENHANCEMENT, start, senders.content)).toEqual(start);
+  });
+
+  test.each([
+    ['another extension', start, senders.otherExtension, MESSAGE_ERRORS.FORBIDDEN],
+    ['a missing sender', start, undefined, MESSAGE_ERRORS.FORBIDDEN],
+    ['invalid data', { ...start, stream: 'yes' }, senders.content, MESSAGE_ERRORS.INVALID_PAYLOAD]
+  ])('refuses %s', (_, data, sender, code) => {
+    expect(() => checkMessage(ACTIONS.START_ENHANCEMENT, data, sender))
+      .toThrow(expect.objectContaining({ code }));
+  });
+});
+
+describe('MessageRouter', () => {
+  test('only registers actions handled by its target', () => {
+    expect(() => new MessageRouter(TARGETS.TAB).on(ACTIONS.GET_SETTINGS, () => {}))
+      .toThrow(/not handled by the tab/);
+    expect(() => new MessageRouter(TARGETS.BACKGROUND).on('noSuchAction', () => {}))
+      .toThrow(/not handled by the background/);
+  });
+
+  test('runs the handler with the checked data and wraps its result', async () => {
+    const handler = jest.fn(data => ({ saved: data.settings }));
+    const router = new MessageRouter(TARGETS.BACKGROUND).on(ACTIONS.SAVE_SETTINGS, handler);
+
+    const response = await router.handle(
+      { action: ACTIONS.SAVE_SETTINGS, data: { settings: { autoEnhance: true } } },
+      senders.popup
+    );
+
+    expect(handler).toHaveBeenCalledWith({ settings: { autoEnhance: true } }, senders.popup);
+    expect(response).toEqual({ success: true, data: { saved: { autoEnhance: true } }, error: null });
+  });
+
+  test.each([
+    ['an unknown action', { action: 'noSuchAction' }, senders.popup, MESSAGE_ERRORS.UNKNOWN_ACTION],
+    ['a message without an action', {}, senders.popup, MESSAGE_ERRORS.UNKNOWN_ACTION],
+    ['an action with no handler here', { action: ACTIONS.GET_HISTORY }, senders.popup, MESSAGE_ERRORS.UNKNOWN_ACTION],
+    ['an extension-only action from a content script', { action: ACTIONS.SAVE_SETTINGS, data: { settings: {} } }, senders.content, MESSAGE_ERRORS.FORBIDDEN],
+    ['any action from another extension', { action: ACTIONS.GET_SETTINGS }, senders.otherExtension, MESSAGE_ERRORS.FORBIDDEN],
+    ['a content-only action from an extension page', { action: ACTIONS.RECORD_ENHANCEMENT, data: { original: 'a', enhanced: 'b' } }, senders.popup, MESSAGE_ERRORS.FORBIDDEN],
+    ['invalid data', { action: ACTIONS.SAVE_SETTINGS, data: { settings: 'all' } }, senders.popup, MESSAGE_ERRORS.INVALID_PAYLOAD]
+  ])('refuses %s without running a handler', async (_, message, sender, code) => {
+    const handler = jest.fn();
+    const router = new MessageRouter(TARGETS.BACKGROUND)
+      .on(ACTIONS.GET_SETTINGS, handler)
+      .on(ACTIONS.SAVE_SETTINGS, handler)
+      .on(ACTIONS.RECORD_ENHANCEMENT, handler);
+
+    const response = await router.handle(message, sender);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(response.success).toBe(false);
+    expect(response.error.code).toBe(code);
+  });
+
+  test('reports a throwing handler as HANDLER_FAILED', async () => {
+    const router = new MessageRouter(TARGETS.BACKGROUND).on(ACTIONS.GET_SETTINGS, async () => {
+      throw new Error('storage unavailable');
+    });
+
+    const response = await router.handle({ action: ACTIONS.GET_SETTINGS }, senders.content);
+
+    expect(response.error).toEqual({ code: MESSAGE_ERRORS.HANDLER_FAILED, message: 'storage unavailable' });
+  });
+
+  test('answers every message in the background but only its own actions in a tab', () => {
+    const background = new MessageRouter(TARGETS.BACKGROUND);
+    const tab = new MessageRouter(TARGETS.TAB).on(ACTIONS.GET_STATUS, () => 'ok');
+
+    expect(background.answers({ action: 'noSuchAction' })).toBe(true);
+    expect(tab.answers({ action: ACTIONS.GET_STATUS })).toBe(true);
+    expect(tab.answers({ action: ACTIONS.APPLY_PROMPT })).toBe(false);
+  });
+
+  test('listens for runtime messages until stopped', async () => {
+    const stop = new MessageRouter(TARGETS.TAB).on(ACTIONS.GET_STATUS, () => 'ready').listen();
+
+    expect(await dispatchMessage({ action: ACTIONS.GET_STATUS }, senders.background))
+      .toEqual({ success: true, data: 'ready', error: null });
+    expect(await dispatchMessage({ action: ACTIONS.APPLY_PROMPT, data: { text: 'x' } }, senders.background))
+      .toBeUndefined();
+
+    stop();
+    expect(await dispatchMessage({ action: ACTIONS.GET_STATUS }, senders.background)).toBeUndefined();
+  });
+});
@@ -0,0 +1,107 @@
+import '../helpers/chrome.js';
+import {
+  ACTIONS,
+  MESSAGE_ERRORS,
+  SENDERS,
+  createClient,
+  createErrorResponse,
+  createMessageError,
+  createResponse,
+  readResponse,
+  validatePayload
+} from '../../src/shared/messages.js';
+
+function payloadError(action, data) {
+  try {
+    validatePayload(action, data);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected validatePayload to throw');
+}
+
+describe('validatePayload', () => {
+  test('returns the fields that were sent', () => {
+    const data = { apiKey: 'key', provider: 'openai', model: 'gpt-4o' };
+
+    expect(validatePayload(ACTIONS.ACTIVATE_BYOK, data)).toEqual(data);
+  });
+
+  test('leaves out optional fields that are missing or null', () => {
+    expect(validatePayload(ACTIONS.ACTIVATE_BYOK, { apiKey: 'key', model: null }))
+      .toEqual({ apiKey: 'key' });
+  });
+
+  test('treats missing data as an empty object', () => {
+    expect(validatePayload(ACTIONS.GET_SETTINGS, undefined)).toEqual({});
+    expect(validatePayload(ACTIONS.GET_SETTINGS, null)).toEqual({});
+  });
+
+  test.each([
+    ['data that is not an object', ACTIONS.GET_SETTINGS, 'settings', /data must be an object/],
+    ['an array as data', ACTIONS.GET_SETTINGS, [], /data must be an object/],
+    ['a field the schema does not list', ACTIONS.GET_SETTINGS, { extra: true }, /unexpected field "extra"/],
+    ['a missing required field', ACTIONS.UNLOCK_KEYS, {}, /missing string "passphrase"/],
+    ['a null required field', ACTIONS.UNLOCK_KEYS, { passphrase: null }, /missing string "passphrase"/],
+    ['a string where a number belongs', ACTIONS.SET_HISTORY_RETENTION, { retentionDays: '30' }, /expected number/],
+    ['NaN as a number', ACTIONS.SET_HISTORY_RETENTION, { retentionDays: NaN }, /expected number/],
+    ['an array where an object belongs', ACTIONS.SAVE_SETTINGS, { settings: [] }, /expected object/],
+    ['a wrong optional field', ACTIONS.ENHANCE, { context: {}, temperature: 'hot' }, /expected number for "temperature"/]
+  ])('rejects %s', (_, action, data, message) => {
+    const error = payloadError(action, data);
+
+    expect(error.name).toBe('MessageError');
+    expect(error.code).toBe(MESSAGE_ERRORS.INVALID_PAYLOAD);
+    expect(error.message).toMatch(message);
+  });
+});
+
+describe('response envelopes', () => {
+  test('wrap handler results', () => {
+    expect(createResponse({ ok: 1 })).toEqual({ success: true, data: { ok: 1 }, error: null });
+    expect(createResponse(undefined)).toEqual({ success: true, data: null, error: null });
+  });
+
+  test('carry the error code, defaulting to HANDLER_FAILED', () => {
+    expect(createErrorResponse(createMessageError(MESSAGE_ERRORS.FORBIDDEN, 'no')).error)
+      .toEqual({ code: MESSAGE_ERRORS.FORBIDDEN, message: 'no' });
+    expect(createErrorResponse(new Error('boom')).error)
+      .toEqual({ code: MESSAGE_ERRORS.HANDLER_FAILED, message: 'boom' });
+  });
+
+  test('readResponse returns the data or throws the envelope error', () => {
+    expect(readResponse(ACTIONS.GET_SETTINGS, createResponse('value'))).toBe('value');
+
+    expect(() => readResponse(ACTIONS.GET_SETTINGS, undefined))
+      .toThrow(expect.objectContaining({ code: MESSAGE_ERRORS.NO_RESPONSE }));
+    expect(() => readResponse(ACTIONS.GET_SETTINGS, createErrorResponse(new Error('boom'))))
+      .toThrow(expect.objectContaining({ code: MESSAGE_ERRORS.HANDLER_FAILED, message: 'boom' }));
+  });
+});
+
+describe('createClient', () => {
+  test('only offers content scripts the actions they may send', () => {
+    const client = createClient(SENDERS.CONTENT);
+
+    expect(client).toHaveProperty(ACTIONS.ENHANCE);
+    expect(client).toHaveProperty(ACTIONS.RECORD_ENHANCEMENT);
+    expect(client).toHaveProperty(ACTIONS.SAVE_SELECTOR_HEALTH);
+    expect(client).not.toHaveProperty(ACTIONS.SAVE_SETTINGS);
+    expect(client).not.toHaveProperty(ACTIONS.UNLOCK_KEYS);
+    expect(client).not.toHaveProperty(ACTIONS.APPLY_PROMPT);
+  });
+
+  test('leaves out actions that are sent over a port', () => {
+    expect(createClient(SENDERS.CONTENT)).not.toHaveProperty(ACTIONS.START_ENHANCEMENT);
+    expect(createClient(SENDERS.EXTENSION)).not.toHaveProperty(ACTIONS.START_ENHANCEMENT);
+  });
+
+  test('offers extension pages everything but content-only actions', () => {
+    const client = createClient(SENDERS.EXTENSION);
+
+    expect(client).toHaveProperty(ACTIONS.SAVE_SETTINGS);
+    expect(client).toHaveProperty(ACTIONS.APPLY_PROMPT);
+    expect(client).not.toHaveProperty(ACTIONS.RECORD_ENHANCEMENT);
+    expect(client).not.toHaveProperty(ACTIONS.ENABLE_SITE);
+  });
+});
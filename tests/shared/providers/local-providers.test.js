@@ -0,0 +1,130 @@
+import '../../helpers/chrome.js';
+import { getProvider, resolveLocalModelSettings } from '../../../src/shared/providers/index.js';
+import subscriptionManager from '../../../src/background/subscription-manager.js';
+import { LOCAL_MODEL_API, LOCAL_MODEL_SERVERS } from '../../../src/shared/constants.js';
+
+const generationConfig = { temperature: 0.4, topK: 40, topP: 0.9, maxOutputTokens: 512 };
+const prompt = 'Rewrite this prompt';
+
+function jsonResponse(data, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => data };
+}
+
+beforeEach(() => {
+  globalThis.fetch = jest.fn();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete globalThis.fetch;
+});
+
+describe('Ollama request', () => {
+  const provider = getProvider(LOCAL_MODEL_SERVERS.OLLAMA);
+
+  test('calls /api/generate with the model and sampling options', () => {
+    expect(provider.buildRequest({ prompt, model: 'llama3', generationConfig })).toEqual({
+      url: 'http://localhost:11434/api/generate',
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        model: 'llama3',
+        prompt,
+        stream: false,
+        options: { temperature: 0.4, top_k: 40, top_p: 0.9, num_predict: 512 }
+      }
+    });
+  });
+
+  test('needs a model name', () => {
+    expect(() => provider.buildRequest({ prompt })).toThrow(/requires a model name/);
+  });
+});
+
+describe('llama.cpp request', () => {
+  const provider = getProvider(LOCAL_MODEL_SERVERS.LLAMA_CPP);
+
+  test('calls /completion on the configured server without a model', () => {
+    expect(provider.buildRequest({ prompt, baseUrl: 'http://127.0.0.1:9000/', generationConfig })).toEqual({
+      url: 'http://127.0.0.1:9000/completion',
+      headers: { 'Content-Type': 'application/json' },
+      body: { prompt, stream: false, temperature: 0.4, top_k: 40, top_p: 0.9, n_predict: 512 }
+    });
+  });
+});
+
+describe('listModels', () => {
+  test('lists the models Ollama has pulled', async () => {
+    fetch.mockResolvedValue(jsonResponse({ models: [{ name: 'llama3:8b' }, { name: 'qwen2:7b' }] }));
+
+    expect(await getProvider(LOCAL_MODEL_SERVERS.OLLAMA).listModels({})).toEqual(['llama3:8b', 'qwen2:7b']);
+    expect(fetch).toHaveBeenCalledWith('http://localhost:11434/api/tags', expect.objectContaining({ method: 'GET' }));
+  });
+
+  test('falls back to /health on llama.cpp builds without /v1/models', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(null, 404))
+      .mockResolvedValueOnce(jsonResponse({ status: 'ok' }));
+
+    expect(await getProvider(LOCAL_MODEL_SERVERS.LLAMA_CPP).listModels({})).toEqual([]);
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      'http://localhost:8080/v1/models',
+      'http://localhost:8080/health'
+    ]);
+  });
+
+  test('fails when the server answers with an error', async () => {
+    fetch.mockResolvedValue(jsonResponse(null, 500));
+
+    await expect(getProvider(LOCAL_MODEL_SERVERS.OLLAMA).listModels({})).rejects.toThrow('Ollama responded with 500');
+  });
+});
+
+describe('SubscriptionManager.checkLocalServer', () => {
+  test('reports the models and latency of a reachable server', async () => {
+    fetch.mockResolvedValue(jsonResponse({ models: [{ name: 'llama3' }] }));
+
+    expect(await subscriptionManager.checkLocalServer({ server: LOCAL_MODEL_SERVERS.OLLAMA })).toEqual({
+      server: LOCAL_MODEL_SERVERS.OLLAMA,
+      baseUrl: 'http://localhost:11434',
+      models: ['llama3'],
+      latency: expect.any(Number)
+    });
+  });
+
+  test('throws when the server cannot be reached', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(subscriptionManager.checkLocalServer({
+      server: LOCAL_MODEL_SERVERS.LLAMA_CPP,
+      baseUrl: 'http://localhost:9999'
+    })).rejects.toThrow('Could not reach llama.cpp server at http://localhost:9999');
+  });
+
+  test('throws for an unknown server type', async () => {
+    await expect(subscriptionManager.checkLocalServer({ server: 'vllm' })).rejects.toThrow(/Unknown local server/);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveLocalModelSettings', () => {
+  test('is null unless a local server is enabled and has what it needs', () => {
+    expect(resolveLocalModelSettings(null)).toBeNull();
+    expect(resolveLocalModelSettings({ enabled: false, server: LOCAL_MODEL_SERVERS.OLLAMA, model: 'llama3' })).toBeNull();
+    expect(resolveLocalModelSettings({ enabled: true, server: LOCAL_MODEL_SERVERS.OLLAMA })).toBeNull();
+  });
+
+  test('fills in the server defaults', () => {
+    expect(resolveLocalModelSettings({ enabled: true, server: LOCAL_MODEL_SERVERS.LLAMA_CPP })).toEqual({
+      provider: LOCAL_MODEL_SERVERS.LLAMA_CPP,
+      apiKey: null,
+      model: null,
+      baseUrl: 'http://localhost:8080',
+      timeout: LOCAL_MODEL_API.TIMEOUT,
+      maxRetries: LOCAL_MODEL_API.MAX_RETRIES,
+      retryDelay: LOCAL_MODEL_API.RETRY_DELAY,
+      local: true
+    });
+  });
+});
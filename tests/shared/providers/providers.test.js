@@ -0,0 +1,137 @@
+import { getProvider, resolveProviderSettings } from '../../../src/shared/providers/index.js';
+import { GEMINI_API, LLM_PROVIDERS, SUBSCRIPTION_TYPES } from '../../../src/shared/constants.js';
+
+const generationConfig = { temperature: 0.4, topK: 40, topP: 0.9, maxOutputTokens: 512 };
+const prompt = 'Rewrite this prompt';
+
+describe('Gemini request', () => {
+  const provider = getProvider(LLM_PROVIDERS.GEMINI);
+
+  test('sends the key in a header and the prompt as contents', () => {
+    const request = provider.buildRequest({ prompt, apiKey: 'AIza-key', model: 'gemini-test', generationConfig });
+
+    expect(request).toEqual({
+      url: `${GEMINI_API.BASE_URL}/models/gemini-test:generateContent`,
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': 'AIza-key' },
+      body: {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: { temperature: 0.4, topK: 40, topP: 0.9, maxOutputTokens: 512 }
+      }
+    });
+    expect(request.url).not.toContain('AIza-key');
+  });
+
+  test('uses the default model and reads the first candidate', () => {
+    expect(provider.buildRequest({ prompt, apiKey: 'k' }).url).toContain(`/models/${GEMINI_API.MODEL}:`);
+    expect(provider.parseResponse({ candidates: [{ content: { parts: [{ text: 'Better' }] } }] })).toBe('Better');
+    expect(provider.parseResponse({})).toBe('');
+  });
+});
+
+describe('OpenAI request', () => {
+  const provider = getProvider(LLM_PROVIDERS.OPENAI);
+
+  test('sends a bearer token and a chat completion body', () => {
+    expect(provider.buildRequest({ prompt, apiKey: 'sk-key', generationConfig })).toEqual({
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer sk-key' },
+      body: {
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.4,
+        top_p: 0.9,
+        max_tokens: 512
+      }
+    });
+  });
+
+  test('reads the first choice', () => {
+    expect(provider.parseResponse({ choices: [{ message: { content: 'Better' } }] })).toBe('Better');
+  });
+});
+
+describe('Anthropic request', () => {
+  const provider = getProvider(LLM_PROVIDERS.ANTHROPIC);
+
+  test('sends the key, API version and browser access headers', () => {
+    const { url, headers } = provider.buildRequest({ prompt, apiKey: 'sk-ant-key', generationConfig });
+
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(headers).toEqual({
+      'Content-Type': 'application/json',
+      'x-api-key': 'sk-ant-key',
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    });
+  });
+
+  test('never sends temperature together with top_p', () => {
+    const { body } = provider.buildRequest({ prompt, apiKey: 'k', generationConfig });
+
+    expect(body).toEqual({
+      model: 'claude-3-5-haiku-latest',
+      max_tokens: 512,
+      temperature: 0.4,
+      top_k: 40,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    expect(provider.buildRequest({ prompt, apiKey: 'k', generationConfig: { topP: 0.9 } }).body)
+      .toMatchObject({ top_p: 0.9 });
+  });
+
+  test('only sends the sampling parameters that are set', () => {
+    const { body } = provider.buildRequest({ prompt, apiKey: 'k' });
+
+    expect(body).not.toHaveProperty('temperature');
+    expect(body).not.toHaveProperty('top_p');
+    expect(body).not.toHaveProperty('top_k');
+    expect(body.max_tokens).toBe(1024);
+  });
+
+  test('joins the text blocks of the response', () => {
+    expect(provider.parseResponse({
+      content: [{ type: 'text', text: 'Bet' }, { type: 'tool_use' }, { type: 'text', text: 'ter' }]
+    })).toBe('Better');
+  });
+});
+
+describe('OpenAI-compatible request', () => {
+  const provider = getProvider(LLM_PROVIDERS.OPENAI_COMPATIBLE);
+
+  test('goes to the configured base URL, with a bearer token only when there is a key', () => {
+    const request = provider.buildRequest({ prompt, model: 'mixtral', baseUrl: 'https://llm.example.com/v1/' });
+
+    expect(request.url).toBe('https://llm.example.com/v1/chat/completions');
+    expect(request.headers).toEqual({ 'Content-Type': 'application/json' });
+    expect(request.body.model).toBe('mixtral');
+  });
+
+  test('needs a base URL and a model', () => {
+    expect(() => provider.buildRequest({ prompt, model: 'mixtral' })).toThrow(/requires a base URL/);
+    expect(() => provider.buildRequest({ prompt, baseUrl: 'https://llm.example.com/v1' }))
+      .toThrow(/requires a model name/);
+  });
+});
+
+describe('resolveProviderSettings', () => {
+  test('uses the BYOK provider, model and key', () => {
+    const subscription = {
+      type: SUBSCRIPTION_TYPES.BYOK,
+      provider: LLM_PROVIDERS.ANTHROPIC,
+      model: 'claude-test',
+      apiKey: 'sk-ant-key'
+    };
+
+    expect(resolveProviderSettings({}, subscription)).toEqual({
+      provider: LLM_PROVIDERS.ANTHROPIC,
+      apiKey: 'sk-ant-key',
+      model: 'claude-test',
+      baseUrl: null
+    });
+  });
+
+  test('falls back to the rule-based enhancer without a key', () => {
+    expect(resolveProviderSettings({}, { type: SUBSCRIPTION_TYPES.BYOK, provider: LLM_PROVIDERS.OPENAI })).toBeNull();
+    expect(resolveProviderSettings({}, { type: SUBSCRIPTION_TYPES.FREE })).toBeNull();
+  });
+});
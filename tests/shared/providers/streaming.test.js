@@ -0,0 +1,171 @@
+import { getProvider } from '../../../src/shared/providers/index.js';
+import { LLM_PROVIDERS, LOCAL_MODEL_SERVERS } from '../../../src/shared/constants.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * A streaming fetch response that delivers the body in the given pieces
+ * (strings or bytes)
+ */
+function streamResponse(pieces, status = 200) {
+  const chunks = pieces.map(piece => (typeof piece === 'string' ? encoder.encode(piece) : piece));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true })
+      })
+    }
+  };
+}
+
+/**
+ * Split text into pieces of the given size, so events and even UTF-8 characters
+ * are cut at arbitrary places
+ */
+function splitBytes(text, size) {
+  const bytes = encoder.encode(text);
+  const pieces = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    pieces.push(bytes.slice(i, i + size));
+  }
+  return pieces;
+}
+
+const sse = events => events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+const openaiDelta = content => ({ choices: [{ delta: { content } }] });
+
+async function collect(provider, options) {
+  const deltas = [];
+  const text = await provider.stream({ prompt: 'p', apiKey: 'k', ...options }, delta => deltas.push(delta));
+  return { text, deltas };
+}
+
+beforeEach(() => {
+  globalThis.fetch = jest.fn();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete globalThis.fetch;
+});
+
+describe('SSE streams', () => {
+  const openai = getProvider(LLM_PROVIDERS.OPENAI);
+
+  test('reports each delta and stops at [DONE]', async () => {
+    fetch.mockResolvedValue(streamResponse([sse([openaiDelta('Hel'), openaiDelta('lo'), '[DONE]'])]));
+
+    const { text, deltas } = await collect(openai);
+
+    expect(deltas).toEqual(['Hel', 'lo']);
+    expect(text).toBe('Hello');
+    expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+  });
+
+  test.each([1, 3, 7, 16])('reassembles events split every %i bytes', async (size) => {
+    const body = sse([openaiDelta('Grüße, '), openaiDelta('wörld ✓'), '[DONE]']);
+    fetch.mockResolvedValue(streamResponse(splitBytes(body, size)));
+
+    expect((await collect(openai)).text).toBe('Grüße, wörld ✓');
+  });
+
+  test('handles CRLF line endings and a last line without a newline', async () => {
+    fetch.mockResolvedValue(streamResponse([
+      `data: ${JSON.stringify(openaiDelta('one '))}\r\n\r\n`,
+      `data: ${JSON.stringify(openaiDelta('two'))}`
+    ]));
+
+    expect((await collect(openai)).text).toBe('one two');
+  });
+
+  test('skips comments, other fields and unparsable lines', async () => {
+    fetch.mockResolvedValue(streamResponse([
+      ': keep-alive\n',
+      'event: message\n',
+      'data: {not json\n',
+      sse([openaiDelta('ok')])
+    ]));
+
+    expect((await collect(openai)).text).toBe('ok');
+  });
+
+  test('reads Gemini candidates from the SSE endpoint', async () => {
+    const gemini = getProvider(LLM_PROVIDERS.GEMINI);
+    const part = text => ({ candidates: [{ content: { parts: [{ text }] } }] });
+    fetch.mockResolvedValue(streamResponse([sse([part('Hi '), part('there')])]));
+
+    expect((await collect(gemini)).text).toBe('Hi there');
+    expect(fetch.mock.calls[0][0]).toMatch(/:streamGenerateContent\?alt=sse$/);
+  });
+
+  test('reads Anthropic text deltas and ignores the other events', async () => {
+    const anthropic = getProvider(LLM_PROVIDERS.ANTHROPIC);
+    fetch.mockResolvedValue(streamResponse([sse([
+      { type: 'message_start', message: {} },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } },
+      { type: 'ping' },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: '!' } },
+      { type: 'message_stop' }
+    ])]));
+
+    expect((await collect(anthropic)).deltas).toEqual(['Hi', '!']);
+  });
+
+  test('fails on an Anthropic error event', async () => {
+    const anthropic = getProvider(LLM_PROVIDERS.ANTHROPIC);
+    fetch.mockResolvedValue(streamResponse([sse([
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } },
+      { type: 'error', error: { type: 'overloaded_error' } }
+    ])]));
+
+    await expect(collect(anthropic)).rejects.toThrow('API error: overloaded_error');
+  });
+});
+
+describe('NDJSON streams', () => {
+  const ollama = getProvider(LOCAL_MODEL_SERVERS.OLLAMA);
+  const ndjson = events => events.map(event => JSON.stringify(event)).join('\n');
+
+  test('reads one JSON object per line, split anywhere', async () => {
+    const body = ndjson([{ response: 'Hel' }, { response: 'lo' }, { response: '', done: true }]);
+    fetch.mockResolvedValue(streamResponse(splitBytes(body, 5)));
+
+    const { text, deltas } = await collect(ollama, { model: 'llama3' });
+
+    expect(deltas).toEqual(['Hel', 'lo']);
+    expect(text).toBe('Hello');
+  });
+
+  test('fails on an error line', async () => {
+    fetch.mockResolvedValue(streamResponse([ndjson([{ response: 'Hel' }, { error: 'model not found' }])]));
+
+    await expect(collect(ollama, { model: 'llama3' })).rejects.toThrow('Ollama error: model not found');
+  });
+});
+
+describe('stream failures', () => {
+  const openai = getProvider(LLM_PROVIDERS.OPENAI);
+
+  test('reports the HTTP status and whether it is worth retrying', async () => {
+    fetch.mockResolvedValue(streamResponse([], 503));
+
+    await expect(collect(openai)).rejects.toMatchObject({ status: 503, retryable: true });
+  });
+
+  test('fails when the stream ends without text', async () => {
+    fetch.mockResolvedValue(streamResponse([sse(['[DONE]'])]));
+
+    await expect(collect(openai)).rejects.toThrow('No response from API');
+  });
+
+  test('is cancelled through the signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(collect(openai, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,206 @@
+import { chromeFake, resetChrome } from '../helpers/chrome.js';
+import settingsService, {
+  SETTINGS_SCHEMA_VERSION,
+  normalizeSettings
+} from '../../src/shared/settings-service.js';
+import { DEFAULT_SETTINGS, STORAGE_KEYS, SUBSCRIPTION_TYPES } from '../../src/shared/constants.js';
+
+const { local, sync } = chromeFake.storage;
+const encryptKey = jest.fn();
+
+function storedSettings() {
+  return local.dump()[STORAGE_KEYS.SETTINGS];
+}
+
+/**
+ * Store settings at a schema version and run the migrations from there
+ */
+async function migrateFrom(schemaVersion, settings = {}) {
+  await local.set({ [STORAGE_KEYS.SETTINGS]: { ...settings, schemaVersion } }, () => {});
+  await settingsService.migrate({ encryptKey });
+  return storedSettings();
+}
+
+beforeEach(() => {
+  resetChrome();
+  encryptKey.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeSettings', () => {
+  test('fills in every default for missing or non-object settings', () => {
+    expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+    expect(normalizeSettings([])).toEqual(DEFAULT_SETTINGS);
+    expect(normalizeSettings({})).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('keeps values of the right type and replaces the rest with defaults', () => {
+    const settings = normalizeSettings({
+      autoEnhance: true,
+      contextWindow: 'ten',
+      variantCount: NaN,
+      showDiff: 'yes'
+    });
+
+    expect(settings.autoEnhance).toBe(true);
+    expect(settings.contextWindow).toBe(DEFAULT_SETTINGS.contextWindow);
+    expect(settings.variantCount).toBe(DEFAULT_SETTINGS.variantCount);
+    expect(settings.showDiff).toBe(DEFAULT_SETTINGS.showDiff);
+  });
+
+  test('drops keys the schema does not know', () => {
+    const settings = normalizeSettings({ geminiKey: 'AIza-legacy', schemaVersion: 2 });
+
+    expect(settings).not.toHaveProperty('geminiKey');
+    expect(settings).not.toHaveProperty('schemaVersion');
+  });
+
+  test('normalizes nested groups key by key', () => {
+    const settings = normalizeSettings({
+      localModel: { enabled: true, timeout: 'slow' },
+      redaction: 'off'
+    });
+
+    expect(settings.localModel).toEqual({ ...DEFAULT_SETTINGS.localModel, enabled: true });
+    expect(settings.redaction).toEqual(DEFAULT_SETTINGS.redaction);
+  });
+
+  test('allows null only where the type is nullable', () => {
+    const settings = normalizeSettings({
+      localModel: { timeout: null, maxRetries: 2 },
+      customEnhancementPrompt: null
+    });
+
+    expect(settings.localModel.timeout).toBeNull();
+    expect(settings.localModel.maxRetries).toBe(2);
+    expect(settings.customEnhancementPrompt).toBe(DEFAULT_SETTINGS.customEnhancementPrompt);
+  });
+
+  test('checks arrays and records', () => {
+    const shortcuts = { 'Alt+9': 'concise' };
+    const settings = normalizeSettings({
+      shortcuts,
+      redaction: { customPatterns: 'ticket-\\d+' }
+    });
+
+    expect(settings.shortcuts).toEqual(shortcuts);
+    expect(settings.shortcuts).not.toBe(shortcuts);
+    expect(settings.redaction.customPatterns).toEqual([]);
+    expect(normalizeSettings({ shortcuts: ['Alt+1'] }).shortcuts).toEqual(DEFAULT_SETTINGS.shortcuts);
+  });
+});
+
+describe('SettingsService.migrate', () => {
+  test('does nothing when settings are at the current schema version', async () => {
+    const settings = { autoEnhance: true, schemaVersion: SETTINGS_SCHEMA_VERSION };
+    await local.set({ [STORAGE_KEYS.SETTINGS]: settings }, () => {});
+
+    await settingsService.migrate();
+
+    expect(storedSettings()).toEqual(settings);
+  });
+
+  test('brings unversioned settings to the current version, normalized', async () => {
+    const migrated = await migrateFrom(0, { autoEnhance: true, stale: 1 });
+
+    expect(migrated).toEqual({
+      ...DEFAULT_SETTINGS,
+      autoEnhance: true,
+      schemaVersion: SETTINGS_SCHEMA_VERSION
+    });
+  });
+
+  describe('1: v2 profiles', () => {
+    test('moves profiles from storage.sync to storage.local and removes the legacy keys', async () => {
+      const profiles = { 'example.com': { inputSelector: '#prompt' } };
+      await sync.set({
+        promptenhancer_profiles: profiles,
+        promptenhancer_defaultProfile: 'example.com',
+        enhancer_settings: { enabled: true, apiKey: 'stub' }
+      }, () => {});
+      await local.set({ promptenhancer_profiles: { 'old.example': {} } }, () => {});
+
+      await migrateFrom(0);
+
+      expect(local.dump()[STORAGE_KEYS.SITE_PROFILES]).toEqual(profiles);
+      expect(local.dump()[STORAGE_KEYS.DEFAULT_SITE_PROFILE]).toBe('example.com');
+      expect(local.dump()).not.toHaveProperty('promptenhancer_profiles');
+      expect(sync.dump()).toEqual({});
+    });
+
+    test('keeps profiles that are already in the current place', async () => {
+      const current = { 'current.example': {} };
+      await local.set({ [STORAGE_KEYS.SITE_PROFILES]: current }, () => {});
+      await sync.set({ promptenhancer_profiles: { 'old.example': {} } }, () => {});
+
+      await migrateFrom(0);
+
+      expect(local.dump()[STORAGE_KEYS.SITE_PROFILES]).toEqual(current);
+    });
+  });
+
+  describe('2: legacy Gemini key', () => {
+    const legacyKey = 'AIzaSyLegacyKey1234567890';
+    const encryptedKey = { iv: 'iv', data: 'ciphertext' };
+
+    test('becomes an encrypted BYOK subscription with no plaintext key', async () => {
+      encryptKey.mockResolvedValue(encryptedKey);
+
+      const migrated = await migrateFrom(1, { geminiKey: legacyKey });
+      const subscription = local.dump()[STORAGE_KEYS.SUBSCRIPTION];
+
+      expect(encryptKey).toHaveBeenCalledWith(legacyKey);
+      expect(subscription).toMatchObject({
+        type: SUBSCRIPTION_TYPES.BYOK,
+        active: true,
+        encryptedKey,
+        apiKeyMasked: 'AIzaSy...7890'
+      });
+      expect(JSON.stringify(local.dump())).not.toContain(legacyKey);
+      expect(migrated).not.toHaveProperty('geminiKey');
+    });
+
+    test('reads the older geminiApiKey name too', async () => {
+      encryptKey.mockResolvedValue(encryptedKey);
+
+      await migrateFrom(1, { geminiApiKey: legacyKey });
+
+      expect(encryptKey).toHaveBeenCalledWith(legacyKey);
+      expect(local.dump()[STORAGE_KEYS.SUBSCRIPTION].encryptedKey).toEqual(encryptedKey);
+    });
+
+    test('leaves an existing BYOK subscription alone', async () => {
+      const subscription = { type: SUBSCRIPTION_TYPES.BYOK, active: true, encryptedKey };
+      await local.set({ [STORAGE_KEYS.SUBSCRIPTION]: subscription }, () => {});
+
+      await migrateFrom(1, { geminiKey: legacyKey });
+
+      expect(encryptKey).not.toHaveBeenCalled();
+      expect(local.dump()[STORAGE_KEYS.SUBSCRIPTION]).toEqual(subscription);
+      expect(JSON.stringify(local.dump())).not.toContain(legacyKey);
+    });
+
+    test('drops the key rather than storing it in plaintext when encryption fails', async () => {
+      encryptKey.mockRejectedValue(new Error('locked'));
+
+      await migrateFrom(1, { geminiKey: legacyKey });
+
+      expect(local.dump()).not.toHaveProperty(STORAGE_KEYS.SUBSCRIPTION);
+      expect(JSON.stringify(local.dump())).not.toContain(legacyKey);
+    });
+
+    test('drops the key when migrate() is not given a way to encrypt it', async () => {
+      await local.set({ [STORAGE_KEYS.SETTINGS]: { geminiKey: legacyKey, schemaVersion: 1 } }, () => {});
+
+      await settingsService.migrate();
+
+      expect(local.dump()).not.toHaveProperty(STORAGE_KEYS.SUBSCRIPTION);
+      expect(JSON.stringify(local.dump())).not.toContain(legacyKey);
+    });
+  });
+});